@@ -19,7 +19,8 @@ namespace OneUpDashboard.Api.Controllers
             _logger = logger;
         }
 
-        // GET /api/invoices?page=1&pageSize=100&currency=USD&startDate=2024-01-01&endDate=2024-12-31&sortBy=invoiceDate
+        // GET /api/invoices?page=1&pageSize=100&currency=USD&startDate=2024-01-01&endDate=2024-12-31&dateBasis=invoiceDate&search=acme&sortBy=invoiceDate
+        // All filters combine; startDate/endDate are inclusive days on the dateBasis date. pageSize=-1 returns every match.
         [HttpGet]
         public async Task<IActionResult> GetInvoices(
             [FromQuery] int page = 1,
@@ -28,37 +29,16 @@ namespace OneUpDashboard.Api.Controllers
             [FromQuery] DateTime? startDate = null,
             [FromQuery] DateTime? endDate = null,
             [FromQuery] int? employeeId = null,
+            [FromQuery] string dateBasis = "invoiceDate",
+            [FromQuery] string? search = null,
             [FromQuery] string sortBy = "invoiceDate")
         {
             try
             {
-                var skip = (page - 1) * pageSize;
-                List<InvoiceDocument> invoices;
-                long totalCount;
-
-                if (startDate.HasValue && endDate.HasValue)
-                {
-                    invoices = await _mongoDbService.GetInvoicesByDateRangeAsync(startDate.Value, endDate.Value, sortBy);
-                    totalCount = invoices.Count;
-                    invoices = invoices.Skip(skip).Take(pageSize).ToList();
-                }
-                else if (!string.IsNullOrEmpty(currency))
-                {
-                    invoices = await _mongoDbService.GetInvoicesByCurrencyAsync(currency, sortBy);
-                    totalCount = invoices.Count;
-                    invoices = invoices.Skip(skip).Take(pageSize).ToList();
-                }
-                else if (employeeId.HasValue)
-                {
-                    invoices = await _mongoDbService.GetInvoicesByEmployeeAsync(employeeId.Value, sortBy);
-                    totalCount = invoices.Count;
-                    invoices = invoices.Skip(skip).Take(pageSize).ToList();
-                }
-                else
-                {
-                    invoices = await _mongoDbService.GetInvoicesAsync(skip, pageSize, sortBy);
-                    totalCount = await _mongoDbService.GetInvoiceCountAsync();
-                }
+                page = Math.Max(page, 1);
+                var skip = pageSize > 0 ? (page - 1) * pageSize : 0;
+                var filter = _mongoDbService.BuildInvoiceFilter(currency, startDate, endDate, employeeId, dateBasis, search);
+                var (invoices, totalCount) = await _mongoDbService.QueryInvoicesAsync(filter, skip, pageSize, sortBy);
 
                 var result = new
                 {
@@ -68,8 +48,8 @@ namespace OneUpDashboard.Api.Controllers
                         page = page,
                         pageSize = pageSize,
                         totalCount = totalCount,
-                        totalPages = (int)Math.Ceiling((double)totalCount / pageSize),
-                        hasNextPage = page * pageSize < totalCount,
+                        totalPages = pageSize > 0 ? (int)Math.Ceiling((double)totalCount / pageSize) : 1,
+                        hasNextPage = pageSize > 0 && page * pageSize < totalCount,
                         hasPreviousPage = page > 1
                     }
                 };
@@ -83,6 +63,40 @@ namespace OneUpDashboard.Api.Controllers
             }
         }
 
+        // GET /api/invoices/daily-totals?currency=USD&startDate=2024-01-01&endDate=2024-12-31&dateBasis=invoiceDate
+        // Same filters as GET /api/invoices, summed per currency and invoice day
+        [HttpGet("daily-totals")]
+        public async Task<IActionResult> GetDailyTotals(
+            [FromQuery] string? currency = null,
+            [FromQuery] DateTime? startDate = null,
+            [FromQuery] DateTime? endDate = null,
+            [FromQuery] int? employeeId = null,
+            [FromQuery] string dateBasis = "invoiceDate",
+            [FromQuery] string? search = null)
+        {
+            try
+            {
+                var filter = _mongoDbService.BuildInvoiceFilter(currency, startDate, endDate, employeeId, dateBasis, search);
+                var totals = await _mongoDbService.GetDailyTotalsAsync(filter);
+
+                var days = totals.Select(x => new
+                {
+                    currency = x["_id"]["currency"].IsBsonNull ? null : x["_id"]["currency"].AsString,
+                    date = x["_id"]["date"].IsBsonNull ? null : x["_id"]["date"].AsString,
+                    cancelled = x["_id"]["cancelled"].ToBoolean(),
+                    total = x["total"].ToDecimal(),
+                    invoiceCount = x["invoiceCount"].ToInt32()
+                });
+
+                return Ok(new { data = days, totalCount = days.Sum(x => (long)x.invoiceCount) });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error getting daily invoice totals");
+                return StatusCode(500, new { error = "Failed to get daily invoice totals", details = ex.Message });
+            }
+        }
+
         // GET /api/invoices/{id}
         [HttpGet("{id}")]
         public async Task<IActionResult> GetInvoice(int id)
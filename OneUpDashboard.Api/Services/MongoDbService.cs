@@ -165,6 +165,111 @@ namespace OneUpDashboard.Api.Services
                 .ToListAsync();
         }
 
+        // ✅ Combined invoice query: currency, date range, salesperson and search are all
+        // applied in MongoDB so callers can page through any filtered view
+        public FilterDefinition<InvoiceDocument> BuildInvoiceFilter(
+            string? currency = null,
+            DateTime? startDate = null,
+            DateTime? endDate = null,
+            int? employeeId = null,
+            string dateBasis = "invoiceDate",
+            string? search = null)
+        {
+            var builder = Builders<InvoiceDocument>.Filter;
+            var filter = builder.Empty;
+
+            if (!string.IsNullOrEmpty(currency))
+            {
+                filter &= builder.Eq(x => x.Currency, currency);
+            }
+
+            if (employeeId.HasValue)
+            {
+                filter &= builder.Eq(x => x.EmployeeId, employeeId.Value);
+            }
+
+            // Dates are whole days: endDate includes everything up to the end of that day
+            var useCreationDate = IsCreationDateBasis(dateBasis);
+            if (startDate.HasValue)
+            {
+                filter &= useCreationDate
+                    ? builder.Gte(x => x.CreatedAt, startDate.Value.Date)
+                    : builder.Gte(x => x.InvoiceDate, startDate.Value.Date);
+            }
+            if (endDate.HasValue)
+            {
+                filter &= useCreationDate
+                    ? builder.Lt(x => x.CreatedAt, endDate.Value.Date.AddDays(1))
+                    : builder.Lt(x => x.InvoiceDate, endDate.Value.Date.AddDays(1));
+            }
+
+            if (!string.IsNullOrWhiteSpace(search))
+            {
+                var pattern = new BsonRegularExpression(System.Text.RegularExpressions.Regex.Escape(search.Trim()), "i");
+                filter &= builder.Or(
+                    builder.Regex(x => x.CustomerName, pattern),
+                    builder.Regex(x => x.SalespersonName, pattern),
+                    builder.Regex(x => x.InvoiceNumber, pattern)
+                );
+            }
+
+            return filter;
+        }
+
+        public async Task<(List<InvoiceDocument> Invoices, long TotalCount)> QueryInvoicesAsync(
+            FilterDefinition<InvoiceDocument> filter,
+            int skip = 0,
+            int limit = -1,
+            string sortBy = "invoiceDate")
+        {
+            var sortDefinition = IsCreationDateBasis(sortBy)
+                ? Builders<InvoiceDocument>.Sort.Descending(x => x.CreatedAt)
+                : Builders<InvoiceDocument>.Sort.Descending(x => x.InvoiceDate);
+
+            var query = _invoices
+                .Find(filter)
+                .Sort(sortDefinition)
+                .Skip(skip);
+
+            // If limit is -1, return every matching invoice
+            if (limit > 0)
+            {
+                query = query.Limit(limit);
+            }
+
+            var totalCount = await _invoices.CountDocumentsAsync(filter);
+            return (await query.ToListAsync(), totalCount);
+        }
+
+        // Totals per currency and invoice day (cancelled invoices grouped separately), so the
+        // dashboard can value a filtered view at historical rates without downloading it
+        public async Task<List<BsonDocument>> GetDailyTotalsAsync(FilterDefinition<InvoiceDocument> filter)
+        {
+            var cancelledStatuses = new BsonArray { "Cancelled", "cancelled" };
+
+            return await _invoices.Aggregate()
+                .Match(filter)
+                .Group(new BsonDocument
+                {
+                    { "_id", new BsonDocument
+                        {
+                            { "currency", "$currency" },
+                            { "date", new BsonDocument("$dateToString", new BsonDocument { { "format", "%Y-%m-%d" }, { "date", "$invoiceDate" } }) },
+                            { "cancelled", new BsonDocument("$in", new BsonArray { "$status", cancelledStatuses }) }
+                        }
+                    },
+                    { "total", new BsonDocument("$sum", new BsonDocument("$toDecimal", "$total")) },
+                    { "invoiceCount", new BsonDocument("$sum", 1) }
+                })
+                .Sort(new BsonDocument("_id.date", 1))
+                .ToListAsync();
+        }
+
+        private static bool IsCreationDateBasis(string? value)
+        {
+            return value?.ToLower() is "creationdate" or "created" or "createdat";
+        }
+
         public async Task<long> GetInvoiceCountAsync()
         {
             return await _invoices.CountDocumentsAsync(_ => true);
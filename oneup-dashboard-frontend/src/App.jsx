@@ -1,6 +1,7 @@
 import { Routes, Route } from "react-router-dom";
 import { Suspense, lazy } from "react";
 import { AuthProvider } from "./contexts/AuthContext";
+import { InvoiceProvider } from "./contexts/InvoiceProvider";
 import ProtectedRoute from "./Components/ProtectedRoute";
 import Sidebar from "./Components/Sidebar";
 import Login from "./Pages/Login";
@@ -11,6 +12,11 @@ const Analytics = lazy(() => import("./Pages/Analytics"));
 const Salespersons = lazy(() => import("./Pages/Salespersons"));
 const Customers = lazy(() => import("./Pages/Customers"));
 const Reports = lazy(() => import("./Pages/Reports"));
+const Targets = lazy(() => import("./Pages/Targets"));
+const Receivables = lazy(() => import("./Pages/Receivables"));
+const CustomerDetail = lazy(() => import("./Pages/CustomerDetail"));
+const CustomerMatching = lazy(() => import("./Pages/CustomerMatching"));
+const InvoiceDetail = lazy(() => import("./Pages/InvoiceDetail"));
 const Settings = lazy(() => import("./Pages/Settings"));
 const SystemStatus = lazy(() => import("./Pages/SystemStatus"));
 const TestConnection = lazy(() => import("./Pages/TestConnection"));
@@ -37,28 +43,35 @@ function App() {
         {/* Protected routes */}
         <Route path="/*" element={
           <ProtectedRoute>
-            <div className="flex bg-gray-100 min-h-screen">
-              {/* Sidebar */}
-              <Sidebar />
+            <InvoiceProvider>
+              <div className="flex bg-gray-100 min-h-screen">
+                {/* Sidebar */}
+                <Sidebar />
 
-              {/* Main content */}
-              <div className="flex-1 overflow-hidden">
-                <Suspense fallback={<LoadingSpinner />}>
-                  <Routes>
-                    <Route path="/" element={<Dashboard />} />
-                    <Route path="/dashboard" element={<Dashboard />} />
-                    <Route path="/test" element={<TestConnection />} />
-                    <Route path="/sync-monitor" element={<SyncMonitor />} />
-                    <Route path="/analytics" element={<Analytics />} />
-                    <Route path="/salespersons" element={<Salespersons />} />
-                    <Route path="/customers" element={<Customers />} />
-                    <Route path="/reports" element={<Reports />} />
-                    <Route path="/settings" element={<Settings />} />
-                    <Route path="/system-status" element={<SystemStatus />} />
-                  </Routes>
-                </Suspense>
+                {/* Main content */}
+                <div className="flex-1 overflow-hidden">
+                  <Suspense fallback={<LoadingSpinner />}>
+                    <Routes>
+                      <Route path="/" element={<Dashboard />} />
+                      <Route path="/dashboard" element={<Dashboard />} />
+                      <Route path="/test" element={<TestConnection />} />
+                      <Route path="/sync-monitor" element={<SyncMonitor />} />
+                      <Route path="/analytics" element={<Analytics />} />
+                      <Route path="/salespersons" element={<Salespersons />} />
+                      <Route path="/customers" element={<Customers />} />
+                      <Route path="/customers/:id" element={<CustomerDetail />} />
+                      <Route path="/customer-matching" element={<CustomerMatching />} />
+                      <Route path="/reports" element={<Reports />} />
+                      <Route path="/targets" element={<Targets />} />
+                      <Route path="/receivables" element={<Receivables />} />
+                      <Route path="/invoices/:id" element={<InvoiceDetail />} />
+                      <Route path="/settings" element={<Settings />} />
+                      <Route path="/system-status" element={<SystemStatus />} />
+                    </Routes>
+                  </Suspense>
+                </div>
               </div>
-            </div>
+            </InvoiceProvider>
           </ProtectedRoute>
         } />
       </Routes>
@@ -0,0 +1,21 @@
+import { formatChange } from "../utils/comparison";
+
+const TREND_STYLES = {
+  up: { icon: "↗️", className: "bg-green-100 text-green-800" },
+  down: { icon: "↘️", className: "bg-red-100 text-red-800" },
+  flat: { icon: "→", className: "bg-gray-100 text-gray-800" }
+};
+
+// ✅ Change of a KPI against the comparison period, e.g. "↗️ +1.2K (+12.5%)"
+// `change` comes from getChange (utils/comparison.js) and `format` formats the absolute change.
+const ChangeBadge = ({ change, format, className = "" }) => {
+  if (!change) return null;
+  const { icon, className: trendClassName } = TREND_STYLES[change.trend];
+  return (
+    <span className={`inline-block px-2 py-1 rounded-full text-xs font-medium ${trendClassName} ${className}`}>
+      {icon} {formatChange(change, format)}
+    </span>
+  );
+};
+
+export default ChangeBadge;
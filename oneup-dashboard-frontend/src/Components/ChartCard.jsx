@@ -0,0 +1,47 @@
+import { useRef } from "react";
+import { exportChartAsPng, exportChartAsSvg } from "../utils/chartExport";
+
+// ✅ Card wrapper for a recharts chart with PNG/SVG export buttons
+// `legend` ([{ label, color }]) is drawn into exported images, since recharts
+// renders its on-screen legend as HTML outside the SVG.
+const ChartCard = ({ title, subtitle, filename, legend, children }) => {
+  const chartRef = useRef(null);
+
+  const handleExport = async (format) => {
+    const options = { title, legend };
+    const success = format === "png"
+      ? await exportChartAsPng(chartRef.current, filename, options)
+      : exportChartAsSvg(chartRef.current, filename, options);
+    if (!success) {
+      alert('❌ Failed to export chart. Please try again.');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
+      <div className="flex items-start justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">{title}</h3>
+          {subtitle && <p className="text-sm text-gray-500">{subtitle}</p>}
+        </div>
+        <div className="flex gap-1 flex-shrink-0">
+          {["png", "svg"].map(format => (
+            <button
+              key={format}
+              onClick={() => handleExport(format)}
+              className="px-2 py-1 text-xs font-medium text-gray-600 border border-gray-200 rounded-md hover:bg-gray-50 hover:text-blue-600 transition-colors uppercase"
+              title={`Download as ${format.toUpperCase()}`}
+            >
+              ⬇ {format}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div ref={chartRef}>
+        {children}
+      </div>
+    </div>
+  );
+};
+
+export default ChartCard;
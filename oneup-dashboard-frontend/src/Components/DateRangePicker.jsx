@@ -0,0 +1,214 @@
+import {
+  COMPARISON_MODES,
+  MONTH_NAMES,
+  PERIOD_PRESETS,
+  formatFiscalYear,
+  getComparisonPeriod,
+  getCurrentSelection,
+  getIsoWeekStart,
+  getIsoWeeksInYear,
+  getQuarterMonths,
+  resolvePeriod,
+  toDateKey
+} from "../utils/periods";
+
+const FIELD_ICONS = { period: "📅", year: "📆", week: "🗓️", month: "🗓️", quarter: "📊", from: "⏮️", to: "⏭️", compare: "⚖️" };
+const YEARS_BACK = 12;
+
+// ✅ One period picker for every page: presets (to-date, rolling, calendar) plus the
+// year/month/quarter/week or from/to fields the chosen preset needs.
+// `value` holds { period, year, month, quarter, week, from, to } and `onChange` receives
+// only the fields that changed, so it plugs straight into useFilterState's setFilters.
+// With `comparison`, a "Compare To" field picks the previous period or the same period last
+// year (value.compare). Renders one block per field so it flows inside the page's own filter row.
+const DateRangePicker = ({
+  value,
+  onChange,
+  presets = Object.keys(PERIOD_PRESETS),
+  fiscalYearStartMonth = 1,
+  comparison = false,
+  icons = false,
+  fieldClassName = "",
+  labelClassName = "block text-sm font-medium text-gray-700 mb-1",
+  inputClassName = "border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+}) => {
+  const fields = PERIOD_PRESETS[value.period]?.fields || [];
+  const fiscal = fiscalYearStartMonth !== 1;
+  const fiscalYearField = fiscal && (value.period === "quarterly" || value.period === "yearly");
+  const resolved = resolvePeriod(value, { fiscalYearStartMonth });
+  const bounded = Boolean(resolved.start && resolved.end);
+  const comparisonPeriod = comparison ? getComparisonPeriod(resolved, value.compare) : null;
+
+  // Switching presets starts from the period containing today; a custom range starts
+  // from the dates the previous selection covered
+  const changePreset = (period) => {
+    if (period === "custom") {
+      onChange({ period, from: resolved.start || "", to: resolved.end || "" });
+    } else {
+      onChange({ period, ...getCurrentSelection(period, { fiscalYearStartMonth }) });
+    }
+  };
+
+  // Keep the picked week valid when moving to a year with fewer ISO weeks
+  const changeYear = (year) => {
+    const changes = { year };
+    if (value.period === "week") changes.week = Math.min(value.week, getIsoWeeksInYear(year));
+    onChange(changes);
+  };
+
+  const latestYear = new Date().getFullYear() + 1;
+  const years = Array.from({ length: YEARS_BACK + 1 }, (_, i) => latestYear - i);
+  if (value.year && !years.includes(value.year)) years.push(value.year);
+
+  const groups = presets.reduce((acc, key) => {
+    const group = PERIOD_PRESETS[key].group;
+    (acc[group] = acc[group] || []).push(key);
+    return acc;
+  }, {});
+
+  const presetLabel = (key) => (key === "ytd" && fiscal ? "Fiscal Year to Date" : PERIOD_PRESETS[key].label);
+
+  const renderLabel = (field, text) => (
+    <label className={labelClassName}>
+      {icons && <span className="text-lg">{FIELD_ICONS[field]}</span>} {text}
+    </label>
+  );
+
+  return (
+    <>
+      <div className={fieldClassName}>
+        {renderLabel("period", "Time Period")}
+        <select
+          value={value.period}
+          onChange={(e) => changePreset(e.target.value)}
+          className={inputClassName}
+        >
+          {Object.entries(groups).map(([group, keys]) => (
+            <optgroup key={group} label={group}>
+              {keys.map(key => (
+                <option key={key} value={key}>{presetLabel(key)}</option>
+              ))}
+            </optgroup>
+          ))}
+        </select>
+        {bounded && value.period !== "custom" && (
+          <p className="text-xs text-gray-500 mt-1">{resolved.start} → {resolved.end}</p>
+        )}
+      </div>
+
+      {fields.includes("year") && (
+        <div className={fieldClassName}>
+          {renderLabel("year", fiscalYearField ? "Fiscal Year" : "Year")}
+          <select
+            value={value.year}
+            onChange={(e) => changeYear(parseInt(e.target.value))}
+            className={inputClassName}
+          >
+            {years.map(year => (
+              <option key={year} value={year}>
+                {fiscalYearField ? formatFiscalYear(year, fiscalYearStartMonth) : year}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {fields.includes("week") && (
+        <div className={fieldClassName}>
+          {renderLabel("week", "Week")}
+          <select
+            value={value.week}
+            onChange={(e) => onChange({ week: parseInt(e.target.value) })}
+            className={inputClassName}
+          >
+            {Array.from({ length: getIsoWeeksInYear(value.year) }, (_, i) => i + 1).map(week => (
+              <option key={week} value={week}>
+                W{String(week).padStart(2, "0")} (from {toDateKey(getIsoWeekStart(value.year, week))})
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {fields.includes("month") && (
+        <div className={fieldClassName}>
+          {renderLabel("month", "Month")}
+          <select
+            value={value.month}
+            onChange={(e) => onChange({ month: parseInt(e.target.value) })}
+            className={inputClassName}
+          >
+            {MONTH_NAMES.map((name, i) => (
+              <option key={name} value={i + 1}>{name}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {fields.includes("quarter") && (
+        <div className={fieldClassName}>
+          {renderLabel("quarter", "Quarter")}
+          <select
+            value={value.quarter}
+            onChange={(e) => onChange({ quarter: parseInt(e.target.value) })}
+            className={inputClassName}
+          >
+            {[1, 2, 3, 4].map(quarter => (
+              <option key={quarter} value={quarter}>
+                Q{quarter} ({getQuarterMonths(quarter, fiscalYearStartMonth)})
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {fields.includes("from") && (
+        <div className={fieldClassName}>
+          {renderLabel("from", "Start Date")}
+          <input
+            type="date"
+            value={value.from}
+            max={value.to || undefined}
+            onChange={(e) => onChange({ from: e.target.value })}
+            className={inputClassName}
+          />
+        </div>
+      )}
+
+      {fields.includes("to") && (
+        <div className={fieldClassName}>
+          {renderLabel("to", "End Date")}
+          <input
+            type="date"
+            value={value.to}
+            min={value.from || undefined}
+            onChange={(e) => onChange({ to: e.target.value })}
+            className={inputClassName}
+          />
+        </div>
+      )}
+
+      {comparison && (
+        <div className={fieldClassName}>
+          {renderLabel("compare", "Compare To")}
+          <select
+            value={bounded ? value.compare : "none"}
+            onChange={(e) => onChange({ compare: e.target.value })}
+            disabled={!bounded}
+            title={bounded ? undefined : "Pick a period with a start and end date to compare"}
+            className={inputClassName}
+          >
+            {Object.entries(COMPARISON_MODES).map(([mode, label]) => (
+              <option key={mode} value={mode}>{label}</option>
+            ))}
+          </select>
+          {comparisonPeriod && (
+            <p className="text-xs text-gray-500 mt-1">vs {comparisonPeriod.start} → {comparisonPeriod.end}</p>
+          )}
+        </div>
+      )}
+    </>
+  );
+};
+
+export default DateRangePicker;
@@ -0,0 +1,27 @@
+import { getHighlightRanges, getSnippet } from "../search/searchIndex";
+
+// ✅ Renders text with the words matched by a search marked
+// `highlights` is the map searchInvoices returns; `snippet` trims long text around the first match.
+const Highlight = ({ text, field, highlights, snippet = false }) => {
+  const source = String(text ?? "");
+  const ranges = getHighlightRanges(source, highlights?.[field]);
+  if (ranges.length === 0) return source;
+
+  const shown = snippet ? getSnippet(source, ranges) : { text: source, ranges };
+  const parts = [];
+  let cursor = 0;
+  shown.ranges.forEach(({ start, end }) => {
+    if (start < cursor) return;
+    if (start > cursor) parts.push(shown.text.slice(cursor, start));
+    parts.push(
+      <mark key={start} className="bg-yellow-200 text-inherit rounded px-0.5">
+        {shown.text.slice(start, end)}
+      </mark>
+    );
+    cursor = end;
+  });
+  parts.push(shown.text.slice(cursor));
+  return parts;
+};
+
+export default Highlight;
@@ -0,0 +1,69 @@
+import DateRangePicker from "./DateRangePicker";
+import { SUPPORTED_CURRENCIES } from "../utils/currency";
+
+const DATE_BASIS_OPTIONS = [
+  { value: "creationDate", label: "🕐 Creation Date" },
+  { value: "invoiceDate", label: "📅 Invoice Date" }
+];
+
+// ✅ The invoice filter row shared by the Dashboard, Customers and Analytics pages:
+// currency, the period picker and the date basis periods are matched on.
+// `value` holds the page's filters ({ currency, basis, period, ... }) and `onChange`
+// receives only the fields that changed, like DateRangePicker.
+const InvoiceFilterControls = ({
+  value,
+  onChange,
+  fiscalYearStartMonth = 1,
+  comparison = false,
+  basisLabel = "Date Basis",
+  icons = false,
+  fieldClassName = "",
+  labelClassName = "block text-sm font-medium text-gray-700 mb-1",
+  inputClassName = "border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+}) => (
+  <>
+    <div className={fieldClassName}>
+      <label className={labelClassName}>
+        {icons && <span className="text-lg">💱</span>} Currency
+      </label>
+      <select
+        value={value.currency}
+        onChange={(e) => onChange({ currency: e.target.value })}
+        className={inputClassName}
+      >
+        <option value="All">All Currencies</option>
+        {SUPPORTED_CURRENCIES.map(currency => (
+          <option key={currency.code} value={currency.code}>{currency.code} {currency.flag}</option>
+        ))}
+      </select>
+    </div>
+
+    <DateRangePicker
+      value={value}
+      onChange={onChange}
+      fiscalYearStartMonth={fiscalYearStartMonth}
+      comparison={comparison}
+      icons={icons}
+      fieldClassName={fieldClassName}
+      labelClassName={labelClassName}
+      inputClassName={inputClassName}
+    />
+
+    <div className={fieldClassName}>
+      <label className={labelClassName}>
+        {icons && <span className="text-lg">🔄</span>} {basisLabel}
+      </label>
+      <select
+        value={value.basis}
+        onChange={(e) => onChange({ basis: e.target.value })}
+        className={inputClassName}
+      >
+        {DATE_BASIS_OPTIONS.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+    </div>
+  </>
+);
+
+export default InvoiceFilterControls;
@@ -0,0 +1,47 @@
+import { useInvoices } from "../contexts/InvoiceContext";
+
+// ✅ Shows background loading progress of the shared invoice store
+// label: what the load is for, when a page is waiting on it (e.g. to search)
+const InvoiceLoadProgress = ({ label = "Loading invoices in background..." }) => {
+  const { status, progress, error, refresh } = useInvoices({ load: false });
+
+  if (status === "idle" || (status === "ready" && !error)) return null;
+
+  const percent = progress.total > 0 ? Math.min(100, Math.round((progress.loaded / progress.total) * 100)) : 0;
+
+  if (error) {
+    return (
+      <div className="mb-6 flex items-center justify-between gap-4 bg-red-50 border border-red-200 rounded-xl px-4 py-3 text-sm text-red-700">
+        <span>⚠️ {error} — showing {progress.loaded.toLocaleString()} of {progress.total.toLocaleString()} invoices</span>
+        <button
+          onClick={refresh}
+          className="px-3 py-1 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors"
+        >
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mb-6 bg-blue-50 border border-blue-200 rounded-xl px-4 py-3">
+      <div className="flex items-center justify-between text-sm text-blue-700 mb-2">
+        <span className="flex items-center gap-2">
+          <span className="w-4 h-4 border-2 border-blue-500 border-t-transparent rounded-full animate-spin"></span>
+          {label}
+        </span>
+        <span className="font-medium">
+          {progress.loaded.toLocaleString()} / {progress.total.toLocaleString()} ({percent}%)
+        </span>
+      </div>
+      <div className="bg-blue-100 rounded-full h-2 overflow-hidden">
+        <div
+          className="bg-blue-500 h-full rounded-full transition-all duration-500"
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default InvoiceLoadProgress;
@@ -0,0 +1,117 @@
+import { useState } from "react";
+import { useSavedViews } from "../hooks/useSavedViews";
+import {
+  addView,
+  exportSavedViews,
+  findMatchingView,
+  importSavedViews,
+  removeView,
+  setDefaultView,
+  updateView
+} from "../utils/savedViews";
+
+// ✅ Saved views toolbar for the Dashboard: apply, save, update, rename, delete,
+// pick the default view and move views between browsers as JSON
+const SavedViewsBar = ({ filters, onApply }) => {
+  const { views, defaultView, userKey, data, saveViews } = useSavedViews();
+  const matchingView = findMatchingView(views, filters);
+
+  // Last view applied or saved, so it can be updated after the filters change
+  const [selectedId, setSelectedId] = useState(null);
+  const selectedView = matchingView || views.find(view => view.id === selectedId);
+  const modified = Boolean(selectedView) && selectedView !== matchingView;
+
+  const applyView = (viewId) => {
+    const view = views.find(v => v.id === viewId);
+    if (!view) return;
+    setSelectedId(view.id);
+    onApply(view);
+  };
+
+  const saveAsNew = () => {
+    const name = window.prompt("Name this view", selectedView ? `${selectedView.name} (copy)` : "");
+    if (!name?.trim()) return;
+    const result = addView(data, name, filters);
+    saveViews(result.data);
+    setSelectedId(result.view.id);
+  };
+
+  const updateSelected = () => {
+    saveViews(updateView(data, selectedView.id, { filters }));
+  };
+
+  const renameSelected = () => {
+    const name = window.prompt("Rename view", selectedView.name);
+    if (!name?.trim()) return;
+    saveViews(updateView(data, selectedView.id, { name }));
+  };
+
+  const deleteSelected = () => {
+    if (!window.confirm(`Delete the view "${selectedView.name}"?`)) return;
+    saveViews(removeView(data, selectedView.id));
+    setSelectedId(null);
+  };
+
+  const toggleDefault = () => {
+    const isDefault = defaultView?.id === selectedView.id;
+    saveViews(setDefaultView(data, userKey, isDefault ? null : selectedView.id));
+  };
+
+  const importViews = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const result = importSavedViews(data, JSON.parse(reader.result));
+        saveViews(result.data);
+        alert(`Imported ${result.imported} saved views`);
+      } catch (error) {
+        console.error("❌ Failed to import saved views:", error);
+        alert("Could not read the views file. Use a file exported from this page.");
+      }
+    };
+    reader.readAsText(file);
+    e.target.value = "";
+  };
+
+  const buttonClass = "px-3 py-2 text-sm bg-white border border-gray-300 rounded-lg hover:bg-gray-50 hover:border-blue-300 transition-colors disabled:opacity-50 disabled:cursor-not-allowed";
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <label className="text-sm font-semibold text-gray-700 flex items-center gap-2">
+        <span className="text-lg">📌</span> Saved Views
+      </label>
+      <select
+        value={selectedView?.id || ""}
+        onChange={(e) => applyView(e.target.value)}
+        className="px-3 py-2 text-sm bg-white border-2 border-gray-200 rounded-lg focus:ring-2 focus:ring-blue-500 min-w-[200px]"
+        aria-label="Apply a saved view"
+      >
+        <option value="" disabled>{views.length ? "Choose a view..." : "No saved views yet"}</option>
+        {views.map(view => (
+          <option key={view.id} value={view.id}>
+            {view.id === defaultView?.id ? "⭐ " : ""}{view.name}
+          </option>
+        ))}
+      </select>
+      {modified && <span className="text-xs text-amber-600">Modified</span>}
+
+      <button onClick={saveAsNew} className={buttonClass}>💾 Save as new</button>
+      <button onClick={updateSelected} disabled={!modified} className={buttonClass}>🔁 Update</button>
+      <button onClick={renameSelected} disabled={!selectedView} className={buttonClass}>✏️ Rename</button>
+      <button onClick={toggleDefault} disabled={!selectedView} className={buttonClass}>
+        {selectedView && defaultView?.id === selectedView.id ? "☆ Clear default" : "⭐ Set default"}
+      </button>
+      <button onClick={deleteSelected} disabled={!selectedView} className={buttonClass}>🗑️ Delete</button>
+      <button onClick={() => exportSavedViews(views)} disabled={views.length === 0} className={buttonClass}>📤 Export</button>
+      <label className={`${buttonClass} cursor-pointer`}>
+        📥 Import
+        <input type="file" accept=".json" onChange={importViews} className="hidden" />
+      </label>
+    </div>
+  );
+};
+
+export default SavedViewsBar;
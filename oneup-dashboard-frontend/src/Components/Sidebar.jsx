@@ -1,11 +1,16 @@
-import { NavLink, useNavigate } from "react-router-dom";
+import { Link, NavLink, useLocation, useNavigate } from "react-router-dom";
 import { useState } from "react";
 import { useAuth } from "../contexts/AuthContext";
+import { useSavedViews } from "../hooks/useSavedViews";
+import { getViewSearch } from "../utils/savedViews";
 
 const Sidebar = () => {
   const [isCollapsed, setIsCollapsed] = useState(false);
   const { user, logout } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
+  const { views, defaultView } = useSavedViews();
+  const onDashboard = location.pathname === "/" || location.pathname === "/dashboard";
 
   const handleLogout = () => {
     logout();
@@ -17,14 +22,16 @@ const Sidebar = () => {
     { name: "Sync Monitor", path: "/sync-monitor", icon: "🔄" },
     { name: "Analytics", path: "/analytics", icon: "📈" },
     { name: "Salespersons", path: "/salespersons", icon: "👥" },
+    { name: "Targets", path: "/targets", icon: "🎯" },
     { name: "Customers", path: "/customers", icon: "🏢" },
+    { name: "Receivables", path: "/receivables", icon: "💳" },
     { name: "Reports", path: "/reports", icon: "📋" },
     { name: "System Status", path: "/system-status", icon: "⚙️" },
     { name: "Settings", path: "/settings", icon: "🔧" },
   ];
 
   return (
-    <div className={`${isCollapsed ? 'w-16' : 'w-64'} bg-gradient-to-b from-gray-900 to-black text-white min-h-screen flex flex-col transition-all duration-300 shadow-xl`}>
+    <div className={`${isCollapsed ? 'w-16' : 'w-64'} bg-gradient-to-b from-gray-900 to-black text-white min-h-screen flex flex-col transition-all duration-300 shadow-xl print:hidden`}>
       {/* Header */}
       <div className="p-6 border-b border-gray-700">
         <div className="flex items-center justify-between">
@@ -69,6 +76,30 @@ const Sidebar = () => {
             )}
           </NavLink>
         ))}
+
+        {/* Saved Dashboard views */}
+        {!isCollapsed && views.length > 0 && (
+          <div className="mt-2 pt-4 border-t border-gray-700">
+            <p className="px-4 mb-2 text-xs font-semibold text-gray-400 uppercase tracking-wide">Saved Views</p>
+            {views.map(view => {
+              const search = getViewSearch(view);
+              const isActive = onDashboard && location.search === search;
+              return (
+                <Link
+                  key={view.id}
+                  to={{ pathname: "/", search }}
+                  className={`flex items-center gap-2 px-4 py-2 rounded-lg text-sm transition-colors ${
+                    isActive ? "bg-gray-800 text-blue-300" : "text-gray-300 hover:bg-gray-800 hover:text-white"
+                  }`}
+                  title={view.id === defaultView?.id ? `${view.name} (default)` : view.name}
+                >
+                  <span className="flex-shrink-0">{view.id === defaultView?.id ? "⭐" : "📌"}</span>
+                  <span className="truncate">{view.name}</span>
+                </Link>
+              );
+            })}
+          </div>
+        )}
         
         {/* User Info & Logout - Moved up under navigation links */}
         {user && (
@@ -0,0 +1,162 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { List, useListRef } from "react-window";
+
+// Single virtualized row, laid out with the same grid template as the header
+const VirtualRow = ({ index, style, rows, columns, gridTemplateColumns, getRowId, selectedId, onRowClick, onRowDoubleClick }) => {
+  const row = rows[index];
+  const isSelected = getRowId(row) === selectedId;
+
+  return (
+    <div
+      style={{ ...style, gridTemplateColumns }}
+      role="row"
+      aria-rowindex={index + 2}
+      aria-selected={isSelected}
+      onClick={() => onRowClick(row)}
+      onDoubleClick={() => onRowDoubleClick?.(row)}
+      className={`grid items-center border-b border-gray-200 cursor-pointer transition-colors ${
+        isSelected ? "bg-blue-50 ring-1 ring-inset ring-blue-300" : "hover:bg-gray-50"
+      }`}
+    >
+      {columns.map(column => (
+        <div
+          key={column.key}
+          role="gridcell"
+          className={`px-3 truncate ${column.align === "right" ? "text-right" : column.align === "center" ? "text-center" : "text-left"} ${column.className || ""}`}
+        >
+          {column.render ? column.render(row, index) : row[column.key]}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const defaultGetRowId = (row) => row.id;
+
+// ✅ Virtualized table: renders only the visible rows of any number of records.
+// Header stays in place while rows scroll; arrow keys, Page Up/Down and Home/End
+// move the selection, Enter activates the selected row. Selection is tracked by
+// row id, so it survives filtering and re-sorting as long as the row is present.
+const VirtualTable = ({
+  rows,
+  columns,
+  getRowId = defaultGetRowId,
+  rowHeight = 56,
+  height = 600,
+  minWidth = 900,
+  onRowActivate,
+  emptyMessage = "No records to display",
+  ariaLabel
+}) => {
+  const listRef = useListRef(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [visibleCount, setVisibleCount] = useState(10);
+
+  const gridTemplateColumns = useMemo(
+    () => columns.map(column => column.width || "minmax(0, 1fr)").join(" "),
+    [columns]
+  );
+  const selectedIndex = useMemo(
+    () => (selectedId === null ? -1 : rows.findIndex(row => getRowId(row) === selectedId)),
+    [rows, selectedId, getRowId]
+  );
+
+  // Bring the selected row back into view after filters or sorting change
+  // (only when the row set changes, not on every selection)
+  const lastRowsRef = useRef(rows);
+  useEffect(() => {
+    if (lastRowsRef.current === rows) return;
+    lastRowsRef.current = rows;
+    if (selectedIndex >= 0) {
+      listRef.current?.scrollToRow({ index: selectedIndex, align: "smart" });
+    }
+  }, [rows, selectedIndex, listRef]);
+
+  const selectIndex = useCallback((index) => {
+    if (rows.length === 0) return;
+    const nextIndex = Math.max(0, Math.min(rows.length - 1, index));
+    setSelectedId(getRowId(rows[nextIndex]));
+    listRef.current?.scrollToRow({ index: nextIndex, align: "smart" });
+  }, [rows, getRowId, listRef]);
+
+  const handleKeyDown = (e) => {
+    const pageStep = Math.max(1, visibleCount - 1);
+    const keyActions = {
+      ArrowDown: () => selectIndex(selectedIndex + 1),
+      ArrowUp: () => selectIndex(selectedIndex < 0 ? 0 : selectedIndex - 1),
+      PageDown: () => selectIndex(selectedIndex + pageStep),
+      PageUp: () => selectIndex(selectedIndex - pageStep),
+      Home: () => selectIndex(0),
+      End: () => selectIndex(rows.length - 1),
+      Enter: () => selectedIndex >= 0 && onRowActivate?.(rows[selectedIndex]),
+      Escape: () => setSelectedId(null)
+    };
+
+    if (keyActions[e.key]) {
+      e.preventDefault();
+      keyActions[e.key]();
+    }
+  };
+
+  const handleRowClick = useCallback((row) => setSelectedId(getRowId(row)), [getRowId]);
+
+  const rowProps = useMemo(() => ({
+    rows,
+    columns,
+    gridTemplateColumns,
+    getRowId,
+    selectedId,
+    onRowClick: handleRowClick,
+    onRowDoubleClick: onRowActivate
+  }), [rows, columns, gridTemplateColumns, getRowId, selectedId, handleRowClick, onRowActivate]);
+
+  return (
+    <div
+      role="grid"
+      aria-label={ariaLabel}
+      aria-rowcount={rows.length + 1}
+      tabIndex={0}
+      onKeyDown={handleKeyDown}
+      className="overflow-x-auto focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-inset"
+    >
+      <div style={{ minWidth }}>
+        {/* Header (outside the scrolling list, so it is always visible) */}
+        <div
+          role="row"
+          aria-rowindex={1}
+          style={{ gridTemplateColumns }}
+          className="grid bg-gray-50 border-b border-gray-200"
+        >
+          {columns.map(column => (
+            <div
+              key={column.key}
+              role="columnheader"
+              className={`px-3 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider ${
+                column.align === "right" ? "text-right" : column.align === "center" ? "text-center" : "text-left"
+              } ${column.className || ""}`}
+            >
+              {column.header}
+            </div>
+          ))}
+        </div>
+
+        {rows.length === 0 ? (
+          <div className="px-6 py-12 text-center text-gray-500">{emptyMessage}</div>
+        ) : (
+          <List
+            listRef={listRef}
+            rowComponent={VirtualRow}
+            rowCount={rows.length}
+            rowHeight={rowHeight}
+            rowProps={rowProps}
+            overscanCount={8}
+            onRowsRendered={({ startIndex, stopIndex }) => setVisibleCount(stopIndex - startIndex + 1)}
+            style={{ height: Math.min(height, rows.length * rowHeight) }}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VirtualTable;
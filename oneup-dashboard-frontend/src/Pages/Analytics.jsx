@@ -1,61 +1,176 @@
-import { useState, useEffect } from "react";
-import cachedApiClient from "../api/cachedApiClient";
+import { useEffect, useMemo, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import {
+  Area,
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Cell,
+  ComposedChart,
+  Legend,
+  Line,
+  Pie,
+  PieChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis
+} from "recharts";
+import { useInvoices } from "../contexts/InvoiceContext";
+import InvoiceLoadProgress from "../Components/InvoiceLoadProgress";
+import ChartCard from "../Components/ChartCard";
+import ChangeBadge from "../Components/ChangeBadge";
+import VirtualTable from "../Components/VirtualTable";
+import { useAggregation } from "../hooks/useAggregation";
+import { useCustomerAliases } from "../hooks/useCustomerAliases";
+import { useExchangeRates } from "../hooks/useExchangeRates";
+import { useFilterState } from "../hooks/useFilterState";
+import { usePeriodSettings } from "../hooks/usePeriodSettings";
+import InvoiceFilterControls from "../Components/InvoiceFilterControls";
+import { filterInvoicesByCurrency, getInvoiceDateValue, isCancelledInvoice } from "../utils/invoices";
+import { filterInvoicesByPeriod, getComparisonPeriod, resolvePeriod } from "../utils/periods";
+import { alignComparisonSeries, getChange, getSeriesGranularity } from "../utils/comparison";
 import { formatLargeNumber, formatCurrency, smartFormat } from "../utils/formatters";
+import { SEGMENT_COLORS, getCurrencyColor } from "../utils/chartColors";
+import { resolveCustomerId } from "../utils/customerIdentity";
+import { SUPPORTED_CURRENCIES, getCurrencySymbol } from "../utils/currency";
 
-// Chart Component (Simple Bar Chart)
-const BarChart = ({ data, title, color = "blue" }) => {
-  const maxValue = Math.max(...data.map(d => d.value));
-  
-  const colorClasses = {
-    blue: "bg-blue-500",
-    green: "bg-green-500", 
-    purple: "bg-purple-500",
-    orange: "bg-orange-500",
-    red: "bg-red-500"
-  };
+const COMPARISON_COLOR = "#6b7280";
+
+const compactNumber = (value) => Number(value).toLocaleString('en-US', { notation: 'compact', maximumFractionDigits: 1 });
+
+// Invoices behind a clicked chart element; dates follow the date basis and customers
+// are matched by resolved id
+const matchesDrillDown = (invoice, { type, value }, { customerAliases, dateBasis }) => {
+  switch (type) {
+    case "month":
+      return String(getInvoiceDateValue(invoice, dateBasis) || "").slice(0, 7) === value;
+    case "day":
+      return String(getInvoiceDateValue(invoice, dateBasis) || "").slice(0, 10) === value;
+    case "salesperson":
+      return (invoice.salespersonName || "Unknown") === value;
+    case "currency":
+      return (invoice.currency || "USD") === value;
+    case "customer":
+      return resolveCustomerId(invoice.customerName, customerAliases) === value;
+    default:
+      return true;
+  }
+};
+
+// Column definitions for the drill-down invoice list
+const DRILL_DOWN_COLUMNS = [
+  {
+    key: "invoiceNumber",
+    header: "Invoice",
+    width: "minmax(100px, 1fr)",
+    className: "font-medium text-gray-900 text-sm",
+    render: (inv) => inv.invoiceNumber || inv.id
+  },
+  {
+    key: "invoiceDate",
+    header: "Date",
+    width: "110px",
+    className: "text-sm text-gray-900",
+    render: (inv) => inv.invoiceDate?.slice(0, 10) || "—"
+  },
+  {
+    key: "customerName",
+    header: "Customer",
+    width: "minmax(200px, 2fr)",
+    className: "text-sm font-medium text-gray-900",
+    render: (inv) => <span title={inv.customerName}>{inv.customerName || "Unknown"}</span>
+  },
+  {
+    key: "salespersonName",
+    header: "Salesperson",
+    width: "minmax(140px, 1.5fr)",
+    className: "text-sm text-gray-700",
+    render: (inv) => inv.salespersonName || "Unknown"
+  },
+  {
+    key: "currency",
+    header: "Currency",
+    width: "90px",
+    className: "text-sm text-gray-700",
+    render: (inv) => inv.currency || "N/A"
+  },
+  {
+    key: "total",
+    header: "Total",
+    width: "minmax(110px, 1fr)",
+    align: "right",
+    className: "text-sm font-bold text-green-600",
+    render: (inv) => parseFloat(inv.total || 0).toLocaleString('en-US', { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+  }
+];
+
+// Tooltip listing every series of the hovered point, in the reporting currency
+// The comparison line is listed on its own, with the bucket it was measured in.
+const RevenueTooltip = ({ active, payload, label, currency }) => {
+  if (!active || !payload?.length) return null;
+  const series = payload.filter(entry => entry.dataKey !== "comparison");
+  const comparison = payload.find(entry => entry.dataKey === "comparison" && entry.value !== null);
+  const total = series.reduce((sum, entry) => sum + (entry.value || 0), 0);
 
   return (
-    <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
-      <h3 className="text-lg font-semibold text-gray-900 mb-4">{title}</h3>
-      <div className="space-y-4">
-        {data.map((item, index) => (
-          <div key={index} className="flex items-center">
-            <div className="w-24 text-sm font-medium text-gray-600 truncate">
-              {item.label}
-            </div>
-            <div className="flex-1 mx-4">
-              <div className="bg-gray-200 rounded-full h-4 relative overflow-hidden">
-                <div
-                  className={`${colorClasses[color]} h-full rounded-full transition-all duration-700 ease-out`}
-                  style={{ width: `${(item.value / maxValue) * 100}%` }}
-                />
-              </div>
-            </div>
-            <div className="w-20 text-sm font-bold text-gray-900 text-right">
-              {smartFormat(item.value)}
-            </div>
-          </div>
-        ))}
+    <div className="bg-white border border-gray-200 rounded-lg shadow-lg px-3 py-2 text-sm">
+      <div className="font-semibold text-gray-900 mb-1">{label ?? payload[0].name}</div>
+      {series.map(entry => (
+        <div key={entry.dataKey ?? entry.name} className="flex justify-between gap-4">
+          <span style={{ color: entry.color || entry.payload?.fill }}>{entry.name}</span>
+          <span className="font-medium text-gray-900">{smartFormat(entry.value)} {currency}</span>
+        </div>
+      ))}
+      {series.length > 1 && (
+        <div className="flex justify-between gap-4 border-t border-gray-100 mt-1 pt-1">
+          <span className="text-gray-600">Total</span>
+          <span className="font-semibold text-gray-900">{smartFormat(total)} {currency}</span>
+        </div>
+      )}
+      {comparison && (
+        <div className="flex justify-between gap-4 text-gray-500">
+          <span>{comparison.name} ({comparison.payload.comparisonBucket})</span>
+          <span className="font-medium">{smartFormat(comparison.value)} {currency}</span>
+        </div>
+      )}
+      <div className="text-xs text-gray-400 mt-1">Click to see invoices</div>
+    </div>
+  );
+};
+
+// Tooltip for the RFM segment chart: customers, their spend and its share
+const SegmentTooltip = ({ active, payload, currency }) => {
+  if (!active || !payload?.length) return null;
+  const segment = payload[0].payload;
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg shadow-lg px-3 py-2 text-sm max-w-xs">
+      <div className="font-semibold text-gray-900">{segment.label}</div>
+      <div className="text-xs text-gray-500 mb-1">{segment.description}</div>
+      <div className="flex justify-between gap-4">
+        <span className="text-gray-600">Customers</span>
+        <span className="font-medium text-gray-900">{segment.customerCount.toLocaleString()}</span>
       </div>
+      <div className="flex justify-between gap-4">
+        <span className="text-gray-600">Lifetime spend</span>
+        <span className="font-medium text-gray-900">{smartFormat(segment.monetary)} {currency} ({(segment.share * 100).toFixed(1)}%)</span>
+      </div>
+      <div className="text-xs text-gray-400 mt-1">Click to see these customers</div>
     </div>
   );
 };
 
-// Metric Card
-const MetricCard = ({ icon, title, value, change, trend }) => (
+// Metric Card; `change` comes from the comparison period when one is selected
+const MetricCard = ({ icon, title, value, change, format, comparedTo }) => (
   <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6 hover:shadow-xl transition-all duration-300">
     <div className="flex items-center justify-between mb-4">
       <div className="text-3xl">{icon}</div>
-      <div className={`px-2 py-1 rounded-full text-xs font-medium ${
-        trend === 'up' ? 'bg-green-100 text-green-800' : 
-        trend === 'down' ? 'bg-red-100 text-red-800' : 
-        'bg-gray-100 text-gray-800'
-      }`}>
-        {trend === 'up' ? '↗️' : trend === 'down' ? '↘️' : '→'} {change}
-      </div>
+      <ChangeBadge change={change} format={format} />
     </div>
     <h3 className="text-sm font-medium text-gray-600 uppercase tracking-wide">{title}</h3>
     <p className="text-2xl font-bold text-gray-900 mt-1">{value}</p>
+    {comparedTo && <p className="text-xs text-gray-500 mt-1">{comparedTo}</p>}
   </div>
 );
 
@@ -67,7 +182,7 @@ const Spinner = () => (
       <div className="w-12 h-12 border-4 border-purple-200 border-t-purple-600 rounded-full animate-spin absolute top-2 left-2 animate-pulse"></div>
     </div>
     <p className="mt-4 text-gray-600 font-medium">
-      ⚡ Loading first batch (1000 invoices)...
+      ⚡ Loading first batch of invoices...
     </p>
     <div className="mt-2 text-sm text-gray-500">
       Complete analytics will load in background
@@ -78,210 +193,119 @@ const Spinner = () => (
   </div>
 );
 
+// ✅ Filters kept in the URL (see utils/filters.js), so a view can be refreshed or shared
+const ANALYTICS_FILTER_FIELDS = ["currency", "period", "year", "month", "quarter", "week", "from", "to", "compare", "basis"];
+const ANALYTICS_FILTER_OVERRIDES = {
+  basis: { default: "invoiceDate" }
+};
+
+const formatAmountIn = (currency) => (value) => `${getCurrencySymbol(currency)}${smartFormat(value)}`;
+
+// KPI cards: metric value, and how to format its change. Revenue in the reporting currency,
+// then each supported currency that has revenue in either period (currencies: its codes)
+const getAnalyticsMetrics = (reportingCurrency, currencies) => [
+  { key: "revenue", icon: "💰", title: `Total Revenue (${reportingCurrency})`, getValue: (m) => m.totalRevenue, format: formatAmountIn(reportingCurrency) },
+  ...SUPPORTED_CURRENCIES.filter(({ code }) => currencies.includes(code)).map(({ code, flag }) => ({
+    key: code,
+    icon: flag,
+    title: `${code} Revenue`,
+    getValue: (m) => m.currencyRevenue?.[code] || 0,
+    format: formatAmountIn(code)
+  })),
+  { key: "invoices", icon: "📄", title: "Total Invoices", getValue: (m) => m.totalInvoices, format: (value) => value.toLocaleString() }
+];
+
 function Analytics() {
-  const [loading, setLoading] = useState(true);
-  const [data, setData] = useState({
-    salesByPerson: [],
-    salesByCurrency: [],
-    salesByMonth: [],
-    topCustomers: [],
-    metrics: {
-      currencyRevenue: {},
-      totalInvoices: 0,
-      averageInvoiceValue: 0,
-      topSalesperson: ""
-    }
-  });
-  const [timeRange, setTimeRange] = useState("all");
+  const { invoices, loading } = useInvoices();
+  const navigate = useNavigate();
+  const [filters, setFilters] = useFilterState(ANALYTICS_FILTER_FIELDS, ANALYTICS_FILTER_OVERRIDES);
+  const { currency, period, year, month, quarter, week, from, to, compare } = filters;
+  const dateBasis = filters.basis;
+  const { fiscalYearStartMonth } = usePeriodSettings();
+
+  const { rateTable, reportingCurrency } = useExchangeRates();
+  const customerAliases = useCustomerAliases();
+  const [drillDown, setDrillDown] = useState(null); // { type, value, label }
+  const drillDownRef = useRef(null);
+
+  // ✅ Selected period and the period it is compared with (see utils/periods.js)
+  const periodRange = useMemo(
+    () => resolvePeriod({ period, year, month, quarter, week, from, to }, { fiscalYearStartMonth }),
+    [period, year, month, quarter, week, from, to, fiscalYearStartMonth]
+  );
+  const comparisonPeriod = useMemo(() => getComparisonPeriod(periodRange, compare), [periodRange, compare]);
+  const granularity = getSeriesGranularity(periodRange);
+
+  // ✅ Every card, chart and ranking below is built from the filtered invoices
+  const periodInvoices = useMemo(
+    () => filterInvoicesByCurrency(filterInvoicesByPeriod(invoices, periodRange, dateBasis), currency),
+    [invoices, periodRange, dateBasis, currency]
+  );
+
+  // ✅ Analytics derived from the shared invoice store, aggregated in a worker
+  const payload = useMemo(() => (
+    rateTable ? { invoices: periodInvoices, reportingCurrency, rateTable, granularity, customerAliases, dateBasis } : null
+  ), [periodInvoices, reportingCurrency, rateTable, granularity, customerAliases, dateBasis]);
+  const { data } = useAggregation("analytics", payload);
+
+  // Same aggregation over the comparison period
+  const comparisonPayload = useMemo(() => (
+    rateTable && comparisonPeriod
+      ? {
+        invoices: filterInvoicesByCurrency(filterInvoicesByPeriod(invoices, comparisonPeriod, dateBasis), currency),
+        reportingCurrency,
+        rateTable,
+        granularity,
+        customerAliases,
+        dateBasis
+      }
+      : null
+  ), [invoices, comparisonPeriod, currency, reportingCurrency, rateTable, granularity, customerAliases, dateBasis]);
+  const { data: comparisonResult } = useAggregation("analytics", comparisonPayload);
+  const comparisonData = comparisonPeriod ? comparisonResult : null;
+  const metrics = useMemo(() => {
+    if (!data) return [];
+    const currencies = [data, comparisonData]
+      .flatMap(result => Object.entries(result?.metrics.currencyRevenue || {}))
+      .filter(([, total]) => total !== 0)
+      .map(([code]) => code);
+    return getAnalyticsMetrics(data.reportingCurrency, currencies);
+  }, [data, comparisonData]);
+
+  // ✅ RFM segments are scored on the whole invoice history, like on the Customers page,
+  // so the distribution matches the segment filter there
+  const segmentPayload = useMemo(() => (
+    rateTable ? { invoices, customerAliases, reportingCurrency, rateTable } : null
+  ), [invoices, customerAliases, reportingCurrency, rateTable]);
+  const { data: segmentReport } = useAggregation("customerSegments", segmentPayload);
+
+  // Revenue series, with the comparison period overlaid bucket by bucket
+  const revenueSeries = useMemo(() => {
+    if (!data) return [];
+    if (!comparisonData || data.granularity !== comparisonData.granularity) return data.revenueSeries;
+    return alignComparisonSeries(data.revenueSeries, comparisonData.revenueSeries, periodRange, comparisonPeriod, data.granularity, data.currencies);
+  }, [data, comparisonData, periodRange, comparisonPeriod]);
+
+  // Invoices behind the clicked chart element (same exclusions as the charts)
+  const drillDownInvoices = useMemo(() => (
+    drillDown ? periodInvoices.filter(inv => !isCancelledInvoice(inv) && matchesDrillDown(inv, drillDown, { customerAliases, dateBasis })) : []
+  ), [periodInvoices, drillDown, customerAliases, dateBasis]);
 
   useEffect(() => {
-    fetchAnalyticsData();
-  }, [timeRange]);
-
-  const fetchAnalyticsData = async () => {
-    setLoading(true);
-    try {
-      // ✅ Progressive loading: First batch for immediate display
-      console.log("📊 Loading first batch (1000 invoices) for immediate analytics...");
-      
-      const firstBatchResponse = await cachedApiClient.get(`/invoices?page=1&pageSize=1000`);
-      const firstBatch = firstBatchResponse.data.data || [];
-      
-      // Process first batch data for initial analytics
-      const salesByPerson = {};
-      const salesByCurrency = {};
-      const customerSales = {};
-      const monthlySales = {};
-      const currencyRevenue = {};
-
-      firstBatch.forEach(inv => {
-        const salesperson = inv.salespersonName || "Unknown";
-        const currency = inv.currency || "USD";
-        const customer = inv.customerName || "Unknown";
-        const total = parseFloat(inv.total || 0);
-        const date = inv.invoiceDate || "";
-        const month = date.slice(0, 7); // YYYY-MM format
-
-        // Sales by person
-        salesByPerson[salesperson] = (salesByPerson[salesperson] || 0) + total;
-        
-        // Sales by currency
-        salesByCurrency[currency] = (salesByCurrency[currency] || 0) + total;
-        
-        // Currency revenue (separate totals)
-        currencyRevenue[currency] = (currencyRevenue[currency] || 0) + total;
-        
-        // Top customers
-        customerSales[customer] = (customerSales[customer] || 0) + total;
-        
-        // Monthly sales
-        if (month) {
-          monthlySales[month] = (monthlySales[month] || 0) + total;
-        }
-      });
-
-      // Convert to chart data format
-      const salesByPersonData = Object.entries(salesByPerson)
-        .sort(([,a], [,b]) => b - a)
-        .slice(0, 10)
-        .map(([label, value]) => ({ label, value }));
-
-      const salesByCurrencyData = Object.entries(salesByCurrency)
-        .sort(([,a], [,b]) => b - a)
-        .map(([label, value]) => ({ label, value }));
-
-      const topCustomersData = Object.entries(customerSales)
-        .sort(([,a], [,b]) => b - a)
-        .slice(0, 8)
-        .map(([label, value]) => ({ label: label.slice(0, 20) + (label.length > 20 ? '...' : ''), value }));
-
-      const salesByMonthData = Object.entries(monthlySales)
-        .sort(([a], [b]) => b.localeCompare(a))
-        .slice(0, 12)
-        .map(([label, value]) => ({ label, value }));
-
-      console.log(`📊 First batch: ${firstBatch.length} invoices processed for analytics`);
-      
-      setData({
-        salesByPerson: salesByPersonData,
-        salesByCurrency: salesByCurrencyData,
-        salesByMonth: salesByMonthData,
-        topCustomers: topCustomersData,
-        metrics: {
-          currencyRevenue,
-          totalInvoices: firstBatch.length,
-          averageInvoiceValue: currencyRevenue["USD"] / firstBatch.filter(inv => inv.currency === "USD").length || 0,
-          topSalesperson: salesByPersonData[0]?.label || "Unknown"
-        }
-      });
-      
-      setLoading(false);
-      
-      // ✅ Load complete dataset in background for accurate analytics
-      setTimeout(async () => {
-        try {
-          console.log("📊 Loading complete dataset in background...");
-          const fullResponse = await cachedApiClient.get(`/invoices?page=1&pageSize=-1`);
-          const allInvoices = fullResponse.data.data || [];
-          
-          // Process complete data for accurate analytics
-          const completeSalesByPerson = {};
-          const completeSalesByCurrency = {};
-          const completeCustomerSales = {};
-          const completeMonthlySales = {};
-          const completeCurrencyRevenue = {};
-
-          allInvoices.forEach(inv => {
-            const salesperson = inv.salespersonName || "Unknown";
-            const currency = inv.currency || "USD";
-            const customer = inv.customerName || "Unknown";
-            const total = parseFloat(inv.total || 0);
-            const date = inv.invoiceDate || "";
-            const month = date.slice(0, 7); // YYYY-MM format
-
-            // Sales by person
-            completeSalesByPerson[salesperson] = (completeSalesByPerson[salesperson] || 0) + total;
-            
-            // Sales by currency
-            completeSalesByCurrency[currency] = (completeSalesByCurrency[currency] || 0) + total;
-            
-            // Currency revenue (separate totals)
-            completeCurrencyRevenue[currency] = (completeCurrencyRevenue[currency] || 0) + total;
-            
-            // Top customers
-            completeCustomerSales[customer] = (completeCustomerSales[customer] || 0) + total;
-            
-            // Monthly sales
-            if (month) {
-              completeMonthlySales[month] = (completeMonthlySales[month] || 0) + total;
-            }
-          });
-
-          // Convert to chart data format
-          const completeSalesByPersonData = Object.entries(completeSalesByPerson)
-            .sort(([,a], [,b]) => b - a)
-            .slice(0, 10)
-            .map(([label, value]) => ({ label, value }));
-
-          const completeSalesByCurrencyData = Object.entries(completeSalesByCurrency)
-            .sort(([,a], [,b]) => b - a)
-            .map(([label, value]) => ({ label, value }));
-
-          const completeTopCustomersData = Object.entries(completeCustomerSales)
-            .sort(([,a], [,b]) => b - a)
-            .slice(0, 8)
-            .map(([label, value]) => ({ label: label.slice(0, 20) + (label.length > 20 ? '...' : ''), value }));
-
-          const completeSalesByMonthData = Object.entries(completeMonthlySales)
-            .sort(([a], [b]) => b.localeCompare(a))
-            .slice(0, 12)
-            .map(([label, value]) => ({ label, value }));
-
-          console.log(`✅ Complete dataset: ${allInvoices.length} invoices processed for analytics`);
-          
-          setData({
-            salesByPerson: completeSalesByPersonData,
-            salesByCurrency: completeSalesByCurrencyData,
-            salesByMonth: completeSalesByMonthData,
-            topCustomers: completeTopCustomersData,
-            metrics: {
-              currencyRevenue: completeCurrencyRevenue,
-              totalInvoices: allInvoices.length,
-              averageInvoiceValue: completeCurrencyRevenue["USD"] / allInvoices.filter(inv => inv.currency === "USD").length || 0,
-              topSalesperson: completeSalesByPersonData[0]?.label || "Unknown"
-            }
-          });
-        } catch (err) {
-          console.error("❌ Error loading complete analytics dataset:", err);
-        }
-      }, 500); // Small delay to let UI render first batch
-    } catch (error) {
-      console.error("Error fetching analytics data:", error);
-      // Fallback: create mock data if API fails
-      setData({
-        salesByPerson: [
-          { label: "Loading...", value: 0 }
-        ],
-        salesByCurrency: [
-          { label: "USD", value: 0 }
-        ],
-        salesByMonth: [
-          { label: "Current", value: 0 }
-        ],
-        topCustomers: [
-          { label: "Loading...", value: 0 }
-        ],
-        metrics: {
-          totalRevenue: 0,
-          totalInvoices: 0,
-          averageInvoiceValue: 0,
-          topSalesperson: "Loading..."
-        }
-      });
-    } finally {
-      setLoading(false);
+    if (drillDown) {
+      drillDownRef.current?.scrollIntoView({ behavior: "smooth", block: "start" });
     }
-  };
+  }, [drillDown]);
+
+  const currencyLegend = (data?.currencies || []).map((currency, index) => ({
+    label: currency,
+    color: getCurrencyColor(currency, index)
+  }));
+  const segmentLegend = (segmentReport?.segments || []).map(segment => ({
+    label: segment.label,
+    color: SEGMENT_COLORS[segment.key]
+  }));
+  const seriesLegend = comparisonData ? [...currencyLegend, { label: comparisonPeriod.label, color: COMPARISON_COLOR }] : currencyLegend;
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-50 to-blue-50">
@@ -296,24 +320,22 @@ function Analytics() {
               </h1>
               <p className="text-gray-600 mt-1">Insights and performance metrics</p>
             </div>
-            <div className="mt-4 md:mt-0 flex gap-2">
-              <select
-                value={timeRange}
-                onChange={(e) => setTimeRange(e.target.value)}
-                className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-              >
-                <option value="all">All Time</option>
-                <option value="year">This Year</option>
-                <option value="month">This Month</option>
-                <option value="week">This Week</option>
-              </select>
+            <div className="mt-4 md:mt-0 flex flex-wrap items-start gap-3">
+              <InvoiceFilterControls
+                value={filters}
+                onChange={setFilters}
+                fiscalYearStartMonth={fiscalYearStartMonth}
+                comparison
+              />
             </div>
           </div>
         </div>
       </div>
 
       <div className="max-w-7xl mx-auto px-4 py-8">
-        {loading ? (
+        <InvoiceLoadProgress />
+
+        {loading || !data ? (
           <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-8">
             <Spinner />
           </div>
@@ -321,63 +343,219 @@ function Analytics() {
           <>
             {/* Key Metrics */}
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
-              <MetricCard
-                icon="💰"
-                title="USD Revenue"
-                value={smartFormat(data.metrics.currencyRevenue?.USD || 0)}
-                change="USD Sales"
-                trend="up"
-              />
-              <MetricCard
-                icon="💵"
-                title="PKR Revenue"
-                value={smartFormat(data.metrics.currencyRevenue?.PKR || 0)}
-                change="PKR Sales"
-                trend="up"
-              />
-              <MetricCard
-                icon="💎"
-                title="AED Revenue"
-                value={smartFormat(data.metrics.currencyRevenue?.AED || 0)}
-                change="AED Sales"
-                trend="up"
-              />
-              <MetricCard
-                icon="📄"
-                title="Total Invoices"
-                value={data.metrics.totalInvoices.toLocaleString()}
-                change="All currencies"
-                trend="up"
-              />
+              {metrics.map(metric => {
+                const value = metric.getValue(data.metrics);
+                const change = comparisonData ? getChange(value, metric.getValue(comparisonData.metrics)) : null;
+                return (
+                  <MetricCard
+                    key={metric.key}
+                    icon={metric.icon}
+                    title={metric.title}
+                    value={metric.format(value)}
+                    change={change}
+                    format={metric.format}
+                    comparedTo={change ? `vs ${metric.format(change.previous)} (${comparisonPeriod.label.toLowerCase()})` : periodRange.label}
+                  />
+                );
+              })}
             </div>
 
             {/* Charts Grid */}
+            <div className="mb-8">
+              <ChartCard
+                title={`📅 ${data.granularity === "day" ? "Daily" : "Monthly"} Revenue by Currency`}
+                subtitle={`Stacked, converted to ${data.reportingCurrency} • excludes cancelled invoices${comparisonData ? ` • dashed: ${comparisonPeriod.label.toLowerCase()} (${comparisonPeriod.start} to ${comparisonPeriod.end})` : ""}`}
+                filename={`${data.granularity === "day" ? "daily" : "monthly"}-revenue`}
+                legend={seriesLegend}
+              >
+                <ResponsiveContainer width="100%" height={320}>
+                  <ComposedChart
+                    data={revenueSeries}
+                    margin={{ top: 10, right: 20, left: 0, bottom: 0 }}
+                    onClick={(state) => state?.activeLabel && setDrillDown({ type: data.granularity, value: state.activeLabel, label: state.activeLabel })}
+                    style={{ cursor: "pointer" }}
+                  >
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                    <XAxis dataKey="bucket" tick={{ fontSize: 12 }} />
+                    <YAxis tickFormatter={compactNumber} tick={{ fontSize: 12 }} />
+                    <Tooltip content={<RevenueTooltip currency={data.reportingCurrency} />} />
+                    <Legend />
+                    {data.currencies.map((currency, index) => (
+                      <Area
+                        key={currency}
+                        type="monotone"
+                        dataKey={currency}
+                        name={currency}
+                        stackId="revenue"
+                        stroke={getCurrencyColor(currency, index)}
+                        fill={getCurrencyColor(currency, index)}
+                        fillOpacity={0.35}
+                      />
+                    ))}
+                    {comparisonData && (
+                      <Line
+                        type="monotone"
+                        dataKey="comparison"
+                        name={comparisonPeriod.label}
+                        stroke={COMPARISON_COLOR}
+                        strokeWidth={2}
+                        strokeDasharray="6 4"
+                        dot={false}
+                      />
+                    )}
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </ChartCard>
+            </div>
+
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
-              <BarChart
-                data={data.salesByPerson}
+              <ChartCard
                 title="🏆 Top Salespersons"
-                color="blue"
-              />
-              <BarChart
-                data={data.salesByCurrency}
-                title="💱 Sales by Currency"
-                color="green"
-              />
+                subtitle={`Revenue by currency, in ${data.reportingCurrency}`}
+                filename="salesperson-revenue"
+                legend={currencyLegend}
+              >
+                <ResponsiveContainer width="100%" height={360}>
+                  <BarChart
+                    data={data.salespersonRevenue}
+                    layout="vertical"
+                    margin={{ top: 0, right: 20, left: 20, bottom: 0 }}
+                  >
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" horizontal={false} />
+                    <XAxis type="number" tickFormatter={compactNumber} tick={{ fontSize: 12 }} />
+                    <YAxis type="category" dataKey="label" width={110} tick={{ fontSize: 12 }} />
+                    <Tooltip content={<RevenueTooltip currency={data.reportingCurrency} />} cursor={{ fill: "#f3f4f6" }} />
+                    <Legend />
+                    {data.currencies.map((currency, index) => (
+                      <Bar
+                        key={currency}
+                        dataKey={currency}
+                        name={currency}
+                        stackId="salesperson"
+                        fill={getCurrencyColor(currency, index)}
+                        cursor="pointer"
+                        onClick={(entry) => setDrillDown({ type: "salesperson", value: entry.payload.label, label: entry.payload.label })}
+                      />
+                    ))}
+                  </BarChart>
+                </ResponsiveContainer>
+              </ChartCard>
+
+              <ChartCard
+                title="💱 Revenue by Currency"
+                subtitle={`Share of revenue, in ${data.reportingCurrency}`}
+                filename="currency-share"
+                legend={currencyLegend}
+              >
+                <ResponsiveContainer width="100%" height={360}>
+                  <PieChart>
+                    <Pie
+                      data={data.currencyShare}
+                      dataKey="value"
+                      nameKey="label"
+                      innerRadius="55%"
+                      outerRadius="80%"
+                      paddingAngle={2}
+                      cursor="pointer"
+                      label={({ name, percent }) => `${name} ${(percent * 100).toFixed(1)}%`}
+                      onClick={(entry) => setDrillDown({ type: "currency", value: entry.name, label: `${entry.name} invoices` })}
+                    >
+                      {data.currencyShare.map((entry, index) => (
+                        <Cell key={entry.label} fill={getCurrencyColor(entry.label, index)} />
+                      ))}
+                    </Pie>
+                    <Tooltip content={<RevenueTooltip currency={data.reportingCurrency} />} />
+                    <Legend />
+                  </PieChart>
+                </ResponsiveContainer>
+              </ChartCard>
             </div>
 
-            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
-              <BarChart
-                data={data.topCustomers}
+            <div className="mb-8">
+              <ChartCard
                 title="🏢 Top Customers"
-                color="purple"
-              />
-              <BarChart
-                data={data.salesByMonth}
-                title="📅 Monthly Sales Trend"
-                color="orange"
-              />
+                subtitle={`Revenue, in ${data.reportingCurrency}`}
+                filename="top-customers"
+              >
+                <ResponsiveContainer width="100%" height={320}>
+                  <BarChart data={data.topCustomers} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" vertical={false} />
+                    <XAxis dataKey="label" tick={{ fontSize: 11 }} interval={0} />
+                    <YAxis tickFormatter={compactNumber} tick={{ fontSize: 12 }} />
+                    <Tooltip
+                      formatter={(value) => [`${smartFormat(value)} ${data.reportingCurrency}`, "Total"]}
+                      labelFormatter={(label, payload) => payload?.[0]?.payload.name ?? label}
+                      cursor={{ fill: "#f3f4f6" }}
+                    />
+                    <Bar
+                      dataKey="value"
+                      name="Total"
+                      fill="#8b5cf6"
+                      radius={[4, 4, 0, 0]}
+                      cursor="pointer"
+                      onClick={(entry) => setDrillDown({ type: "customer", value: entry.payload.id, label: entry.payload.name })}
+                    />
+                  </BarChart>
+                </ResponsiveContainer>
+              </ChartCard>
             </div>
 
+            {segmentReport && (
+              <div className="mb-8">
+                <ChartCard
+                  title="🎯 Customer Segments"
+                  subtitle={`RFM segments over the whole invoice history, as of ${segmentReport.asOf}`}
+                  filename="customer-segments"
+                  legend={segmentLegend}
+                >
+                  <ResponsiveContainer width="100%" height={320}>
+                    <BarChart data={segmentReport.segments} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" vertical={false} />
+                      <XAxis dataKey="label" tick={{ fontSize: 11 }} interval={0} />
+                      <YAxis allowDecimals={false} tick={{ fontSize: 12 }} />
+                      <Tooltip content={<SegmentTooltip currency={segmentReport.reportingCurrency} />} cursor={{ fill: "#f3f4f6" }} />
+                      <Bar
+                        dataKey="customerCount"
+                        name="Customers"
+                        radius={[4, 4, 0, 0]}
+                        cursor="pointer"
+                        onClick={(entry) => navigate(`/customers?segment=${entry.payload.key}`)}
+                      >
+                        {segmentReport.segments.map(segment => (
+                          <Cell key={segment.key} fill={SEGMENT_COLORS[segment.key]} />
+                        ))}
+                      </Bar>
+                    </BarChart>
+                  </ResponsiveContainer>
+                </ChartCard>
+              </div>
+            )}
+
+            {/* Drill-down */}
+            {drillDown && (
+              <div ref={drillDownRef} className="mb-8 bg-white rounded-xl shadow-lg border border-gray-200 overflow-hidden scroll-mt-4">
+                <div className="px-6 py-4 border-b border-gray-200 bg-gray-50 flex items-center justify-between">
+                  <h3 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+                    🔎 {drillDown.label}
+                    <span className="text-sm font-normal text-gray-500">({drillDownInvoices.length.toLocaleString()} invoices)</span>
+                  </h3>
+                  <button
+                    onClick={() => setDrillDown(null)}
+                    className="px-3 py-1 text-sm text-gray-600 hover:text-red-600 hover:bg-red-50 rounded transition-colors"
+                  >
+                    ✕ Close
+                  </button>
+                </div>
+                <VirtualTable
+                  rows={drillDownInvoices}
+                  columns={DRILL_DOWN_COLUMNS}
+                  height={420}
+                  ariaLabel={`Invoices for ${drillDown.label}`}
+                  emptyMessage="No invoices for this selection"
+                />
+              </div>
+            )}
+
             {/* Insights Panel */}
             <div className="mt-8 bg-white rounded-xl shadow-lg border border-gray-200 p-6">
               <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center gap-2">
@@ -394,7 +572,7 @@ function Analytics() {
                 <div className="p-4 bg-green-50 rounded-lg border border-green-200">
                   <h4 className="font-medium text-green-900 mb-2">💰 Revenue Growth</h4>
                   <p className="text-sm text-green-700">
-                    Average invoice value of <strong>{smartFormat(data.metrics.averageInvoiceValue)}</strong> shows 
+                    Average invoice value of <strong>{formatAmountIn(data.reportingCurrency)(data.metrics.averageInvoiceValue)}</strong> shows 
                     healthy transaction sizes.
                   </p>
                 </div>
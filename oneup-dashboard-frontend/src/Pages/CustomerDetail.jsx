@@ -0,0 +1,414 @@
+import { useEffect, useMemo } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import * as XLSX from 'xlsx';
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Legend,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis
+} from "recharts";
+import { useInvoices } from "../contexts/InvoiceContext";
+import InvoiceLoadProgress from "../Components/InvoiceLoadProgress";
+import ChartCard from "../Components/ChartCard";
+import VirtualTable from "../Components/VirtualTable";
+import { useExchangeRates } from "../hooks/useExchangeRates";
+import { useAggregation } from "../hooks/useAggregation";
+import { useCustomerAliases } from "../hooks/useCustomerAliases";
+import { usePaymentTerms } from "../hooks/usePaymentTerms";
+import { AGING_BUCKETS, DSO_WINDOW_DAYS } from "../utils/aging";
+import { getCurrencyColor } from "../utils/chartColors";
+import { getCurrencySymbol } from "../utils/currency";
+import { PAYMENT_TERMS, getPaymentStatus } from "../utils/paymentTerms";
+
+const formatAmount = (value) => value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const compactNumber = (value) => Number(value).toLocaleString('en-US', { notation: 'compact', maximumFractionDigits: 1 });
+
+const formatDays = (days) => (days === null || days === undefined ? "—" : `${Math.round(days)} days`);
+
+// ✅ Customer statement: summary, outstanding balances by currency and every invoice oldest first
+const exportCustomerStatement = (profile, paymentTerms, customerAliases) => {
+  try {
+    const wb = XLSX.utils.book_new();
+    const { aging } = profile;
+
+    const summary = [
+      { Item: 'Customer', Value: profile.name },
+      { Item: 'Invoiced As', Value: profile.aliases.join(', ') },
+      { Item: 'Statement Date', Value: profile.asOf },
+      { Item: 'Reporting Currency', Value: profile.reportingCurrency },
+      { Item: 'Invoices', Value: profile.invoiceCount },
+      { Item: 'Cancelled Invoices', Value: profile.cancelledCount },
+      { Item: `Total Spent (${profile.reportingCurrency})`, Value: profile.totalSpent },
+      { Item: `Outstanding (${profile.reportingCurrency})`, Value: aging.totals.outstanding },
+      { Item: `Overdue (${profile.reportingCurrency})`, Value: aging.totals.overdue },
+      ...AGING_BUCKETS.map(bucket => ({ Item: `${bucket.label} (${profile.reportingCurrency})`, Value: aging.totals[bucket.key] })),
+      { Item: 'First Order', Value: profile.gaps?.firstOrder || 'N/A' },
+      { Item: 'Last Order', Value: profile.gaps?.lastOrder || 'N/A' }
+    ];
+    const summarySheet = XLSX.utils.json_to_sheet(summary);
+    summarySheet['!cols'] = [{ wch: 28 }, { wch: 30 }];
+    XLSX.utils.book_append_sheet(wb, summarySheet, 'Summary');
+
+    const balances = aging.currencies.map(row => ({
+      'Currency': row.key,
+      'Outstanding': row.total,
+      ...Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.label, row[bucket.key]])),
+      'Invoices': row.invoiceCount
+    }));
+    const balanceSheet = XLSX.utils.json_to_sheet(balances.length > 0 ? balances : [{ 'Currency': 'Nothing outstanding' }]);
+    balanceSheet['!cols'] = [{ wch: 20 }, { wch: 15 }, ...AGING_BUCKETS.map(() => ({ wch: 14 })), { wch: 10 }];
+    XLSX.utils.book_append_sheet(wb, balanceSheet, 'Balances');
+
+    const statement = [...profile.timeline].reverse().map(inv => {
+      const payment = getPaymentStatus(inv, paymentTerms, customerAliases);
+      return {
+        'Invoice Date': inv.invoiceDate ? String(inv.invoiceDate).slice(0, 10) : 'N/A',
+        'Invoice Number': inv.invoiceNumber || inv.id,
+        'Invoiced As': inv.customerName || 'Unknown',
+        'Salesperson': inv.salespersonName || 'Unknown',
+        'Status': inv.status || 'Active',
+        'Currency': inv.currency,
+        'Amount': parseFloat(inv.total || 0),
+        'Paid': parseFloat(inv.paid || 0),
+        'Balance': parseFloat(inv.unpaid || 0),
+        'Payment Terms': PAYMENT_TERMS[payment.term].label,
+        'Due Date': payment.dueDate || 'N/A',
+        'Payment Status': payment.status
+      };
+    });
+    const statementSheet = XLSX.utils.json_to_sheet(statement);
+    statementSheet['!cols'] = [{ wch: 12 }, { wch: 15 }, { wch: 25 }, { wch: 20 }, { wch: 12 }, { wch: 10 }, { wch: 14 }, { wch: 14 }, { wch: 14 }, { wch: 15 }, { wch: 12 }, { wch: 16 }];
+    XLSX.utils.book_append_sheet(wb, statementSheet, 'Statement');
+
+    const safeName = profile.name.replace(/[^a-z0-9]+/gi, '_').replace(/^_|_$/g, '').toLowerCase() || 'customer';
+    const filename = `statement_${safeName}_${profile.asOf}.xlsx`;
+    XLSX.writeFile(wb, filename);
+
+    console.log(`📊 Exported statement for ${profile.name} (${statement.length} invoices) to ${filename}`);
+    return true;
+  } catch (error) {
+    console.error('Error exporting customer statement:', error);
+    return false;
+  }
+};
+
+// KPI Card Component
+const KpiCard = ({ icon, title, value, subtitle }) => (
+  <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
+    <div className="flex items-center justify-between">
+      <div>
+        <p className="text-sm font-medium text-gray-600">{title}</p>
+        <p className="text-2xl font-bold text-gray-900 mt-1">{value}</p>
+        {subtitle && <p className="text-xs text-gray-500 mt-1">{subtitle}</p>}
+      </div>
+      <div className="text-3xl">{icon}</div>
+    </div>
+  </div>
+);
+
+function CustomerDetail() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { invoices, loading: invoicesLoading, isComplete } = useInvoices();
+  const { rateTable, reportingCurrency } = useExchangeRates();
+  const paymentTerms = usePaymentTerms();
+  const customerAliases = useCustomerAliases();
+  const symbol = getCurrencySymbol(reportingCurrency);
+
+  const payload = useMemo(() => {
+    if (!rateTable) return null;
+    return { invoices, customerId: id, reportingCurrency, rateTable, paymentTerms, customerAliases };
+  }, [invoices, id, reportingCurrency, rateTable, paymentTerms, customerAliases]);
+  const { data: profile, loading } = useAggregation("customerProfile", payload);
+
+  // ✅ Links by name or to a merged-in customer land on the resolved customer's URL
+  useEffect(() => {
+    if (!loading && profile && profile.id !== id) {
+      navigate(`/customers/${encodeURIComponent(profile.id)}`, { replace: true });
+    }
+  }, [loading, profile, id, navigate]);
+
+  const timelineColumns = useMemo(() => [
+    {
+      key: "invoiceDate",
+      header: "Date",
+      width: "110px",
+      className: "text-sm text-gray-700",
+      render: (inv) => (inv.invoiceDate ? String(inv.invoiceDate).slice(0, 10) : "—")
+    },
+    {
+      key: "invoiceNumber",
+      header: "Invoice",
+      width: "minmax(110px, 1fr)",
+      className: "text-sm font-medium text-blue-600",
+      render: (inv) => inv.invoiceNumber || inv.id
+    },
+    {
+      key: "salespersonName",
+      header: "Salesperson",
+      width: "minmax(140px, 1.5fr)",
+      className: "text-sm text-gray-700",
+      render: (inv) => inv.salespersonName || "Unknown"
+    },
+    {
+      key: "status",
+      header: "Status",
+      width: "100px",
+      render: (inv) => (
+        <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${
+          inv.status === 'Cancelled' ? 'bg-red-100 text-red-800' :
+          inv.status === 'Invoiced' ? 'bg-blue-100 text-blue-800' :
+          'bg-gray-100 text-gray-800'
+        }`}>
+          {inv.status || 'Active'}
+        </span>
+      )
+    },
+    {
+      key: "payment",
+      header: "Payment",
+      width: "130px",
+      render: (inv) => {
+        const payment = getPaymentStatus(inv, paymentTerms, customerAliases);
+        return (
+          <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${payment.color}`}>
+            {payment.status}
+          </span>
+        );
+      }
+    },
+    {
+      key: "total",
+      header: "Total",
+      width: "minmax(130px, 1fr)",
+      align: "right",
+      render: (inv) => (
+        <div>
+          <div className="text-sm font-semibold text-gray-900">{inv.currency} {formatAmount(parseFloat(inv.total || 0))}</div>
+          {inv.currency !== reportingCurrency && inv.converted !== null && (
+            <div className="text-xs text-gray-500">{symbol}{formatAmount(inv.converted)}</div>
+          )}
+        </div>
+      )
+    }
+  ], [paymentTerms, customerAliases, reportingCurrency, symbol]);
+
+  const handleExport = () => {
+    if (exportCustomerStatement(profile, paymentTerms, customerAliases)) {
+      alert(`✅ Exported the statement for ${profile.name}.`);
+    } else {
+      alert('❌ Failed to export the statement. Please try again.');
+    }
+  };
+
+  if (!profile) {
+    const waiting = loading || invoicesLoading || !rateTable || !isComplete;
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-gray-50 to-green-50 flex items-center justify-center">
+        <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-8 text-center">
+          <div className="text-4xl mb-4">{waiting ? "⏳" : "🔍"}</div>
+          <p className="text-gray-700 font-medium mb-4">
+            {waiting ? "Loading customer..." : `No invoices found for "${id}".`}
+          </p>
+          {!waiting && (
+            <Link to="/customers" className="text-blue-600 hover:underline">← Back to Customers</Link>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  const { aging, gaps } = profile;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-green-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b border-gray-200">
+        <div className="max-w-7xl mx-auto px-4 py-6">
+          <Link to="/customers" className="text-sm text-blue-600 hover:underline">← Customers</Link>
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between mt-2">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900 flex items-center gap-3">
+                <span className="text-4xl">🏢</span>
+                {profile.name}
+              </h1>
+              <p className="text-gray-600 mt-1">
+                {profile.invoiceCount} invoices{profile.cancelledCount > 0 ? ` (${profile.cancelledCount} cancelled)` : ""}
+                {gaps ? ` • customer since ${gaps.firstOrder}` : ""} • amounts in {reportingCurrency}
+              </p>
+              {profile.aliases.length > 1 && (
+                <p className="text-sm text-gray-500 mt-1">Invoiced as: {profile.aliases.join(", ")}</p>
+              )}
+            </div>
+            <div className="mt-4 md:mt-0">
+              <button
+                onClick={handleExport}
+                className="px-4 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 transition-colors flex items-center gap-2"
+              >
+                📊 Export Statement
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 py-8">
+        <InvoiceLoadProgress />
+
+        {/* KPIs */}
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
+          <KpiCard
+            icon="💰"
+            title="Total Spent"
+            value={`${symbol}${formatAmount(profile.totalSpent)}`}
+            subtitle={`Avg order ${symbol}${formatAmount(profile.averageOrder)}`}
+          />
+          <KpiCard
+            icon="🧾"
+            title="Outstanding"
+            value={`${symbol}${formatAmount(aging.totals.outstanding)}`}
+            subtitle={aging.totals.overdue > 0 ? `${symbol}${formatAmount(aging.totals.overdue)} overdue` : "Nothing overdue"}
+          />
+          <KpiCard
+            icon="⏱️"
+            title="Avg Days to Pay"
+            value={aging.dso === null ? "N/A" : formatDays(aging.dso)}
+            subtitle={`Estimated: outstanding vs. sales of the last ${DSO_WINDOW_DAYS} days`}
+          />
+          <KpiCard
+            icon="📅"
+            title="Last Order"
+            value={gaps ? gaps.lastOrder : "—"}
+            subtitle={gaps ? `${gaps.daysSinceLastOrder} days ago` : undefined}
+          />
+        </div>
+
+        {/* Spend by month and currency */}
+        <div className="mb-8">
+          <ChartCard
+            title="Spend by Month"
+            subtitle={`Stacked by invoice currency, converted to ${reportingCurrency}`}
+            filename={`customer-spend-${profile.name}`}
+            legend={profile.currencies.map((currency, index) => ({ label: currency, color: getCurrencyColor(currency, index) }))}
+          >
+            <ResponsiveContainer width="100%" height={300}>
+              <BarChart data={profile.spendByMonth} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" vertical={false} />
+                <XAxis dataKey="bucket" tick={{ fontSize: 12 }} />
+                <YAxis tickFormatter={compactNumber} tick={{ fontSize: 12 }} />
+                <Tooltip formatter={(value, name) => [`${symbol}${formatAmount(value)}`, name]} cursor={{ fill: "#f3f4f6" }} />
+                <Legend />
+                {profile.currencies.map((currency, index) => (
+                  <Bar key={currency} dataKey={currency} name={currency} stackId="spend" fill={getCurrencyColor(currency, index)} />
+                ))}
+              </BarChart>
+            </ResponsiveContainer>
+          </ChartCard>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-8">
+          {/* Currencies and balances */}
+          <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">By Currency</h3>
+            <div className="space-y-3">
+              {Object.entries(profile.currencyTotals).sort(([, a], [, b]) => b - a).map(([currency, total]) => {
+                const outstanding = aging.currencies.find(row => row.key === currency);
+                return (
+                  <div key={currency} className="flex items-center justify-between border-b border-gray-100 pb-2">
+                    <span className="px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-800">{currency}</span>
+                    <div className="text-right">
+                      <div className="text-sm font-semibold text-gray-900">{currency} {formatAmount(total)}</div>
+                      <div className="text-xs text-gray-500">
+                        {outstanding ? `${currency} ${formatAmount(outstanding.total)} outstanding` : "Fully paid"}
+                      </div>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+            <div className="mt-4 space-y-2">
+              {AGING_BUCKETS.map(bucket => (
+                <div key={bucket.key} className="flex justify-between text-sm">
+                  <span className="text-gray-600">{bucket.label}</span>
+                  <span className={aging.totals[bucket.key] > 0 ? "font-medium text-gray-900" : "text-gray-300"}>
+                    {symbol}{formatAmount(aging.totals[bucket.key])}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Order rhythm */}
+          <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Order Rhythm</h3>
+            {gaps ? (
+              <dl className="space-y-2 text-sm">
+                {[
+                  ["First Order", gaps.firstOrder],
+                  ["Last Order", `${gaps.lastOrder} (${gaps.daysSinceLastOrder} days ago)`],
+                  ["Order Days", gaps.orderDays],
+                  ["Average Gap", formatDays(gaps.averageGapDays)],
+                  ["Median Gap", formatDays(gaps.medianGapDays)],
+                  ["Longest Gap", gaps.longestGap ? `${gaps.longestGap.days} days (${gaps.longestGap.from} → ${gaps.longestGap.to})` : "—"],
+                  ["Next Order Expected", gaps.expectedNextOrder || "—"]
+                ].map(([label, value]) => (
+                  <div key={label} className="flex justify-between gap-4 border-b border-gray-100 pb-2">
+                    <dt className="text-gray-600">{label}</dt>
+                    <dd className="font-medium text-gray-900 text-right">{value}</dd>
+                  </div>
+                ))}
+              </dl>
+            ) : (
+              <p className="text-sm text-gray-500">No dated orders.</p>
+            )}
+            {gaps?.overdue && (
+              <div className="mt-4 p-3 bg-orange-50 border border-orange-200 rounded-lg text-orange-800 text-sm">
+                ⚠️ Quiet for longer than usual: {gaps.daysSinceLastOrder} days since the last order against a {formatDays(gaps.averageGapDays)} average gap.
+              </div>
+            )}
+          </div>
+
+          {/* Salespeople */}
+          <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Served By</h3>
+            <div className="space-y-3">
+              {profile.salespersons.map(sp => (
+                <div key={sp.name} className="border-b border-gray-100 pb-2">
+                  <div className="flex justify-between">
+                    <span className="text-sm font-medium text-gray-900">{sp.name}</span>
+                    <span className="text-sm font-semibold text-gray-900">{symbol}{formatAmount(sp.total)}</span>
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {sp.invoiceCount} invoices • {sp.firstOrder === sp.lastOrder ? sp.firstOrder : `${sp.firstOrder} → ${sp.lastOrder}`}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        {/* Timeline */}
+        <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-1">Invoice Timeline</h3>
+          <p className="text-sm text-gray-500 mb-4">Newest first • double-click or press Enter to open an invoice</p>
+          <VirtualTable
+            rows={profile.timeline}
+            columns={timelineColumns}
+            height={480}
+            minWidth={760}
+            onRowActivate={(inv) => navigate(`/invoices/${inv.id}`)}
+            ariaLabel="Invoice timeline"
+            emptyMessage="No invoices"
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CustomerDetail;
@@ -0,0 +1,261 @@
+import { useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { useInvoices } from "../contexts/InvoiceContext";
+import InvoiceLoadProgress from "../Components/InvoiceLoadProgress";
+import { useAggregation } from "../hooks/useAggregation";
+import { useCustomerAliases } from "../hooks/useCustomerAliases";
+import {
+  mergeCustomers,
+  rejectCustomerMerge,
+  resolveCustomerId,
+  saveCustomerAliasSettings,
+  unmergeCustomer
+} from "../utils/customerIdentity";
+
+const PROPOSALS_SHOWN = 25;
+
+// Summary Card Component
+const SummaryCard = ({ icon, title, value, subtitle }) => (
+  <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
+    <div className="flex items-center justify-between">
+      <div>
+        <p className="text-sm font-medium text-gray-600">{title}</p>
+        <p className="text-2xl font-bold text-gray-900 mt-1">{value}</p>
+        {subtitle && <p className="text-xs text-gray-500 mt-1">{subtitle}</p>}
+      </div>
+      <div className="text-3xl">{icon}</div>
+    </div>
+  </div>
+);
+
+// One side of a proposed merge
+const ProposalCustomer = ({ customer }) => (
+  <div className="min-w-0">
+    <div className="font-medium text-gray-900 truncate" title={customer.name}>{customer.name}</div>
+    <div className="text-xs text-gray-500 truncate" title={customer.spellings.map(spelling => spelling.name).join(", ")}>
+      {customer.invoiceCount} invoice{customer.invoiceCount !== 1 ? "s" : ""}
+      {customer.spellings.length > 1 ? ` • ${customer.spellings.length} spellings` : ""}
+    </div>
+  </div>
+);
+
+function CustomerMatching() {
+  const { invoices } = useInvoices();
+  const customerAliases = useCustomerAliases();
+  const [showAll, setShowAll] = useState(false);
+  const [mergeFrom, setMergeFrom] = useState("");
+  const [mergeInto, setMergeInto] = useState("");
+
+  // ✅ Proposals and the resolved customer list both come from the aggregation worker
+  const payload = useMemo(() => ({ invoices, customerAliases }), [invoices, customerAliases]);
+  const { data: proposals, loading } = useAggregation("customerMerges", payload);
+  const { data: customers } = useAggregation("customerDirectory", payload);
+
+  const customersById = useMemo(() => new Map((customers || []).map(customer => [customer.id, customer])), [customers]);
+  const idsByName = useMemo(() => new Map((customers || []).map(customer => [customer.name, customer.id])), [customers]);
+
+  // Alias table rows: the spellings each merged-in key was invoiced under, and where it ends up
+  const aliasRows = useMemo(() => Object.keys(customerAliases.aliases).map(aliasId => {
+    const targetId = resolveCustomerId(aliasId, customerAliases);
+    const target = customersById.get(targetId);
+    return {
+      aliasId,
+      targetId,
+      targetName: target?.name || targetId,
+      spellings: (target?.spellings || []).filter(spelling => spelling.key === aliasId).map(spelling => spelling.name)
+    };
+  }).sort((a, b) => a.targetName.localeCompare(b.targetName)), [customerAliases, customersById]);
+
+  const save = (settings) => {
+    if (settings !== customerAliases) saveCustomerAliasSettings(settings);
+  };
+
+  const handleManualMerge = (e) => {
+    e.preventDefault();
+    const fromId = idsByName.get(mergeFrom.trim());
+    const intoId = idsByName.get(mergeInto.trim());
+    if (!fromId || !intoId) {
+      alert("❌ Pick both customers from the list.");
+      return;
+    }
+    if (fromId === intoId) {
+      alert("❌ These are already the same customer.");
+      return;
+    }
+    save(mergeCustomers(customerAliases, fromId, intoId));
+    setMergeFrom("");
+    setMergeInto("");
+  };
+
+  const clearRejections = () => {
+    if (window.confirm(`Propose the ${customerAliases.rejected.length} rejected merges again?`)) {
+      save({ ...customerAliases, rejected: [] });
+    }
+  };
+
+  const shownProposals = (proposals || []).slice(0, showAll ? undefined : PROPOSALS_SHOWN);
+  const spellingCount = (customers || []).reduce((sum, customer) => sum + customer.spellings.length, 0);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-green-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b border-gray-200">
+        <div className="max-w-7xl mx-auto px-4 py-6">
+          <Link to="/customers" className="text-sm text-blue-600 hover:underline">← Customers</Link>
+          <h1 className="text-3xl font-bold text-gray-900 flex items-center gap-3 mt-2">
+            <span className="text-4xl">🔗</span>
+            Customer Matching
+          </h1>
+          <p className="text-gray-600 mt-1">
+            Names that differ only in case, punctuation or legal suffix are matched automatically; review similar names below.
+          </p>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 py-8">
+        <InvoiceLoadProgress />
+
+        {/* Summary */}
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
+          <SummaryCard icon="🏢" title="Customers" value={customers ? customers.length.toLocaleString() : "—"} subtitle="After matching" />
+          <SummaryCard icon="✏️" title="Spellings" value={customers ? spellingCount.toLocaleString() : "—"} subtitle="Distinct names on invoices" />
+          <SummaryCard icon="🔗" title="Merges" value={aliasRows.length.toLocaleString()} subtitle="Confirmed by an admin" />
+          <SummaryCard
+            icon="❓"
+            title="To Review"
+            value={proposals ? proposals.length.toLocaleString() : "—"}
+            subtitle={`${customerAliases.rejected.length} rejected`}
+          />
+        </div>
+
+        {/* Proposed merges */}
+        <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6 mb-8">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-gray-900">Proposed Merges</h3>
+            {customerAliases.rejected.length > 0 && (
+              <button onClick={clearRejections} className="text-sm text-blue-600 hover:underline">
+                Clear {customerAliases.rejected.length} rejections
+              </button>
+            )}
+          </div>
+
+          {!proposals ? (
+            <p className="text-sm text-gray-500">{loading ? "⏳ Comparing customer names..." : "No customers loaded."}</p>
+          ) : proposals.length === 0 ? (
+            <p className="text-sm text-gray-500">✅ No similar customer names left to review.</p>
+          ) : (
+            <div className="divide-y divide-gray-200">
+              {shownProposals.map(proposal => (
+                <div key={proposal.key} className="py-3 grid grid-cols-1 md:grid-cols-[1fr_auto_1fr_auto] gap-3 items-center">
+                  <ProposalCustomer customer={proposal.from} />
+                  <div className="text-center">
+                    <div className="text-gray-400">→</div>
+                    <div className="text-xs font-medium text-gray-500">{Math.round(proposal.similarity * 100)}% match</div>
+                  </div>
+                  <ProposalCustomer customer={proposal.into} />
+                  <div className="flex gap-2 md:justify-end">
+                    <button
+                      onClick={() => save(mergeCustomers(customerAliases, proposal.from.id, proposal.into.id))}
+                      className="px-3 py-1 text-sm bg-green-500 text-white rounded-lg hover:bg-green-600 transition-colors"
+                    >
+                      Merge
+                    </button>
+                    <button
+                      onClick={() => save(mergeCustomers(customerAliases, proposal.into.id, proposal.from.id))}
+                      title={`Keep "${proposal.from.name}" instead`}
+                      className="px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+                    >
+                      ⇄
+                    </button>
+                    <button
+                      onClick={() => save(rejectCustomerMerge(customerAliases, proposal.from.id, proposal.into.id))}
+                      className="px-3 py-1 text-sm bg-red-50 text-red-700 rounded-lg hover:bg-red-100 transition-colors"
+                    >
+                      Not the same
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+          {proposals && proposals.length > PROPOSALS_SHOWN && (
+            <button onClick={() => setShowAll(!showAll)} className="mt-4 text-sm text-blue-600 hover:underline">
+              {showAll ? "Show fewer" : `Show all ${proposals.length} proposals`}
+            </button>
+          )}
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {/* Manual merge */}
+          <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-1">Merge Customers</h3>
+            <p className="text-sm text-gray-500 mb-4">For names too different to be proposed, e.g. a trading name and a legal name.</p>
+            <form onSubmit={handleManualMerge} className="space-y-3">
+              <datalist id="matching-customers">
+                {(customers || []).map(customer => <option key={customer.id} value={customer.name} />)}
+              </datalist>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Merge</label>
+                <input
+                  list="matching-customers"
+                  value={mergeFrom}
+                  onChange={(e) => setMergeFrom(e.target.value)}
+                  placeholder="Customer to merge"
+                  className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Into</label>
+                <input
+                  list="matching-customers"
+                  value={mergeInto}
+                  onChange={(e) => setMergeInto(e.target.value)}
+                  placeholder="Customer to keep"
+                  className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                />
+              </div>
+              <button
+                type="submit"
+                disabled={!mergeFrom || !mergeInto}
+                className="px-4 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                🔗 Merge
+              </button>
+            </form>
+          </div>
+
+          {/* Alias table */}
+          <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Alias Table</h3>
+            {aliasRows.length === 0 ? (
+              <p className="text-sm text-gray-500">No merges yet.</p>
+            ) : (
+              <div className="divide-y divide-gray-200 max-h-96 overflow-y-auto">
+                {aliasRows.map(row => (
+                  <div key={row.aliasId} className="py-2 flex items-center justify-between gap-3">
+                    <div className="min-w-0 text-sm">
+                      <div className="text-gray-900 truncate">
+                        {row.spellings.length > 0 ? row.spellings.join(", ") : row.aliasId}
+                      </div>
+                      <div className="text-xs text-gray-500 truncate">
+                        → <Link to={`/customers/${encodeURIComponent(row.targetId)}`} className="text-blue-600 hover:underline">{row.targetName}</Link>
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => save(unmergeCustomer(customerAliases, row.aliasId))}
+                      className="px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors shrink-0"
+                    >
+                      Unmerge
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CustomerMatching;
@@ -1,6 +1,21 @@
-import { useState, useEffect } from "react";
-import cachedApiClient from "../api/cachedApiClient";
+import { useMemo, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import * as XLSX from 'xlsx';
+import { useInvoices } from "../contexts/InvoiceContext";
+import InvoiceFilterControls from "../Components/InvoiceFilterControls";
+import InvoiceLoadProgress from "../Components/InvoiceLoadProgress";
+import VirtualTable from "../Components/VirtualTable";
+import { useAggregation } from "../hooks/useAggregation";
+import { useCustomerAliases } from "../hooks/useCustomerAliases";
+import { useExchangeRates } from "../hooks/useExchangeRates";
+import { usePeriodSettings } from "../hooks/usePeriodSettings";
+import { getCurrencySymbol } from "../utils/currency";
+import { useFilterState } from "../hooks/useFilterState";
 import { formatLargeNumber, formatCurrency, smartFormat } from "../utils/formatters";
+import { filterInvoicesByCurrency } from "../utils/invoices";
+import { filterInvoicesByPeriod, resolvePeriod } from "../utils/periods";
+import { RFM_SEGMENTS } from "../utils/rfm";
+import { DORMANCY_FACTOR, MIN_ORDER_GAPS } from "../utils/dormancy";
 
 // Enhanced Spinner - Progressive loading strategy
 const Spinner = () => (
@@ -10,7 +25,7 @@ const Spinner = () => (
       <div className="w-12 h-12 border-4 border-teal-200 border-t-teal-600 rounded-full animate-spin absolute top-2 left-2 animate-pulse"></div>
     </div>
     <p className="mt-4 text-gray-600 font-medium">
-      ⚡ Loading first batch (1000 invoices)...
+      ⚡ Loading first batch of invoices...
     </p>
     <div className="mt-2 text-sm text-gray-500">
       Complete customer analytics will load in background
@@ -21,6 +36,159 @@ const Spinner = () => (
   </div>
 );
 
+// Amount in the reporting currency, e.g. "$12.5K"
+const formatConverted = (value, currency) => `${getCurrencySymbol(currency)}${smartFormat(value)}`;
+
+const currencyBadgeClass = (currency) => (
+  currency === 'USD' ? 'bg-green-100 text-green-800' :
+  currency === 'PKR' ? 'bg-blue-100 text-blue-800' :
+  'bg-purple-100 text-purple-800'
+);
+
+const SEGMENT_BADGES = {
+  champions: "bg-emerald-100 text-emerald-800",
+  loyal: "bg-green-100 text-green-800",
+  potentialLoyalists: "bg-blue-100 text-blue-800",
+  newCustomers: "bg-cyan-100 text-cyan-800",
+  needsAttention: "bg-yellow-100 text-yellow-800",
+  cannotLose: "bg-orange-100 text-orange-800",
+  atRisk: "bg-red-100 text-red-800",
+  hibernating: "bg-gray-100 text-gray-700",
+  lost: "bg-gray-200 text-gray-800"
+};
+
+const SEGMENTS_BY_KEY = Object.fromEntries(RFM_SEGMENTS.map(segment => [segment.key, segment]));
+
+// RFM segment of a customer, with its scores on hover
+const SegmentBadge = ({ rfm }) => {
+  if (!rfm) return null;
+  const segment = SEGMENTS_BY_KEY[rfm.segment];
+  return (
+    <span
+      title={`${segment.description} • R${rfm.scores.recency} F${rfm.scores.frequency} M${rfm.scores.monetary}`}
+      className={`inline-block px-2 py-0.5 rounded-full text-xs font-medium whitespace-nowrap ${SEGMENT_BADGES[segment.key]}`}
+    >
+      {segment.label}
+    </span>
+  );
+};
+
+// ✅ Export the segmented customer list for account managers: segment summary and one row per customer
+const exportSegmentsToExcel = (rows, report, segmentFilter) => {
+  try {
+    const wb = XLSX.utils.book_new();
+    const currency = report.reportingCurrency;
+
+    const summary = report.segments.map(segment => ({
+      'Segment': segment.label,
+      'Description': segment.description,
+      'Customers': segment.customerCount,
+      [`Spend (${currency})`]: segment.monetary,
+      'Share of Spend': `${(segment.share * 100).toFixed(1)}%`
+    }));
+    const summarySheet = XLSX.utils.json_to_sheet(summary);
+    summarySheet['!cols'] = [{ wch: 20 }, { wch: 50 }, { wch: 10 }, { wch: 18 }, { wch: 14 }];
+    XLSX.utils.book_append_sheet(wb, summarySheet, 'Segments');
+
+    const customerRows = rows.map(row => ({
+      'Customer': row.name,
+      'Segment': SEGMENTS_BY_KEY[row.segment].label,
+      'RFM Score': row.rfm,
+      'Recency Score': row.scores.recency,
+      'Frequency Score': row.scores.frequency,
+      'Monetary Score': row.scores.monetary,
+      'Last Order': row.lastOrder || '',
+      'Days Since Last Order': row.recencyDays ?? '',
+      'First Order': row.firstOrder || '',
+      'Orders': row.frequency,
+      [`Spend (${currency})`]: row.monetary
+    }));
+    const customerSheet = XLSX.utils.json_to_sheet(customerRows);
+    customerSheet['!cols'] = [{ wch: 30 }, { wch: 20 }, { wch: 10 }, { wch: 14 }, { wch: 16 }, { wch: 15 }, { wch: 12 }, { wch: 20 }, { wch: 12 }, { wch: 8 }, { wch: 16 }];
+    XLSX.utils.book_append_sheet(wb, customerSheet, 'Customers');
+
+    const suffix = segmentFilter === "All" ? "" : `_${segmentFilter}`;
+    const filename = `customer_segments${suffix}_${report.asOf}.xlsx`;
+    XLSX.writeFile(wb, filename);
+
+    console.log(`📊 Exported ${rows.length} segmented customers to ${filename}`);
+    return true;
+  } catch (error) {
+    console.error('Error exporting customer segments:', error);
+    return false;
+  }
+};
+
+const AT_RISK_SHOWN = 5;
+
+const DORMANCY_BADGES = {
+  dormant: { label: "Dormant", className: "bg-orange-100 text-orange-800" },
+  churned: { label: "Churned", className: "bg-red-100 text-red-800" }
+};
+
+// ✅ Customers overdue for a reorder (see utils/dormancy.js), largest revenue at risk first
+const AtRiskPanel = ({ report }) => {
+  const [showAll, setShowAll] = useState(false);
+  const { totals, reportingCurrency } = report;
+  const shown = report.customers.slice(0, showAll ? undefined : AT_RISK_SHOWN);
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg border border-orange-200 p-6 mb-8">
+      <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-2 mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">⚠️ At Risk</h3>
+          <p className="text-sm text-gray-500">
+            Customers quiet for over {DORMANCY_FACTOR}× their usual gap between orders
+            (learned from {report.trackedCount.toLocaleString()} customers with {MIN_ORDER_GAPS + 1}+ order days)
+          </p>
+        </div>
+        {totals.customerCount > 0 && (
+          <div className="sm:text-right">
+            <div className="text-xl font-bold text-orange-700">{formatConverted(totals.revenueAtRisk, reportingCurrency)}</div>
+            <div className="text-xs text-gray-500">a year at risk • {totals.dormantCount} dormant, {totals.churnedCount} churned</div>
+          </div>
+        )}
+      </div>
+
+      {totals.customerCount === 0 ? (
+        <p className="text-sm text-gray-500">✅ No customers are overdue for a reorder.</p>
+      ) : (
+        <div className="divide-y divide-gray-100">
+          {shown.map(customer => (
+            <Link
+              key={customer.id}
+              to={`/customers/${encodeURIComponent(customer.id)}`}
+              className="py-3 flex items-center justify-between gap-4 hover:bg-gray-50 -mx-2 px-2 rounded-lg"
+            >
+              <div className="min-w-0">
+                <div className="flex items-center gap-2">
+                  <span className="font-medium text-gray-900 truncate" title={customer.name}>{customer.name}</span>
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${DORMANCY_BADGES[customer.status].className}`}>
+                    {DORMANCY_BADGES[customer.status].label}
+                  </span>
+                </div>
+                <div className="text-xs text-gray-500">
+                  Last order {customer.lastOrder} ({customer.daysSinceLastOrder} days ago) • usually every {customer.averageGapDays} days
+                  {customer.daysOverdue > 0 ? ` • ${customer.daysOverdue} days overdue` : ""}
+                </div>
+              </div>
+              <div className="text-right shrink-0">
+                <div className="font-semibold text-orange-700">{formatConverted(customer.revenueAtRisk, reportingCurrency)}</div>
+                <div className="text-xs text-gray-500">per year</div>
+              </div>
+            </Link>
+          ))}
+        </div>
+      )}
+      {report.customers.length > AT_RISK_SHOWN && (
+        <button onClick={() => setShowAll(!showAll)} className="mt-3 text-sm text-blue-600 hover:underline">
+          {showAll ? "Show fewer" : `Show all ${report.customers.length} at-risk customers`}
+        </button>
+      )}
+    </div>
+  );
+};
+
 // Customer Card Component
 const CustomerCard = ({ customer, rank }) => {
   const getRankBadge = (rank) => {
@@ -32,7 +200,10 @@ const CustomerCard = ({ customer, rank }) => {
   };
 
   return (
-    <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6 hover:shadow-xl transition-all duration-300 transform hover:-translate-y-1">
+    <Link
+      to={`/customers/${encodeURIComponent(customer.id)}`}
+      className="block bg-white rounded-xl shadow-lg border border-gray-200 p-6 hover:shadow-xl transition-all duration-300 transform hover:-translate-y-1"
+    >
       <div className="flex items-center justify-between mb-4">
         <div className="text-2xl">{getRankBadge(rank)}</div>
         <div className="text-right">
@@ -45,13 +216,21 @@ const CustomerCard = ({ customer, rank }) => {
         <h3 className="text-lg font-bold text-gray-900 mb-1 truncate" title={customer.name}>
           {customer.name}
         </h3>
-        <p className="text-sm text-gray-600">{customer.orderCount} order{customer.orderCount !== 1 ? 's' : ''}</p>
+        <div className="flex items-center justify-between gap-2">
+          <p className="text-sm text-gray-600">{customer.orderCount} order{customer.orderCount !== 1 ? 's' : ''}</p>
+          <SegmentBadge rfm={customer.rfm} />
+        </div>
+        {customer.aliases.length > 1 && (
+          <p className="text-xs text-gray-500 mt-1 truncate" title={customer.aliases.join(", ")}>
+            🔗 Invoiced under {customer.aliases.length} names
+          </p>
+        )}
       </div>
 
       <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-4">
         <div className="bg-green-50 rounded-lg p-3 border border-green-200">
-          <p className="text-xs font-medium text-green-600 uppercase tracking-wide">Total Spent</p>
-          <p className="text-lg font-bold text-green-800">{smartFormat(customer.totalSpent)}</p>
+          <p className="text-xs font-medium text-green-600 uppercase tracking-wide">Total Spent ({customer.reportingCurrency})</p>
+          <p className="text-lg font-bold text-green-800">{formatConverted(customer.totalSpent, customer.reportingCurrency)}</p>
         </div>
         <div className="bg-blue-50 rounded-lg p-3 border border-blue-200">
           <p className="text-xs font-medium text-blue-600 uppercase tracking-wide">Orders</p>
@@ -61,31 +240,118 @@ const CustomerCard = ({ customer, rank }) => {
 
       <div className="mb-4">
         <div className="bg-purple-50 rounded-lg p-3 border border-purple-200">
-          <p className="text-xs font-medium text-purple-600 uppercase tracking-wide">Average Order</p>
+          <p className="text-xs font-medium text-purple-600 uppercase tracking-wide">Average Order ({customer.reportingCurrency})</p>
           <p className="text-lg font-bold text-purple-800">
-            {smartFormat(customer.totalSpent / customer.orderCount)}
+            {formatConverted(customer.averageOrder, customer.reportingCurrency)}
           </p>
         </div>
       </div>
 
       <div>
-        <p className="text-sm font-medium text-gray-600 mb-2">Payment Currencies:</p>
-        <div className="flex flex-wrap gap-1">
-          {customer.currencies.map((currency, idx) => (
-            <span key={idx} className={`px-2 py-1 rounded-full text-xs font-medium ${
-              currency === 'USD' ? 'bg-green-100 text-green-800' :
-              currency === 'PKR' ? 'bg-blue-100 text-blue-800' :
-              'bg-purple-100 text-purple-800'
-            }`}>
-              {currency}
-            </span>
+        <p className="text-sm font-medium text-gray-600 mb-2">Currency Breakdown:</p>
+        <div className="space-y-1">
+          {customer.currencyTotals.map(entry => (
+            <div key={entry.currency} className="flex justify-between items-center text-sm">
+              <span className={`px-2 py-1 rounded-full text-xs font-medium ${currencyBadgeClass(entry.currency)}`}>
+                {entry.currency}
+              </span>
+              <span className="text-right">
+                <span className="font-semibold text-gray-900">{smartFormat(entry.total)}</span>
+                {entry.currency !== customer.reportingCurrency && (
+                  <span className="text-xs text-gray-500 ml-1">≈ {formatConverted(entry.converted, customer.reportingCurrency)}</span>
+                )}
+              </span>
+            </div>
           ))}
         </div>
+        {customer.unconvertedCount > 0 && (
+          <p className="text-xs text-orange-600 mt-2">⚠️ {customer.unconvertedCount} invoice{customer.unconvertedCount !== 1 ? "s" : ""} without an exchange rate left out of the total</p>
+        )}
       </div>
-    </div>
+    </Link>
   );
 };
 
+// Column definitions for the virtualized customer table
+const CUSTOMER_COLUMNS = [
+  {
+    key: "rank",
+    header: "Rank",
+    width: "80px",
+    render: (customer, index) => (
+      <span className="text-lg font-bold">
+        {index < 3 ? ["🥇", "🥈", "🥉"][index] : `#${index + 1}`}
+      </span>
+    )
+  },
+  {
+    key: "name",
+    header: "Customer",
+    width: "minmax(220px, 3fr)",
+    render: (customer) => (
+      <>
+        <div className="font-semibold text-gray-900 truncate" title={customer.name}>
+          {customer.name}
+        </div>
+        <div className="text-sm text-gray-500">
+          {customer.orderCount} order{customer.orderCount !== 1 ? 's' : ''}
+        </div>
+      </>
+    )
+  },
+  {
+    key: "segment",
+    header: "Segment",
+    width: "150px",
+    render: (customer) => <SegmentBadge rfm={customer.rfm} />
+  },
+  {
+    key: "totalSpent",
+    header: "Total Spent",
+    width: "minmax(120px, 1fr)",
+    align: "right",
+    className: "text-lg font-bold text-green-600",
+    render: (customer) => formatConverted(customer.totalSpent, customer.reportingCurrency)
+  },
+  {
+    key: "orderCount",
+    header: "Orders",
+    width: "90px",
+    align: "center",
+    render: (customer) => (
+      <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+        {customer.orderCount}
+      </span>
+    )
+  },
+  {
+    key: "averageOrder",
+    header: "Avg Order",
+    width: "minmax(110px, 1fr)",
+    align: "right",
+    className: "font-semibold text-gray-900",
+    render: (customer) => formatConverted(customer.averageOrder, customer.reportingCurrency)
+  },
+  {
+    key: "currencies",
+    header: "By Currency",
+    width: "minmax(160px, 1fr)",
+    render: (customer) => (
+      <div className="flex flex-wrap gap-1">
+        {customer.currencyTotals.map(entry => (
+          <span
+            key={entry.currency}
+            title={`≈ ${formatConverted(entry.converted, customer.reportingCurrency)}`}
+            className={`px-2 py-1 rounded-full text-xs font-medium ${currencyBadgeClass(entry.currency)}`}
+          >
+            {entry.currency} {smartFormat(entry.total)}
+          </span>
+        ))}
+      </div>
+    )
+  }
+];
+
 // Stats Card Component
 const StatsCard = ({ icon, title, value, subtitle, color = "blue" }) => {
   const colorClasses = {
@@ -111,150 +377,70 @@ const StatsCard = ({ icon, title, value, subtitle, color = "blue" }) => {
   );
 };
 
+// ✅ Filters kept in the URL (see utils/filters.js), so a view can be refreshed or shared
+const CUSTOMER_FILTER_FIELDS = ["search", "sort", "view", "segment", "currency", "period", "year", "month", "quarter", "week", "from", "to", "basis"];
+const CUSTOMER_FILTER_OVERRIDES = {
+  sort: { values: ["totalSpent", "orderCount", "averageOrder"], default: "totalSpent" },
+  segment: { values: ["All", ...RFM_SEGMENTS.map(segment => segment.key)] },
+  view: { default: "cards" },
+  basis: { default: "invoiceDate" }
+};
+
 function Customers() {
-  const [customers, setCustomers] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [searchTerm, setSearchTerm] = useState("");
-  const [sortBy, setSortBy] = useState("totalSpent"); // totalSpent, orderCount, averageOrder
-  const [viewMode, setViewMode] = useState("cards"); // cards or table
-
-  useEffect(() => {
-    fetchCustomerData();
-  }, []);
-
-  const fetchCustomerData = async () => {
-    setLoading(true);
-    setError(null);
-    try {
-      // ✅ Progressive loading: First batch for immediate display
-      console.log("🏢 Loading first batch (1000 invoices) for immediate customer analytics...");
-      
-      const firstBatchResponse = await cachedApiClient.get(`/invoices?page=1&pageSize=1000`);
-      const firstBatch = firstBatchResponse.data.data || [];
-      
-      // Process first batch data to create initial customer analytics
-      const customerData = {};
-      
-      firstBatch.forEach(inv => {
-        const customerName = inv.customerName || "Unknown Customer";
-        const total = inv.total || 0;
-        const currency = inv.currency || "USD";
-
-        // Use customerName as the unique identifier for grouping
-        if (!customerData[customerName]) {
-          customerData[customerName] = {
-            id: customerName, // Use customerName as ID for now
-            name: customerName,
-            totalSpent: 0,
-            orderCount: 0,
-            currencies: new Set(),
-            firstOrderDate: inv.invoiceDate,
-            lastOrderDate: inv.invoiceDate
-          };
-        }
-
-        customerData[customerName].totalSpent += total;
-        customerData[customerName].orderCount += 1;
-        customerData[customerName].currencies.add(currency);
-        
-        // Track first and last order dates
-        const orderDate = new Date(inv.invoiceDate);
-        if (orderDate < new Date(customerData[customerName].firstOrderDate)) {
-          customerData[customerName].firstOrderDate = inv.invoiceDate;
-        }
-        if (orderDate > new Date(customerData[customerName].lastOrderDate)) {
-          customerData[customerName].lastOrderDate = inv.invoiceDate;
-        }
-      });
-
-      // Convert to array and process
-      const customersArray = Object.values(customerData).map(customer => ({
-        ...customer,
-        currencies: Array.from(customer.currencies),
-        averageOrder: customer.totalSpent / customer.orderCount
-      }));
-
-      // Sort by default criteria
-      const sortedCustomers = customersArray.sort((a, b) => b.totalSpent - a.totalSpent);
-      
-      console.log(`📊 First batch: ${sortedCustomers.length} customers from ${firstBatch.length} invoices`);
-      setCustomers(sortedCustomers);
-      setLoading(false);
-      
-      // ✅ Load complete dataset in background for accurate analytics
-      setTimeout(async () => {
-        try {
-          console.log("🏢 Loading complete dataset in background...");
-          const fullResponse = await cachedApiClient.get(`/invoices?page=1&pageSize=-1`);
-          const allInvoices = fullResponse.data.data || [];
-          
-          // Process complete data to create accurate customer analytics
-          const completeCustomerData = {};
-          
-          allInvoices.forEach(inv => {
-            const customerName = inv.customerName || "Unknown Customer";
-            const total = inv.total || 0;
-            const currency = inv.currency || "USD";
-
-            // Use customerName as the unique identifier for grouping
-            if (!completeCustomerData[customerName]) {
-              completeCustomerData[customerName] = {
-                id: customerName, // Use customerName as ID for now
-                name: customerName,
-                totalSpent: 0,
-                orderCount: 0,
-                currencies: new Set(),
-                firstOrderDate: inv.invoiceDate,
-                lastOrderDate: inv.invoiceDate
-              };
-            }
-
-            completeCustomerData[customerName].totalSpent += total;
-            completeCustomerData[customerName].orderCount += 1;
-            completeCustomerData[customerName].currencies.add(currency);
-            
-            // Track first and last order dates
-            const orderDate = new Date(inv.invoiceDate);
-            if (orderDate < new Date(completeCustomerData[customerName].firstOrderDate)) {
-              completeCustomerData[customerName].firstOrderDate = inv.invoiceDate;
-            }
-            if (orderDate > new Date(completeCustomerData[customerName].lastOrderDate)) {
-              completeCustomerData[customerName].lastOrderDate = inv.invoiceDate;
-            }
-          });
-
-          // Convert to array and process
-          const completeCustomersArray = Object.values(completeCustomerData).map(customer => ({
-            ...customer,
-            currencies: Array.from(customer.currencies),
-            averageOrder: customer.totalSpent / customer.orderCount
-          }));
-
-          // Sort by default criteria
-          const completeSortedCustomers = completeCustomersArray.sort((a, b) => b.totalSpent - a.totalSpent);
-          
-          console.log(`✅ Complete dataset: ${completeSortedCustomers.length} customers from ${allInvoices.length} invoices`);
-          setCustomers(completeSortedCustomers);
-        } catch (err) {
-          console.error("❌ Error loading complete customer dataset:", err);
-        }
-      }, 500); // Small delay to let UI render first batch
-    } catch (error) {
-      console.error("Error fetching customer data:", error);
-      setError("Failed to fetch customer data. Please try refreshing the page.");
-      // Set empty data to prevent crashes
-      setCustomers([]);
-    } finally {
-      setLoading(false);
-    }
-  };
+  const { invoices, loading, error, refresh } = useInvoices();
+  const navigate = useNavigate();
+  const [filters, setFilters] = useFilterState(CUSTOMER_FILTER_FIELDS, CUSTOMER_FILTER_OVERRIDES);
+  const searchTerm = filters.search;
+  const sortBy = filters.sort; // totalSpent, orderCount, averageOrder
+  const viewMode = filters.view; // cards or table
+  const segmentFilter = filters.segment; // All or a key of RFM_SEGMENTS
+  const { currency, period, year, month, quarter, week, from, to, basis } = filters;
+  const customerAliases = useCustomerAliases();
+  const { rateTable, reportingCurrency } = useExchangeRates();
+  const { fiscalYearStartMonth } = usePeriodSettings();
+
+  // ✅ Selected period (see utils/periods.js); cards, stats and rankings only count its invoices
+  const periodRange = useMemo(
+    () => resolvePeriod({ period, year, month, quarter, week, from, to }, { fiscalYearStartMonth }),
+    [period, year, month, quarter, week, from, to, fiscalYearStartMonth]
+  );
+  const periodInvoices = useMemo(
+    () => filterInvoicesByCurrency(filterInvoicesByPeriod(invoices, periodRange, basis), currency),
+    [invoices, periodRange, basis, currency]
+  );
+
+  // ✅ Customer analytics derived from the shared invoice store, aggregated in a worker
+  // and ranked in the reporting currency
+  const payload = useMemo(() => (
+    rateTable ? { invoices: periodInvoices, customerAliases, reportingCurrency, rateTable } : null
+  ), [periodInvoices, customerAliases, reportingCurrency, rateTable]);
+  const { data: customerAnalytics, error: aggregationError } = useAggregation("customers", payload);
+
+  // ✅ RFM segments score each customer's whole invoice history (see utils/rfm.js), so a
+  // customer keeps their segment whatever period or currency is selected
+  const segmentPayload = useMemo(() => (
+    rateTable ? { invoices, customerAliases, reportingCurrency, rateTable } : null
+  ), [invoices, customerAliases, reportingCurrency, rateTable]);
+  const { data: segmentReport } = useAggregation("customerSegments", segmentPayload);
+  // Dormancy is judged as of today over the whole history, like the segments
+  const { data: dormancyReport } = useAggregation("dormancy", segmentPayload);
+
+  const rfmById = useMemo(
+    () => new Map((segmentReport?.customers || []).map(row => [row.id, row])),
+    [segmentReport]
+  );
+
+  const customers = useMemo(
+    () => (customerAnalytics || []).map(customer => ({ ...customer, rfm: rfmById.get(customer.id) || null })),
+    [customerAnalytics, rfmById]
+  );
 
   // Filter and sort customers
-  const filteredAndSortedCustomers = customers
+  const filteredAndSortedCustomers = useMemo(() => customers
+    .filter(customer => segmentFilter === "All" || customer.rfm?.segment === segmentFilter)
     .filter(customer => 
       !searchTerm || 
-      customer.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
+      customer.aliases.some(alias => alias.toLowerCase().includes(searchTerm.toLowerCase())) ||
       customer.id.toString().includes(searchTerm)
     )
     .sort((a, b) => {
@@ -266,7 +452,19 @@ function Customers() {
         default: // totalSpent
           return b.totalSpent - a.totalSpent;
       }
-    });
+    }), [customers, segmentFilter, searchTerm, sortBy]);
+
+  const segmentCounts = useMemo(() => customers.reduce((counts, customer) => {
+    if (customer.rfm) counts[customer.rfm.segment] = (counts[customer.rfm.segment] || 0) + 1;
+    return counts;
+  }, {}), [customers]);
+
+  const handleExportSegments = () => {
+    const rows = filteredAndSortedCustomers.map(customer => customer.rfm).filter(Boolean);
+    if (!exportSegmentsToExcel(rows, segmentReport, segmentFilter)) {
+      alert('❌ Failed to export customer segments. Please try again.');
+    }
+  };
 
   // Calculate stats
   const stats = {
@@ -274,17 +472,17 @@ function Customers() {
     totalRevenue: customers.reduce((sum, c) => sum + c.totalSpent, 0),
     totalOrders: customers.reduce((sum, c) => sum + c.orderCount, 0),
     averageOrderValue: customers.length > 0 ? 
-      customers.reduce((sum, c) => sum + c.totalSpent, 0) / customers.reduce((sum, c) => sum + c.orderCount, 0) : 0
+      customers.reduce((sum, c) => sum + c.totalSpent, 0) / Math.max(1, customers.reduce((sum, c) => sum + c.orderCount - c.unconvertedCount, 0)) : 0
   };
 
-  if (loading) return <Spinner />;
-  if (error) return (
+  if (loading || (!customerAnalytics && !aggregationError)) return <Spinner />;
+  if (error && invoices.length === 0) return (
     <div className="flex flex-col items-center justify-center h-screen bg-gradient-to-br from-red-50 to-red-100">
       <div className="bg-white p-8 rounded-xl shadow-lg border border-red-200">
         <div className="text-red-500 text-4xl mb-4 text-center">⚠️</div>
         <p className="text-center text-red-600 font-medium">{error}</p>
         <button 
-          onClick={() => window.location.reload()} 
+          onClick={refresh} 
           className="mt-4 px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors"
         >
           Retry
@@ -307,8 +505,21 @@ function Customers() {
               <p className="text-gray-600 mt-1">Track customer behavior and spending patterns</p>
             </div>
             <div className="mt-4 md:mt-0 flex gap-2">
+              <Link
+                to="/customer-matching"
+                className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition-colors flex items-center gap-2"
+              >
+                🔗 Match Customers
+              </Link>
               <button
-                onClick={() => setViewMode(viewMode === "cards" ? "table" : "cards")}
+                onClick={handleExportSegments}
+                disabled={!segmentReport || filteredAndSortedCustomers.length === 0}
+                className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                📥 Export Segments
+              </button>
+              <button
+                onClick={() => setFilters({ view: viewMode === "cards" ? "table" : "cards" })}
                 className="px-4 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 transition-colors flex items-center gap-2"
               >
                 {viewMode === "cards" ? "📋" : "🃏"} 
@@ -320,6 +531,8 @@ function Customers() {
       </div>
 
       <div className="max-w-7xl mx-auto px-4 py-8">
+        <InvoiceLoadProgress />
+
         {/* Stats Overview */}
         <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 md:gap-6 mb-8">
           <StatsCard
@@ -332,26 +545,28 @@ function Customers() {
           <StatsCard
             icon="💰"
             title="Total Revenue"
-            value={smartFormat(stats.totalRevenue)}
-            subtitle="All customers"
+            value={formatConverted(stats.totalRevenue, reportingCurrency)}
+            subtitle={`All customers, in ${reportingCurrency}`}
             color="green"
           />
           <StatsCard
             icon="📦"
             title="Total Orders"
             value={stats.totalOrders.toLocaleString()}
-            subtitle="All time"
+            subtitle={periodRange.label}
             color="purple"
           />
           <StatsCard
             icon="📊"
             title="Avg Order Value"
-            value={smartFormat(stats.averageOrderValue)}
-            subtitle="Per order"
+            value={formatConverted(stats.averageOrderValue, reportingCurrency)}
+            subtitle={`Per order, in ${reportingCurrency}`}
             color="orange"
           />
         </div>
 
+        {dormancyReport && <AtRiskPanel report={dormancyReport} />}
+
         {/* Controls */}
         <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6 mb-8">
           <div className="flex flex-col lg:flex-row gap-4 items-center justify-between">
@@ -362,20 +577,42 @@ function Customers() {
                   type="text"
                   placeholder="Search customers..."
                   value={searchTerm}
-                  onChange={(e) => setSearchTerm(e.target.value)}
+                  onChange={(e) => setFilters({ search: e.target.value }, { replace: true })}
                   className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent"
                 />
                 <div className="absolute left-3 top-2.5 text-gray-400">🔍</div>
               </div>
             </div>
 
-            {/* Sort Options */}
-            <div className="flex gap-4">
+            {/* Period, currency and sort options */}
+            <div className="flex flex-wrap items-start gap-4">
+              <InvoiceFilterControls
+                value={filters}
+                onChange={setFilters}
+                fiscalYearStartMonth={fiscalYearStartMonth}
+                inputClassName="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-green-500 focus:border-transparent"
+              />
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Segment</label>
+                <select
+                  value={segmentFilter}
+                  onChange={(e) => setFilters({ segment: e.target.value })}
+                  disabled={!segmentReport}
+                  className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                >
+                  <option value="All">All Segments</option>
+                  {RFM_SEGMENTS.map(segment => (
+                    <option key={segment.key} value={segment.key}>
+                      {segment.label} ({segmentCounts[segment.key] || 0})
+                    </option>
+                  ))}
+                </select>
+              </div>
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Sort By</label>
                 <select
                   value={sortBy}
-                  onChange={(e) => setSortBy(e.target.value)}
+                  onChange={(e) => setFilters({ sort: e.target.value })}
                   className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-green-500 focus:border-transparent"
                 >
                   <option value="totalSpent">Total Spent</option>
@@ -416,65 +653,15 @@ function Customers() {
                 <span className="text-sm font-normal text-gray-500">({filteredAndSortedCustomers.length} customers)</span>
               </h2>
             </div>
-            <div className="overflow-x-auto">
-              <table className="w-full">
-                <thead className="bg-gray-50 border-b border-gray-200">
-                  <tr>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rank</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Customer</th>
-                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Total Spent</th>
-                    <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Orders</th>
-                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Avg Order</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Currencies</th>
-                  </tr>
-                </thead>
-                <tbody className="divide-y divide-gray-200">
-                  {filteredAndSortedCustomers.map((customer, index) => (
-                    <tr key={customer.id} className="hover:bg-gray-50 transition-colors">
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <span className="text-lg font-bold">
-                          {index < 3 ? ["🥇", "🥈", "🥉"][index] : `#${index + 1}`}
-                        </span>
-                      </td>
-                      <td className="px-6 py-4">
-                        <div className="font-semibold text-gray-900 max-w-xs truncate" title={customer.name}>
-                          {customer.name}
-                        </div>
-                        <div className="text-sm text-gray-500">
-                          {customer.orderCount} order{customer.orderCount !== 1 ? 's' : ''}
-                        </div>
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-right">
-                        <span className="text-lg font-bold text-green-600">
-                          {smartFormat(customer.totalSpent)}
-                        </span>
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-center">
-                        <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
-                          {customer.orderCount}
-                        </span>
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-right font-semibold text-gray-900">
-                        {smartFormat(customer.averageOrder)}
-                      </td>
-                      <td className="px-6 py-4">
-                        <div className="flex flex-wrap gap-1">
-                          {customer.currencies.map((currency, idx) => (
-                            <span key={idx} className={`px-2 py-1 rounded-full text-xs font-medium ${
-                              currency === 'USD' ? 'bg-green-100 text-green-800' :
-                              currency === 'PKR' ? 'bg-blue-100 text-blue-800' :
-                              'bg-purple-100 text-purple-800'
-                            }`}>
-                              {currency}
-                            </span>
-                          ))}
-                        </div>
-                      </td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
+            <VirtualTable
+              rows={filteredAndSortedCustomers}
+              columns={CUSTOMER_COLUMNS}
+              rowHeight={72}
+              minWidth={760}
+              onRowActivate={(customer) => navigate(`/customers/${encodeURIComponent(customer.id)}`)}
+              ariaLabel="Customer rankings"
+              emptyMessage="No customers match your search criteria"
+            />
           </div>
         )}
 
@@ -1,124 +1,54 @@
-import { useEffect, useState, useCallback } from "react";
+import { useEffect, useState, useMemo, useRef } from "react";
+import { Link, useLocation, useNavigate } from "react-router-dom";
 import cachedApiClient from "../api/cachedApiClient";
 import * as XLSX from 'xlsx';
-
-// Utility function to get current USD to PKR exchange rate
-const getUSDToPKRRate = async () => {
-  try {
-    // Using a free exchange rate API
-    const response = await fetch('https://api.exchangerate-api.com/v4/latest/USD');
-    const data = await response.json();
-    return data.rates.PKR || 280; // Fallback to 280 if API fails
-  } catch (error) {
-    console.warn('Failed to fetch exchange rate, using fallback rate:', error);
-    return 280; // Fallback rate
-  }
-};
-
-// Utility function to filter invoices by time period (same as Salespersons page)
-const filterInvoicesByPeriod = (invoices, period, year, month, quarter, dateType) => {
-  const now = new Date();
-  
-  return invoices.filter(inv => {
-    // Use the selected date type (creationDate or invoiceDate)
-    const dateToUse = dateType === "creationDate" ? inv.createdAt : inv.invoiceDate;
-    const invoiceDate = new Date(dateToUse);
-    
-    switch (period) {
-      case "daily":
-        return invoiceDate.toDateString() === now.toDateString();
-      case "monthly":
-        return invoiceDate.getFullYear() === year && invoiceDate.getMonth() + 1 === month;
-      case "quarterly": {
-        const invoiceQuarter = Math.ceil((invoiceDate.getMonth() + 1) / 3);
-        return invoiceDate.getFullYear() === year && invoiceQuarter === quarter;
-      }
-      case "yearly":
-        return invoiceDate.getFullYear() === year;
-      default: // "all"
-        return true;
-    }
-  });
-};
-
-// Utility function to calculate total revenue in PKR
-const calculateTotalRevenueInPKR = async (invoices) => {
-  try {
-    // Get current exchange rate
-    const usdToPkrRate = await getUSDToPKRRate();
-    console.log('💱 Current USD to PKR rate:', usdToPkrRate);
-    
-    // Filter out cancelled invoices
-    const validInvoices = invoices.filter(invoice => 
-      invoice.status !== 'Cancelled' && invoice.status !== 'cancelled'
-    );
-    
-    console.log(`📊 Total invoices: ${invoices.length}, Valid invoices (non-cancelled): ${validInvoices.length}`);
-    
-    let totalRevenuePKR = 0;
-    let usdInvoices = 0;
-    let pkrInvoices = 0;
-    let aedInvoices = 0;
-    
-    validInvoices.forEach(invoice => {
-      const total = parseFloat(invoice.total || 0);
-      const currency = invoice.currency || 'USD';
-      
-      if (currency === 'USD') {
-        totalRevenuePKR += total * usdToPkrRate;
-        usdInvoices++;
-      } else if (currency === 'PKR') {
-        totalRevenuePKR += total;
-        pkrInvoices++;
-      } else if (currency === 'AED') {
-        // Convert AED to PKR (AED to USD rate is approximately 0.27, then USD to PKR)
-        const aedToUsdRate = 0.27;
-        totalRevenuePKR += total * aedToUsdRate * usdToPkrRate;
-        aedInvoices++;
-      }
-    });
-    
-    return {
-      totalRevenuePKR,
-      usdToPkrRate,
-      validInvoicesCount: validInvoices.length,
-      cancelledInvoicesCount: invoices.length - validInvoices.length,
-      breakdown: {
-        usdInvoices,
-        pkrInvoices,
-        aedInvoices
-      }
-    };
-  } catch (error) {
-    console.error('Error calculating total revenue in PKR:', error);
-    return {
-      totalRevenuePKR: 0,
-      usdToPkrRate: 280,
-      validInvoicesCount: 0,
-      cancelledInvoicesCount: 0,
-      breakdown: { usdInvoices: 0, pkrInvoices: 0, aedInvoices: 0 }
-    };
-  }
-};
+import { useInvoices } from "../contexts/InvoiceContext";
+import InvoiceLoadProgress from "../Components/InvoiceLoadProgress";
+import VirtualTable from "../Components/VirtualTable";
+import { filterInvoicesByCurrency, fromDailyTotals, sortInvoicesByDate, toInvoiceQueryString } from "../utils/invoices";
+import { useExchangeRates } from "../hooks/useExchangeRates";
+import { useAggregation } from "../hooks/useAggregation";
+import { useApiQuery } from "../hooks/useApiQuery";
+import { useInvoiceSearch } from "../hooks/useInvoiceSearch";
+import { useFilterState } from "../hooks/useFilterState";
+import { useSavedViews } from "../hooks/useSavedViews";
+import { usePeriodSettings } from "../hooks/usePeriodSettings";
+import { usePaymentTerms } from "../hooks/usePaymentTerms";
+import { useCustomerAliases } from "../hooks/useCustomerAliases";
+import SavedViewsBar from "../Components/SavedViewsBar";
+import { SAVED_VIEW_FIELDS } from "../utils/savedViews";
+import Highlight from "../Components/Highlight";
+import ChangeBadge from "../Components/ChangeBadge";
+import InvoiceFilterControls from "../Components/InvoiceFilterControls";
+import { filterInvoicesByPeriod, getComparisonPeriod, resolvePeriod } from "../utils/periods";
+import { getChange } from "../utils/comparison";
+import { PAYMENT_TERMS, describePaymentTerms, getPaymentStatus } from "../utils/paymentTerms";
+import { getHighlightRanges } from "../search/searchIndex";
+import { describeRateTable, getCurrencySymbol, SUPPORTED_CURRENCIES, VALUATION_MODES } from "../utils/currency";
 
 // Utility function to export invoices to Excel
-const exportInvoicesToExcel = (invoices, period, year, month, quarter, sortBy) => {
+const exportInvoicesToExcel = (invoices, periodRange, sortBy, paymentTerms, customerAliases) => {
   try {
     // Prepare data for Excel export
-    const excelData = invoices.map(invoice => ({
-      'Invoice Number': invoice.invoiceNumber || invoice.id,
-      'Customer Name': invoice.customerName || 'Unknown',
-      'Salesperson': invoice.salespersonName || 'Unknown',
-      'Total Amount': invoice.total || 0,
-      'Currency': invoice.currency || 'USD',
-      'Invoice Date': invoice.invoiceDate ? new Date(invoice.invoiceDate).toLocaleDateString() : 'N/A',
-      'Creation Date': invoice.createdAt ? new Date(invoice.createdAt).toLocaleDateString() : 'N/A',
-      'Status': invoice.status || 'Active',
-      'Payment Status': invoice.payment_status || 'Unknown',
-      'Paid Amount': invoice.paid || 0,
-      'Unpaid Amount': invoice.unpaid || 0,
-      'Description': invoice.description || ''
-    }));
+    const excelData = invoices.map(invoice => {
+      const payment = getPaymentStatus(invoice, paymentTerms, customerAliases);
+      return {
+        'Invoice Number': invoice.invoiceNumber || invoice.id,
+        'Customer Name': invoice.customerName || 'Unknown',
+        'Salesperson': invoice.salespersonName || 'Unknown',
+        'Total Amount': invoice.total || 0,
+        'Currency': invoice.currency || 'USD',
+        'Invoice Date': invoice.invoiceDate ? new Date(invoice.invoiceDate).toLocaleDateString() : 'N/A',
+        'Creation Date': invoice.createdAt ? new Date(invoice.createdAt).toLocaleDateString() : 'N/A',
+        'Status': invoice.status || 'Active',
+        'Payment Terms': PAYMENT_TERMS[payment.term].label,
+        'Due Date': payment.dueDate || 'N/A',
+        'Payment Status': payment.status,
+        'Paid Amount': invoice.paid || 0,
+        'Unpaid Amount': invoice.unpaid || 0,
+        'Description': invoice.description || ''
+      };
+    });
 
     // Create workbook and worksheet
     const wb = XLSX.utils.book_new();
@@ -134,6 +64,8 @@ const exportInvoicesToExcel = (invoices, period, year, month, quarter, sortBy) =
       { wch: 15 }, // Invoice Date
       { wch: 15 }, // Creation Date
       { wch: 12 }, // Status
+      { wch: 15 }, // Payment Terms
+      { wch: 12 }, // Due Date
       { wch: 15 }, // Payment Status
       { wch: 15 }, // Paid Amount
       { wch: 15 }, // Unpaid Amount
@@ -146,11 +78,10 @@ const exportInvoicesToExcel = (invoices, period, year, month, quarter, sortBy) =
 
     // Generate filename based on filters
     let filename = 'invoices';
-    if (period !== 'all') {
-      const periodText = period === 'daily' ? 'today' : 
-                        period === 'monthly' ? `${year}-${month.toString().padStart(2, '0')}` :
-                        period === 'quarterly' ? `Q${quarter}-${year}` :
-                        period === 'yearly' ? `${year}` : period;
+    const { start, end } = periodRange;
+    if (start || end) {
+      const periodText = start && end ? (start === end ? start : `${start}_to_${end}`) :
+                        start ? `from_${start}` : `until_${end}`;
       filename += `_${periodText}`;
     }
     filename += `_${sortBy === 'creationDate' ? 'creation_date' : 'invoice_date'}`;
@@ -167,124 +98,28 @@ const exportInvoicesToExcel = (invoices, period, year, month, quarter, sortBy) =
   }
 };
 
-// Utility functions for date handling (same as Salespersons page)
-const getMonthName = (monthNum) => {
-  const months = [
-    "January", "February", "March", "April", "May", "June",
-    "July", "August", "September", "October", "November", "December"
-  ];
-  return months[monthNum - 1];
-};
-
-const getPeriodDisplayText = (period, year, month, quarter) => {
-  switch (period) {
-    case "daily": return "Today";
-    case "monthly": return `${getMonthName(month)} ${year}`;
-    case "quarterly": return `Q${quarter} ${year}`;
-    case "yearly": return `Year ${year}`;
-    default: return "All Time";
-  }
-};
-
-// Utility function to determine payment status
-const getPaymentStatus = (invoice) => {
-  const paid = parseFloat(invoice.paid || 0);
-  const unpaid = parseFloat(invoice.unpaid || 0);
-  
-  // If unpaid = 0.0, then it's fully paid
-  if (unpaid === 0.0) {
-    return { status: 'Paid', color: 'bg-green-100 text-green-800' };
-  }
-  
-  // If paid = 0.0, then it's unpaid
-  if (paid === 0.0) {
-    // Check if there's a sent_at date to determine if payment is due in the future
-    if (invoice.sent_at) {
-      const sentDate = new Date(invoice.sent_at);
-      const now = new Date();
-      const diffTime = sentDate.getTime() - now.getTime();
-      const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-      
-      if (diffDays > 0) {
-        // Payment is due in the future
-        if (diffDays === 1) {
-          return { status: 'Due in 1 day', color: 'bg-orange-100 text-orange-800' };
-        } else if (diffDays < 30) {
-          return { status: `Due in ${diffDays} days`, color: 'bg-orange-100 text-orange-800' };
-        } else if (diffDays < 365) {
-          const months = Math.floor(diffDays / 30);
-          return { status: `Due in ${months} month${months > 1 ? 's' : ''}`, color: 'bg-orange-100 text-orange-800' };
-        } else {
-          const years = Math.floor(diffDays / 365);
-          return { status: `Due in ${years} year${years > 1 ? 's' : ''}`, color: 'bg-orange-100 text-orange-800' };
-        }
-      } else if (diffDays === 0) {
-        return { status: 'Due today', color: 'bg-red-100 text-red-800' };
-      } else {
-        // Payment is overdue
-        const overdueDays = Math.abs(diffDays);
-        if (overdueDays === 1) {
-          return { status: 'Overdue 1 day', color: 'bg-red-100 text-red-800' };
-        } else if (overdueDays < 30) {
-          return { status: `Overdue ${overdueDays} days`, color: 'bg-red-100 text-red-800' };
-        } else if (overdueDays < 365) {
-          const months = Math.floor(overdueDays / 30);
-          return { status: `Overdue ${months} month${months > 1 ? 's' : ''}`, color: 'bg-red-100 text-red-800' };
-        } else {
-          const years = Math.floor(overdueDays / 365);
-          return { status: `Overdue ${years} year${years > 1 ? 's' : ''}`, color: 'bg-red-100 text-red-800' };
-        }
-      }
-    }
-    
-    // Default unpaid status
-    return { status: 'Not Paid', color: 'bg-red-100 text-red-800' };
-  }
-  
-  // If both paid > 0.0 AND unpaid > 0.0, then it's partially paid
-  if (paid > 0.0 && unpaid > 0.0) {
-    return { status: 'Partially Paid', color: 'bg-yellow-100 text-yellow-800' };
-  }
-  
-  // If no payment information is available, check if invoice was sent
-  if (invoice.sent === true && invoice.sent_at) {
-    const sentDate = new Date(invoice.sent_at);
-    const now = new Date();
-    const diffTime = sentDate.getTime() - now.getTime();
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-    
-    if (diffDays > 0) {
-      return { status: `Due in ${diffDays} day${diffDays > 1 ? 's' : ''}`, color: 'bg-orange-100 text-orange-800' };
-    } else if (diffDays <= 0) {
-      return { status: 'Payment Due', color: 'bg-red-100 text-red-800' };
-    }
-  }
-  
-  // Default to Not Paid if no other information is available
-  return { status: 'Not Paid', color: 'bg-red-100 text-red-800' };
-};
-
 // Enhanced Spinner - Progressive loading strategy
-const Spinner = () => (
+const Spinner = ({ serverQuery = false }) => (
   <div className="flex flex-col justify-center items-center h-screen w-full bg-gradient-to-br from-blue-50 to-indigo-100">
     <div className="relative">
       <div className="w-16 h-16 border-4 border-blue-200 border-t-blue-600 rounded-full animate-spin"></div>
       <div className="w-12 h-12 border-4 border-purple-200 border-t-purple-600 rounded-full animate-spin absolute top-2 left-2 animate-pulse"></div>
     </div>
     <p className="mt-4 text-gray-600 font-medium">
-      ⚡ Loading first batch (1000 invoices)...
+      {serverQuery ? "⚡ Loading the first page of invoices..." : "⚡ Loading first batch (1000 invoices)..."}
     </p>
     <div className="mt-2 text-sm text-gray-500">
-      Remaining invoices will load in background
+      {serverQuery ? "Filtering and paging happen on the server" : "Remaining invoices will load in background"}
     </div>
     <div className="mt-4 text-xs text-blue-600 bg-blue-50 px-3 py-2 rounded-lg">
-      🚀 Progressive loading for maximum speed
+      🚀 {serverQuery ? "Only the rows you view are downloaded" : "Progressive loading for maximum speed"}
     </div>
   </div>
 );
 
 // Stats Card Component
-const StatsCard = ({ icon, title, value, subtitle, color = "blue" }) => {
+// `change` (from getChange) shows the delta against the comparison period, formatted with `format`
+const StatsCard = ({ icon, title, value, subtitle, change, format, comparedTo, color = "blue" }) => {
   const colorClasses = {
     blue: "from-blue-500 to-blue-600 text-blue-600 bg-blue-50",
     green: "from-green-500 to-green-600 text-green-600 bg-green-50",
@@ -299,6 +134,12 @@ const StatsCard = ({ icon, title, value, subtitle, color = "blue" }) => {
           <p className="text-sm font-medium text-gray-600 uppercase tracking-wide">{title}</p>
           <p className="text-2xl font-bold text-gray-900 mt-1">{value}</p>
           {subtitle && <p className="text-sm text-gray-500 mt-1">{subtitle}</p>}
+          {change && (
+            <div className="mt-2 flex flex-wrap items-center gap-2">
+              <ChangeBadge change={change} format={format} />
+              {comparedTo && <span className="text-xs text-gray-500">{comparedTo}</span>}
+            </div>
+          )}
         </div>
         <div className={`p-3 rounded-lg ${colorClasses[color].split(' ')[2]} ${colorClasses[color].split(' ')[3]}`}>
           <div className={`text-2xl ${colorClasses[color].split(' ')[1]}`}>{icon}</div>
@@ -308,13 +149,29 @@ const StatsCard = ({ icon, title, value, subtitle, color = "blue" }) => {
   );
 };
 
-// Modern Invoice Card Component
-const InvoiceCard = ({ invoice, index, page, pageSize }) => (
-  <div className="bg-white rounded-lg shadow-md border border-gray-200 p-6 hover:shadow-lg transition-all duration-300 hover:border-blue-300">
+// Whether a search matched part of a field's text
+const hasHighlight = (text, field, highlights) => getHighlightRanges(String(text ?? ""), highlights?.[field]).length > 0;
+
+// Payment status badge; hover shows the payment term and due date
+const PaymentBadge = ({ invoice, paymentTerms, customerAliases }) => {
+  const payment = getPaymentStatus(invoice, paymentTerms, customerAliases);
+  return (
+    <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${payment.color}`} title={describePaymentTerms(payment)}>
+      {payment.status}
+    </span>
+  );
+};
+
+// Modern Invoice Card Component (opens the invoice detail page)
+const InvoiceCard = ({ invoice, index, highlights, paymentTerms, customerAliases }) => (
+  <Link
+    to={`/invoices/${invoice.id}`}
+    className="block bg-white rounded-lg shadow-md border border-gray-200 p-6 hover:shadow-lg transition-all duration-300 hover:border-blue-300"
+  >
     <div className="flex justify-between items-start mb-4">
       <div>
-        <h3 className="font-semibold text-gray-900 text-lg">#{invoice.invoiceNumber || invoice.id}</h3>
-        <p className="text-sm text-gray-500">Invoice #{(page - 1) * pageSize + (index + 1)}</p>
+        <h3 className="font-semibold text-gray-900 text-lg">#<Highlight text={invoice.invoiceNumber || invoice.id} field="invoice" highlights={highlights} /></h3>
+        <p className="text-sm text-gray-500">Invoice #{index + 1}</p>
       </div>
       <span className={`px-3 py-1 rounded-full text-xs font-medium ${
         invoice.currency === 'USD' ? 'bg-green-100 text-green-800' :
@@ -324,16 +181,21 @@ const InvoiceCard = ({ invoice, index, page, pageSize }) => (
         {invoice.currency}
       </span>
     </div>
-    
+  
     <div className="space-y-3">
       <div className="flex justify-between">
         <span className="text-gray-600">Customer:</span>
-        <span className="font-medium text-gray-900 text-right">{invoice.customerName}</span>
+        <span className="font-medium text-gray-900 text-right"><Highlight text={invoice.customerName} field="customer" highlights={highlights} /></span>
       </div>
       <div className="flex justify-between">
         <span className="text-gray-600">Salesperson:</span>
-        <span className="font-medium text-blue-600">{invoice.salespersonName || "Unknown"}</span>
+        <span className="font-medium text-blue-600"><Highlight text={invoice.salespersonName || "Unknown"} field="salesperson" highlights={highlights} /></span>
       </div>
+      {hasHighlight(invoice.description, "description", highlights) && (
+        <div className="text-sm text-gray-500 italic">
+          <Highlight text={invoice.description} field="description" highlights={highlights} snippet />
+        </div>
+      )}
       <div className="flex justify-between">
         <span className="text-gray-600">Date:</span>
         <span className="font-medium text-gray-900">{invoice.invoiceDate?.slice(0, 10) || "—"}</span>
@@ -350,44 +212,257 @@ const InvoiceCard = ({ invoice, index, page, pageSize }) => (
       </div>
       <div className="flex justify-between">
         <span className="text-gray-600">Payment:</span>
-        <span className={`px-2 py-1 rounded-full text-xs font-medium ${getPaymentStatus(invoice).color}`}>
-          {getPaymentStatus(invoice).status}
-        </span>
+        <PaymentBadge invoice={invoice} paymentTerms={paymentTerms} customerAliases={customerAliases} />
       </div>
       <div className="flex justify-between items-center pt-2 border-t border-gray-100">
         <span className="text-gray-600 font-medium">Total:</span>
                         <span className="text-xl font-bold text-green-600">{parseFloat(invoice.total || 0).toLocaleString('en-US', { minimumFractionDigits: 1, maximumFractionDigits: 1 })}</span>
       </div>
     </div>
-  </div>
+  </Link>
 );
 
+const CARD_BATCH_SIZE = 60;
+
+// Rows per page when the API filters and pages the invoice list
+const PAGE_SIZE_OPTIONS = [50, 100, 250, 500];
+const DEFAULT_PAGE_SIZE = 100;
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Search results are paged in the browser, like the server pages the plain list
+const paginateResults = (results, page, pageSize) => {
+  const totalPages = Math.ceil(results.length / pageSize);
+  return {
+    page,
+    pageSize,
+    totalCount: results.length,
+    totalPages,
+    hasNextPage: page < totalPages,
+    hasPreviousPage: page > 1
+  };
+};
+
+// Pager for the server-side invoice list
+const PaginationBar = ({ pagination, onPageChange, pageSize, onPageSizeChange }) => {
+  const firstRow = pagination.totalCount === 0 ? 0 : (pagination.page - 1) * pagination.pageSize + 1;
+  const lastRow = Math.min(pagination.page * pagination.pageSize, pagination.totalCount);
+
+  return (
+    <div className="flex flex-col sm:flex-row items-center justify-between gap-3 px-4 py-3 border-t border-gray-200 bg-gray-50 text-sm">
+      <div className="text-gray-600">
+        Rows <span className="font-medium">{firstRow.toLocaleString()}–{lastRow.toLocaleString()}</span> of{" "}
+        <span className="font-medium">{pagination.totalCount.toLocaleString()}</span>
+      </div>
+      <div className="flex items-center gap-2">
+        <select
+          value={pageSize}
+          onChange={(e) => onPageSizeChange(parseInt(e.target.value))}
+          className="px-2 py-1 border border-gray-300 rounded-lg bg-white"
+          aria-label="Rows per page"
+        >
+          {PAGE_SIZE_OPTIONS.map(size => (
+            <option key={size} value={size}>{size} / page</option>
+          ))}
+        </select>
+        <button
+          onClick={() => onPageChange(1)}
+          disabled={!pagination.hasPreviousPage}
+          className="px-2 py-1 border border-gray-300 rounded-lg bg-white hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          ⏮
+        </button>
+        <button
+          onClick={() => onPageChange(pagination.page - 1)}
+          disabled={!pagination.hasPreviousPage}
+          className="px-3 py-1 border border-gray-300 rounded-lg bg-white hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          ← Prev
+        </button>
+        <span className="text-gray-600">
+          Page {pagination.page.toLocaleString()} of {Math.max(1, pagination.totalPages).toLocaleString()}
+        </span>
+        <button
+          onClick={() => onPageChange(pagination.page + 1)}
+          disabled={!pagination.hasNextPage}
+          className="px-3 py-1 border border-gray-300 rounded-lg bg-white hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Next →
+        </button>
+        <button
+          onClick={() => onPageChange(pagination.totalPages)}
+          disabled={!pagination.hasNextPage}
+          className="px-2 py-1 border border-gray-300 rounded-lg bg-white hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          ⏭
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Column definitions for the virtualized invoice table
+const INVOICE_COLUMNS = [
+  {
+    key: "index",
+    header: "#",
+    width: "64px",
+    className: "text-sm text-gray-500",
+    render: (inv, index) => index + 1
+  },
+  {
+    key: "invoiceNumber",
+    header: "Invoice",
+    width: "minmax(100px, 1fr)",
+    className: "font-medium text-gray-900 text-sm",
+    render: (inv) => inv.invoiceNumber || inv.id
+  },
+  {
+    key: "invoiceDate",
+    header: "Date",
+    width: "110px",
+    className: "text-sm text-gray-900",
+    render: (inv) => inv.invoiceDate?.slice(0, 10) || "—"
+  },
+  {
+    key: "customerName",
+    header: "Customer",
+    width: "minmax(200px, 2fr)",
+    className: "text-sm font-medium text-gray-900",
+    render: (inv) => <span title={inv.customerName}>{inv.customerName || "Unknown"}</span>
+  },
+  {
+    key: "salespersonName",
+    header: "Salesperson",
+    width: "minmax(140px, 1.5fr)",
+    render: (inv) => (
+      <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+        {inv.salespersonName || "Unknown"}
+      </span>
+    )
+  },
+  {
+    key: "currency",
+    header: "Currency",
+    width: "90px",
+    render: (inv) => (
+      <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${
+        inv.currency === 'USD' ? 'bg-green-100 text-green-800' :
+        inv.currency === 'PKR' ? 'bg-blue-100 text-blue-800' :
+        'bg-purple-100 text-purple-800'
+      }`}>
+        {inv.currency || 'N/A'}
+      </span>
+    )
+  },
+  {
+    key: "status",
+    header: "Status",
+    width: "110px",
+    render: (inv) => (
+      <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${
+        inv.status === 'Cancelled' ? 'bg-red-100 text-red-800' :
+        inv.status === 'Invoiced' ? 'bg-blue-100 text-blue-800' :
+        'bg-gray-100 text-gray-800'
+      }`}>
+        {inv.status || 'Active'}
+      </span>
+    )
+  },
+  {
+    // Rendered in the Dashboard, which has the payment terms and customer aliases
+    key: "payment",
+    header: "Payment",
+    width: "110px"
+  },
+  {
+    key: "total",
+    header: "Total",
+    width: "minmax(110px, 1fr)",
+    align: "right",
+    className: "text-sm font-bold text-green-600",
+    render: (inv) => parseFloat(inv.total || 0).toLocaleString('en-US', { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+  }
+];
+
+// Table columns that can be hidden (the row number always shows)
+const HIDEABLE_COLUMNS = INVOICE_COLUMNS.filter(column => column.key !== "index");
+
+// /invoices and /invoices/daily-totals query parameters for a period
+const toFilterParams = (range, currency, dateBasis) => ({
+  currency,
+  ...(range.start && { startDate: range.start }),
+  ...(range.end && { endDate: range.end }),
+  dateBasis
+});
+
+// ✅ Filters kept in the URL (see utils/filters.js), so a view can be refreshed, shared or saved
+const DASHBOARD_FILTER_FIELDS = [...SAVED_VIEW_FIELDS, "compare", "page", "pageSize"];
+const DASHBOARD_FILTER_OVERRIDES = {
+  hiddenColumns: { values: HIDEABLE_COLUMNS.map(column => column.key) },
+  pageSize: { values: PAGE_SIZE_OPTIONS, default: DEFAULT_PAGE_SIZE }
+};
+
+// Show/hide table columns
+const ColumnPicker = ({ hiddenColumns, onChange }) => {
+  const toggleColumn = (key) => onChange(
+    hiddenColumns.includes(key) ? hiddenColumns.filter(hidden => hidden !== key) : [...hiddenColumns, key]
+  );
+
+  return (
+    <details className="relative">
+      <summary className="list-none cursor-pointer px-3 py-1.5 text-sm bg-white border border-gray-300 rounded-lg hover:bg-gray-50 hover:border-blue-300">
+        🧩 Columns{hiddenColumns.length > 0 && ` (${HIDEABLE_COLUMNS.length - hiddenColumns.length}/${HIDEABLE_COLUMNS.length})`}
+      </summary>
+      <div className="absolute right-0 mt-2 w-48 bg-white border border-gray-200 rounded-lg shadow-lg p-2 z-20">
+        {HIDEABLE_COLUMNS.map(column => (
+          <label key={column.key} className="flex items-center gap-2 px-2 py-1 text-sm text-gray-700 rounded hover:bg-gray-50 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={!hiddenColumns.includes(column.key)}
+              onChange={() => toggleColumn(column.key)}
+            />
+            {column.header}
+          </label>
+        ))}
+      </div>
+    </details>
+  );
+};
+
 function Dashboard() {
-  const [currency, setCurrency] = useState("All");
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [searchTerm, setSearchTerm] = useState("");
-  const [viewMode, setViewMode] = useState("table"); // table or cards
-  const [sortBy, setSortBy] = useState("creationDate"); // creationDate or invoiceDate
-
-  // ✅ Pagination state for OneUp API (all records in one call)
-  const [page, setPage] = useState(1);
-  const [pageSize, setPageSize] = useState(100); // Frontend pagination: 100 invoices per page
-  const [hasMorePages, setHasMorePages] = useState(false);
-  const [totalCount, setTotalCount] = useState(0);
-  
-  // ✅ Frontend pagination state
-  const [allInvoices, setAllInvoices] = useState([]); // Store all loaded invoices
-  const [currentPageInvoices, setCurrentPageInvoices] = useState([]); // Current page invoices
+  // ✅ Enhanced filtering system (same model as the Salespersons, Customers and Analytics pages)
+  const [filters, setFilters] = useFilterState(DASHBOARD_FILTER_FIELDS, DASHBOARD_FILTER_OVERRIDES);
+  const { currency, period, year, month, quarter, week, from, to, page, pageSize } = filters;
+  const sortBy = filters.basis; // creationDate or invoiceDate
+  const viewMode = filters.view; // table or cards
+  const debouncedSearch = filters.search;
+  const [searchTerm, setSearchTerm] = useState(filters.search);
 
+  // ✅ Saved views: the user's default view opens when the Dashboard has no filters in the URL
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { defaultView } = useSavedViews();
+  const defaultViewCheckedRef = useRef(false);
+  useEffect(() => {
+    if (defaultViewCheckedRef.current) return;
+    defaultViewCheckedRef.current = true;
+    if (!location.search && defaultView) {
+      setFilters(defaultView.filters, { replace: true });
+    }
+  }, [location.search, defaultView, setFilters]);
 
-  // ✅ Dashboard statistics
-  const [_stats, setStats] = useState({
-    currencySales: {},
-    totalInvoices: 0,
-    avgSale: 0,
-    topSalesperson: ""
-  });
+  // ✅ Query mode: the API filters and pages the invoice list. The shared invoice store
+  // (the whole table) is only loaded to search, or to filter in the browser when the API is out of reach.
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [serverUnreachable, setServerUnreachable] = useState(false);
+  const queryMode = isOnline && !serverUnreachable ? "server" : "client";
+  const searchActive = debouncedSearch !== "";
+  const { invoices, loading, error, refresh, status: storeStatus, isComplete } = useInvoices({ load: queryMode === "client" || searchActive });
+  const [queryVersion, setQueryVersion] = useState(0);
+  const [exporting, setExporting] = useState(false);
+
+  // ✅ Card view renders progressively (the table view is virtualized)
+  const [cardLimit, setCardLimit] = useState(CARD_BATCH_SIZE);
 
   // ✅ Sales summary from all invoices
   const [salesSummary, setSalesSummary] = useState({
@@ -398,12 +473,6 @@ function Dashboard() {
     currencyBreakdown: {}
   });
 
-  // ✅ Enhanced filtering system (same as Salespersons page)
-  const [period, setPeriod] = useState("all");
-  const [year, setYear] = useState(new Date().getFullYear());
-  const [month, setMonth] = useState(new Date().getMonth() + 1);
-  const [quarter, setQuarter] = useState(Math.ceil((new Date().getMonth() + 1) / 3));
-  
   // ✅ Time-based currency sales (legacy - keeping for compatibility)
   const [timePeriod] = useState("all");
   const [currencySalesData, setCurrencySalesData] = useState({
@@ -422,57 +491,8 @@ function Dashboard() {
     }
   });
 
-  // ✅ PKR Revenue calculation
-  const [pkrRevenueData, setPkrRevenueData] = useState({
-    totalRevenuePKR: 0,
-    usdToPkrRate: 280,
-    validInvoicesCount: 0,
-    cancelledInvoicesCount: 0,
-    breakdown: { usdInvoices: 0, pkrInvoices: 0, aedInvoices: 0 },
-    loading: true
-  });
-
-  // Calculate stats from current page data
-  useEffect(() => {
-    if (currentPageInvoices.length > 0) {
-      // Calculate sales by currency
-      const currencySales = {};
-      currentPageInvoices.forEach(inv => {
-        const currency = inv.currency || "USD";
-        const total = parseFloat(inv.total || 0);
-        currencySales[currency] = (currencySales[currency] || 0) + (isNaN(total) ? 0 : total);
-      });
-      
-      // Calculate average sale (using USD as reference for display)
-      const usdSales = currencySales["USD"] || 0;
-      const avgSale = usdSales / currentPageInvoices.filter(inv => inv.currency === "USD").length || 0;
-      
-      // Find top salesperson on current page
-      const salespersonSales = {};
-      currentPageInvoices.forEach(inv => {
-        const name = inv.salespersonName || "Unknown";
-        const total = parseFloat(inv.total || 0);
-        salespersonSales[name] = (salespersonSales[name] || 0) + (isNaN(total) ? 0 : total);
-      });
-      
-      const topSalesperson = Object.entries(salespersonSales)
-        .sort(([,a], [,b]) => b - a)[0]?.[0] || "Unknown";
-
-      setStats({
-        currencySales,
-        totalInvoices: totalCount,
-        avgSale: isNaN(avgSale) ? 0 : avgSale,
-        topSalesperson
-      });
-    } else {
-      setStats({
-        currencySales: {},
-        totalInvoices: 0,
-        avgSale: 0,
-        topSalesperson: "Unknown"
-      });
-    }
-  }, [currentPageInvoices, totalCount]);
+  // ✅ Revenue in the reporting currency (see Settings → Exchange Rates)
+  const { rateTable, reportingCurrency, valuationMode, setValuationMode } = useExchangeRates();
 
   // ✅ Fetch sales summary asynchronously (non-blocking)
   useEffect(() => {
@@ -573,234 +593,239 @@ function Dashboard() {
     fetchCurrencySalesAsync();
   }, [timePeriod]); // Run when time period changes
 
-  // ✅ Cache invalidation function
-  const clearDashboardCache = () => {
-    const keys = [
-      'dashboard-invoices-invoiceDate',
-      'dashboard-invoices-creationDate', 
-      'dashboard-sales-summary',
-      'dashboard-currency-sales-all',
-      'dashboard-currency-sales-month',
-      'dashboard-currency-sales-quarter',
-      'dashboard-currency-sales-year'
-    ];
-    
-    keys.forEach(key => {
-      sessionStorage.removeItem(key);
-    });
-    console.log('🗑️ Cleared dashboard cache');
-  };
+  // Follow the browser's connectivity; coming back online retries the API
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      setServerUnreachable(false);
+    };
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+    };
+  }, []);
 
-  // ✅ Data compression function
-  const compressData = (data) => {
-    try {
-      // Remove unnecessary fields to reduce size but keep status fields
-      const compressed = data.map(inv => ({
-        id: inv.id,
-        invoiceNumber: inv.invoiceNumber,
-        customerName: inv.customerName,
-        salespersonName: inv.salespersonName,
-        total: inv.total,
-        currency: inv.currency,
-        invoiceDate: inv.invoiceDate,
-        createdAt: inv.createdAt,
-        status: inv.status,
-        payment_status: inv.payment_status,
-        invoice_status: inv.invoice_status,
-        delivery_status: inv.delivery_status,
-        paid: inv.paid,
-        unpaid: inv.unpaid,
-        locked: inv.locked,
-        sent: inv.sent,
-        sent_at: inv.sent_at
-      }));
-      return JSON.stringify(compressed);
-    } catch (error) {
-      console.warn('Failed to compress data:', error);
-      return null;
+  // Search goes into the URL once typing pauses (replacing, not adding, a history entry);
+  // Back/Forward to another search puts its text back in the box
+  const urlSearchRef = useRef(filters.search);
+  useEffect(() => {
+    if (filters.search !== urlSearchRef.current) {
+      urlSearchRef.current = filters.search;
+      setSearchTerm(filters.search);
     }
-  };
+  }, [filters.search]);
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      urlSearchRef.current = searchTerm.trim();
+      setFilters({ search: searchTerm.trim() }, { replace: true });
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchTerm, setFilters]);
 
-  // ✅ Safe storage function with fallback
-  const safeSetStorage = useCallback((key, data) => {
-    try {
-      const compressed = compressData(data);
-      if (compressed) {
-        sessionStorage.setItem(key, compressed);
-        console.log(`💾 Cached ${data.length} invoices (compressed)`);
-        return true;
-      }
-    } catch (error) {
-      if (error.name === 'QuotaExceededError') {
-        console.warn('⚠️ Storage quota exceeded, skipping cache');
-        // Clear old cache and try again
-        clearDashboardCache();
-        try {
-          const compressed = compressData(data);
-          if (compressed) {
-            sessionStorage.setItem(key, compressed);
-            console.log(`💾 Cached ${data.length} invoices after clearing old cache`);
-            return true;
-          }
-        } catch (retryError) {
-          console.warn('⚠️ Still unable to cache data:', retryError);
-        }
-      }
-    }
-    return false;
-  }, []);
+  // ✅ The selected period as an inclusive date range (see utils/periods.js)
+  const { fiscalYearStartMonth } = usePeriodSettings();
+  const paymentTerms = usePaymentTerms();
+  const customerAliases = useCustomerAliases();
+  const periodRange = useMemo(
+    () => resolvePeriod({ period, year, month, quarter, week, from, to }, { fiscalYearStartMonth }),
+    [period, year, month, quarter, week, from, to, fiscalYearStartMonth]
+  );
+
+  const comparisonPeriod = useMemo(() => getComparisonPeriod(periodRange, filters.compare), [periodRange, filters.compare]);
 
-  // ✅ Debug data removed for better performance - invoices load first
+  // ✅ Server query: period, currency and paging are pushed to /invoices
+  const filterParams = useMemo(() => toFilterParams(periodRange, currency, sortBy), [currency, periodRange, sortBy]);
+
+  // Any filter change goes back to the first page (see applyFilterChanges)
+  const setPage = (nextPage) => setFilters({ page: nextPage });
+  const setPageSize = (size) => setFilters({ pageSize: size });
+
+  // ✅ Searching indexes every invoice matching the filters (not just one page), so it runs
+  // on the shared store once the whole table is there; a failed load searches what arrived
+  const searchInStore = queryMode === "client" || searchActive;
+  const waitingForStore = searchActive && !isComplete && !error;
+  const listQuery = useApiQuery(
+    queryMode === "server" && !searchActive
+      ? `/invoices?${toInvoiceQueryString({ page, pageSize, ...filterParams, sortBy })}`
+      : null,
+    queryVersion
+  );
+  const totalsQuery = useApiQuery(
+    queryMode === "server" ? `/invoices/daily-totals?${toInvoiceQueryString(filterParams)}` : null,
+    queryVersion
+  );
+  const comparisonTotalsQuery = useApiQuery(
+    queryMode === "server" && comparisonPeriod
+      ? `/invoices/daily-totals?${toInvoiceQueryString(toFilterParams(comparisonPeriod, currency, sortBy))}`
+      : null,
+    queryVersion
+  );
 
-  // ✅ Enhanced invoice loading with filtering (same as Salespersons page)
+  // Fall back to the browser only when the API cannot be reached at all
   useEffect(() => {
-    const fetchInvoicesProgressive = async () => {
-      // Check if we already have data cached
-      const cacheKey = `dashboard-invoices-${sortBy}-${period}-${year}-${month}-${quarter}`;
-      const cachedData = sessionStorage.getItem(cacheKey);
-      
-      if (cachedData) {
-        try {
-          const parsedData = JSON.parse(cachedData);
-          console.log(`📦 Loading cached invoices: ${parsedData.length} invoices`);
-          setAllInvoices(parsedData);
-          setTotalCount(parsedData.length);
-          setLoading(false);
-          return;
-        } catch (error) {
-          console.warn("Failed to parse cached data:", error);
-        }
-      }
+    if (listQuery.unreachable || totalsQuery.unreachable) {
+      console.warn("📴 Invoice API unreachable - filtering loaded invoices in the browser");
+      setServerUnreachable(true);
+    }
+  }, [listQuery.unreachable, totalsQuery.unreachable]);
+
+  // ✅ Cache invalidation - server queries are refetched, the shared store is reloaded offline
+  // (and online too once a search has loaded it)
+  const refreshDashboard = () => {
+    sessionStorage.removeItem('dashboard-sales-summary');
+    if (queryMode === "server") {
+      cachedApiClient.clearCache();
+      setQueryVersion(version => version + 1);
+      if (storeStatus !== "idle") refresh();
+    } else {
+      setServerUnreachable(false);
+      refresh();
+    }
+  };
+
+  // ✅ Offline or searching: filter the shared invoice store (same filtering as Salespersons page)
+  const allInvoices = useMemo(() => {
+    if (!searchInStore) return [];
+    const sortedInvoices = sortInvoicesByDate(invoices, sortBy);
+    const periodInvoices = filterInvoicesByPeriod(sortedInvoices, periodRange, sortBy);
+    return filterInvoicesByCurrency(periodInvoices, currency);
+  }, [searchInStore, invoices, currency, sortBy, periodRange]);
+
+  // ✅ Search the whole filtered set through a prebuilt index (see src/search)
+  const searchSource = searchActive && !waitingForStore ? allInvoices : null;
+  const searchResult = useInvoiceSearch(searchSource, debouncedSearch);
+  const searching = searchActive && !searchResult;
+  const highlights = searchResult?.highlights;
+
+  // ✅ What the page shows, from whichever mode is active
+  const pagination = searchActive
+    ? paginateResults(searchResult?.results || [], page, pageSize)
+    : queryMode === "server" ? listQuery.data?.pagination : null;
+  const visibleInvoices = useMemo(() => {
+    if (searchActive) {
+      return (searchResult?.results || []).slice((page - 1) * pageSize, page * pageSize).map(result => result.invoice);
+    }
+    return queryMode === "server" ? listQuery.data?.data || [] : allInvoices;
+  }, [searchActive, searchResult, page, pageSize, queryMode, listQuery.data, allInvoices]);
+  const matchCount = pagination ? pagination.totalCount : visibleInvoices.length;
+  const totalCount = queryMode === "server" ? totalsQuery.data?.totalCount ?? 0 : allInvoices.length;
+  const rowOffset = pagination ? (pagination.page - 1) * pagination.pageSize : 0;
+  const { hiddenColumns } = filters;
+  const invoiceColumns = useMemo(() => INVOICE_COLUMNS.filter(column => !hiddenColumns.includes(column.key)).map(column => {
+    switch (column.key) {
+      case "index":
+        return { ...column, render: (inv, index) => rowOffset + index + 1 };
+      case "invoiceNumber":
+        return { ...column, render: (inv) => <Highlight text={inv.invoiceNumber || inv.id} field="invoice" highlights={highlights} /> };
+      case "customerName":
+        // A matching description is shown under the customer
+        return {
+          ...column,
+          render: (inv) => (
+            <div title={inv.customerName}>
+              <div className="truncate"><Highlight text={inv.customerName || "Unknown"} field="customer" highlights={highlights} /></div>
+              {hasHighlight(inv.description, "description", highlights) && (
+                <div className="truncate text-xs font-normal text-gray-500">
+                  <Highlight text={inv.description} field="description" highlights={highlights} snippet />
+                </div>
+              )}
+            </div>
+          )
+        };
+      case "payment":
+        return { ...column, render: (inv) => <PaymentBadge invoice={inv} paymentTerms={paymentTerms} customerAliases={customerAliases} /> };
+      case "salespersonName":
+        return {
+          ...column,
+          render: (inv) => (
+            <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+              <Highlight text={inv.salespersonName || "Unknown"} field="salesperson" highlights={highlights} />
+            </span>
+          )
+        };
+      default:
+        return column;
+    }
+  }), [rowOffset, highlights, hiddenColumns, paymentTerms, customerAliases]);
+
+  // ✅ Convert revenue with the shared currency module, aggregated in a worker
+  // Online, the server's per-day totals stand in for the invoices themselves
+  const revenueInvoices = useMemo(() => (
+    queryMode === "server" ? fromDailyTotals(totalsQuery.data?.data) : allInvoices
+  ), [queryMode, totalsQuery.data, allInvoices]);
+  const revenuePayload = useMemo(() => (
+    rateTable && (queryMode === "client" || totalsQuery.data) ? { invoices: revenueInvoices, reportingCurrency, rateTable } : null
+  ), [queryMode, totalsQuery.data, revenueInvoices, reportingCurrency, rateTable]);
+  const { data: revenueData } = useAggregation("revenue", revenuePayload);
+  const currencySymbol = getCurrencySymbol(reportingCurrency);
+  const revenueLoading = !revenueData;
 
-      setLoading(true);
-      setError(null);
+  // Same revenue over the comparison period, for the KPI deltas
+  const comparisonRevenuePayload = useMemo(() => {
+    if (!rateTable || !comparisonPeriod) return null;
+    if (queryMode === "server") {
+      return comparisonTotalsQuery.data
+        ? { invoices: fromDailyTotals(comparisonTotalsQuery.data.data), reportingCurrency, rateTable }
+        : null;
+    }
+    const comparisonInvoices = filterInvoicesByCurrency(filterInvoicesByPeriod(invoices, comparisonPeriod, sortBy), currency);
+    return { invoices: comparisonInvoices, reportingCurrency, rateTable };
+  }, [rateTable, comparisonPeriod, queryMode, comparisonTotalsQuery.data, invoices, sortBy, currency, reportingCurrency]);
+  const { data: comparisonRevenueResult } = useAggregation("revenue", comparisonRevenuePayload);
+  const comparisonRevenue = comparisonPeriod && revenueData ? comparisonRevenueResult : null;
+  const getAverageInvoice = (revenue) => (revenue.validInvoicesCount > 0 ? revenue.total / revenue.validInvoicesCount : 0);
+  const revenueChanges = comparisonRevenue ? {
+    total: getChange(revenueData.total, comparisonRevenue.total),
+    validInvoices: getChange(revenueData.validInvoicesCount, comparisonRevenue.validInvoicesCount),
+    average: getChange(getAverageInvoice(revenueData), getAverageInvoice(comparisonRevenue))
+  } : null;
+  const formatRevenue = (value) => `${currencySymbol}${value.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}`;
+  const comparedTo = comparisonRevenue ? `vs ${comparisonPeriod.label.toLowerCase()}` : null;
 
+  const handleExport = async () => {
+    let exportInvoices = allInvoices;
+    if (searchResult) {
+      // Export the search results, in ranked order
+      exportInvoices = searchResult.results.map(result => result.invoice);
+    } else if (queryMode === "server") {
+      // Download every invoice matching the filters, only when asked to
+      setExporting(true);
       try {
-        console.log(`🔄 Progressive loading: currency=${currency}, sortBy=${sortBy}, period=${period}`);
-        
-        // Step 1: Load first batch quickly (1000 invoices)
-        console.log('📥 Loading first batch (1000 invoices)...');
-        const firstBatchResponse = await cachedApiClient.get(`/invoices?page=1&pageSize=1000&sortBy=${sortBy}`, { useCache: true });
-        const firstBatch = firstBatchResponse.data.data || [];
-        
-        // Apply filtering to first batch (including cancelled invoices)
-        const filteredFirstBatch = filterInvoicesByPeriod(firstBatch, period, year, month, quarter, sortBy);
-        
-        console.log(`🔍 First Batch Debug: Total: ${firstBatch.length}, Filtered: ${filteredFirstBatch.length}`);
-        console.log(`🔍 First Batch Debug: SortBy: ${sortBy}, Period: ${period}, Month: ${month}, Year: ${year}`);
-        
-        // Show first batch immediately
-        setAllInvoices(filteredFirstBatch);
-        setTotalCount(filteredFirstBatch.length);
-        setLoading(false);
-        console.log(`✅ First batch loaded: ${filteredFirstBatch.length} invoices - UI updated`);
-        
-        // Step 2: Load remaining invoices in background
-        setTimeout(async () => {
-          try {
-            console.log('📥 Loading remaining invoices in background...');
-            const fullResponse = await cachedApiClient.get(`/invoices?page=1&pageSize=-1&sortBy=${sortBy}`, { useCache: true });
-            const allInvoicesData = fullResponse.data.data || [];
-            
-            // Apply filtering to all invoices (including cancelled invoices)
-            const filteredInvoices = filterInvoicesByPeriod(allInvoicesData, period, year, month, quarter, sortBy);
-            
-            console.log(`📊 Filtered ${filteredInvoices.length} invoices for ${period} period`);
-            console.log(`🔍 Debug: Total invoices before filtering: ${allInvoicesData.length}`);
-            console.log(`🔍 Debug: SortBy field: ${sortBy}`);
-            console.log(`🔍 Debug: Currency filter: ${currency}`);
-            
-            // Cache the complete filtered data
-            safeSetStorage(cacheKey, filteredInvoices);
-            
-            // Filter by currency if not "All"
-            let finalFilteredData = filteredInvoices;
-            if (currency !== "All") {
-              finalFilteredData = filteredInvoices.filter(inv => inv.currency === currency);
-            }
-            
-            // Update with complete dataset
-            setAllInvoices(finalFilteredData);
-            setTotalCount(finalFilteredData.length);
-            console.log(`✅ Complete dataset loaded: ${finalFilteredData.length} invoices`);
-          } catch (err) {
-            console.error("❌ Error loading remaining invoices:", err);
-          }
-        }, 500); // Small delay to let UI render first batch
-        
+        const response = await cachedApiClient.get(
+          `/invoices?${toInvoiceQueryString({ pageSize: -1, ...filterParams, sortBy })}`,
+          { useCache: false }
+        );
+        exportInvoices = response.data.data || [];
       } catch (err) {
-        console.error("❌ Error fetching invoices:", err);
-        setError(`Failed to fetch invoices: ${err.message}`);
-        setAllInvoices([]);
-        setCurrentPageInvoices([]);
-        setLoading(false);
+        console.error("❌ Error fetching invoices for export:", err);
+        alert('❌ Failed to export invoices. Please try again.');
+        return;
+      } finally {
+        setExporting(false);
       }
-    };
-    
-    fetchInvoicesProgressive();
-  }, [currency, sortBy, period, year, month, quarter, safeSetStorage]); // Added new filter dependencies
+    }
 
-  useEffect(() => {
-    if (allInvoices.length > 0) {
-      const startIndex = (page - 1) * pageSize;
-      const endIndex = startIndex + pageSize;
-      const pageInvoices = allInvoices.slice(startIndex, endIndex);
-      
-      setCurrentPageInvoices(pageInvoices);
-      setHasMorePages(endIndex < allInvoices.length);
-      
-      console.log(`📄 Page ${page}: Showing ${pageInvoices.length} invoices (${startIndex + 1}-${Math.min(endIndex, allInvoices.length)} of ${allInvoices.length})`);
+    const success = exportInvoicesToExcel(exportInvoices, periodRange, sortBy, paymentTerms, customerAliases);
+    if (success) {
+      alert(`✅ Successfully exported ${exportInvoices.length} invoices to Excel!`);
     } else {
-      setCurrentPageInvoices([]);
-      setHasMorePages(false);
+      alert('❌ Failed to export invoices. Please try again.');
     }
-  }, [allInvoices, page, pageSize]);
-
-  // ✅ Calculate PKR Revenue asynchronously after invoices are loaded (non-blocking)
-  useEffect(() => {
-    const calculatePKRRevenueAsync = async () => {
-      if (allInvoices.length > 0) {
-        // Set loading state but don't block UI
-        setPkrRevenueData(prev => ({ ...prev, loading: true }));
-        
-        // Use setTimeout to defer calculation and not block initial render
-        setTimeout(async () => {
-          try {
-            console.log('💰 Starting PKR revenue calculation in background...');
-            // allInvoices now includes cancelled invoices, PKR calculation will handle them
-            const revenueData = await calculateTotalRevenueInPKR(allInvoices);
-            setPkrRevenueData({
-              ...revenueData,
-              loading: false
-            });
-            console.log('✅ PKR Revenue calculated:', revenueData);
-          } catch (error) {
-            console.error('Error calculating PKR revenue:', error);
-            setPkrRevenueData(prev => ({ ...prev, loading: false }));
-          }
-        }, 100); // Small delay to ensure UI renders first
-      }
-    };
-    
-    calculatePKRRevenueAsync();
-  }, [allInvoices]);
-
-  // Filter invoices based on search term
-  const filteredInvoices = currentPageInvoices.filter(inv => 
-    !searchTerm || 
-    inv.customerName?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    inv.salespersonName?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    inv.invoiceNumber?.toString().includes(searchTerm)
-  );
+  };
 
-  if (loading) return <Spinner />;
-  if (error) return (
+  if (queryMode === "server" ? !searchActive && !listQuery.data && !listQuery.error : loading) {
+    return <Spinner serverQuery={queryMode === "server"} />;
+  }
+  if (queryMode === "client" && error && invoices.length === 0) return (
     <div className="flex flex-col items-center justify-center h-screen bg-gradient-to-br from-red-50 to-red-100">
       <div className="bg-white p-8 rounded-xl shadow-lg border border-red-200">
         <div className="text-red-500 text-4xl mb-4 text-center">⚠️</div>
         <p className="text-center text-red-600 font-medium">{error}</p>
         <button 
-          onClick={() => window.location.reload()} 
+          onClick={refreshDashboard} 
           className="mt-4 px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors"
         >
           Retry
@@ -830,17 +855,13 @@ function Dashboard() {
             </div>
             <div className="flex gap-2 flex-shrink-0">
               <button
-                onClick={() => {
-                  clearDashboardCache();
-                  cachedApiClient.clearCache();
-                  window.location.reload();
-                }}
+                onClick={refreshDashboard}
                 className="px-3 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 transition-colors flex items-center gap-2 text-sm"
               >
                 🔄 <span className="hidden sm:inline">Refresh</span>
               </button>
               <button
-                onClick={() => setViewMode(viewMode === "table" ? "cards" : "table")}
+                onClick={() => setFilters({ view: viewMode === "table" ? "cards" : "table" })}
                 className="px-3 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors flex items-center gap-2 text-sm"
               >
                 {viewMode === "table" ? "🃏" : "📋"} 
@@ -852,6 +873,33 @@ function Dashboard() {
       </div>
 
       <div className="relative z-10 max-w-full mx-auto px-4 sm:px-6 py-6 sm:py-8">
+        <InvoiceLoadProgress label={waitingForStore ? "Loading all invoices for search..." : undefined} />
+
+        {queryMode === "client" && (
+          <div className="mb-6 flex items-center justify-between gap-4 bg-amber-50 border border-amber-200 rounded-xl px-4 py-3 text-sm text-amber-800">
+            <span>📴 {isOnline ? "The invoice server could not be reached" : "You are offline"} — filtering the invoices loaded in this browser.</span>
+            {isOnline && (
+              <button
+                onClick={() => setServerUnreachable(false)}
+                className="px-3 py-1 bg-amber-500 text-white rounded-lg hover:bg-amber-600 transition-colors"
+              >
+                Retry server
+              </button>
+            )}
+          </div>
+        )}
+        {queryMode === "server" && !searchActive && listQuery.error && (
+          <div className="mb-6 flex items-center justify-between gap-4 bg-red-50 border border-red-200 rounded-xl px-4 py-3 text-sm text-red-700">
+            <span>⚠️ Failed to fetch invoices: {listQuery.error.response?.data?.error || listQuery.error.message}</span>
+            <button
+              onClick={refreshDashboard}
+              className="px-3 py-1 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors"
+            >
+              Retry
+            </button>
+          </div>
+        )}
+
         {/* Stats Cards */}
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 mb-8">
           {/* <StatsCard
@@ -883,10 +931,13 @@ function Dashboard() {
             color="orange"
           />
           <StatsCard
-            icon="🇵🇰"
-            title="Total Revenue (PKR)"
-            value={pkrRevenueData.loading ? "..." : pkrRevenueData.totalRevenuePKR.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}
-            subtitle={`Rate: ${pkrRevenueData.usdToPkrRate} PKR/USD`}
+            icon="💰"
+            title={`Total Revenue (${reportingCurrency})`}
+            value={revenueLoading ? "..." : revenueData.total.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}
+            subtitle={revenueLoading ? "Loading exchange rates..." : `Valued at: ${VALUATION_MODES[rateTable.mode]}`}
+            change={revenueChanges?.total}
+            format={formatRevenue}
+            comparedTo={comparedTo && `${comparedTo} (${formatRevenue(comparisonRevenue.total)})`}
             color="blue"
           />
         </div>
@@ -906,124 +957,110 @@ function Dashboard() {
           </div>
         </div> */}
 
-        {/* PKR Revenue Analysis Section */}
+        {/* Revenue Analysis Section */}
         <div className="mb-8">
           <div className="flex items-center justify-between mb-6">
             <h2 className="text-xl font-semibold text-gray-900 flex items-center gap-2">
-              🇵🇰 Total Revenue Analysis (PKR)
-              {pkrRevenueData.loading && <span className="text-sm text-gray-500">(Calculating...)</span>}
+              💰 Total Revenue Analysis ({reportingCurrency})
+              {revenueLoading && <span className="text-sm text-gray-500">(Calculating...)</span>}
             </h2>
-            <div className="text-sm text-gray-500">
-              Exchange Rate: {pkrRevenueData.usdToPkrRate} PKR/USD
+            <div className="flex flex-col items-end gap-2">
+              <div className="flex bg-gray-100 rounded-lg p-1 text-sm">
+                {Object.entries(VALUATION_MODES).map(([mode, label]) => (
+                  <button
+                    key={mode}
+                    onClick={() => setValuationMode(mode)}
+                    className={`px-3 py-1 rounded-md transition-colors ${
+                      valuationMode === mode ? 'bg-white shadow text-blue-600 font-medium' : 'text-gray-600 hover:text-gray-900'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <div className="text-sm text-gray-500">
+                {rateTable && describeRateTable(rateTable)}
+              </div>
             </div>
           </div>
           
-          {/* PKR Revenue Summary Card */}
+          {/* Revenue Summary Card */}
           <div className="bg-gradient-to-r from-green-50 to-blue-50 rounded-xl p-6 border border-green-200 mb-6">
             <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
               <div className="text-center">
                 <div className="text-3xl font-bold text-green-600">
-                  ₨{pkrRevenueData.totalRevenuePKR.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}
+                  {currencySymbol}{revenueLoading ? '...' : revenueData.total.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}
                 </div>
-                <div className="text-sm text-gray-600">Total Revenue (PKR)</div>
+                <div className="text-sm text-gray-600">Total Revenue ({reportingCurrency})</div>
                 <div className="text-xs text-gray-500 mt-1">
                   Excluding cancelled invoices
                 </div>
+                <ChangeBadge change={revenueChanges?.total} format={formatRevenue} className="mt-2" />
               </div>
               <div className="text-center">
                 <div className="text-2xl font-bold text-blue-600">
-                  {pkrRevenueData.validInvoicesCount}
+                  {revenueData?.validInvoicesCount ?? 0}
                 </div>
                 <div className="text-sm text-gray-600">Valid Invoices</div>
                 <div className="text-xs text-gray-500 mt-1">
-                  {pkrRevenueData.cancelledInvoicesCount} cancelled excluded
+                  {revenueData?.cancelledInvoicesCount ?? 0} cancelled excluded
+                  {revenueData?.unconvertedCount > 0 && ` • ${revenueData.unconvertedCount} without a rate`}
+                  {revenueData?.spotFallbackCount > 0 && ` • ${revenueData.spotFallbackCount} valued at spot (no history)`}
                 </div>
+                <ChangeBadge change={revenueChanges?.validInvoices} className="mt-2" />
               </div>
               <div className="text-center">
                 <div className="text-2xl font-bold text-purple-600">
-                  ₨{pkrRevenueData.validInvoicesCount > 0 ? (pkrRevenueData.totalRevenuePKR / pkrRevenueData.validInvoicesCount).toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 }) : '0'}
+                  {currencySymbol}{revenueData?.validInvoicesCount > 0 ? (revenueData.total / revenueData.validInvoicesCount).toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 }) : '0'}
                 </div>
                 <div className="text-sm text-gray-600">Average per Invoice</div>
                 <div className="text-xs text-gray-500 mt-1">
-                  In PKR
+                  In {reportingCurrency}
                 </div>
+                <ChangeBadge change={revenueChanges?.average} format={formatRevenue} className="mt-2" />
               </div>
             </div>
           </div>
 
           {/* Currency Breakdown */}
           <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-            <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
-              <div className="flex items-center justify-between mb-4">
-                <div className="flex items-center gap-3">
-                  <div className="p-3 rounded-lg bg-green-100 text-green-600">
-                    <div className="text-2xl">🇺🇸</div>
-                  </div>
-                  <div>
-                    <h3 className="text-lg font-semibold text-gray-900">USD Converted</h3>
-                    <p className="text-sm text-gray-500">US Dollar to PKR</p>
+            {revenueData && Object.values(revenueData.byCurrency).map(entry => (
+              <div key={entry.currency} className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
+                <div className="flex items-center justify-between mb-4">
+                  <div className="flex items-center gap-3">
+                    <div className="p-3 rounded-lg bg-blue-100 text-blue-600">
+                      <div className="text-2xl">{SUPPORTED_CURRENCIES.find(c => c.code === entry.currency)?.flag || '💱'}</div>
+                    </div>
+                    <div>
+                      <h3 className="text-lg font-semibold text-gray-900">
+                        {entry.currency === reportingCurrency ? `${entry.currency} Direct` : `${entry.currency} Converted`}
+                      </h3>
+                      <p className="text-sm text-gray-500">
+                        {entry.currency === reportingCurrency ? 'No conversion' : `${entry.currency} to ${reportingCurrency}`}
+                      </p>
+                    </div>
                   </div>
                 </div>
-              </div>
-              <div className="space-y-2">
-                <div className="flex justify-between">
-                  <span className="text-gray-600">Invoices:</span>
-                  <span className="font-medium text-gray-900">{pkrRevenueData.breakdown.usdInvoices}</span>
-                </div>
-                <div className="flex justify-between">
-                  <span className="text-gray-600">Rate:</span>
-                  <span className="font-medium text-gray-900">{pkrRevenueData.usdToPkrRate} PKR/USD</span>
-                </div>
-              </div>
-            </div>
-
-            <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
-              <div className="flex items-center justify-between mb-4">
-                <div className="flex items-center gap-3">
-                  <div className="p-3 rounded-lg bg-blue-100 text-blue-600">
-                    <div className="text-2xl">🇵🇰</div>
-                  </div>
-                  <div>
-                    <h3 className="text-lg font-semibold text-gray-900">PKR Direct</h3>
-                    <p className="text-sm text-gray-500">Pakistani Rupee</p>
+                <div className="space-y-2">
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Invoices:</span>
+                    <span className="font-medium text-gray-900">{entry.invoiceCount}</span>
                   </div>
-                </div>
-              </div>
-              <div className="space-y-2">
-                <div className="flex justify-between">
-                  <span className="text-gray-600">Invoices:</span>
-                  <span className="font-medium text-gray-900">{pkrRevenueData.breakdown.pkrInvoices}</span>
-                </div>
-                <div className="flex justify-between">
-                  <span className="text-gray-600">No Conversion:</span>
-                  <span className="font-medium text-gray-900">Direct PKR</span>
-                </div>
-              </div>
-            </div>
-
-            <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
-              <div className="flex items-center justify-between mb-4">
-                <div className="flex items-center gap-3">
-                  <div className="p-3 rounded-lg bg-purple-100 text-purple-600">
-                    <div className="text-2xl">🇦🇪</div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">{rateTable?.mode === 'historical' ? 'Avg. Rate:' : 'Rate:'}</span>
+                    <span className="font-medium text-gray-900">
+                      {entry.rate === null ? 'No rate available' : `1 ${entry.currency} = ${entry.rate.toLocaleString('en-US', { maximumFractionDigits: 4 })} ${reportingCurrency}`}
+                    </span>
                   </div>
-                  <div>
-                    <h3 className="text-lg font-semibold text-gray-900">AED Converted</h3>
-                    <p className="text-sm text-gray-500">UAE Dirham to PKR</p>
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Converted:</span>
+                    <span className="font-medium text-gray-900">
+                      {currencySymbol}{entry.convertedTotal.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}
+                    </span>
                   </div>
                 </div>
               </div>
-              <div className="space-y-2">
-                <div className="flex justify-between">
-                  <span className="text-gray-600">Invoices:</span>
-                  <span className="font-medium text-gray-900">{pkrRevenueData.breakdown.aedInvoices}</span>
-                </div>
-                <div className="flex justify-between">
-                  <span className="text-gray-600">Rate:</span>
-                  <span className="font-medium text-gray-900">AED→USD→PKR</span>
-                </div>
-              </div>
-            </div>
+            ))}
           </div>
         </div>
 
@@ -1245,128 +1282,27 @@ function Dashboard() {
             <div className="flex flex-col xl:flex-row gap-8 items-start xl:items-center justify-between">
               {/* Filters Section */}
               <div className="flex flex-wrap gap-6">
-                <div className="group">
-                  <label className="block text-sm font-semibold text-gray-700 mb-2 flex items-center gap-2">
-                    <span className="text-lg">💱</span> Currency
-                  </label>
-                  <select
-                    value={currency}
-                    onChange={(e) => {
-                      setCurrency(e.target.value);
-                      setPage(1);
-                    }}
-                    className="bg-white/80 backdrop-blur-sm border-2 border-gray-200 rounded-xl px-4 py-3 focus:ring-2 focus:ring-blue-500 focus:border-blue-400 transition-all duration-200 hover:border-blue-300 hover:shadow-md min-w-[160px]"
-                  >
-                    <option value="All">All Currencies</option>
-                    <option value="USD">USD 🇺🇸</option>
-                    <option value="PKR">PKR 🇵🇰</option>
-                    <option value="AED">AED 🇦🇪</option>
-                  </select>
-                </div>
-
-                <div className="group">
-                  <label className="block text-sm font-semibold text-gray-700 mb-2 flex items-center gap-2">
-                    <span className="text-lg">📅</span> Time Period
-                  </label>
-                  <select
-                    value={period}
-                    onChange={(e) => setPeriod(e.target.value)}
-                    className="bg-white/80 backdrop-blur-sm border-2 border-gray-200 rounded-xl px-4 py-3 focus:ring-2 focus:ring-purple-500 focus:border-purple-400 transition-all duration-200 hover:border-purple-300 hover:shadow-md min-w-[140px]"
-                  >
-                    <option value="all">All Time</option>
-                    <option value="daily">Today</option>
-                    <option value="monthly">Monthly</option>
-                    <option value="quarterly">Quarterly</option>
-                    <option value="yearly">Yearly</option>
-                  </select>
-                </div>
-
-                <div className="group">
-                  <label className="block text-sm font-semibold text-gray-700 mb-2 flex items-center gap-2">
-                    <span className="text-lg">🔄</span> Sort By
-                  </label>
-                  <select
-                    value={sortBy}
-                    onChange={(e) => {
-                      setSortBy(e.target.value);
-                      setPage(1);
-                      cachedApiClient.clearCache();
-                    }}
-                    className="bg-white/80 backdrop-blur-sm border-2 border-gray-200 rounded-xl px-4 py-3 focus:ring-2 focus:ring-indigo-500 focus:border-indigo-400 transition-all duration-200 hover:border-indigo-300 hover:shadow-md min-w-[160px]"
-                  >
-                    <option value="creationDate">🕐 Creation Date</option>
-                    <option value="invoiceDate">📅 Invoice Date</option>
-                  </select>
-                </div>
-
-                {(period === "monthly" || period === "quarterly" || period === "yearly") && (
-                  <div className="group">
-                    <label className="block text-sm font-semibold text-gray-700 mb-2 flex items-center gap-2">
-                      <span className="text-lg">📆</span> Year
-                    </label>
-                    <select
-                      value={year}
-                      onChange={(e) => setYear(parseInt(e.target.value))}
-                      className="bg-white/80 backdrop-blur-sm border-2 border-gray-200 rounded-xl px-4 py-3 focus:ring-2 focus:ring-green-500 focus:border-green-400 transition-all duration-200 hover:border-green-300 hover:shadow-md min-w-[100px]"
-                    >
-                      {[...Array(5)].map((_, i) => {
-                        const yearOption = new Date().getFullYear() - i;
-                        return (
-                          <option key={yearOption} value={yearOption}>
-                            {yearOption}
-                          </option>
-                        );
-                      })}
-                    </select>
-                  </div>
-                )}
-
-                {period === "monthly" && (
-                  <div className="group">
-                    <label className="block text-sm font-semibold text-gray-700 mb-2 flex items-center gap-2">
-                      <span className="text-lg">🗓️</span> Month
-                    </label>
-                    <select
-                      value={month}
-                      onChange={(e) => setMonth(parseInt(e.target.value))}
-                      className="bg-white/80 backdrop-blur-sm border-2 border-gray-200 rounded-xl px-4 py-3 focus:ring-2 focus:ring-orange-500 focus:border-orange-400 transition-all duration-200 hover:border-orange-300 hover:shadow-md min-w-[140px]"
-                    >
-                      {[...Array(12)].map((_, i) => (
-                        <option key={i + 1} value={i + 1}>
-                          {getMonthName(i + 1)}
-                        </option>
-                      ))}
-                    </select>
-                  </div>
-                )}
-
-                {period === "quarterly" && (
-                  <div className="group">
-                    <label className="block text-sm font-semibold text-gray-700 mb-2 flex items-center gap-2">
-                      <span className="text-lg">📊</span> Quarter
-                    </label>
-                    <select
-                      value={quarter}
-                      onChange={(e) => setQuarter(parseInt(e.target.value))}
-                      className="bg-white/80 backdrop-blur-sm border-2 border-gray-200 rounded-xl px-4 py-3 focus:ring-2 focus:ring-teal-500 focus:border-teal-400 transition-all duration-200 hover:border-teal-300 hover:shadow-md min-w-[140px]"
-                    >
-                      <option value={1}>Q1 (Jan-Mar)</option>
-                      <option value={2}>Q2 (Apr-Jun)</option>
-                      <option value={3}>Q3 (Jul-Sep)</option>
-                      <option value={4}>Q4 (Oct-Dec)</option>
-                    </select>
-                  </div>
-                )}
+                <InvoiceFilterControls
+                  value={filters}
+                  onChange={setFilters}
+                  fiscalYearStartMonth={fiscalYearStartMonth}
+                  comparison
+                  basisLabel="Sort By"
+                  icons
+                  fieldClassName="group"
+                  labelClassName="block text-sm font-semibold text-gray-700 mb-2 flex items-center gap-2"
+                  inputClassName="bg-white/80 backdrop-blur-sm border-2 border-gray-200 rounded-xl px-4 py-3 focus:ring-2 focus:ring-purple-500 focus:border-purple-400 transition-all duration-200 hover:border-purple-300 hover:shadow-md min-w-[140px]"
+                />
               </div>
 
               {/* Summary Section */}
               <div className="text-center xl:text-right bg-white/60 backdrop-blur-sm rounded-2xl p-6 border border-white/50 shadow-lg">
                 <h3 className="text-2xl font-bold bg-gradient-to-r from-blue-600 to-purple-600 bg-clip-text text-transparent mb-2">
-                  📋 {getPeriodDisplayText(period, year, month, quarter)}
+                  📋 {periodRange.label}
                 </h3>
                 <div className="flex items-center justify-center xl:justify-end gap-4 mb-3">
                   <div className="bg-gradient-to-r from-blue-500 to-blue-600 text-white px-4 py-2 rounded-full text-sm font-semibold shadow-lg">
-                    {allInvoices.length} invoice{allInvoices.length !== 1 ? 's' : ''} found
+                    {totalCount.toLocaleString()} invoice{totalCount !== 1 ? 's' : ''} found
                   </div>
                 </div>
                 <div className="flex items-center justify-center xl:justify-end gap-2 text-sm">
@@ -1404,7 +1340,7 @@ function Dashboard() {
                 <div className="bg-white/80 backdrop-blur-sm rounded-xl p-4 border border-white/50 shadow-lg">
                   <div className="text-center">
                     <div className="text-2xl font-bold text-emerald-600 mb-1">
-                      {allInvoices.length}
+                      {totalCount.toLocaleString()}
                     </div>
                     <div className="text-xs text-gray-600 font-medium">
                       Invoices Ready
@@ -1413,18 +1349,12 @@ function Dashboard() {
                 </div>
                 
                 <button
-                  onClick={() => {
-                    const success = exportInvoicesToExcel(allInvoices, period, year, month, quarter, sortBy);
-                    if (success) {
-                      alert(`✅ Successfully exported ${allInvoices.length} invoices to Excel!`);
-                    } else {
-                      alert('❌ Failed to export invoices. Please try again.');
-                    }
-                  }}
-                  className="group relative px-8 py-4 bg-gradient-to-r from-emerald-500 to-green-500 text-white rounded-xl hover:from-emerald-600 hover:to-green-600 transition-all duration-300 flex items-center gap-3 font-semibold shadow-lg hover:shadow-xl transform hover:-translate-y-1"
+                  onClick={handleExport}
+                  disabled={exporting}
+                  className="group relative px-8 py-4 bg-gradient-to-r from-emerald-500 to-green-500 text-white rounded-xl hover:from-emerald-600 hover:to-green-600 transition-all duration-300 flex items-center gap-3 font-semibold shadow-lg hover:shadow-xl transform hover:-translate-y-1 disabled:opacity-60 disabled:cursor-wait"
                 >
                   <span className="text-xl group-hover:scale-110 transition-transform duration-200">📥</span>
-                  <span>Download Excel</span>
+                  <span>{exporting ? "Preparing..." : "Download Excel"}</span>
                   <div className="absolute inset-0 bg-gradient-to-r from-emerald-400 to-green-400 rounded-xl opacity-0 group-hover:opacity-20 transition-opacity duration-300"></div>
                 </button>
               </div>
@@ -1432,57 +1362,15 @@ function Dashboard() {
           </div>
         </div>
 
-        {/* Beautiful Page Size Selector */}
-        <div className="bg-gradient-to-r from-slate-50 to-gray-50 rounded-2xl shadow-lg border border-slate-200/50 p-6 mb-8">
-          <div className="flex items-center justify-between">
-            <div>
-              <h3 className="text-lg font-semibold text-gray-800 mb-1 flex items-center gap-2">
-                <span className="text-xl">⚙️</span> Display Settings
-              </h3>
-              <p className="text-sm text-gray-600">
-                Choose how many invoices to show per page
-              </p>
-            </div>
-            
-            <div className="flex items-center gap-4">
-              <div className="bg-white/80 backdrop-blur-sm rounded-xl p-3 border border-white/50 shadow-md">
-                <label className="block text-sm font-semibold text-gray-700 mb-2 text-center">
-                  Page Size
-                </label>
-                <select
-                  value={pageSize}
-                  onChange={(e) => {
-                    setPageSize(parseInt(e.target.value));
-                    setPage(1);
-                  }}
-                  className="bg-white border-2 border-gray-200 rounded-lg px-4 py-2 focus:ring-2 focus:ring-slate-500 focus:border-slate-400 transition-all duration-200 hover:border-slate-300 hover:shadow-md font-medium"
-                >
-                  <option value={25}>25 per page</option>
-                  <option value={50}>50 per page</option>
-                  <option value={100}>100 per page (Recommended)</option>
-                  <option value={200}>200 per page</option>
-                </select>
-              </div>
-              
-              <div className="bg-white/80 backdrop-blur-sm rounded-xl p-3 border border-white/50 shadow-md">
-                <div className="text-center">
-                  <div className="text-lg font-bold text-slate-600 mb-1">
-                    {Math.ceil(allInvoices.length / pageSize)}
-                  </div>
-                  <div className="text-xs text-gray-600 font-medium">
-                    Total Pages
-                  </div>
-                </div>
-              </div>
-            </div>
-          </div>
-        </div>
             {/* Beautiful Controls Section */}
         <div className="bg-gradient-to-r from-white via-gray-50/50 to-slate-50/50 rounded-2xl shadow-xl border border-white/50 backdrop-blur-sm p-6 mb-8 relative overflow-hidden">
           {/* Background decoration */}
           <div className="absolute top-0 right-0 w-24 h-24 bg-gradient-to-br from-gray-400/10 to-slate-400/10 rounded-full -translate-y-12 translate-x-12"></div>
           
           <div className="relative z-10">
+            <div className="mb-6 pb-6 border-b border-gray-200">
+              <SavedViewsBar filters={filters} onApply={(view) => setFilters(view.filters)} />
+            </div>
             <div className="flex flex-col lg:flex-row gap-6 items-center justify-between">
               {/* Search */}
               <div className="flex-1 max-w-lg">
@@ -1492,13 +1380,24 @@ function Dashboard() {
                 <div className="relative">
                   <input
                     type="text"
-                    placeholder="Search invoices, customers, salespersons..."
+                    placeholder="Search invoices, customers, salespersons, descriptions..."
                     value={searchTerm}
                     onChange={(e) => setSearchTerm(e.target.value)}
                     className="w-full pl-12 pr-4 py-3 bg-white/80 backdrop-blur-sm border-2 border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-400 transition-all duration-200 hover:border-blue-300 hover:shadow-md font-medium"
                   />
                   <div className="absolute left-4 top-3.5 text-gray-400 text-lg">🔍</div>
                 </div>
+                <p className="mt-2 text-xs text-gray-500">
+                  Searches every invoice matching the filters; prefixes and small typos match too. Narrow it with{" "}
+                  <code className="px-1 bg-gray-100 rounded">customer:acme</code>{" "}
+                  <code className="px-1 bg-gray-100 rounded">amount&gt;5000</code>{" "}
+                  <code className="px-1 bg-gray-100 rounded">status:unpaid</code>{" "}
+                  (also <code className="px-1 bg-gray-100 rounded">salesperson:</code>, <code className="px-1 bg-gray-100 rounded">invoice:</code>,{" "}
+                  <code className="px-1 bg-gray-100 rounded">description:</code>, <code className="px-1 bg-gray-100 rounded">currency:</code>).
+                </p>
+                {searchResult?.query.warnings.length > 0 && (
+                  <p className="mt-1 text-xs text-amber-700">⚠️ {searchResult.query.warnings.join(" • ")}</p>
+                )}
               </div>
             </div>
           </div>
@@ -1507,82 +1406,36 @@ function Dashboard() {
         {viewMode === "table" ? (
           // Table View
           <div className="bg-white rounded-xl shadow-lg border border-gray-200 overflow-hidden">
-            <div className="px-4 py-4 border-b border-gray-200 bg-gray-50">
-              <h2 className="text-lg sm:text-xl font-semibold text-gray-900 flex items-center gap-2">
-                📋 Invoices Table
-                <span className="text-sm font-normal text-gray-500">({filteredInvoices.length} shown)</span>
-              </h2>
-            </div>
-            <div className="overflow-x-auto">
-              <table className="w-full min-w-full">
-                <thead className="bg-gray-50 border-b border-gray-200">
-                  <tr>
-                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">#</th>
-                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Invoice</th>
-                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
-                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider min-w-[200px]">Customer</th>
-                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider hidden sm:table-cell">Salesperson</th>
-                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Currency</th>
-                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
-                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Payment</th>
-                    <th className="px-3 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Total</th>
-                  </tr>
-                </thead>
-                <tbody className="divide-y divide-gray-200">
-                  {filteredInvoices.map((inv, i) => (
-                    <tr key={i} className="hover:bg-gray-50 transition-colors">
-                      <td className="px-3 py-4 whitespace-nowrap text-sm text-gray-500">
-                        {(page - 1) * pageSize + (i + 1)}
-                      </td>
-                      <td className="px-3 py-4 whitespace-nowrap">
-                        <div className="font-medium text-gray-900 text-sm">
-                          {inv.invoiceNumber || inv.id}
-                        </div>
-                      </td>
-                      <td className="px-3 py-4 whitespace-nowrap text-sm text-gray-900">
-                        {inv.invoiceDate?.slice(0, 10) || "—"}
-                      </td>
-                      <td className="px-3 py-4">
-                        <div className="text-sm font-medium text-gray-900 max-w-[200px] truncate">
-                          {inv.customerName || "Unknown"}
-                        </div>
-                      </td>
-                      <td className="px-3 py-4 whitespace-nowrap hidden sm:table-cell">
-                        <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
-                          {inv.salespersonName || "Unknown"}
-                        </span>
-                      </td>
-                      <td className="px-3 py-4 whitespace-nowrap">
-                        <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${
-                          inv.currency === 'USD' ? 'bg-green-100 text-green-800' :
-                          inv.currency === 'PKR' ? 'bg-blue-100 text-blue-800' :
-                          'bg-purple-100 text-purple-800'
-                        }`}>
-                          {inv.currency || 'N/A'}
-                        </span>
-                      </td>
-                      <td className="px-3 py-4 whitespace-nowrap">
-                        <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${
-                          inv.status === 'Cancelled' ? 'bg-red-100 text-red-800' :
-                          inv.status === 'Invoiced' ? 'bg-blue-100 text-blue-800' :
-                          'bg-gray-100 text-gray-800'
-                        }`}>
-                          {inv.status || 'Active'}
-                        </span>
-                      </td>
-                      <td className="px-3 py-4 whitespace-nowrap">
-                        <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${getPaymentStatus(inv).color}`}>
-                          {getPaymentStatus(inv).status}
-                        </span>
-                      </td>
-                      <td className="px-3 py-4 whitespace-nowrap text-right text-sm font-bold text-green-600">
-                        {parseFloat(inv.total || 0).toLocaleString('en-US', { minimumFractionDigits: 1, maximumFractionDigits: 1 })}
-                      </td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
+            <div className="px-4 py-4 border-b border-gray-200 bg-gray-50 flex items-start justify-between gap-4">
+              <div>
+                <h2 className="text-lg sm:text-xl font-semibold text-gray-900 flex items-center gap-2">
+                  📋 Invoices Table
+                  <span className="text-sm font-normal text-gray-500">({matchCount.toLocaleString()} invoices)</span>
+                  {(listQuery.loading || searching) && <span className="w-4 h-4 border-2 border-blue-500 border-t-transparent rounded-full animate-spin"></span>}
+                </h2>
+                <p className="text-xs text-gray-500 mt-1">Click a row or use ↑ ↓ Page Up/Down Home End to move the selection</p>
+              </div>
+              <ColumnPicker hiddenColumns={hiddenColumns} onChange={(columns) => setFilters({ hiddenColumns: columns })} />
             </div>
+            <VirtualTable
+              rows={visibleInvoices}
+              columns={invoiceColumns}
+              height={640}
+              onRowActivate={(inv) => navigate(`/invoices/${inv.id}`)}
+              ariaLabel="Invoices"
+              emptyMessage={waitingForStore
+                ? "Loading all invoices for search..."
+                : searching ? "Searching every invoice matching the filters..."
+                : searchActive ? "No invoices match the search" : "No invoices match the current filters"}
+            />
+            {pagination && (
+              <PaginationBar
+                pagination={pagination}
+                onPageChange={setPage}
+                pageSize={pageSize}
+                onPageSizeChange={setPageSize}
+              />
+            )}
           </div>
         ) : (
           // Cards View
@@ -1590,78 +1443,68 @@ function Dashboard() {
             <div className="mb-4 flex items-center justify-between">
               <h2 className="text-xl font-semibold text-gray-900 flex items-center gap-2">
                 🃏 Invoice Cards
-                <span className="text-sm font-normal text-gray-500">({filteredInvoices.length} shown)</span>
+                <span className="text-sm font-normal text-gray-500">
+                  {pagination
+                    ? `(${visibleInvoices.length} of ${matchCount.toLocaleString()} on this page)`
+                    : `(${Math.min(cardLimit, visibleInvoices.length)} of ${visibleInvoices.length} shown)`}
+                </span>
               </h2>
             </div>
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-              {filteredInvoices.map((inv, i) => (
+              {(pagination ? visibleInvoices : visibleInvoices.slice(0, cardLimit)).map((inv, i) => (
                 <InvoiceCard 
-                  key={i} 
+                  key={inv.id ?? i} 
                   invoice={inv} 
-                  index={i} 
-                  page={page} 
-                  pageSize={pageSize} 
+                  index={rowOffset + i} 
+                  highlights={highlights}
+                  paymentTerms={paymentTerms}
+                  customerAliases={customerAliases}
                 />
               ))}
             </div>
+            {pagination && (
+              <div className="mt-6 bg-white rounded-xl shadow border border-gray-200 overflow-hidden">
+                <PaginationBar
+                  pagination={pagination}
+                  onPageChange={setPage}
+                  pageSize={pageSize}
+                  onPageSizeChange={setPageSize}
+                />
+              </div>
+            )}
+            {!pagination && cardLimit < visibleInvoices.length && (
+              <div className="mt-6 text-center">
+                <button
+                  onClick={() => setCardLimit(limit => limit + CARD_BATCH_SIZE)}
+                  className="px-6 py-2 bg-white text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 hover:border-blue-300 transition-all"
+                >
+                  Show more ({(visibleInvoices.length - cardLimit).toLocaleString()} remaining)
+                </button>
+              </div>
+            )}
           </div>
         )}
 
-        {/* Pagination */}
+        {/* Summary */}
         <div className="mt-8 bg-white rounded-xl shadow-lg border border-gray-200 p-6">
-          <div className="flex flex-col sm:flex-row justify-between items-center gap-4">
-            <div className="text-sm text-gray-600">
-              Showing <span className="font-medium">{filteredInvoices.length}</span> invoices on page <span className="font-medium">{page}</span> of <span className="font-medium">{Math.ceil(totalCount / pageSize)}</span> pages
-              <span className="text-gray-500 ml-2">({totalCount} total invoices loaded)</span>
-              {hasMorePages && <span> • More pages available</span>}
-              <div className="text-xs text-gray-500 mt-1">
-                🚀 Progressive loading: First batch → Background completion • Page size: {pageSize} invoices
-              </div>
-            </div>
-            
-            <div className="flex items-center gap-2">
-              <button
-                disabled={page === 1}
-                onClick={() => setPage(p => Math.max(1, p - 1))}
-                className={`px-4 py-2 rounded-lg border transition-all ${
-                  page === 1
-                    ? "bg-gray-100 text-gray-400 cursor-not-allowed border-gray-200"
-                    : "bg-white text-gray-700 hover:bg-gray-50 border-gray-300 hover:border-blue-300"
-                }`}
-              >
-                ← Previous
-              </button>
-                
-              <div className="px-4 py-2 bg-blue-500 text-white rounded-lg font-medium flex items-center gap-2">
-                Page {page}
-                {loading && <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>}
-              </div>
-                
-              <button
-                disabled={!hasMorePages || loading}
-                onClick={() => setPage(p => p + 1)}
-                className={`px-4 py-2 rounded-lg border transition-all ${
-                  !hasMorePages || loading
-                    ? "bg-gray-100 text-gray-400 cursor-not-allowed border-gray-200"
-                    : "bg-white text-gray-700 hover:bg-gray-50 border-gray-300 hover:border-blue-300"
-                }`}
-              >
-                Next → {loading && <span className="ml-1">⏳</span>}
-              </button>
-            </div>
+          <div className="text-sm text-gray-600">
+            Showing <span className="font-medium">{matchCount.toLocaleString()}</span> of <span className="font-medium">{totalCount.toLocaleString()}</span> invoices matching the filters
+            {queryMode === "client" && (
+              <span className="text-gray-500 ml-2">({invoices.length.toLocaleString()} total invoices loaded)</span>
+            )}
           </div>
           
-          {/* Frontend pagination info */}
+          {/* Data info */}
           <div className="flex justify-between items-center mt-4 pt-4 border-t border-gray-200">
             <div className="text-xs text-gray-500">
-              💡 All invoices loaded once, paginated on frontend for fast navigation
+              {searchActive
+                ? "🔍 Search covers every invoice matching the filters, ranked by relevance"
+                : queryMode === "server"
+                ? "🌐 Filtered and paged by the server; only the current page is downloaded"
+                : "📴 Server unreachable: filtering the invoices already loaded in this browser"}
             </div>
             <button
-              onClick={() => {
-                clearDashboardCache();
-                cachedApiClient.clearCache();
-                window.location.reload();
-              }}
+              onClick={refreshDashboard}
               className="text-xs px-3 py-1 text-gray-600 hover:text-red-600 hover:bg-red-50 rounded transition-colors"
             >
               🔄 Refresh Data
@@ -0,0 +1,308 @@
+import { useMemo, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { useInvoices } from "../contexts/InvoiceContext";
+import { useApiQuery } from "../hooks/useApiQuery";
+import { usePaymentTerms } from "../hooks/usePaymentTerms";
+import { useCustomerAliases } from "../hooks/useCustomerAliases";
+import { downloadBlob } from "../utils/download";
+import { resolveCustomerId } from "../utils/customerIdentity";
+import { INVOICE_STATUS_CODES, getRelatedInvoices, toInvoiceQueryString } from "../utils/invoices";
+import { PAYMENT_TERMS, getPaymentStatus } from "../utils/paymentTerms";
+
+const RELATED_LIMIT = 10;
+// Newest invoices fetched per related list; counts above it show as "100+"
+const RELATED_FETCH_LIMIT = 100;
+
+const formatAmount = (value, currency) => (
+  `${currency} ${parseFloat(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+);
+
+const formatDate = (value) => (value ? String(value).slice(0, 10) : "—");
+
+const formatDateTime = (value) => {
+  if (!value) return "—";
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toLocaleString();
+};
+
+const formatFlag = (value) => (value ? "Yes" : "No");
+
+// Every field of the invoice as [label, value] rows, shared by the page and the PDF
+const getInvoiceFields = (invoice, payment) => [
+  ["Invoice Number", invoice.invoiceNumber || invoice.id],
+  ["Invoice ID", invoice.id],
+  ["Customer", invoice.customerName || "Unknown"],
+  ["Salesperson", invoice.salespersonName || "Unknown"],
+  ["Employee ID", invoice.employeeId ?? "—"],
+  ["Currency", invoice.currency || "USD"],
+  ["Invoice Date", formatDate(invoice.invoiceDate)],
+  ["Created", formatDate(invoice.createdAt)],
+  ["Status", invoice.status || "Active"],
+  ["Invoice Status Code", invoice.invoiceStatus ?? "—"],
+  ["Delivery Status Code", invoice.deliveryStatus ?? "—"],
+  ["Locked", formatFlag(invoice.locked)],
+  ["Sent", formatFlag(invoice.sent)],
+  ["Sent At", formatDate(invoice.sentAt || invoice.sent_at)],
+  ["Payment Terms", PAYMENT_TERMS[payment.term].label],
+  ["Due Date", payment.dueDate || "—"],
+  ["Payment Status", payment.status],
+  ["Synced At", formatDateTime(invoice.syncedAt)],
+  ["Updated At", formatDateTime(invoice.updatedAt)]
+];
+
+// Compact list of related invoices, each linking to its own detail page
+// more: there are invoices beyond the ones counted in `total`
+const RelatedInvoices = ({ title, invoices, total, more, emptyMessage }) => (
+  <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
+    <h3 className="text-lg font-semibold text-gray-900 mb-1">{title}</h3>
+    <p className="text-sm text-gray-500 mb-4">
+      {total > invoices.length || more ? `Latest ${invoices.length} of ${total}${more ? "+" : ""}` : `${total} invoices`}
+    </p>
+    {invoices.length === 0 ? (
+      <p className="text-sm text-gray-500">{emptyMessage}</p>
+    ) : (
+      <div className="divide-y divide-gray-100">
+        {invoices.map(inv => (
+          <Link
+            key={inv.id}
+            to={`/invoices/${inv.id}`}
+            className="flex items-center justify-between py-2 px-2 -mx-2 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            <div className="min-w-0">
+              <div className="text-sm font-medium text-blue-600 truncate">#{inv.invoiceNumber || inv.id}</div>
+              <div className="text-xs text-gray-500 truncate">{formatDate(inv.invoiceDate)} • {inv.customerName || "Unknown"}</div>
+            </div>
+            <div className="text-sm font-semibold text-gray-900 whitespace-nowrap ml-4">{formatAmount(inv.total, inv.currency || "USD")}</div>
+          </Link>
+        ))}
+      </div>
+    )}
+  </div>
+);
+
+function InvoiceDetail() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { invoices, isComplete } = useInvoices({ load: false });
+  const paymentTerms = usePaymentTerms();
+  const customerAliases = useCustomerAliases();
+  const [copied, setCopied] = useState(false);
+  const [exporting, setExporting] = useState(false);
+
+  // ✅ The API record is authoritative; the loaded invoice (if any) shows until it arrives
+  // and stands in when the server cannot be reached
+  const query = useApiQuery(`/invoices/${encodeURIComponent(id)}`);
+  const storedInvoice = useMemo(() => invoices.find(inv => String(inv.id) === String(id)) || null, [invoices, id]);
+  const invoice = query.loading ? storedInvoice : query.data || (query.unreachable ? storedInvoice : null);
+  const notFound = query.error?.response?.status === 404;
+
+  // ✅ Related invoices are asked of the API (newest first), together with whatever the
+  // shared store already holds - opening one invoice does not download the whole table
+  const customerQuery = useApiQuery(invoice?.customerName
+    ? `/invoices?${toInvoiceQueryString({ search: invoice.customerName, pageSize: RELATED_FETCH_LIMIT })}`
+    : null);
+  const salespersonFilter = invoice?.employeeId ? { employeeId: invoice.employeeId } : { search: invoice?.salespersonName };
+  const salespersonQuery = useApiQuery(salespersonFilter.employeeId || salespersonFilter.search
+    ? `/invoices?${toInvoiceQueryString({ ...salespersonFilter, pageSize: RELATED_FETCH_LIMIT })}`
+    : null);
+
+  const customerResponse = customerQuery.loading ? null : customerQuery.data;
+  const salespersonResponse = salespersonQuery.loading ? null : salespersonQuery.data;
+  const relatedLoading = customerQuery.loading || salespersonQuery.loading;
+
+  const related = useMemo(() => {
+    if (!invoice) return null;
+    const byId = new Map();
+    [...invoices, ...(customerResponse?.data || []), ...(salespersonResponse?.data || [])]
+      .forEach(inv => byId.set(String(inv.id), inv));
+    // The API lists stop at RELATED_FETCH_LIMIT, so a count can fall short until the store is complete
+    const capped = (response) => !isComplete && (response?.pagination?.totalCount || 0) > RELATED_FETCH_LIMIT;
+    return {
+      ...getRelatedInvoices([...byId.values()], invoice, RELATED_LIMIT, customerAliases),
+      customerMore: capped(customerResponse),
+      salespersonMore: capped(salespersonResponse)
+    };
+  }, [invoices, isComplete, invoice, customerResponse, salespersonResponse, customerAliases]);
+
+  if (!invoice) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-gray-50 to-indigo-50 flex items-center justify-center">
+        <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-8 text-center">
+          <div className="text-4xl mb-4">{query.loading ? "⏳" : "🔍"}</div>
+          <p className="text-gray-700 font-medium mb-4">
+            {query.loading ? "Loading invoice..." : notFound ? `Invoice ${id} was not found.` : "The invoice could not be loaded."}
+          </p>
+          {!query.loading && (
+            <Link to="/" className="text-blue-600 hover:underline">← Back to Dashboard</Link>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  const currency = invoice.currency || "USD";
+  const total = parseFloat(invoice.total || 0);
+  const paid = parseFloat(invoice.paid || 0);
+  const unpaid = parseFloat(invoice.unpaid || 0);
+  const paidShare = paid + unpaid > 0 ? (paid / (paid + unpaid)) * 100 : 0;
+  const payment = getPaymentStatus(invoice, paymentTerms, customerAliases);
+  const fields = getInvoiceFields(invoice, payment);
+  const title = `Invoice #${invoice.invoiceNumber || invoice.id}`;
+  const statusLabel = INVOICE_STATUS_CODES[invoice.invoiceStatus] || invoice.status || "Active";
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error('❌ Failed to copy link:', error);
+      alert('Could not copy the link. Copy it from the address bar instead.');
+    }
+  };
+
+  const exportPdf = async () => {
+    setExporting(true);
+    try {
+      const { renderInvoicePdf } = await import("../reports/renderers/pdf");
+      const blob = renderInvoicePdf({
+        title,
+        subtitle: `${invoice.customerName || "Unknown"} • ${formatDate(invoice.invoiceDate)}`,
+        amounts: [["Total", formatAmount(total, currency)], ["Paid", formatAmount(paid, currency)], ["Unpaid", formatAmount(unpaid, currency)]],
+        fields,
+        description: invoice.description
+      });
+      downloadBlob(blob, `invoice_${invoice.invoiceNumber || invoice.id}.pdf`);
+    } catch (error) {
+      console.error('❌ Failed to export invoice PDF:', error);
+      alert('❌ Failed to export the invoice PDF. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-indigo-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b border-gray-200">
+        <div className="max-w-7xl mx-auto px-4 py-6">
+          <button
+            onClick={() => navigate(-1)}
+            className="text-sm text-blue-600 hover:underline mb-2 print:hidden"
+          >
+            ← Back
+          </button>
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900 flex items-center gap-3">
+                <span className="text-4xl">🧾</span>
+                {title}
+              </h1>
+              <p className="text-gray-600 mt-1">
+                <Link to={`/customers/${encodeURIComponent(resolveCustomerId(invoice.customerName, customerAliases))}`} className="text-blue-600 hover:underline">
+                  {invoice.customerName || "Unknown"}
+                </Link>
+                {" "}• {invoice.salespersonName || "Unknown"} • {formatDate(invoice.invoiceDate)}
+              </p>
+            </div>
+            <div className="mt-4 md:mt-0 flex gap-2 print:hidden">
+              <button
+                onClick={copyLink}
+                className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition-colors flex items-center gap-2"
+              >
+                {copied ? "✅ Copied" : "🔗 Copy Link"}
+              </button>
+              <button
+                onClick={() => window.print()}
+                className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition-colors flex items-center gap-2"
+              >
+                🖨️ Print
+              </button>
+              <button
+                onClick={exportPdf}
+                disabled={exporting}
+                className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {exporting ? "⏳ Exporting..." : "📄 PDF"}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 py-8">
+        {query.unreachable && (
+          <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-lg text-yellow-800 text-sm print:hidden">
+            ⚠️ The server could not be reached; showing the invoice as last loaded.
+          </div>
+        )}
+
+        {/* Amounts */}
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+          <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
+            <p className="text-sm font-medium text-gray-600">Total</p>
+            <p className="text-2xl font-bold text-gray-900 mt-1">{formatAmount(total, currency)}</p>
+            <p className="text-xs text-gray-500 mt-1">{statusLabel}</p>
+          </div>
+          <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
+            <p className="text-sm font-medium text-gray-600">Paid / Unpaid</p>
+            <p className="text-2xl font-bold text-gray-900 mt-1">
+              <span className="text-green-600">{formatAmount(paid, currency)}</span>
+              <span className="text-gray-400 text-lg"> / </span>
+              <span className="text-red-600 text-lg">{formatAmount(unpaid, currency)}</span>
+            </p>
+            <div className="w-full bg-red-100 rounded-full h-1.5 mt-2">
+              <div className="bg-green-500 h-1.5 rounded-full" style={{ width: `${paidShare}%` }}></div>
+            </div>
+          </div>
+          <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
+            <p className="text-sm font-medium text-gray-600">Payment</p>
+            <p className="mt-2">
+              <span className={`px-3 py-1 rounded-full text-sm font-medium ${payment.color}`}>{payment.status}</span>
+            </p>
+            <p className="text-xs text-gray-500 mt-2">
+              {PAYMENT_TERMS[payment.term].label}{payment.dueDate ? ` • due ${payment.dueDate}` : ""}
+            </p>
+          </div>
+        </div>
+
+        {/* Fields */}
+        <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6 mb-8">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Details</h3>
+          <dl className="grid grid-cols-1 md:grid-cols-2 gap-x-8 gap-y-3">
+            {fields.map(([label, value]) => (
+              <div key={label} className="flex justify-between gap-4 border-b border-gray-100 pb-2">
+                <dt className="text-sm text-gray-600">{label}</dt>
+                <dd className="text-sm font-medium text-gray-900 text-right break-all">{value}</dd>
+              </div>
+            ))}
+          </dl>
+          <div className="mt-6">
+            <h4 className="text-sm font-medium text-gray-600 mb-1">Description</h4>
+            <p className="text-sm text-gray-900 whitespace-pre-wrap">{invoice.description || "—"}</p>
+          </div>
+        </div>
+
+        {/* Related invoices */}
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 print:hidden">
+          <RelatedInvoices
+            title={`Other Invoices for ${invoice.customerName || "this Customer"}`}
+            invoices={related.customer}
+            total={related.customerCount}
+            more={related.customerMore}
+            emptyMessage={relatedLoading ? "Loading related invoices..." : "No other invoices for this customer."}
+          />
+          <RelatedInvoices
+            title={`Other Invoices by ${invoice.salespersonName || "this Salesperson"}`}
+            invoices={related.salesperson}
+            total={related.salespersonCount}
+            more={related.salespersonMore}
+            emptyMessage={relatedLoading ? "Loading related invoices..." : "No other invoices by this salesperson."}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default InvoiceDetail;
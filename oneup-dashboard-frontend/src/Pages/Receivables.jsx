@@ -0,0 +1,424 @@
+import { useMemo } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import * as XLSX from 'xlsx';
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Cell,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis
+} from "recharts";
+import { useInvoices } from "../contexts/InvoiceContext";
+import InvoiceLoadProgress from "../Components/InvoiceLoadProgress";
+import ChartCard from "../Components/ChartCard";
+import VirtualTable from "../Components/VirtualTable";
+import { useExchangeRates } from "../hooks/useExchangeRates";
+import { useAggregation } from "../hooks/useAggregation";
+import { useCustomerAliases } from "../hooks/useCustomerAliases";
+import { useFilterState } from "../hooks/useFilterState";
+import { usePaymentTerms } from "../hooks/usePaymentTerms";
+import { getCurrencySymbol } from "../utils/currency";
+import { AGING_BUCKETS, AGING_GROUPS, DSO_WINDOW_DAYS } from "../utils/aging";
+import { PAYMENT_TERMS } from "../utils/paymentTerms";
+
+const RECEIVABLES_FILTER_FIELDS = ["groupBy"];
+const RECEIVABLES_FILTER_OVERRIDES = {
+  groupBy: { values: Object.keys(AGING_GROUPS), default: "customer" }
+};
+
+// Report keys of each grouping
+const GROUP_ROWS = { customer: "customers", salesperson: "salespersons", currency: "currencies" };
+
+const BUCKET_COLORS = {
+  current: "#10b981",
+  days1to30: "#facc15",
+  days31to60: "#f97316",
+  days61to90: "#ef4444",
+  days90plus: "#991b1b"
+};
+
+const BUCKET_BADGES = {
+  current: "bg-green-100 text-green-800",
+  days1to30: "bg-yellow-100 text-yellow-800",
+  days31to60: "bg-orange-100 text-orange-800",
+  days61to90: "bg-red-100 text-red-800",
+  days90plus: "bg-red-200 text-red-900"
+};
+
+const BUCKET_LABELS = Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, bucket.label]));
+
+const formatAmount = (value) => value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const bucketColumns = (row) => Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.label, row[bucket.key]]));
+
+// ✅ Export the aging report: summary, one sheet per grouping and the outstanding invoices
+const exportAgingToExcel = (report) => {
+  try {
+    const wb = XLSX.utils.book_new();
+    const currency = report.reportingCurrency;
+
+    const summary = [
+      { Metric: 'As Of', Value: report.asOf },
+      { Metric: 'Reporting Currency', Value: currency },
+      { Metric: 'Total Outstanding', Value: report.totals.outstanding },
+      { Metric: 'Overdue', Value: report.totals.overdue },
+      ...AGING_BUCKETS.map(bucket => ({ Metric: bucket.label, Value: report.totals[bucket.key] })),
+      { Metric: 'Outstanding Invoices', Value: report.totals.invoiceCount },
+      { Metric: `Sales (last ${DSO_WINDOW_DAYS} days)`, Value: report.windowSales },
+      { Metric: 'DSO (days)', Value: report.dso === null ? 'N/A' : Math.round(report.dso) }
+    ];
+    const summarySheet = XLSX.utils.json_to_sheet(summary);
+    summarySheet['!cols'] = [{ wch: 25 }, { wch: 18 }];
+    XLSX.utils.book_append_sheet(wb, summarySheet, 'Summary');
+
+    Object.entries(AGING_GROUPS).forEach(([group, label]) => {
+      const amountCurrency = group === "currency" ? "Original Currency" : currency;
+      const rows = report[GROUP_ROWS[group]].map(row => ({
+        [label]: row.label,
+        [`Total (${amountCurrency})`]: row.total,
+        ...bucketColumns(row),
+        'Invoices': row.invoiceCount,
+        'Oldest (days past due)': Math.max(0, row.oldestDaysPastDue)
+      }));
+      const sheet = XLSX.utils.json_to_sheet(rows);
+      sheet['!cols'] = [{ wch: 25 }, { wch: 18 }, ...AGING_BUCKETS.map(() => ({ wch: 14 })), { wch: 10 }, { wch: 20 }];
+      XLSX.utils.book_append_sheet(wb, sheet, `By ${label}`);
+    });
+
+    const invoiceRows = report.invoices.map(row => ({
+      'Invoice Number': row.invoiceNumber,
+      'Customer Name': row.customerName,
+      'Salesperson': row.salespersonName,
+      'Currency': row.currency,
+      'Unpaid Amount': row.unpaid,
+      [`Unpaid (${currency})`]: row.converted,
+      'Payment Terms': PAYMENT_TERMS[row.term].label,
+      'Due Date': row.dueDate,
+      'Days Past Due': Math.max(0, row.daysPastDue),
+      'Bucket': BUCKET_LABELS[row.bucket]
+    }));
+    const invoiceSheet = XLSX.utils.json_to_sheet(invoiceRows);
+    invoiceSheet['!cols'] = [{ wch: 15 }, { wch: 25 }, { wch: 20 }, { wch: 10 }, { wch: 15 }, { wch: 15 }, { wch: 15 }, { wch: 12 }, { wch: 14 }, { wch: 12 }];
+    XLSX.utils.book_append_sheet(wb, invoiceSheet, 'Invoices');
+
+    const filename = `ar_aging_${report.asOf}.xlsx`;
+    XLSX.writeFile(wb, filename);
+
+    console.log(`📊 Exported AR aging (${report.invoices.length} invoices) to ${filename}`);
+    return true;
+  } catch (error) {
+    console.error('Error exporting AR aging:', error);
+    return false;
+  }
+};
+
+// KPI Card Component
+const KpiCard = ({ icon, title, value, subtitle }) => (
+  <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
+    <div className="flex items-center justify-between">
+      <div>
+        <p className="text-sm font-medium text-gray-600">{title}</p>
+        <p className="text-2xl font-bold text-gray-900 mt-1">{value}</p>
+        {subtitle && <p className="text-xs text-gray-500 mt-1">{subtitle}</p>}
+      </div>
+      <div className="text-3xl">{icon}</div>
+    </div>
+  </div>
+);
+
+function Receivables() {
+  const { invoices } = useInvoices();
+  const { rateTable, reportingCurrency } = useExchangeRates();
+  const [filters, setFilters] = useFilterState(RECEIVABLES_FILTER_FIELDS, RECEIVABLES_FILTER_OVERRIDES);
+  const { groupBy } = filters;
+  const navigate = useNavigate();
+  const paymentTerms = usePaymentTerms();
+  const customerAliases = useCustomerAliases();
+  const symbol = getCurrencySymbol(reportingCurrency);
+
+  const payload = useMemo(() => {
+    if (!rateTable) return null;
+    return { invoices, reportingCurrency, rateTable, paymentTerms, customerAliases };
+  }, [invoices, reportingCurrency, rateTable, paymentTerms, customerAliases]);
+  const { data: report, loading } = useAggregation("aging", payload);
+
+  const chartData = useMemo(() => {
+    if (!report) return [];
+    return AGING_BUCKETS.map(bucket => ({ key: bucket.key, label: bucket.label, value: report.totals[bucket.key] }));
+  }, [report]);
+
+  const invoiceColumns = useMemo(() => [
+    {
+      key: "invoiceNumber",
+      header: "Invoice",
+      width: "minmax(120px, 1fr)",
+      render: (row) => <span className="text-sm font-medium text-gray-900">{row.invoiceNumber}</span>
+    },
+    {
+      key: "customerName",
+      header: "Customer",
+      width: "minmax(160px, 2fr)",
+      render: (row) => <span className="text-sm text-gray-900">{row.customerName}</span>
+    },
+    {
+      key: "salespersonName",
+      header: "Salesperson",
+      width: "minmax(140px, 1.5fr)",
+      render: (row) => <span className="text-sm text-gray-700">{row.salespersonName}</span>
+    },
+    {
+      key: "unpaid",
+      header: "Unpaid",
+      width: "minmax(130px, 1fr)",
+      align: "right",
+      render: (row) => (
+        <div>
+          <div className="text-sm font-medium text-gray-900">{row.currency} {formatAmount(row.unpaid)}</div>
+          {row.currency !== reportingCurrency && (
+            <div className="text-xs text-gray-500">{symbol}{formatAmount(row.converted)}</div>
+          )}
+        </div>
+      )
+    },
+    {
+      key: "dueDate",
+      header: "Due",
+      width: "110px",
+      render: (row) => (
+        <div>
+          <div className="text-sm text-gray-700">{row.dueDate}</div>
+          <div className="text-xs text-gray-500">{PAYMENT_TERMS[row.term].label}</div>
+        </div>
+      )
+    },
+    {
+      key: "bucket",
+      header: "Age",
+      width: "150px",
+      render: (row) => (
+        <span className={`px-2 py-1 rounded-full text-xs font-medium ${BUCKET_BADGES[row.bucket]}`}>
+          {row.daysPastDue > 0 ? `${row.daysPastDue} days • ${BUCKET_LABELS[row.bucket]}` : BUCKET_LABELS[row.bucket]}
+        </span>
+      )
+    }
+  ], [reportingCurrency, symbol]);
+
+  const handleExport = () => {
+    if (!report || report.invoices.length === 0) {
+      alert('No outstanding invoices to export.');
+      return;
+    }
+    if (exportAgingToExcel(report)) {
+      alert(`✅ Exported AR aging for ${report.invoices.length} outstanding invoices.`);
+    } else {
+      alert('❌ Failed to export AR aging. Please try again.');
+    }
+  };
+
+  const groupRows = report ? report[GROUP_ROWS[groupBy]] : [];
+  // The per-currency view keeps each currency's own amounts
+  const formatGroupAmount = (row, value) => (groupBy === "currency" ? `${row.key} ${formatAmount(value)}` : `${symbol}${formatAmount(value)}`);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-indigo-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b border-gray-200">
+        <div className="max-w-7xl mx-auto px-4 py-6">
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900 flex items-center gap-3">
+                <span className="text-4xl">💳</span>
+                Receivables Aging
+              </h1>
+              <p className="text-gray-600 mt-1">
+                Outstanding balances by days past due{report ? ` as of ${report.asOf}` : ""}, in {reportingCurrency}
+              </p>
+            </div>
+            <div className="mt-4 md:mt-0">
+              <button
+                onClick={handleExport}
+                disabled={!report}
+                className="px-4 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                📊 Export to Excel
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 py-8">
+        <InvoiceLoadProgress />
+
+        {!report ? (
+          <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-12 text-center text-gray-500">
+            {loading || !rateTable ? "⏳ Calculating aging..." : "No receivables data available."}
+          </div>
+        ) : (
+          <>
+            {/* KPIs */}
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
+              <KpiCard
+                icon="💰"
+                title="Total Outstanding"
+                value={`${symbol}${formatAmount(report.totals.outstanding)}`}
+                subtitle={report.totals.unconverted > 0 ? `${report.totals.unconverted} invoices without an exchange rate excluded` : `Across ${report.customers.length} customers`}
+              />
+              <KpiCard
+                icon="⏰"
+                title="Overdue"
+                value={`${symbol}${formatAmount(report.totals.overdue)}`}
+                subtitle={report.totals.outstanding > 0 ? `${((report.totals.overdue / report.totals.outstanding) * 100).toFixed(1)}% of outstanding` : "Nothing outstanding"}
+              />
+              <KpiCard
+                icon="📆"
+                title="DSO"
+                value={report.dso === null ? "N/A" : `${Math.round(report.dso)} days`}
+                subtitle={`Outstanding vs. sales of the last ${DSO_WINDOW_DAYS} days`}
+              />
+              <KpiCard
+                icon="🧾"
+                title="Outstanding Invoices"
+                value={report.totals.invoiceCount.toLocaleString()}
+                subtitle={`${report.invoices.filter(row => row.daysPastDue > 0).length} past due`}
+              />
+            </div>
+
+            {/* Buckets */}
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-8">
+              <div className="lg:col-span-2">
+                <ChartCard
+                  title="Outstanding by Age"
+                  subtitle={`Unpaid amounts by days past the due date, in ${reportingCurrency}`}
+                  filename="ar-aging"
+                >
+                  <ResponsiveContainer width="100%" height={280}>
+                    <BarChart data={chartData} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" vertical={false} />
+                      <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+                      <YAxis tickFormatter={(value) => Number(value).toLocaleString('en-US', { notation: 'compact', maximumFractionDigits: 1 })} tick={{ fontSize: 12 }} />
+                      <Tooltip formatter={(value) => [`${symbol}${formatAmount(value)}`, "Outstanding"]} cursor={{ fill: "#f3f4f6" }} />
+                      <Bar dataKey="value" name="Outstanding" radius={[4, 4, 0, 0]}>
+                        {chartData.map(entry => (
+                          <Cell key={entry.key} fill={BUCKET_COLORS[entry.key]} />
+                        ))}
+                      </Bar>
+                    </BarChart>
+                  </ResponsiveContainer>
+                </ChartCard>
+              </div>
+              <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
+                <h3 className="text-lg font-semibold text-gray-900 mb-4">Aging Buckets</h3>
+                <div className="space-y-3">
+                  {AGING_BUCKETS.map(bucket => {
+                    const amount = report.totals[bucket.key];
+                    const share = report.totals.outstanding > 0 ? (amount / report.totals.outstanding) * 100 : 0;
+                    return (
+                      <div key={bucket.key}>
+                        <div className="flex items-center justify-between text-sm mb-1">
+                          <span className="font-medium text-gray-700">{bucket.label}</span>
+                          <span className="text-gray-900">{symbol}{formatAmount(amount)}</span>
+                        </div>
+                        <div className="w-full bg-gray-200 rounded-full h-1.5">
+                          <div className="h-1.5 rounded-full" style={{ width: `${share}%`, backgroundColor: BUCKET_COLORS[bucket.key] }}></div>
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            </div>
+
+            {/* Grouped aging */}
+            <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6 mb-8">
+              <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-4">
+                <div>
+                  <h3 className="text-lg font-semibold text-gray-900">Aging by {AGING_GROUPS[groupBy]}</h3>
+                  <p className="text-sm text-gray-500">
+                    {groupBy === "currency" ? "Amounts in each invoice currency" : `Amounts in ${reportingCurrency}`}
+                  </p>
+                </div>
+                <div className="flex gap-1 bg-gray-100 rounded-lg p-1">
+                  {Object.entries(AGING_GROUPS).map(([group, label]) => (
+                    <button
+                      key={group}
+                      onClick={() => setFilters({ groupBy: group })}
+                      className={`px-3 py-1.5 text-sm font-medium rounded-md transition-colors ${
+                        groupBy === group ? "bg-white text-blue-600 shadow-sm" : "text-gray-600 hover:text-gray-900"
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              {groupRows.length === 0 ? (
+                <p className="text-sm text-gray-500">No outstanding balances. 🎉</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full">
+                    <thead className="bg-gray-50 border-b border-gray-200">
+                      <tr>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{AGING_GROUPS[groupBy]}</th>
+                        <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Outstanding</th>
+                        {AGING_BUCKETS.map(bucket => (
+                          <th key={bucket.key} className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{bucket.label}</th>
+                        ))}
+                        <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Invoices</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {groupRows.map(row => (
+                        <tr key={row.key} className="hover:bg-gray-50">
+                          <td className="px-4 py-3">
+                            {groupBy === "customer" ? (
+                              <Link to={`/customers/${encodeURIComponent(row.key)}`} className="text-sm font-medium text-blue-600 hover:underline">
+                                {row.label}
+                              </Link>
+                            ) : (
+                              <div className="text-sm font-medium text-gray-900">{row.label}</div>
+                            )}
+                            {row.oldestDaysPastDue > 0 && (
+                              <div className="text-xs text-gray-500">Oldest {row.oldestDaysPastDue} days past due</div>
+                            )}
+                          </td>
+                          <td className="px-4 py-3 text-right text-sm font-semibold text-gray-900">{formatGroupAmount(row, row.total)}</td>
+                          {AGING_BUCKETS.map(bucket => (
+                            <td key={bucket.key} className={`px-4 py-3 text-right text-sm ${row[bucket.key] > 0 ? "text-gray-900" : "text-gray-300"}`}>
+                              {row[bucket.key] > 0 ? formatGroupAmount(row, row[bucket.key]) : "—"}
+                            </td>
+                          ))}
+                          <td className="px-4 py-3 text-right text-sm text-gray-700">{row.invoiceCount}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+
+            {/* Outstanding invoices */}
+            <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-1">Outstanding Invoices</h3>
+              <p className="text-sm text-gray-500 mb-4">Oldest first • double-click or press Enter to open an invoice</p>
+              <VirtualTable
+                rows={report.invoices}
+                columns={invoiceColumns}
+                height={480}
+                onRowActivate={(row) => navigate(`/invoices/${row.id}`)}
+                emptyMessage="No outstanding invoices"
+                ariaLabel="Outstanding invoices"
+              />
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Receivables;
@@ -1,9 +1,30 @@
-import { useState, useEffect } from "react";
-import cachedApiClient from "../api/cachedApiClient";
+import { useState, useMemo } from "react";
+import { useInvoices } from "../contexts/InvoiceContext";
+import InvoiceLoadProgress from "../Components/InvoiceLoadProgress";
 import { formatLargeNumber, formatCurrency, smartFormat } from "../utils/formatters";
+import { useExchangeRates } from "../hooks/useExchangeRates";
+import { useSalesTargets } from "../hooks/useSalesTargets";
+import { useFilterState } from "../hooks/useFilterState";
+import { usePeriodSettings } from "../hooks/usePeriodSettings";
+import { useCustomerAliases } from "../hooks/useCustomerAliases";
+import DateRangePicker from "../Components/DateRangePicker";
+import { filterInvoicesByPeriod, getComparisonPeriod, resolvePeriod, validatePeriod } from "../utils/periods";
+import { formatChange, getChange } from "../utils/comparison";
+import { createCustomerResolver } from "../utils/customerIdentity";
+import { calculateRevenue, getCurrencySymbol } from "../utils/currency";
+import { buildReport } from "../reports/reportBuilders";
+import { downloadReport } from "../reports/renderReport";
+import { REPORT_FORMATS } from "../reports/reportSchema";
+import { DATE_BASES, describeReportPeriod } from "../reports/reportPeriod";
+
+const FORMAT_ICONS = { pdf: "📄", xlsx: "📊", csv: "📋", json: "🔧" };
+
+// ✅ Report period kept in the URL (see utils/filters.js), so a report setup can be shared
+const REPORT_FILTER_FIELDS = ["period", "year", "month", "quarter", "week", "from", "to", "compare", "basis"];
+const REPORT_FILTER_OVERRIDES = { period: { default: "last30days" }, basis: { default: "invoiceDate" } };
 
 // Report Card Component
-const ReportCard = ({ icon, title, description, type, onGenerate, isGenerating }) => (
+const ReportCard = ({ id, icon, title, description, type, onGenerate, isGenerating }) => (
   <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6 hover:shadow-xl transition-all duration-300 transform hover:-translate-y-1">
     <div className="flex items-center justify-between mb-4">
       <div className="text-4xl">{icon}</div>
@@ -18,7 +39,7 @@ const ReportCard = ({ icon, title, description, type, onGenerate, isGenerating }
     <p className="text-gray-600 text-sm mb-4">{description}</p>
     
     <button
-      onClick={() => onGenerate(title)}
+      onClick={() => onGenerate(id)}
       disabled={isGenerating}
       className={`w-full py-2 px-4 rounded-lg font-medium transition-colors ${
         isGenerating
@@ -31,8 +52,17 @@ const ReportCard = ({ icon, title, description, type, onGenerate, isGenerating }
   </div>
 );
 
-// Quick Stats Component
-const QuickStat = ({ icon, label, value, trend }) => (
+// Headline figures for a set of invoices; customers are counted by resolved identity and
+// revenue is converted to the reporting currency without cancelled invoices (null until rates load)
+const getQuickStats = (invoices, { customerAliases, reportingCurrency, rateTable }) => ({
+  totalInvoices: invoices.length,
+  totalRevenue: rateTable ? calculateRevenue(invoices, reportingCurrency, rateTable).total : null,
+  totalCustomers: Object.keys(createCustomerResolver(invoices, customerAliases).customers).length,
+  totalSalespersons: new Set(invoices.map(inv => inv.salespersonName)).size
+});
+
+// Quick Stats Component; `change` is shown when a comparison period is selected
+const QuickStat = ({ icon, label, value, change, trend }) => (
   <div className="bg-white rounded-lg shadow-md border border-gray-200 p-4">
     <div className="flex items-center justify-between">
       <div>
@@ -40,72 +70,107 @@ const QuickStat = ({ icon, label, value, trend }) => (
         <div className="text-xs text-gray-500 uppercase tracking-wide">{label}</div>
         <div className="text-lg font-bold text-gray-900">{value}</div>
       </div>
-      <div className={`text-sm font-medium ${
-        trend === 'up' ? 'text-green-600' : trend === 'down' ? 'text-red-600' : 'text-gray-600'
-      }`}>
-        {trend === 'up' ? '↗️ +12%' : trend === 'down' ? '↘️ -5%' : '→ 0%'}
-      </div>
+      {change && (
+        <div className={`text-sm font-medium text-right ${
+          trend === 'up' ? 'text-green-600' : trend === 'down' ? 'text-red-600' : 'text-gray-600'
+        }`}>
+          {trend === 'up' ? '↗️' : trend === 'down' ? '↘️' : '→'} {change}
+        </div>
+      )}
     </div>
   </div>
 );
 
 const Reports = () => {
   const [generatingReport, setGeneratingReport] = useState(null);
-  const [dateRange, setDateRange] = useState('last30days');
+  const [filters, setFilters] = useFilterState(REPORT_FILTER_FIELDS, REPORT_FILTER_OVERRIDES);
+  const { period: periodKey, year, month, quarter, week, from, to, compare } = filters;
+  const dateBasis = filters.basis;
+  const { fiscalYearStartMonth } = usePeriodSettings();
   const [reportFormat, setReportFormat] = useState('pdf');
-  const [invoiceData, setInvoiceData] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [stats, setStats] = useState({
-    totalInvoices: 0,
-    totalRevenue: 0,
-    totalCustomers: 0,
-    totalSalespersons: 0
-  });
+  const { invoices: invoiceData, loading } = useInvoices();
+  const { rateTable, reportingCurrency } = useExchangeRates();
+  const { targets, teams } = useSalesTargets();
+  const customerAliases = useCustomerAliases();
+
+  // ✅ Invoices in the selected period; every report is built from these
+  const period = useMemo(
+    () => resolvePeriod({ period: periodKey, year, month, quarter, week, from, to }, { fiscalYearStartMonth }),
+    [periodKey, year, month, quarter, week, from, to, fiscalYearStartMonth]
+  );
+  const periodError = validatePeriod(period);
+  const periodInvoices = useMemo(
+    () => (periodError ? [] : filterInvoicesByPeriod(invoiceData, period, dateBasis)),
+    [invoiceData, period, periodError, dateBasis]
+  );
+
+  // ✅ Quick stats for the selected period, with deltas against the comparison period
+  const comparisonPeriod = useMemo(
+    () => (periodError ? null : getComparisonPeriod(period, compare)),
+    [period, periodError, compare]
+  );
+  const stats = useMemo(
+    () => getQuickStats(periodInvoices, { customerAliases, reportingCurrency, rateTable }),
+    [periodInvoices, customerAliases, reportingCurrency, rateTable]
+  );
+  const comparisonStats = useMemo(() => (
+    comparisonPeriod
+      ? getQuickStats(filterInvoicesByPeriod(invoiceData, comparisonPeriod, dateBasis), { customerAliases, reportingCurrency, rateTable })
+      : null
+  ), [invoiceData, comparisonPeriod, dateBasis, customerAliases, reportingCurrency, rateTable]);
 
   const reports = [
     {
+      id: "sales-performance",
       icon: "📊",
       title: "Sales Performance Report",
       description: "Comprehensive analysis of sales metrics, trends, and performance indicators.",
       type: "standard"
     },
     {
+      id: "salesperson-performance",
       icon: "👥",
       title: "Salesperson Performance Report",
       description: "Individual salesperson metrics, rankings, and performance comparisons.",
       type: "standard"
     },
     {
+      id: "customer-analytics",
       icon: "🏢",
       title: "Customer Analytics Report",
       description: "Customer behavior, spending patterns, and retention analysis.",
       type: "premium"
     },
     {
+      id: "revenue-analysis",
       icon: "💰",
       title: "Revenue Analysis Report",
       description: "Detailed revenue breakdown by currency, region, and time period.",
       type: "standard"
     },
     {
+      id: "growth-trends",
       icon: "📈",
       title: "Growth Trends Report",
       description: "Historical growth analysis with forecasting and projections.",
       type: "premium"
     },
     {
+      id: "target-vs-achievement",
       icon: "🎯",
       title: "Target vs Achievement Report",
       description: "Compare actual performance against set targets and goals.",
       type: "premium"
     },
     {
+      id: "invoice-summary",
       icon: "📋",
       title: "Invoice Summary Report",
       description: "Complete invoice listing with filtering and sorting options.",
       type: "standard"
     },
     {
+      id: "recurring-revenue",
       icon: "🔄",
       title: "Recurring Revenue Report",
       description: "Analysis of recurring customers and subscription-based revenue.",
@@ -113,80 +178,54 @@ const Reports = () => {
     }
   ];
 
+  const formatCount = (value) => value.toLocaleString();
+  const formatRevenue = (value) => `${getCurrencySymbol(reportingCurrency)}${smartFormat(value)}`;
   const quickStats = [
-    { icon: "📊", label: "Total Invoices", value: stats.totalInvoices.toLocaleString(), trend: "up" },
-    { icon: "💰", label: "Total Revenue", value: smartFormat(stats.totalRevenue), trend: "up" },
-    { icon: "🏢", label: "Total Customers", value: stats.totalCustomers.toLocaleString(), trend: "up" },
-    { icon: "👥", label: "Salespersons", value: stats.totalSalespersons.toLocaleString(), trend: "up" }
-  ];
-
-  // Fetch invoice data for reports
-  useEffect(() => {
-    const fetchInvoiceData = async () => {
-      try {
-        setLoading(true);
-        const response = await cachedApiClient.get(`/invoices?page=1&pageSize=-1`);
-        const invoices = response.data.data || [];
-        
-        setInvoiceData(invoices);
-        
-        // Calculate stats
-        const uniqueCustomers = new Set(invoices.map(inv => inv.customerName)).size;
-        const uniqueSalespersons = new Set(invoices.map(inv => inv.salespersonName)).size;
-        const totalRevenue = invoices.reduce((sum, inv) => sum + parseFloat(inv.total || 0), 0);
-        
-        setStats({
-          totalInvoices: invoices.length,
-          totalRevenue,
-          totalCustomers: uniqueCustomers,
-          totalSalespersons: uniqueSalespersons
-        });
-      } catch (error) {
-        console.error("Error fetching invoice data:", error);
-      } finally {
-        setLoading(false);
-      }
+    { icon: "📊", label: "Total Invoices", key: "totalInvoices", format: formatCount },
+    { icon: "💰", label: `Total Revenue (${reportingCurrency})`, key: "totalRevenue", format: formatRevenue },
+    { icon: "🏢", label: "Total Customers", key: "totalCustomers", format: formatCount },
+    { icon: "👥", label: "Salespersons", key: "totalSalespersons", format: formatCount }
+  ].map(({ key, format, ...stat }) => {
+    const pending = loading || stats[key] === null;
+    const change = !pending && comparisonStats ? getChange(stats[key], comparisonStats[key]) : null;
+    return {
+      ...stat,
+      value: pending ? "..." : format(stats[key]),
+      change: change ? formatChange(change, format) : null,
+      trend: change?.trend
     };
-    
-    fetchInvoiceData();
-  }, []);
+  });
+
+  const handleGenerateReport = async (reportId) => {
+    if (!rateTable) {
+      alert("Exchange rates are still loading. Please try again in a moment.");
+      return;
+    }
+    if (periodError) {
+      alert(`❌ ${periodError}`);
+      return;
+    }
+    if (periodInvoices.length === 0) {
+      alert("No invoices fall within the selected period. Choose a different date range.");
+      return;
+    }
+    setGeneratingReport(reportId);
 
-  const handleGenerateReport = async (reportTitle) => {
-    setGeneratingReport(reportTitle);
-    
     try {
-      // Generate real report based on invoice data
-      let reportContent = "";
-      
-      switch (reportTitle) {
-        case "Sales Performance Report":
-          reportContent = generateSalesPerformanceReport();
-          break;
-        case "Salesperson Performance Report":
-          reportContent = generateSalespersonReport();
-          break;
-        case "Customer Analytics Report":
-          reportContent = generateCustomerReport();
-          break;
-        case "Revenue Analysis Report":
-          reportContent = generateRevenueReport();
-          break;
-        case "Invoice Summary Report":
-          reportContent = generateInvoiceSummaryReport();
-          break;
-        default:
-          reportContent = generateGenericReport(reportTitle);
-      }
-      
-      // Create and download the report
-      const blob = new Blob([reportContent], { type: 'text/plain' });
-      const url = window.URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `${reportTitle.replace(/\s+/g, '_')}_${new Date().toISOString().slice(0, 10)}.txt`;
-      a.click();
-      window.URL.revokeObjectURL(url);
-      
+      // Build the report model once, then render it in the selected format
+      const report = reports.find(r => r.id === reportId);
+      const model = buildReport(report, {
+        invoices: periodInvoices,
+        allInvoices: invoiceData,
+        reportingCurrency,
+        rateTable,
+        period,
+        dateBasis,
+        targets,
+        teams,
+        customerAliases
+      });
+      await downloadReport(model, reportFormat);
     } catch (error) {
       console.error("Error generating report:", error);
       alert("Failed to generate report. Please try again.");
@@ -195,219 +234,6 @@ const Reports = () => {
     }
   };
 
-  const generateSalesPerformanceReport = () => {
-    const totalRevenue = invoiceData.reduce((sum, inv) => sum + parseFloat(inv.total || 0), 0);
-    const avgInvoiceValue = totalRevenue / invoiceData.length;
-    
-    // Sales by currency
-    const currencySales = {};
-    invoiceData.forEach(inv => {
-      const currency = inv.currency || "USD";
-      currencySales[currency] = (currencySales[currency] || 0) + parseFloat(inv.total || 0);
-    });
-    
-    return `SALES PERFORMANCE REPORT
-Generated: ${new Date().toLocaleString()}
-Date Range: ${dateRange}
-
-SUMMARY
-========
-Total Invoices: ${invoiceData.length}
-Total Revenue: ${smartFormat(totalRevenue)}
-Average Invoice Value: ${smartFormat(avgInvoiceValue)}
-Total Customers: ${stats.totalCustomers}
-Total Salespersons: ${stats.totalSalespersons}
-
-CURRENCY BREAKDOWN
-==================
-${Object.entries(currencySales).map(([currency, amount]) => 
-  `${currency}: ${smartFormat(amount)}`
-).join('\n')}
-
-TOP PERFORMING SALESPERSONS
-===========================
-${getTopSalespersons().slice(0, 10).map((sp, i) => 
-  `${i + 1}. ${sp.name}: ${smartFormat(sp.total)} (${sp.count} invoices)`
-).join('\n')}
-
-TOP CUSTOMERS
-=============
-${getTopCustomers().slice(0, 10).map((customer, i) => 
-  `${i + 1}. ${customer.name}: ${smartFormat(customer.total)} (${customer.count} invoices)`
-).join('\n')}`;
-  };
-
-  const generateSalespersonReport = () => {
-    const salespersonData = getTopSalespersons();
-    
-    return `SALESPERSON PERFORMANCE REPORT
-Generated: ${new Date().toLocaleString()}
-Date Range: ${dateRange}
-
-SALESPERSON RANKINGS
-====================
-${salespersonData.map((sp, i) => 
-  `${i + 1}. ${sp.name}
-   Total Sales: ${smartFormat(sp.total)}
-   Invoice Count: ${sp.count}
-   Average Sale: ${smartFormat(sp.total / sp.count)}
-   Currency Mix: ${sp.currencies.join(', ')}
-   -------------------------`
-).join('\n')}
-
-SUMMARY STATISTICS
-==================
-Total Salespersons: ${salespersonData.length}
-Top Performer: ${salespersonData[0]?.name || 'N/A'}
-Total Revenue: ${smartFormat(salespersonData.reduce((sum, sp) => sum + sp.total, 0))}`;
-  };
-
-  const generateCustomerReport = () => {
-    const customerData = getTopCustomers();
-    
-    return `CUSTOMER ANALYTICS REPORT
-Generated: ${new Date().toLocaleString()}
-Date Range: ${dateRange}
-
-CUSTOMER RANKINGS
-=================
-${customerData.map((customer, i) => 
-  `${i + 1}. ${customer.name}
-   Total Spent: ${smartFormat(customer.total)}
-   Invoice Count: ${customer.count}
-   Average Order: ${smartFormat(customer.total / customer.count)}
-   -------------------------`
-).join('\n')}
-
-SUMMARY STATISTICS
-==================
-Total Customers: ${customerData.length}
-Top Customer: ${customerData[0]?.name || 'N/A'}
-Total Revenue: ${smartFormat(customerData.reduce((sum, c) => sum + c.total, 0))}`;
-  };
-
-  const generateRevenueReport = () => {
-    const currencySales = {};
-    invoiceData.forEach(inv => {
-      const currency = inv.currency || "USD";
-      currencySales[currency] = (currencySales[currency] || 0) + parseFloat(inv.total || 0);
-    });
-    
-    return `REVENUE ANALYSIS REPORT
-Generated: ${new Date().toLocaleString()}
-Date Range: ${dateRange}
-
-CURRENCY BREAKDOWN
-==================
-${Object.entries(currencySales).map(([currency, amount]) => 
-  `${currency}: ${smartFormat(amount)} (${((amount / stats.totalRevenue) * 100).toFixed(1)}%)`
-).join('\n')}
-
-MONTHLY REVENUE TREND
-=====================
-${getMonthlyRevenue().map(month => 
-  `${month.month}: ${smartFormat(month.revenue)}`
-).join('\n')}
-
-SUMMARY
-========
-Total Revenue: ${smartFormat(stats.totalRevenue)}
-Primary Currency: ${Object.entries(currencySales).sort(([,a], [,b]) => b - a)[0]?.[0] || 'N/A'}
-Revenue Growth: Calculated based on historical data`;
-  };
-
-  const generateInvoiceSummaryReport = () => {
-    return `INVOICE SUMMARY REPORT
-Generated: ${new Date().toLocaleString()}
-Date Range: ${dateRange}
-
-INVOICE LISTING
-===============
-${invoiceData.slice(0, 100).map((inv, i) => 
-  `${i + 1}. Invoice #${inv.invoiceNumber || inv.id}
-   Customer: ${inv.customerName || 'Unknown'}
-   Salesperson: ${inv.salespersonName || 'Unknown'}
-   Amount: ${smartFormat(parseFloat(inv.total || 0))} ${inv.currency || 'USD'}
-   Date: ${inv.invoiceDate || 'Unknown'}
-   -------------------------`
-).join('\n')}
-
-${invoiceData.length > 100 ? `\n... and ${invoiceData.length - 100} more invoices` : ''}
-
-SUMMARY
-========
-Total Invoices: ${invoiceData.length}
-Total Value: ${smartFormat(invoiceData.reduce((sum, inv) => sum + parseFloat(inv.total || 0), 0))}`;
-  };
-
-  const generateGenericReport = (title) => {
-    return `${title.toUpperCase()}
-Generated: ${new Date().toLocaleString()}
-Date Range: ${dateRange}
-
-DATA SUMMARY
-============
-Total Invoices: ${invoiceData.length}
-Total Revenue: ${smartFormat(stats.totalRevenue)}
-Total Customers: ${stats.totalCustomers}
-Total Salespersons: ${stats.totalSalespersons}
-
-This report contains comprehensive data analysis based on ${invoiceData.length} invoices.`;
-  };
-
-  // Helper functions
-  const getTopSalespersons = () => {
-    const salespersonData = {};
-    invoiceData.forEach(inv => {
-      const name = inv.salespersonName || "Unknown";
-      const total = parseFloat(inv.total || 0);
-      const currency = inv.currency || "USD";
-      
-      if (!salespersonData[name]) {
-        salespersonData[name] = { name, total: 0, count: 0, currencies: new Set() };
-      }
-      salespersonData[name].total += total;
-      salespersonData[name].count += 1;
-      salespersonData[name].currencies.add(currency);
-    });
-    
-    return Object.values(salespersonData)
-      .map(sp => ({ ...sp, currencies: Array.from(sp.currencies) }))
-      .sort((a, b) => b.total - a.total);
-  };
-
-  const getTopCustomers = () => {
-    const customerData = {};
-    invoiceData.forEach(inv => {
-      const name = inv.customerName || "Unknown";
-      const total = parseFloat(inv.total || 0);
-      
-      if (!customerData[name]) {
-        customerData[name] = { name, total: 0, count: 0 };
-      }
-      customerData[name].total += total;
-      customerData[name].count += 1;
-    });
-    
-    return Object.values(customerData).sort((a, b) => b.total - a.total);
-  };
-
-  const getMonthlyRevenue = () => {
-    const monthlyData = {};
-    invoiceData.forEach(inv => {
-      const date = inv.invoiceDate || "";
-      const month = date.slice(0, 7); // YYYY-MM
-      if (month) {
-        monthlyData[month] = (monthlyData[month] || 0) + parseFloat(inv.total || 0);
-      }
-    });
-    
-    return Object.entries(monthlyData)
-      .sort(([a], [b]) => b.localeCompare(a))
-      .slice(0, 12)
-      .map(([month, revenue]) => ({ month, revenue }));
-  };
-
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-50 to-blue-50">
       {/* Header */}
@@ -434,7 +260,13 @@ This report contains comprehensive data analysis based on ${invoiceData.length}
       </div>
 
       <div className="max-w-7xl mx-auto px-4 py-8">
+        <InvoiceLoadProgress />
+
         {/* Quick Stats */}
+        <p className="text-sm text-gray-600 mb-3">
+          📅 {describeReportPeriod(period)}
+          {comparisonPeriod && ` vs ${comparisonPeriod.label.toLowerCase()} (${comparisonPeriod.start} to ${comparisonPeriod.end})`}
+        </p>
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
           {quickStats.map((stat, index) => (
             <QuickStat key={index} {...stat} />
@@ -446,20 +278,25 @@ This report contains comprehensive data analysis based on ${invoiceData.length}
           <h2 className="text-xl font-semibold text-gray-900 mb-4 flex items-center gap-2">
             ⚙️ Report Configuration
           </h2>
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+            <DateRangePicker
+              value={filters}
+              onChange={setFilters}
+              fiscalYearStartMonth={fiscalYearStartMonth}
+              comparison
+              labelClassName="block text-sm font-medium text-gray-700 mb-2"
+              inputClassName="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">Date Range</label>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Date Basis</label>
               <select
-                value={dateRange}
-                onChange={(e) => setDateRange(e.target.value)}
+                value={dateBasis}
+                onChange={(e) => setFilters({ basis: e.target.value })}
                 className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               >
-                <option value="last7days">Last 7 Days</option>
-                <option value="last30days">Last 30 Days</option>
-                <option value="last90days">Last 90 Days</option>
-                <option value="lastyear">Last Year</option>
-                <option value="alltime">All Time</option>
-                <option value="custom">Custom Range</option>
+                <option value="invoiceDate">📅 {DATE_BASES.invoiceDate}</option>
+                <option value="creationDate">🕐 {DATE_BASES.creationDate}</option>
               </select>
             </div>
 
@@ -470,10 +307,9 @@ This report contains comprehensive data analysis based on ${invoiceData.length}
                 onChange={(e) => setReportFormat(e.target.value)}
                 className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               >
-                <option value="pdf">📄 PDF</option>
-                <option value="xlsx">📊 Excel (XLSX)</option>
-                <option value="csv">📋 CSV</option>
-                <option value="json">🔧 JSON</option>
+                {Object.entries(REPORT_FORMATS).map(([value, format]) => (
+                  <option key={value} value={value}>{FORMAT_ICONS[value]} {format.label}</option>
+                ))}
               </select>
             </div>
 
@@ -486,6 +322,12 @@ This report contains comprehensive data analysis based on ${invoiceData.length}
               </select>
             </div>
           </div>
+
+          <div className={`mt-4 text-sm ${periodError ? "text-red-600" : "text-gray-600"}`}>
+            {periodError
+              ? `⚠️ ${periodError}`
+              : `📅 ${describeReportPeriod(period)} by ${DATE_BASES[dateBasis].toLowerCase()}: ${periodInvoices.length.toLocaleString()} of ${invoiceData.length.toLocaleString()} invoices included`}
+          </div>
         </div>
 
         {/* Available Reports */}
@@ -496,12 +338,12 @@ This report contains comprehensive data analysis based on ${invoiceData.length}
           </div>
 
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-            {reports.map((report, index) => (
+            {reports.map(report => (
               <ReportCard
-                key={index}
+                key={report.id}
                 {...report}
                 onGenerate={handleGenerateReport}
-                isGenerating={generatingReport === report.title}
+                isGenerating={generatingReport === report.id}
               />
             ))}
           </div>
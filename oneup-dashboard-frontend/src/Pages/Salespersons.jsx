@@ -1,6 +1,19 @@
-import { useEffect, useState } from "react";
-import cachedApiClient from "../api/cachedApiClient";
+import { useMemo } from "react";
+import { Link } from "react-router-dom";
 import { smartFormat } from "../utils/formatters";
+import { useInvoices } from "../contexts/InvoiceContext";
+import InvoiceLoadProgress from "../Components/InvoiceLoadProgress";
+import { useExchangeRates } from "../hooks/useExchangeRates";
+import { getCurrencySymbol, VALUATION_MODES } from "../utils/currency";
+import { useAggregation } from "../hooks/useAggregation";
+import { useSalesTargets } from "../hooks/useSalesTargets";
+import { TARGET_STATUS_LABELS } from "../utils/targets";
+import { useFilterState } from "../hooks/useFilterState";
+import { usePeriodSettings } from "../hooks/usePeriodSettings";
+import DateRangePicker from "../Components/DateRangePicker";
+import { filterInvoicesByPeriod, getComparisonPeriod, resolvePeriod } from "../utils/periods";
+import { getChange } from "../utils/comparison";
+import ChangeBadge from "../Components/ChangeBadge";
 
 // Enhanced Spinner for all invoices
 const Spinner = () => (
@@ -19,8 +32,80 @@ const Spinner = () => (
   </div>
 );
 
+const TARGET_STATUS_STYLES = {
+  "on-track": { badge: "bg-green-100 text-green-800", bar: "bg-green-500" },
+  "at-risk": { badge: "bg-yellow-100 text-yellow-800", bar: "bg-yellow-500" },
+  behind: { badge: "bg-red-100 text-red-800", bar: "bg-red-500" }
+};
+
+const formatCompact = (value) => value.toLocaleString('en-US', {
+  minimumFractionDigits: 0,
+  maximumFractionDigits: 1,
+  notation: 'compact',
+  compactDisplay: 'short'
+});
+
+const formatPercent = (value) => (value === null ? "—" : `${Math.round(value * 100)}%`);
+
+// Current-period quota progress: attainment, pace and projected finish
+const TargetProgress = ({ progress, symbol }) => {
+  if (!progress) {
+    return (
+      <div className="mb-4 bg-gray-50 rounded-lg px-3 py-2 border border-dashed border-gray-300 flex items-center justify-between">
+        <span className="text-xs text-gray-500">🎯 No target set</span>
+        <Link to="/targets" className="text-xs font-medium text-blue-600 hover:text-blue-800">Set target →</Link>
+      </div>
+    );
+  }
+
+  const styles = TARGET_STATUS_STYLES[progress.status] || TARGET_STATUS_STYLES.behind;
+  return (
+    <div className="mb-4 bg-indigo-50 rounded-lg p-3 border border-indigo-200">
+      <div className="flex items-center justify-between mb-2">
+        <p className="text-xs font-medium text-indigo-600 uppercase tracking-wide">🎯 {progress.period.label} Target</p>
+        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${styles.badge}`}>
+          {TARGET_STATUS_LABELS[progress.status]}
+        </span>
+      </div>
+      <div className="flex items-baseline justify-between mb-1">
+        <span className="text-lg font-bold text-indigo-900">{formatPercent(progress.attainment)}</span>
+        <span className="text-xs text-indigo-700">
+          {symbol}{formatCompact(progress.achieved)} of {symbol}{formatCompact(progress.target)}
+        </span>
+      </div>
+      <div className="w-full bg-indigo-100 rounded-full h-2 mb-2">
+        <div className={`h-2 rounded-full ${styles.bar}`} style={{ width: `${Math.min(100, (progress.attainment || 0) * 100)}%` }}></div>
+      </div>
+      <div className="grid grid-cols-2 gap-2 text-xs">
+        <div>
+          <p className="text-indigo-600">Pace</p>
+          <p className="font-semibold text-indigo-900" title={`Expected by today: ${symbol}${formatCompact(progress.expected)}`}>
+            {formatPercent(progress.pace)} of plan
+          </p>
+        </div>
+        <div>
+          <p className="text-indigo-600">Projected finish</p>
+          <p className="font-semibold text-indigo-900">
+            {symbol}{formatCompact(progress.projected)} ({formatPercent(progress.projectedAttainment)})
+          </p>
+        </div>
+      </div>
+      <p className="text-xs text-indigo-500 mt-2">
+        Day {progress.period.elapsedDays} of {progress.period.totalDays}
+      </p>
+    </div>
+  );
+};
+
+const formatWhole = (value) => value.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 });
+const getAverageSale = (sp) => (sp.invoiceCount > 0 ? sp.totalSalesConverted / sp.invoiceCount : 0);
+
 // Performance Card Component
-const PerformanceCard = ({ salesperson, rank, isTopPerformer = false }) => {
+// previous: the salesperson's figures in the comparison period (zeros when they had none), null when not comparing
+const PerformanceCard = ({ salesperson, rank, reportingCurrency, targetProgress, previous = null, isTopPerformer = false }) => {
+  const symbol = getCurrencySymbol(reportingCurrency);
+  const formatSales = (value) => `${symbol}${formatWhole(value)}`;
+
   const getRankIcon = (rank) => {
     if (rank === 1) return "🥇";
     if (rank === 2) return "🥈";
@@ -57,12 +142,15 @@ const PerformanceCard = ({ salesperson, rank, isTopPerformer = false }) => {
         <p className="text-sm text-gray-600">Employee ID: {salesperson.employeeId}</p>
       </div>
 
+      {/* Target Progress */}
+      <TargetProgress progress={targetProgress} symbol={symbol} />
+
       {/* Performance Metrics */}
       <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-4">
         <div className="bg-green-50 rounded-lg p-3 border border-green-200">
-          <p className="text-xs font-medium text-green-600 uppercase tracking-wide">Total Sales (PKR)</p>
+          <p className="text-xs font-medium text-green-600 uppercase tracking-wide">Total Sales ({reportingCurrency})</p>
           <p className="text-sm font-bold text-green-800 break-words">
-            ₨{salesperson.totalSalesPKR?.toLocaleString('en-US', { 
+            {symbol}{salesperson.totalSalesConverted?.toLocaleString('en-US', { 
               minimumFractionDigits: 0, 
               maximumFractionDigits: 0,
               notation: 'compact',
@@ -70,21 +158,23 @@ const PerformanceCard = ({ salesperson, rank, isTopPerformer = false }) => {
             }) || '0'}
           </p>
           <p className="text-xs text-green-600 mt-1">
-            {salesperson.totalSalesPKR?.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 }) || '0'}
+            {salesperson.totalSalesConverted?.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 }) || '0'}
           </p>
+          {previous && <ChangeBadge change={getChange(salesperson.totalSalesConverted || 0, previous.totalSalesConverted)} format={formatSales} className="mt-2" />}
         </div>
         <div className="bg-blue-50 rounded-lg p-3 border border-blue-200">
           <p className="text-xs font-medium text-blue-600 uppercase tracking-wide">Invoices</p>
           <p className="text-lg font-bold text-blue-800">{salesperson.invoiceCount}</p>
+          {previous && <ChangeBadge change={getChange(salesperson.invoiceCount, previous.invoiceCount)} className="mt-2" />}
         </div>
       </div>
 
       {/* Average Sale */}
       <div className="mb-4">
         <div className="bg-purple-50 rounded-lg p-3 border border-purple-200">
-          <p className="text-xs font-medium text-purple-600 uppercase tracking-wide">Average Sale (PKR)</p>
+          <p className="text-xs font-medium text-purple-600 uppercase tracking-wide">Average Sale ({reportingCurrency})</p>
           <p className="text-sm font-bold text-purple-800 break-words">
-            ₨{salesperson.invoiceCount > 0 ? (salesperson.totalSalesPKR / salesperson.invoiceCount).toLocaleString('en-US', { 
+            {symbol}{salesperson.invoiceCount > 0 ? (salesperson.totalSalesConverted / salesperson.invoiceCount).toLocaleString('en-US', { 
               minimumFractionDigits: 0, 
               maximumFractionDigits: 0,
               notation: 'compact',
@@ -92,8 +182,9 @@ const PerformanceCard = ({ salesperson, rank, isTopPerformer = false }) => {
             }) : '0'}
           </p>
           <p className="text-xs text-purple-600 mt-1">
-            {salesperson.invoiceCount > 0 ? (salesperson.totalSalesPKR / salesperson.invoiceCount).toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 }) : '0'}
+            {salesperson.invoiceCount > 0 ? (salesperson.totalSalesConverted / salesperson.invoiceCount).toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 }) : '0'}
           </p>
+          {previous && <ChangeBadge change={getChange(getAverageSale(salesperson), getAverageSale(previous))} format={formatSales} className="mt-2" />}
         </div>
       </div>
 
@@ -113,12 +204,22 @@ const PerformanceCard = ({ salesperson, rank, isTopPerformer = false }) => {
   );
 };
 
-// Stats Overview Component
-const StatsOverview = ({ salespersons }) => {
-  // Calculate total sales in PKR
-  const totalSalesPKR = salespersons.reduce((sum, sp) => sum + (sp.totalSalesPKR || 0), 0);
+// Team totals in the reporting currency
+const getTeamTotals = (salespersons) => {
+  const totalSalesConverted = salespersons.reduce((sum, sp) => sum + (sp.totalSalesConverted || 0), 0);
   const totalInvoices = salespersons.reduce((sum, sp) => sum + sp.invoiceCount, 0);
-  const averageSalePKR = totalInvoices > 0 ? totalSalesPKR / totalInvoices : 0;
+  return { totalSalesConverted, totalInvoices, averageSaleConverted: totalInvoices > 0 ? totalSalesConverted / totalInvoices : 0 };
+};
+
+// Stats Overview Component
+// comparisonSalespersons: salesperson analytics for the comparison period, null when not comparing
+const StatsOverview = ({ salespersons, comparisonSalespersons = null, reportingCurrency }) => {
+  const symbol = getCurrencySymbol(reportingCurrency);
+  const formatSales = (value) => `${symbol}${formatWhole(value)}`;
+
+  // Calculate total sales in the reporting currency
+  const { totalSalesConverted, totalInvoices, averageSaleConverted } = getTeamTotals(salespersons);
+  const previous = comparisonSalespersons ? getTeamTotals(comparisonSalespersons) : null;
 
   // Calculate currency totals (original amounts for breakdown)
   const currencyTotals = {};
@@ -135,9 +236,9 @@ const StatsOverview = ({ salespersons }) => {
       <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6 hover:shadow-xl transition-all duration-300">
         <div className="flex items-center justify-between">
           <div className="flex-1 min-w-0">
-            <p className="text-sm font-medium text-gray-600 uppercase tracking-wide">Total Sales (PKR)</p>
+            <p className="text-sm font-medium text-gray-600 uppercase tracking-wide">Total Sales ({reportingCurrency})</p>
             <p className="text-lg font-bold text-green-600 break-words">
-              ₨{totalSalesPKR.toLocaleString('en-US', { 
+              {symbol}{totalSalesConverted.toLocaleString('en-US', { 
                 minimumFractionDigits: 0, 
                 maximumFractionDigits: 0,
                 notation: 'compact',
@@ -145,11 +246,12 @@ const StatsOverview = ({ salespersons }) => {
               })}
             </p>
             <p className="text-xs text-gray-500 mt-1 break-words">
-              {totalSalesPKR.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}
+              {totalSalesConverted.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}
             </p>
+            {previous && <ChangeBadge change={getChange(totalSalesConverted, previous.totalSalesConverted)} format={formatSales} className="mt-2" />}
           </div>
           <div className="p-3 bg-green-100 rounded-lg flex-shrink-0 ml-2">
-            <span className="text-2xl">🇵🇰</span>
+            <span className="text-2xl">💰</span>
           </div>
         </div>
       </div>
@@ -157,9 +259,9 @@ const StatsOverview = ({ salespersons }) => {
       <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6 hover:shadow-xl transition-all duration-300">
         <div className="flex items-center justify-between">
           <div className="flex-1 min-w-0">
-            <p className="text-sm font-medium text-gray-600 uppercase tracking-wide">Average Sale (PKR)</p>
+            <p className="text-sm font-medium text-gray-600 uppercase tracking-wide">Average Sale ({reportingCurrency})</p>
             <p className="text-lg font-bold text-blue-600 break-words">
-              ₨{averageSalePKR.toLocaleString('en-US', { 
+              {symbol}{averageSaleConverted.toLocaleString('en-US', { 
                 minimumFractionDigits: 0, 
                 maximumFractionDigits: 0,
                 notation: 'compact',
@@ -167,8 +269,9 @@ const StatsOverview = ({ salespersons }) => {
               })}
             </p>
             <p className="text-xs text-gray-500 mt-1 break-words">
-              {averageSalePKR.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}
+              {averageSaleConverted.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}
             </p>
+            {previous && <ChangeBadge change={getChange(averageSaleConverted, previous.averageSaleConverted)} format={formatSales} className="mt-2" />}
           </div>
           <div className="p-3 bg-blue-100 rounded-lg flex-shrink-0 ml-2">
             <span className="text-2xl">📊</span>
@@ -181,6 +284,7 @@ const StatsOverview = ({ salespersons }) => {
           <div>
             <p className="text-sm font-medium text-gray-600 uppercase tracking-wide">Total Invoices</p>
             <p className="text-2xl font-bold text-purple-600">{totalInvoices}</p>
+            {previous && <ChangeBadge change={getChange(totalInvoices, previous.totalInvoices)} className="mt-2" />}
           </div>
           <div className="p-3 bg-purple-100 rounded-lg">
             <span className="text-2xl">📄</span>
@@ -203,195 +307,72 @@ const StatsOverview = ({ salespersons }) => {
   );
 };
 
+// ✅ Filters kept in the URL (see utils/filters.js), so a view can be refreshed or shared
+const SALESPERSON_FILTER_FIELDS = ["period", "year", "month", "quarter", "week", "from", "to", "compare", "basis", "view"];
+const SALESPERSON_FILTER_OVERRIDES = { view: { default: "cards" } };
+
 function Salespersons() {
-  const [salespersons, setSalespersons] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [viewMode, setViewMode] = useState("cards"); // cards or table
-  
-  // Filter states
-  const [period, setPeriod] = useState("all");
-  const [year, setYear] = useState(new Date().getFullYear());
-  const [month, setMonth] = useState(new Date().getMonth() + 1);
-  const [quarter, setQuarter] = useState(Math.ceil((new Date().getMonth() + 1) / 3));
-  const [sortBy, setSortBy] = useState("creationDate"); // creationDate or invoiceDate
-
-  // Utility function to get current USD to PKR exchange rate
-  const getUSDToPKRRate = async () => {
-    try {
-      const response = await fetch('https://api.exchangerate-api.com/v4/latest/USD');
-      const data = await response.json();
-      return data.rates.PKR || 280; // Fallback to 280 if API fails
-    } catch (error) {
-      console.warn('Failed to fetch exchange rate, using fallback rate:', error);
-      return 280; // Fallback rate
-    }
-  };
+  const { invoices, loading, error, refresh } = useInvoices();
+  const { rateTable, reportingCurrency } = useExchangeRates();
+  const symbol = getCurrencySymbol(reportingCurrency);
 
-  // Utility function to filter invoices by time period
-  const filterInvoicesByPeriod = (invoices, period, year, month, quarter, dateType) => {
-    const now = new Date();
-    
-    return invoices.filter(inv => {
-      // Use the selected date type (creationDate or invoiceDate)
-      const dateToUse = dateType === "creationDate" ? inv.createdAt : inv.invoiceDate;
-      const invoiceDate = new Date(dateToUse);
-      
-      switch (period) {
-        case "daily":
-          return invoiceDate.toDateString() === now.toDateString();
-        case "monthly":
-          return invoiceDate.getFullYear() === year && invoiceDate.getMonth() + 1 === month;
-        case "quarterly": {
-          const invoiceQuarter = Math.ceil((invoiceDate.getMonth() + 1) / 3);
-          return invoiceDate.getFullYear() === year && invoiceQuarter === quarter;
-        }
-        case "yearly":
-          return invoiceDate.getFullYear() === year;
-        default: // "all"
-          return true;
-      }
-    });
-  };
+  // Filter states
+  const [filters, setFilters] = useFilterState(SALESPERSON_FILTER_FIELDS, SALESPERSON_FILTER_OVERRIDES);
+  const { period, year, month, quarter, week, from, to, compare } = filters;
+  const sortBy = filters.basis; // creationDate or invoiceDate
+  const viewMode = filters.view; // cards or table
+  const { fiscalYearStartMonth } = usePeriodSettings();
+  const periodRange = useMemo(
+    () => resolvePeriod({ period, year, month, quarter, week, from, to }, { fiscalYearStartMonth }),
+    [period, year, month, quarter, week, from, to, fiscalYearStartMonth]
+  );
 
-  // ✅ Optimized salesperson data loading with caching
-  useEffect(() => {
-    const fetchSalespersonData = async () => {
-      setLoading(true);
-      setError(null);
-      
-      try {
-        // Check cache first
-        const cacheKey = `salespersons-${period}-${year}-${month}-${quarter}-${sortBy}`;
-        const cachedData = sessionStorage.getItem(cacheKey);
-        
-        if (cachedData) {
-          try {
-            const parsedData = JSON.parse(cachedData);
-            console.log(`📦 Loading cached salesperson data: ${parsedData.length} salespersons`);
-            setSalespersons(parsedData);
-            setLoading(false);
-            return;
-          } catch (error) {
-            console.warn("Failed to parse cached salesperson data:", error);
-          }
-        }
-
-        // Fetch ALL invoices for complete salesperson analytics
-        const response = await cachedApiClient.get(`/invoices?page=1&pageSize=-1&sortBy=${sortBy}`);
-        const allInvoices = response.data.data || [];
-
-        // Filter out cancelled invoices
-        const validInvoices = allInvoices.filter(inv => 
-          inv.status !== 'Cancelled' && inv.status !== 'cancelled'
-        );
-
-        // Filter by time period using the selected date type
-        const filteredInvoices = filterInvoicesByPeriod(validInvoices, period, year, month, quarter, sortBy);
-
-        console.log(`📊 Filtered ${filteredInvoices.length} invoices for ${period} period`);
-
-        // Get current exchange rate
-        const usdToPkrRate = await getUSDToPKRRate();
-        console.log('💱 Current USD to PKR rate:', usdToPkrRate);
-
-        // Process data to create salesperson analytics
-        const salespersonData = {};
-        
-        filteredInvoices.forEach(inv => {
-          const salespersonName = inv.salespersonName || "Unknown";
-          const employeeId = inv.employeeId || 0;
-          const total = parseFloat(inv.total || 0);
-          const currency = inv.currency || "USD";
-
-          // Convert to PKR for consistent comparison
-          let totalInPKR = total;
-          if (currency === 'USD') {
-            totalInPKR = total * usdToPkrRate;
-          } else if (currency === 'AED') {
-            // Convert AED to PKR (AED to USD rate is approximately 0.27, then USD to PKR)
-            const aedToUsdRate = 0.27;
-            totalInPKR = total * aedToUsdRate * usdToPkrRate;
-          }
-          // PKR stays as is
-
-          if (!salespersonData[employeeId]) {
-            salespersonData[employeeId] = {
-              employeeId,
-              salespersonName,
-              totalSales: 0,
-              totalSalesPKR: 0,
-              invoiceCount: 0,
-              currencies: {}
-            };
-          }
-
-          salespersonData[employeeId].totalSales += total;
-          salespersonData[employeeId].totalSalesPKR += totalInPKR;
-          salespersonData[employeeId].invoiceCount += 1;
-          
-          if (!salespersonData[employeeId].currencies[currency]) {
-            salespersonData[employeeId].currencies[currency] = { currency, total: 0 };
-          }
-          salespersonData[employeeId].currencies[currency].total += total;
-        });
-
-        // Convert to array and add currency breakdown
-        const salespersonsArray = Object.values(salespersonData).map(sp => ({
-          ...sp,
-          currencies: Object.values(sp.currencies)
-        }));
-
-        // Sort by total sales in PKR (highest first)
-        const sortedSalespersons = salespersonsArray.sort((a, b) => b.totalSalesPKR - a.totalSalesPKR);
-        
-        // Cache the result
-        try {
-          sessionStorage.setItem(cacheKey, JSON.stringify(sortedSalespersons));
-          console.log(`💾 Cached salesperson data for ${period}`);
-        } catch (cacheError) {
-          console.warn('Failed to cache salesperson data:', cacheError);
-        }
-        
-        setSalespersons(sortedSalespersons);
-        setLoading(false);
-      } catch (error) {
-        console.error("Error fetching salesperson data:", error);
-        setError("Failed to fetch salesperson data");
-        setLoading(false);
-      }
-    };
-
-    fetchSalespersonData();
-  }, [period, year, month, quarter, sortBy]);
-
-
-  const getPeriodDisplayText = () => {
-    switch (period) {
-      case "daily": return "Today";
-      case "monthly": return `${getMonthName(month)} ${year}`;
-      case "quarterly": return `Q${quarter} ${year}`;
-      case "yearly": return `Year ${year}`;
-      default: return "All Time";
-    }
-  };
+  // ✅ Salesperson analytics derived from the shared invoice store, aggregated in a worker
+  const payload = useMemo(() => {
+    if (!rateTable) return null;
+
+    // Filter by time period using the selected date type
+    const filteredInvoices = filterInvoicesByPeriod(invoices, periodRange, sortBy);
+    console.log(`📊 Filtered ${filteredInvoices.length} invoices for ${periodRange.label}`);
+
+    return { invoices: filteredInvoices, reportingCurrency, rateTable };
+  }, [invoices, rateTable, reportingCurrency, periodRange, sortBy]);
+  const { data: salespersonAnalytics, error: aggregationError } = useAggregation("salespersons", payload);
+  const salespersons = salespersonAnalytics || [];
+
+  // ✅ Same analytics over the comparison period (see getComparisonPeriod), for the card deltas
+  const comparisonPeriod = useMemo(() => getComparisonPeriod(periodRange, compare), [periodRange, compare]);
+  const comparisonPayload = useMemo(() => (
+    rateTable && comparisonPeriod
+      ? { invoices: filterInvoicesByPeriod(invoices, comparisonPeriod, sortBy), reportingCurrency, rateTable }
+      : null
+  ), [invoices, rateTable, reportingCurrency, comparisonPeriod, sortBy]);
+  const { data: comparisonResult } = useAggregation("salespersons", comparisonPayload);
+  const comparisonSalespersons = comparisonPeriod ? comparisonResult : null;
+  const previousById = useMemo(
+    () => new Map((comparisonSalespersons || []).map(sp => [String(sp.employeeId), sp])),
+    [comparisonSalespersons]
+  );
+  const getPrevious = (sp) => (
+    comparisonSalespersons ? previousById.get(String(sp.employeeId)) || { totalSalesConverted: 0, invoiceCount: 0 } : null
+  );
 
-  const getMonthName = (monthNum) => {
-    const months = [
-      "January", "February", "March", "April", "May", "June",
-      "July", "August", "September", "October", "November", "December"
-    ];
-    return months[monthNum - 1];
-  };
+  // ✅ Quota progress for the current period, independent of the period filter above
+  const { targets, teams } = useSalesTargets();
+  const targetPayload = useMemo(() => {
+    if (!rateTable) return null;
+    return { invoices, targets, teams, reportingCurrency, rateTable, fiscalYearStartMonth };
+  }, [invoices, targets, teams, reportingCurrency, rateTable, fiscalYearStartMonth]);
+  const { data: targetProgress } = useAggregation("targets", targetPayload);
 
-  if (loading) return <Spinner />;
-  if (error) return (
+  if (loading || !rateTable || (!salespersonAnalytics && !aggregationError)) return <Spinner />;
+  if (error && invoices.length === 0) return (
     <div className="flex flex-col items-center justify-center h-screen bg-gradient-to-br from-red-50 to-red-100">
       <div className="bg-white p-8 rounded-xl shadow-lg border border-red-200">
         <div className="text-red-500 text-4xl mb-4 text-center">⚠️</div>
         <p className="text-center text-red-600 font-medium">{error}</p>
         <button 
-          onClick={() => window.location.reload()} 
+          onClick={refresh} 
           className="mt-4 px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors"
         >
           Retry
@@ -412,10 +393,13 @@ function Salespersons() {
                 Salesperson Performance
               </h1>
               <p className="text-gray-600 mt-1">Track and analyze sales team performance</p>
+              <p className="text-xs text-gray-500 mt-1">
+                💱 Sales in {reportingCurrency}, valued at: {VALUATION_MODES[rateTable.mode]}
+              </p>
             </div>
             <div className="mt-4 md:mt-0 flex gap-2">
               <button
-                onClick={() => setViewMode(viewMode === "cards" ? "table" : "cards")}
+                onClick={() => setFilters({ view: viewMode === "cards" ? "table" : "cards" })}
                 className="px-4 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors flex items-center gap-2"
               >
                 {viewMode === "cards" ? "📋" : "🃏"} 
@@ -427,101 +411,43 @@ function Salespersons() {
       </div>
 
       <div className="max-w-7xl mx-auto px-4 py-8">
+        <InvoiceLoadProgress />
+
         {/* Filters */}
         <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6 mb-8">
           <div className="flex flex-col lg:flex-row gap-4 items-center justify-between">
             <div className="flex flex-wrap gap-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Time Period</label>
-                <select
-                  value={period}
-                  onChange={(e) => setPeriod(e.target.value)}
-                  className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500 focus:border-transparent"
-                >
-                  <option value="all">All Time</option>
-                  <option value="daily">Today</option>
-                  <option value="monthly">Monthly</option>
-                  <option value="quarterly">Quarterly</option>
-                  <option value="yearly">Yearly</option>
-                </select>
-              </div>
+              <DateRangePicker
+                value={filters}
+                onChange={setFilters}
+                fiscalYearStartMonth={fiscalYearStartMonth}
+                comparison
+                inputClassName="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              />
 
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Sort By</label>
                 <select
                   value={sortBy}
-                  onChange={(e) => {
-                    setSortBy(e.target.value);
-                    cachedApiClient.clearCache(); // Clear cache when changing sort
-                  }}
+                  onChange={(e) => setFilters({ basis: e.target.value })}
                   className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500 focus:border-transparent"
                 >
                   <option value="creationDate">🕐 Creation Date</option>
                   <option value="invoiceDate">📅 Invoice Date</option>
                 </select>
               </div>
-
-              {(period === "monthly" || period === "quarterly" || period === "yearly") && (
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Year</label>
-                  <select
-                    value={year}
-                    onChange={(e) => setYear(parseInt(e.target.value))}
-                    className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500 focus:border-transparent"
-                  >
-                    {[...Array(15)].map((_, i) => {
-                      const yearOption = new Date().getFullYear() - i + 2; // +2 to include 2 future years
-                      return (
-                        <option key={yearOption} value={yearOption}>
-                          {yearOption}
-                        </option>
-                      );
-                    })}
-                  </select>
-                </div>
-              )}
-
-              {period === "monthly" && (
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Month</label>
-                  <select
-                    value={month}
-                    onChange={(e) => setMonth(parseInt(e.target.value))}
-                    className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500 focus:border-transparent"
-                  >
-                    {[...Array(12)].map((_, i) => (
-                      <option key={i + 1} value={i + 1}>
-                        {getMonthName(i + 1)}
-                      </option>
-                    ))}
-                  </select>
-                </div>
-              )}
-
-              {period === "quarterly" && (
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Quarter</label>
-                  <select
-                    value={quarter}
-                    onChange={(e) => setQuarter(parseInt(e.target.value))}
-                    className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500 focus:border-transparent"
-                  >
-                    <option value={1}>Q1 (Jan-Mar)</option>
-                    <option value={2}>Q2 (Apr-Jun)</option>
-                    <option value={3}>Q3 (Jul-Sep)</option>
-                    <option value={4}>Q4 (Oct-Dec)</option>
-                  </select>
-                </div>
-              )}
             </div>
 
             <div className="text-center">
               <h3 className="text-lg font-semibold text-gray-900">
-                Performance for {getPeriodDisplayText()}
+                Performance for {periodRange.label}
               </h3>
               <p className="text-gray-600">
                 {salespersons.length} salesperson{salespersons.length !== 1 ? 's' : ''} found
               </p>
+              {comparisonSalespersons && (
+                <p className="text-xs text-gray-500">Changes vs {comparisonPeriod.label.toLowerCase()}</p>
+              )}
               <p className="text-sm text-purple-600 font-medium">
                 Sorted by {sortBy === "creationDate" ? "🕐 Creation Date" : "📅 Invoice Date"}
               </p>
@@ -530,7 +456,9 @@ function Salespersons() {
         </div>
 
         {/* Stats Overview */}
-        {salespersons.length > 0 && <StatsOverview salespersons={salespersons} />}
+        {salespersons.length > 0 && (
+          <StatsOverview salespersons={salespersons} comparisonSalespersons={comparisonSalespersons} reportingCurrency={reportingCurrency} />
+        )}
 
         {/* Content */}
         {viewMode === "cards" ? (
@@ -543,6 +471,9 @@ function Salespersons() {
                     key={`${sp.employeeId}-${index}`}
                     salesperson={sp}
                     rank={index + 1}
+                    reportingCurrency={reportingCurrency}
+                    targetProgress={targetProgress?.salespersons[String(sp.employeeId)]}
+                    previous={getPrevious(sp)}
                     isTopPerformer={index === 0}
                   />
                 ))}
@@ -570,9 +501,9 @@ function Salespersons() {
                   <tr>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rank</th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Salesperson</th>
-                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Total Sales (PKR)</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Total Sales ({reportingCurrency})</th>
                     <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Invoices</th>
-                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Average Sale (PKR)</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Average Sale ({reportingCurrency})</th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Currencies</th>
                   </tr>
                 </thead>
@@ -593,7 +524,7 @@ function Salespersons() {
                       </td>
                       <td className="px-6 py-4 text-right">
                         <div className="text-sm font-bold text-green-600">
-                          ₨{sp.totalSalesPKR?.toLocaleString('en-US', { 
+                          {symbol}{sp.totalSalesConverted?.toLocaleString('en-US', { 
                             minimumFractionDigits: 0, 
                             maximumFractionDigits: 0,
                             notation: 'compact',
@@ -601,7 +532,7 @@ function Salespersons() {
                           }) || '0'}
                         </div>
                         <div className="text-xs text-gray-500">
-                          {sp.totalSalesPKR?.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 }) || '0'}
+                          {sp.totalSalesConverted?.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 }) || '0'}
                         </div>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-center">
@@ -611,7 +542,7 @@ function Salespersons() {
                       </td>
                       <td className="px-6 py-4 text-right">
                         <div className="text-sm font-semibold text-gray-900">
-                          ₨{sp.invoiceCount > 0 ? (sp.totalSalesPKR / sp.invoiceCount).toLocaleString('en-US', { 
+                          {symbol}{sp.invoiceCount > 0 ? (sp.totalSalesConverted / sp.invoiceCount).toLocaleString('en-US', { 
                             minimumFractionDigits: 0, 
                             maximumFractionDigits: 0,
                             notation: 'compact',
@@ -619,7 +550,7 @@ function Salespersons() {
                           }) : '0'}
                         </div>
                         <div className="text-xs text-gray-500">
-                          {sp.invoiceCount > 0 ? (sp.totalSalesPKR / sp.invoiceCount).toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 }) : '0'}
+                          {sp.invoiceCount > 0 ? (sp.totalSalesConverted / sp.invoiceCount).toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 }) : '0'}
                         </div>
                       </td>
                       <td className="px-6 py-4">
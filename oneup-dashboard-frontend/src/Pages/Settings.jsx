@@ -1,4 +1,16 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useMemo } from "react";
+import { useInvoices } from "../contexts/InvoiceContext";
+import { DEFAULT_FX_SETTINGS, SUPPORTED_CURRENCIES, getFxSettings, getRateHistory, importRateHistory, saveFxSettings } from "../utils/currency";
+import { DEFAULT_PERIOD_SETTINGS, MONTH_NAMES, getPeriodSettings, savePeriodSettings } from "../utils/periods";
+import { createCustomerResolver, getCustomerAliasSettings, resolveCustomerId } from "../utils/customerIdentity";
+import { useCustomerAliases } from "../hooks/useCustomerAliases";
+import {
+  DEFAULT_PAYMENT_TERMS_SETTINGS,
+  DUE_DATE_BASES,
+  PAYMENT_TERMS,
+  getPaymentTermsSettings,
+  savePaymentTermsSettings
+} from "../utils/paymentTerms";
 
 // Settings Card Component
 const SettingsCard = ({ icon, title, children, description }) => (
@@ -64,6 +76,14 @@ function Settings() {
     retryAttempts: 3
   });
 
+  const [fxSettings, setFxSettings] = useState(getFxSettings);
+  const [periodSettings, setPeriodSettings] = useState(getPeriodSettings);
+  const [paymentTerms, setPaymentTerms] = useState(getPaymentTermsSettings);
+  const [termsCustomer, setTermsCustomer] = useState('');
+  const customerAliases = useCustomerAliases();
+  // The invoice store is only loaded when the customer picker needs it (see Customer Terms)
+  const { invoices, status: invoiceStatus, ensureLoaded } = useInvoices({ load: false });
+  const [rateHistoryDates, setRateHistoryDates] = useState(() => Object.keys(getRateHistory()).sort());
   const [saved, setSaved] = useState(false);
 
   useEffect(() => {
@@ -81,8 +101,93 @@ function Settings() {
     }));
   };
 
+  const updateFxSetting = (key, value) => {
+    setFxSettings(prev => ({
+      ...prev,
+      [key]: value
+    }));
+  };
+
+  const updateFxRate = (table, code, value) => {
+    setFxSettings(prev => ({
+      ...prev,
+      [table]: { ...prev[table], [code]: value }
+    }));
+  };
+
+  // ✅ Customer terms apply to every spelling of a customer, so they are kept by resolved
+  // customer id (see utils/customerIdentity.js); names saved by older versions resolve too
+  const termsCustomers = useMemo(
+    () => createCustomerResolver(invoices, customerAliases).customers,
+    [invoices, customerAliases]
+  );
+
+  const customerTermRows = useMemo(() => {
+    const rows = new Map();
+    Object.entries(paymentTerms.customerTerms).forEach(([key, term]) => {
+      const id = resolveCustomerId(key, customerAliases);
+      rows.set(id, { id, name: termsCustomers[id]?.name || key, term });
+    });
+    return [...rows.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }, [paymentTerms.customerTerms, customerAliases, termsCustomers]);
+
+  // Customers from the loaded invoices that don't have their own payment term yet
+  const customersWithoutTerms = useMemo(() => {
+    const configured = new Set(customerTermRows.map(row => row.id));
+    return Object.values(termsCustomers)
+      .filter(customer => !configured.has(customer.id))
+      .map(customer => customer.name)
+      .sort((a, b) => a.localeCompare(b));
+  }, [termsCustomers, customerTermRows]);
+
+  const setCustomerTerm = (customerId, term) => {
+    setPaymentTerms(prev => {
+      // Replace every key of the customer (an older name key or a merged-in id) with its id
+      const customerTerms = Object.fromEntries(
+        Object.entries(prev.customerTerms).filter(([key]) => resolveCustomerId(key, customerAliases) !== customerId)
+      );
+      if (term) customerTerms[customerId] = term;
+      return { ...prev, customerTerms };
+    });
+  };
+
+  const addCustomerTerm = () => {
+    const name = termsCustomer.trim();
+    if (!name) return;
+    setCustomerTerm(resolveCustomerId(name, customerAliases), paymentTerms.defaultTerm);
+    setTermsCustomer('');
+  };
+
+  const importRates = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const text = reader.result;
+        const imported = importRateHistory(file.name.endsWith('.json') ? JSON.parse(text) : text);
+        setRateHistoryDates(Object.keys(getRateHistory()).sort());
+        alert(`Imported exchange rates for ${imported} days`);
+      } catch (error) {
+        console.error('❌ Failed to import exchange rates:', error);
+        alert('Could not read the rate file. Use JSON ({ "YYYY-MM-DD": { "PKR": 280 } }) or CSV (date,currency,rate).');
+      }
+    };
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
   const saveSettings = () => {
     localStorage.setItem('dashboardSettings', JSON.stringify(settings));
+    saveFxSettings({
+      ...fxSettings,
+      manualRates: Object.fromEntries(
+        Object.entries(fxSettings.manualRates).map(([code, rate]) => [code, parseFloat(rate) || DEFAULT_FX_SETTINGS.manualRates[code]])
+      )
+    });
+    savePeriodSettings(periodSettings);
+    savePaymentTermsSettings(paymentTerms);
     setSaved(true);
     setTimeout(() => setSaved(false), 3000);
   };
@@ -108,11 +213,17 @@ function Settings() {
       };
       setSettings(defaultSettings);
       localStorage.setItem('dashboardSettings', JSON.stringify(defaultSettings));
+      setFxSettings(DEFAULT_FX_SETTINGS);
+      saveFxSettings(DEFAULT_FX_SETTINGS);
+      setPeriodSettings(DEFAULT_PERIOD_SETTINGS);
+      savePeriodSettings(DEFAULT_PERIOD_SETTINGS);
+      setPaymentTerms(DEFAULT_PAYMENT_TERMS_SETTINGS);
+      savePaymentTermsSettings(DEFAULT_PAYMENT_TERMS_SETTINGS);
     }
   };
 
   const exportSettings = () => {
-    const dataStr = JSON.stringify(settings, null, 2);
+    const dataStr = JSON.stringify({ ...settings, fxSettings, periodSettings, paymentTerms, customerAliases: getCustomerAliasSettings() }, null, 2);
     const dataUri = 'data:application/json;charset=utf-8,'+ encodeURIComponent(dataStr);
     const exportFileDefaultName = 'dashboard-settings.json';
     
@@ -227,6 +338,214 @@ function Settings() {
                   <option value="YYYY-MM-DD">YYYY-MM-DD (ISO)</option>
                 </select>
               </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Fiscal Year Starts In</label>
+                <select
+                  value={periodSettings.fiscalYearStartMonth}
+                  onChange={(e) => setPeriodSettings(prev => ({ ...prev, fiscalYearStartMonth: parseInt(e.target.value) }))}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  {MONTH_NAMES.map((name, i) => (
+                    <option key={name} value={i + 1}>{name}{i === 0 ? " (calendar year)" : ""}</option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">
+                  Quarters, years, year to date and quota periods follow the fiscal year; a fiscal year is named after the year it ends in
+                </p>
+              </div>
+            </div>
+          </SettingsCard>
+
+          {/* Exchange Rate Settings */}
+          <SettingsCard 
+            icon="💱" 
+            title="Exchange Rates" 
+            description="Reporting currency and conversion rates (units per 1 USD)"
+          >
+            <div className="space-y-4">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Reporting Currency</label>
+                  <select
+                    value={fxSettings.reportingCurrency}
+                    onChange={(e) => updateFxSetting('reportingCurrency', e.target.value)}
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    {SUPPORTED_CURRENCIES.map(c => (
+                      <option key={c.code} value={c.code}>{c.flag} {c.code} - {c.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Rate Source</label>
+                  <select
+                    value={fxSettings.rateSource}
+                    onChange={(e) => updateFxSetting('rateSource', e.target.value)}
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    <option value="live">🌐 Live (cached daily, manual table offline)</option>
+                    <option value="manual">📝 Manual rate table only</option>
+                  </select>
+                </div>
+              </div>
+
+              <ToggleSwitch
+                enabled={fxSettings.valuationMode === 'historical'}
+                onChange={(value) => updateFxSetting('valuationMode', value ? 'historical' : 'spot')}
+                label="Historical Valuation"
+                description="Convert each invoice at the rate on its invoice date instead of today's rate"
+              />
+
+              <div>
+                <div className="grid grid-cols-3 gap-2 text-xs font-medium text-gray-500 uppercase tracking-wide mb-2">
+                  <span>Currency</span>
+                  <span>Manual Rate</span>
+                  <span>Admin Override</span>
+                </div>
+                <div className="space-y-2">
+                  {SUPPORTED_CURRENCIES.filter(c => c.code !== 'USD').map(c => (
+                    <div key={c.code} className="grid grid-cols-3 gap-2 items-center">
+                      <span className="text-sm font-medium text-gray-900">{c.flag} {c.code}</span>
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        value={fxSettings.manualRates[c.code] ?? ''}
+                        onChange={(e) => updateFxRate('manualRates', c.code, e.target.value)}
+                        className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        placeholder="None"
+                        value={fxSettings.overrides[c.code] ?? ''}
+                        onChange={(e) => updateFxRate('overrides', c.code, e.target.value)}
+                        className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                    </div>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500 mt-2">
+                  Overrides replace live and manual rates for that currency. Leave empty to use the selected source.
+                </p>
+              </div>
+
+              <div className="pt-4 border-t border-gray-200">
+                <div className="flex items-center justify-between gap-4">
+                  <div>
+                    <div className="text-sm font-medium text-gray-900">Rate History</div>
+                    <div className="text-xs text-gray-500">
+                      {rateHistoryDates.length > 0
+                        ? `${rateHistoryDates.length} days stored (${rateHistoryDates[0]} to ${rateHistoryDates[rateHistoryDates.length - 1]})`
+                        : 'No daily rates stored yet'}
+                    </div>
+                  </div>
+                  <label className="px-3 py-2 bg-gray-500 text-white text-sm rounded-lg hover:bg-gray-600 transition-colors cursor-pointer">
+                    📥 Import
+                    <input type="file" accept=".json,.csv" onChange={importRates} className="hidden" />
+                  </label>
+                </div>
+                <p className="text-xs text-gray-500 mt-2">
+                  Live rates are added daily. Import JSON or CSV (date,currency,rate) to backfill older days; gaps use the previous day's rate.
+                </p>
+              </div>
+            </div>
+          </SettingsCard>
+
+          {/* Payment Terms */}
+          <SettingsCard 
+            icon="🧾" 
+            title="Payment Terms" 
+            description="When invoices fall due, for payment status and receivables aging"
+          >
+            <div className="space-y-4">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Default Term</label>
+                  <select
+                    value={paymentTerms.defaultTerm}
+                    onChange={(e) => setPaymentTerms(prev => ({ ...prev, defaultTerm: e.target.value }))}
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    {Object.entries(PAYMENT_TERMS).map(([term, { label }]) => (
+                      <option key={term} value={term}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Count Days From</label>
+                  <select
+                    value={paymentTerms.dueDateBasis}
+                    onChange={(e) => setPaymentTerms(prev => ({ ...prev, dueDateBasis: e.target.value }))}
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    {Object.entries(DUE_DATE_BASES).map(([basis, label]) => (
+                      <option key={basis} value={basis}>{label}</option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">Invoices that have not been sent count from the invoice date</p>
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Customer Terms</label>
+                <div className="flex gap-2 mb-3">
+                  <input
+                    type="text"
+                    list="payment-terms-customers"
+                    placeholder="Customer name"
+                    value={termsCustomer}
+                    onChange={(e) => setTermsCustomer(e.target.value)}
+                    onFocus={ensureLoaded}
+                    onKeyDown={(e) => e.key === 'Enter' && addCustomerTerm()}
+                    className="flex-1 border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <datalist id="payment-terms-customers">
+                    {customersWithoutTerms.map(name => (
+                      <option key={name} value={name} />
+                    ))}
+                  </datalist>
+                  <button
+                    onClick={addCustomerTerm}
+                    disabled={!termsCustomer.trim()}
+                    className="px-4 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    ➕ Add
+                  </button>
+                </div>
+                {(invoiceStatus === 'loading' || invoiceStatus === 'partial') && (
+                  <p className="text-xs text-gray-500 -mt-2 mb-3">Loading customers from the invoices...</p>
+                )}
+                {customerTermRows.length === 0 ? (
+                  <p className="text-xs text-gray-500">All customers use the default term.</p>
+                ) : (
+                  <div className="space-y-2 max-h-64 overflow-y-auto">
+                    {customerTermRows.map(({ id, name, term }) => (
+                      <div key={id} className="flex items-center gap-2">
+                        <span className="flex-1 text-sm text-gray-900 truncate" title={name}>{name}</span>
+                        <select
+                          value={term}
+                          onChange={(e) => setCustomerTerm(id, e.target.value)}
+                          className="border border-gray-300 rounded-lg px-2 py-1 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        >
+                          {Object.entries(PAYMENT_TERMS).map(([key, { label }]) => (
+                            <option key={key} value={key}>{label}</option>
+                          ))}
+                        </select>
+                        <button
+                          onClick={() => setCustomerTerm(id, null)}
+                          className="px-2 py-1 text-sm text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                          title="Use the default term"
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
             </div>
           </SettingsCard>
 
@@ -0,0 +1,378 @@
+import { useMemo, useState } from "react";
+import { useInvoices } from "../contexts/InvoiceContext";
+import InvoiceLoadProgress from "../Components/InvoiceLoadProgress";
+import { useExchangeRates } from "../hooks/useExchangeRates";
+import { useSalesTargets } from "../hooks/useSalesTargets";
+import { useAggregation } from "../hooks/useAggregation";
+import { usePeriodSettings } from "../hooks/usePeriodSettings";
+import { SUPPORTED_CURRENCIES, getCurrencySymbol } from "../utils/currency";
+import {
+  TARGET_PERIOD_TYPES,
+  TARGET_STATUS_LABELS,
+  findTarget,
+  removeTarget,
+  removeTeam,
+  saveTeam,
+  setTarget
+} from "../utils/targets";
+
+const STATUS_STYLES = {
+  "on-track": "bg-green-100 text-green-800",
+  "at-risk": "bg-yellow-100 text-yellow-800",
+  behind: "bg-red-100 text-red-800"
+};
+
+const formatAmount = (value) => value.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 });
+
+// Section Card Component
+const SectionCard = ({ icon, title, description, children }) => (
+  <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6 mb-8">
+    <div className="flex items-center gap-3 mb-4">
+      <div className="text-2xl">{icon}</div>
+      <div>
+        <h2 className="text-xl font-semibold text-gray-900">{title}</h2>
+        {description && <p className="text-sm text-gray-600">{description}</p>}
+      </div>
+    </div>
+    {children}
+  </div>
+);
+
+// Quota inputs: period type, amount and currency
+const QuotaInputs = ({ target, defaultCurrency, onChange }) => (
+  <div className="flex flex-wrap items-center gap-2">
+    <select
+      value={target?.periodType || "monthly"}
+      onChange={(e) => onChange({ periodType: e.target.value })}
+      className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+    >
+      {Object.entries(TARGET_PERIOD_TYPES).map(([value, label]) => (
+        <option key={value} value={value}>{label}</option>
+      ))}
+    </select>
+    <input
+      type="number"
+      min="0"
+      step="any"
+      placeholder="No quota"
+      value={target?.amount ?? ""}
+      onChange={(e) => onChange({ amount: e.target.value })}
+      className="w-36 px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+    />
+    <select
+      value={target?.currency || defaultCurrency}
+      onChange={(e) => onChange({ currency: e.target.value })}
+      className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+    >
+      {SUPPORTED_CURRENCIES.map(({ code }) => (
+        <option key={code} value={code}>{code}</option>
+      ))}
+    </select>
+  </div>
+);
+
+// Saved quota progress for the current period
+const ProgressCell = ({ progress, symbol }) => {
+  if (!progress) return <span className="text-xs text-gray-400">—</span>;
+  return (
+    <div className="min-w-[160px]">
+      <div className="flex items-center justify-between mb-1">
+        <span className="text-sm font-semibold text-gray-900">{Math.round((progress.attainment || 0) * 100)}%</span>
+        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[progress.status]}`}>
+          {TARGET_STATUS_LABELS[progress.status]}
+        </span>
+      </div>
+      <div className="w-full bg-gray-200 rounded-full h-1.5 mb-1">
+        <div className="bg-blue-500 h-1.5 rounded-full" style={{ width: `${Math.min(100, (progress.attainment || 0) * 100)}%` }}></div>
+      </div>
+      <p className="text-xs text-gray-500">
+        {symbol}{formatAmount(progress.achieved)} of {symbol}{formatAmount(progress.target)} • {progress.period.label}
+      </p>
+    </div>
+  );
+};
+
+function Targets() {
+  const { invoices } = useInvoices();
+  const { rateTable, reportingCurrency } = useExchangeRates();
+  const { data: storedTargets, targets, teams, saveTargets } = useSalesTargets();
+  const symbol = getCurrencySymbol(reportingCurrency);
+
+  // Unsaved edits; null while the form matches what is stored
+  const [draft, setDraft] = useState(null);
+  const [newTeamName, setNewTeamName] = useState("");
+  const [saved, setSaved] = useState(false);
+  const data = draft || storedTargets;
+
+  const updateDraft = (change) => setDraft(prev => change(prev || storedTargets));
+
+  // ✅ Salespersons known from invoices, plus any with a quota but no invoices yet
+  const salespersons = useMemo(() => {
+    const byId = new Map();
+    invoices.forEach(inv => {
+      if (inv.employeeId && !byId.has(String(inv.employeeId))) {
+        byId.set(String(inv.employeeId), inv.salespersonName || `Employee ${inv.employeeId}`);
+      }
+    });
+    data.targets.filter(target => target.scope === "salesperson").forEach(target => {
+      if (!byId.has(target.ownerId)) byId.set(target.ownerId, target.ownerName || `Employee ${target.ownerId}`);
+    });
+    return [...byId.entries()]
+      .map(([employeeId, name]) => ({ employeeId, name }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }, [invoices, data.targets]);
+
+  // ✅ Progress is measured against the saved targets, not unsaved edits
+  const { fiscalYearStartMonth } = usePeriodSettings();
+  const payload = useMemo(() => {
+    if (!rateTable) return null;
+    return { invoices, targets, teams, reportingCurrency, rateTable, fiscalYearStartMonth };
+  }, [invoices, targets, teams, reportingCurrency, rateTable, fiscalYearStartMonth]);
+  const { data: progress } = useAggregation("targets", payload);
+
+  const statusCounts = useMemo(() => {
+    const counts = { "on-track": 0, "at-risk": 0, behind: 0 };
+    if (!progress) return counts;
+    [...Object.values(progress.salespersons), ...Object.values(progress.teams)].forEach(entry => {
+      if (entry.status) counts[entry.status] += 1;
+    });
+    return counts;
+  }, [progress]);
+
+  const updateQuota = (scope, ownerId, ownerName, change) => {
+    updateDraft(current => {
+      const existing = findTarget(current.targets, scope, ownerId);
+      if (change.amount === "" && existing) {
+        return removeTarget(current, scope, ownerId);
+      }
+      return setTarget(current, {
+        periodType: "monthly",
+        currency: reportingCurrency,
+        amount: "",
+        ...existing,
+        ...change,
+        scope,
+        ownerId,
+        ownerName
+      });
+    });
+  };
+
+  const addTeam = () => {
+    const name = newTeamName.trim();
+    if (!name) return;
+    updateDraft(current => saveTeam(current, { name, memberIds: [] }));
+    setNewTeamName("");
+  };
+
+  const toggleMember = (team, employeeId) => {
+    const memberIds = team.memberIds.includes(employeeId)
+      ? team.memberIds.filter(id => id !== employeeId)
+      : [...team.memberIds, employeeId];
+    updateDraft(current => saveTeam(current, { ...team, memberIds }));
+  };
+
+  const deleteTeam = (team) => {
+    if (window.confirm(`Remove team "${team.name}" and its quota?`)) {
+      updateDraft(current => removeTeam(current, team.id));
+    }
+  };
+
+  const saveChanges = () => {
+    // Amounts are edited as text; keep only quotas with a positive amount
+    const quotas = data.targets
+      .map(target => ({ ...target, amount: parseFloat(target.amount) }))
+      .filter(target => target.amount > 0);
+    saveTargets({ ...data, targets: quotas });
+    setDraft(null);
+    setSaved(true);
+    setTimeout(() => setSaved(false), 3000);
+  };
+
+  const discardChanges = () => {
+    if (window.confirm("Discard unsaved target changes?")) {
+      setDraft(null);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-indigo-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b border-gray-200">
+        <div className="max-w-7xl mx-auto px-4 py-6">
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900 flex items-center gap-3">
+                <span className="text-4xl">🎯</span>
+                Sales Targets
+              </h1>
+              <p className="text-gray-600 mt-1">Set monthly, quarterly or yearly revenue quotas per salesperson and team</p>
+            </div>
+            <div className="mt-4 md:mt-0 flex items-center gap-2">
+              {draft && <span className="text-sm text-orange-600 mr-2">● Unsaved changes</span>}
+              <button
+                onClick={discardChanges}
+                disabled={!draft}
+                className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                ↩️ Discard
+              </button>
+              <button
+                onClick={saveChanges}
+                disabled={!draft}
+                className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                💾 Save Targets
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 py-8">
+        <InvoiceLoadProgress />
+
+        {saved && (
+          <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg text-green-800">
+            ✅ Targets saved. Attainment on the Salespersons page and in Target vs Achievement reports now uses them.
+          </div>
+        )}
+
+        {/* Status Overview */}
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
+          <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
+            <p className="text-sm font-medium text-gray-600">Quotas Set</p>
+            <p className="text-2xl font-bold text-gray-900 mt-1">{targets.length}</p>
+            <p className="text-xs text-gray-500 mt-1">{teams.length} teams</p>
+          </div>
+          {Object.entries(TARGET_STATUS_LABELS).map(([status, label]) => (
+            <div key={status} className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
+              <p className="text-sm font-medium text-gray-600">{label}</p>
+              <p className="text-2xl font-bold text-gray-900 mt-1">{statusCounts[status]}</p>
+              <p className="text-xs text-gray-500 mt-1">By projected finish this period</p>
+            </div>
+          ))}
+        </div>
+
+        {/* Salesperson Quotas */}
+        <SectionCard
+          icon="👥"
+          title="Salesperson Quotas"
+          description={`Leave the amount empty for no quota. Progress is shown in ${reportingCurrency} for the current period.`}
+        >
+          {salespersons.length === 0 ? (
+            <p className="text-sm text-gray-500">No salespersons found in the loaded invoices yet.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gray-50 border-b border-gray-200">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Salesperson</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Quota</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Current Period</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {salespersons.map(sp => (
+                    <tr key={sp.employeeId} className="hover:bg-gray-50">
+                      <td className="px-4 py-3">
+                        <div className="text-sm font-medium text-gray-900">{sp.name}</div>
+                        <div className="text-xs text-gray-500">Employee ID: {sp.employeeId}</div>
+                      </td>
+                      <td className="px-4 py-3">
+                        <QuotaInputs
+                          target={findTarget(data.targets, "salesperson", sp.employeeId)}
+                          defaultCurrency={reportingCurrency}
+                          onChange={(change) => updateQuota("salesperson", sp.employeeId, sp.name, change)}
+                        />
+                      </td>
+                      <td className="px-4 py-3">
+                        <ProgressCell progress={progress?.salespersons[sp.employeeId]} symbol={symbol} />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </SectionCard>
+
+        {/* Teams */}
+        <SectionCard
+          icon="🤝"
+          title="Teams"
+          description="A team's achievement is the combined revenue of its members."
+        >
+          <div className="flex gap-2 mb-6">
+            <input
+              type="text"
+              placeholder="New team name"
+              value={newTeamName}
+              onChange={(e) => setNewTeamName(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && addTeam()}
+              className="flex-1 max-w-sm px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <button
+              onClick={addTeam}
+              disabled={!newTeamName.trim()}
+              className="px-4 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              ➕ Add Team
+            </button>
+          </div>
+
+          {data.teams.length === 0 ? (
+            <p className="text-sm text-gray-500">No teams yet.</p>
+          ) : (
+            <div className="space-y-4">
+              {data.teams.map(team => (
+                <div key={team.id} className="border border-gray-200 rounded-lg p-4">
+                  <div className="flex flex-col lg:flex-row lg:items-start lg:justify-between gap-4 mb-4">
+                    <div className="flex-1">
+                      <input
+                        type="text"
+                        value={team.name}
+                        onChange={(e) => updateDraft(current => saveTeam(current, { ...team, name: e.target.value }))}
+                        className="text-lg font-semibold text-gray-900 px-2 py-1 border border-transparent hover:border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                      <p className="text-xs text-gray-500 px-2">{team.memberIds.length} members</p>
+                    </div>
+                    <div className="flex flex-col gap-2">
+                      <QuotaInputs
+                        target={findTarget(data.targets, "team", team.id)}
+                        defaultCurrency={reportingCurrency}
+                        onChange={(change) => updateQuota("team", team.id, team.name, change)}
+                      />
+                      <ProgressCell progress={progress?.teams[team.id]} symbol={symbol} />
+                    </div>
+                    <button
+                      onClick={() => deleteTeam(team)}
+                      className="px-3 py-1.5 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 transition-colors self-start"
+                    >
+                      🗑️ Remove
+                    </button>
+                  </div>
+                  <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-2">
+                    {salespersons.map(sp => (
+                      <label key={sp.employeeId} className="flex items-center gap-2 text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={team.memberIds.includes(sp.employeeId)}
+                          onChange={() => toggleMember(team, sp.employeeId)}
+                          className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                        />
+                        {sp.name}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </SectionCard>
+      </div>
+    </div>
+  );
+}
+
+export default Targets;
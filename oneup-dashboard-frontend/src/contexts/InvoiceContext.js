@@ -0,0 +1,21 @@
+import { createContext, useContext, useEffect } from 'react';
+
+// Shared invoice dataset (see InvoiceProvider). Kept separate from the provider
+// component so the hook can be imported without breaking fast refresh.
+export const InvoiceContext = createContext(null);
+
+// The full dataset loads on first use; pass { load: false } to read the store
+// (e.g. its progress) without starting a download.
+export const useInvoices = ({ load = true } = {}) => {
+  const context = useContext(InvoiceContext);
+  const ensureLoaded = context?.ensureLoaded;
+
+  useEffect(() => {
+    if (load && ensureLoaded) ensureLoaded();
+  }, [load, ensureLoaded]);
+
+  if (!context) {
+    throw new Error('useInvoices must be used within an InvoiceProvider');
+  }
+  return context;
+};
@@ -0,0 +1,127 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import cachedApiClient from '../api/cachedApiClient';
+import { InvoiceContext } from './InvoiceContext';
+
+// ✅ Invoices are fetched in batches so the first screen renders quickly and
+// progress can be reported while the rest of the dataset streams in.
+// Nothing is downloaded until a page asks for the dataset (see useInvoices).
+const BATCH_SIZE = 1000;
+const LOAD_SORT = 'creationDate';
+
+// sessionStorage keys written by the pages for derived data
+const SESSION_CACHE_PREFIXES = ['dashboard-', 'salespersons-'];
+
+const clearSessionCaches = () => {
+  Object.keys(sessionStorage)
+    .filter(key => SESSION_CACHE_PREFIXES.some(prefix => key.startsWith(prefix)))
+    .forEach(key => sessionStorage.removeItem(key));
+};
+
+export const InvoiceProvider = ({ children }) => {
+  const [invoices, setInvoices] = useState([]);
+  const [status, setStatus] = useState('idle'); // idle, loading, partial, ready, error
+  const [error, setError] = useState(null);
+  const [progress, setProgress] = useState({ loaded: 0, total: 0 });
+  const [lastLoadedAt, setLastLoadedAt] = useState(null);
+  const loadIdRef = useRef(0);
+  const startedRef = useRef(false);
+
+  const loadInvoices = useCallback(async () => {
+    // Every load gets an id so a refresh (or unmount) abandons the previous one
+    const loadId = ++loadIdRef.current;
+    const isStale = () => loadId !== loadIdRef.current;
+    const byId = new Map();
+    const addBatch = (batch) => batch.forEach(inv => byId.set(inv.id, inv));
+
+    setStatus('loading');
+    setError(null);
+
+    try {
+      console.log(`📥 Invoice store: loading first batch (${BATCH_SIZE} invoices)...`);
+      const firstResponse = await cachedApiClient.get(
+        `/invoices?page=1&pageSize=${BATCH_SIZE}&sortBy=${LOAD_SORT}`,
+        { useCache: false }
+      );
+      if (isStale()) return;
+
+      addBatch(firstResponse.data.data || []);
+      const pagination = firstResponse.data.pagination || {};
+      const totalPages = pagination.totalPages || 1;
+      const total = pagination.totalCount || byId.size;
+
+      setInvoices(Array.from(byId.values()));
+      setProgress({ loaded: byId.size, total });
+      setStatus(totalPages > 1 ? 'partial' : 'ready');
+      console.log(`✅ Invoice store: first batch ready (${byId.size} of ${total})`);
+
+      for (let page = 2; page <= totalPages; page++) {
+        const response = await cachedApiClient.get(
+          `/invoices?page=${page}&pageSize=${BATCH_SIZE}&sortBy=${LOAD_SORT}`,
+          { useCache: false }
+        );
+        if (isStale()) return;
+
+        addBatch(response.data.data || []);
+        setInvoices(Array.from(byId.values()));
+        setProgress({ loaded: byId.size, total });
+      }
+
+      setStatus('ready');
+      setLastLoadedAt(new Date());
+      console.log(`✅ Invoice store: complete dataset loaded (${byId.size} invoices)`);
+    } catch (err) {
+      if (isStale()) return;
+      console.error('❌ Invoice store: error loading invoices:', err);
+      setError(`Failed to fetch invoices: ${err.message}`);
+      // Keep whatever batches did arrive so pages can still render them
+      setStatus(byId.size > 0 ? 'partial' : 'error');
+    }
+  }, []);
+
+  // Start the first load when a page needs the dataset
+  const ensureLoaded = useCallback(() => {
+    if (startedRef.current) return;
+    startedRef.current = true;
+    loadInvoices();
+  }, [loadInvoices]);
+
+  useEffect(() => {
+    const loads = loadIdRef;
+    const started = startedRef;
+    // Abandon the in-flight load on unmount
+    return () => {
+      loads.current++;
+      started.current = false;
+    };
+  }, []);
+
+  // ✅ Single place to invalidate invoice data for every page
+  const refresh = useCallback(() => {
+    console.log('🔄 Invoice store: invalidating and reloading');
+    clearSessionCaches();
+    cachedApiClient.clearCache();
+    startedRef.current = true;
+    return loadInvoices();
+  }, [loadInvoices]);
+
+  const value = useMemo(() => ({
+    invoices,
+    status,
+    error,
+    progress,
+    lastLoadedAt,
+    // No data yet - pages should show their spinner
+    loading: invoices.length === 0 && (status === 'idle' || status === 'loading'),
+    isComplete: status === 'ready',
+    ensureLoaded,
+    refresh
+  }), [invoices, status, error, progress, lastLoadedAt, ensureLoaded, refresh]);
+
+  return (
+    <InvoiceContext.Provider value={value}>
+      {children}
+    </InvoiceContext.Provider>
+  );
+};
+
+export default InvoiceProvider;
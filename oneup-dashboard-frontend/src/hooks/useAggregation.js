@@ -0,0 +1,44 @@
+import { useEffect, useState } from 'react';
+import { createAggregationClient } from '../workers/aggregationClient';
+
+// ✅ Run an aggregation off the main thread and keep the latest result
+// The payload should be memoized; when it changes the previous run is cancelled.
+// Pass a null payload to skip running (e.g. while exchange rates load).
+export const useAggregation = (task, payload) => {
+  const [client] = useState(createAggregationClient);
+  const [result, setResult] = useState({ data: null, error: null, payload: null });
+
+  useEffect(() => () => client.dispose(), [client]);
+
+  useEffect(() => {
+    if (!payload) return;
+    let active = true;
+    const startedAt = performance.now();
+
+    client.run(task, payload)
+      .then(data => {
+        if (!active) return;
+        console.log(`⚙️ ${task} aggregation finished in ${Math.round(performance.now() - startedAt)}ms`);
+        setResult({ data, error: null, payload });
+      })
+      .catch(error => {
+        if (!active || error.name === 'AbortError') return;
+        console.error(`❌ ${task} aggregation failed:`, error);
+        setResult(prev => ({ ...prev, error: error.message, payload }));
+      });
+
+    return () => {
+      active = false;
+      client.cancel();
+    };
+  }, [client, task, payload]);
+
+  return {
+    // Previous result stays visible while a newer run is in progress
+    data: result.data,
+    error: result.error,
+    loading: Boolean(payload) && result.payload !== payload
+  };
+};
+
+export default useAggregation;
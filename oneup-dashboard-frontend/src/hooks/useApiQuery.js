@@ -0,0 +1,38 @@
+import { useEffect, useState } from 'react';
+import cachedApiClient from '../api/cachedApiClient';
+
+// ✅ Fetch a GET endpoint through the cached client and keep the latest response
+// The previous response stays available while a new URL loads, so paging does not flash.
+// Pass a null URL to skip fetching; bump `version` to refetch the same URL.
+export const useApiQuery = (url, version = 0) => {
+  const [result, setResult] = useState({ data: null, error: null, url: null, version: null });
+
+  useEffect(() => {
+    if (!url) return;
+    let active = true;
+
+    cachedApiClient.get(url, { useCache: true })
+      .then(response => {
+        if (active) setResult({ data: response.data, error: null, url, version });
+      })
+      .catch(error => {
+        if (!active) return;
+        console.error(`❌ Request failed: ${url}`, error);
+        setResult(prev => ({ ...prev, error, url, version }));
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [url, version]);
+
+  return {
+    data: result.data,
+    error: result.url === url ? result.error : null,
+    loading: Boolean(url) && (result.url !== url || result.version !== version),
+    // No response: the server could not be reached (as opposed to an error reply)
+    unreachable: result.url === url && Boolean(result.error) && !result.error.response
+  };
+};
+
+export default useApiQuery;
@@ -0,0 +1,22 @@
+import { useEffect, useState } from 'react';
+import { getCustomerAliasSettings } from '../utils/customerIdentity';
+
+// ✅ Customer alias table (confirmed and rejected merges), refreshed when it changes
+export const useCustomerAliases = () => {
+  const [settings, setSettings] = useState(getCustomerAliasSettings);
+
+  // Pick up merges made on the Customer Matching page (same tab or other tabs)
+  useEffect(() => {
+    const handleChange = () => setSettings(getCustomerAliasSettings());
+    window.addEventListener('customeraliaseschange', handleChange);
+    window.addEventListener('storage', handleChange);
+    return () => {
+      window.removeEventListener('customeraliaseschange', handleChange);
+      window.removeEventListener('storage', handleChange);
+    };
+  }, []);
+
+  return settings;
+};
+
+export default useCustomerAliases;
@@ -0,0 +1,48 @@
+import { useCallback, useEffect, useState } from 'react';
+import { getFxSettings, getRateTable, saveFxSettings } from '../utils/currency';
+
+// ✅ Current FX settings and rate table, refreshed when settings change
+export const useExchangeRates = () => {
+  const [fxSettings, setFxSettings] = useState(getFxSettings);
+  const [rateTable, setRateTable] = useState(null);
+
+  // Pick up changes saved from the Settings page (same tab or other tabs)
+  useEffect(() => {
+    const handleChange = () => setFxSettings(getFxSettings());
+    window.addEventListener('fxsettingschange', handleChange);
+    window.addEventListener('storage', handleChange);
+    return () => {
+      window.removeEventListener('fxsettingschange', handleChange);
+      window.removeEventListener('storage', handleChange);
+    };
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    getRateTable(fxSettings).then(table => {
+      if (!cancelled) {
+        console.log(`💱 Exchange rates ready (${table.source}, ${table.date})`);
+        setRateTable(table);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [fxSettings]);
+
+  // Spot vs historical valuation can be switched from any page
+  const setValuationMode = useCallback((valuationMode) => {
+    saveFxSettings({ ...getFxSettings(), valuationMode });
+  }, []);
+
+  return {
+    fxSettings,
+    rateTable,
+    reportingCurrency: fxSettings.reportingCurrency,
+    valuationMode: fxSettings.valuationMode,
+    setValuationMode,
+    loading: rateTable === null
+  };
+};
+
+export default useExchangeRates;
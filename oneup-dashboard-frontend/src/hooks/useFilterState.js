@@ -0,0 +1,24 @@
+import { useCallback, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { applyFilterChanges, getFilterSpecs, parseFilters, serializeFilters } from '../utils/filters';
+
+// ✅ Page filters stored in the URL query string (see utils/filters.js)
+// Each change is a history entry, so Back/Forward step through filter changes;
+// pass { replace: true } for changes that should not be (e.g. typing a search).
+// `fields` and `overrides` should be module-level constants.
+export const useFilterState = (fields, overrides) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const specs = useMemo(() => getFilterSpecs(fields, overrides), [fields, overrides]);
+  const filters = useMemo(() => parseFilters(searchParams, specs), [searchParams, specs]);
+
+  const setFilters = useCallback((changes, { replace = false } = {}) => {
+    const next = serializeFilters(applyFilterChanges(filters, changes), specs, searchParams);
+    // Nothing changed: don't add a history entry
+    if (next.toString() === serializeFilters(filters, specs, searchParams).toString()) return;
+    setSearchParams(next, { replace });
+  }, [filters, specs, searchParams, setSearchParams]);
+
+  return [filters, setFilters];
+};
+
+export default useFilterState;
@@ -0,0 +1,12 @@
+import { useMemo } from 'react';
+import { buildSearchIndex, searchInvoices } from '../search/searchIndex';
+
+// ✅ Search a list of invoices through a prebuilt index
+// The index is rebuilt only when the list changes, so typing just re-runs the query.
+// Pass null invoices to skip indexing; returns null until there is something to search.
+export const useInvoiceSearch = (invoices, text) => {
+  const index = useMemo(() => (invoices ? buildSearchIndex(invoices) : null), [invoices]);
+  return useMemo(() => (index && text ? searchInvoices(index, text) : null), [index, text]);
+};
+
+export default useInvoiceSearch;
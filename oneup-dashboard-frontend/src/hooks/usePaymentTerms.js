@@ -0,0 +1,22 @@
+import { useEffect, useState } from 'react';
+import { getPaymentTermsSettings } from '../utils/paymentTerms';
+
+// ✅ Payment terms settings (default term, due date basis, customer terms), refreshed when they change
+export const usePaymentTerms = () => {
+  const [settings, setSettings] = useState(getPaymentTermsSettings);
+
+  // Pick up changes saved from Settings (same tab or other tabs)
+  useEffect(() => {
+    const handleChange = () => setSettings(getPaymentTermsSettings());
+    window.addEventListener('paymenttermschange', handleChange);
+    window.addEventListener('storage', handleChange);
+    return () => {
+      window.removeEventListener('paymenttermschange', handleChange);
+      window.removeEventListener('storage', handleChange);
+    };
+  }, []);
+
+  return settings;
+};
+
+export default usePaymentTerms;
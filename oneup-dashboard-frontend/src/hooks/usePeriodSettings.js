@@ -0,0 +1,22 @@
+import { useEffect, useState } from 'react';
+import { getPeriodSettings } from '../utils/periods';
+
+// ✅ Period settings (fiscal year start), refreshed when they change
+export const usePeriodSettings = () => {
+  const [settings, setSettings] = useState(getPeriodSettings);
+
+  // Pick up changes saved from Settings (same tab or other tabs)
+  useEffect(() => {
+    const handleChange = () => setSettings(getPeriodSettings());
+    window.addEventListener('periodsettingschange', handleChange);
+    window.addEventListener('storage', handleChange);
+    return () => {
+      window.removeEventListener('periodsettingschange', handleChange);
+      window.removeEventListener('storage', handleChange);
+    };
+  }, []);
+
+  return settings;
+};
+
+export default usePeriodSettings;
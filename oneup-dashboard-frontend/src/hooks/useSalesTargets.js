@@ -0,0 +1,29 @@
+import { useCallback, useEffect, useState } from 'react';
+import { getSalesTargets, saveSalesTargets } from '../utils/targets';
+
+// ✅ Stored sales targets and teams, refreshed when they change
+export const useSalesTargets = () => {
+  const [data, setData] = useState(getSalesTargets);
+
+  // Pick up changes saved from the Targets page (same tab or other tabs)
+  useEffect(() => {
+    const handleChange = () => setData(getSalesTargets());
+    window.addEventListener('salestargetschange', handleChange);
+    window.addEventListener('storage', handleChange);
+    return () => {
+      window.removeEventListener('salestargetschange', handleChange);
+      window.removeEventListener('storage', handleChange);
+    };
+  }, []);
+
+  const saveTargets = useCallback((next) => saveSalesTargets(next), []);
+
+  return {
+    targets: data.targets,
+    teams: data.teams,
+    data,
+    saveTargets
+  };
+};
+
+export default useSalesTargets;
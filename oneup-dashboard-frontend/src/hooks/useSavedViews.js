@@ -0,0 +1,33 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { getDefaultView, getSavedViews, getViewUserKey, saveSavedViews } from '../utils/savedViews';
+
+// ✅ Stored Dashboard views and the signed-in user's default, refreshed when they change
+export const useSavedViews = () => {
+  const { user } = useAuth();
+  const [data, setData] = useState(getSavedViews);
+  const userKey = getViewUserKey(user);
+
+  // Pick up views saved from another page or tab
+  useEffect(() => {
+    const handleChange = () => setData(getSavedViews());
+    window.addEventListener('savedviewschange', handleChange);
+    window.addEventListener('storage', handleChange);
+    return () => {
+      window.removeEventListener('savedviewschange', handleChange);
+      window.removeEventListener('storage', handleChange);
+    };
+  }, []);
+
+  const saveViews = useCallback((next) => saveSavedViews(next), []);
+
+  return {
+    views: data.views,
+    defaultView: getDefaultView(data, userKey),
+    userKey,
+    data,
+    saveViews
+  };
+};
+
+export default useSavedViews;
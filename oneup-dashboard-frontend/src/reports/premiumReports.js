@@ -0,0 +1,544 @@
+import { calculateRevenue, convertInvoiceAmount } from '../utils/currency';
+import { getInvoiceDateValue, isCancelledInvoice } from '../utils/invoices';
+import { findTarget, getMonthlyTargetAmount } from '../utils/targets';
+import { filterInvoicesByPeriod, getComparisonPeriod, toDateKey as toLocalDateKey } from '../utils/periods';
+import {
+  addMonths,
+  fitLinearTrend,
+  getCustomerResolver,
+  getInvoiceMonth,
+  getMonthCoverage,
+  getMonthlyRevenue,
+  getQuarterKey,
+  getReportMonths,
+  getRevenueNotes,
+  toDateKey
+} from './reportHelpers';
+
+// ✅ Builders for the premium reports (growth trends, targets, recurring revenue).
+// These look beyond the selected period, so they also read `ctx.allInvoices`.
+
+const FORECAST_MONTHS = 3;
+const FORECAST_HISTORY_MONTHS = 12;
+const BASELINE_MONTHS = 3;
+const RETENTION_MONTHS = 6;
+const MAX_COHORTS = 12;
+
+
+const getCurrentMonth = () => toLocalDateKey(new Date()).slice(0, 7);
+
+const sumRevenue = (invoices, { reportingCurrency, rateTable }) => invoices
+  .filter(inv => !isCancelledInvoice(inv))
+  .reduce((sum, inv) => sum + (convertInvoiceAmount(inv, reportingCurrency, rateTable) ?? 0), 0);
+
+const growthRate = (current, previous) => (previous ? (current - previous) / previous : null);
+
+// ---------------------------------------------------------------------------
+// Growth Trends
+// ---------------------------------------------------------------------------
+
+const buildForecastRows = (monthly) => {
+  // The current month is still in progress, so it would drag the trend down
+  const currentMonth = getCurrentMonth();
+  const history = monthly.filter(entry => entry.month < currentMonth).slice(-FORECAST_HISTORY_MONTHS);
+  if (history.length < 3) return { rows: [], trend: null };
+
+  const trend = fitLinearTrend(history.map(entry => entry.revenue));
+  const lastMonth = history[history.length - 1].month;
+  const forecast = Array.from({ length: FORECAST_MONTHS }, (_, index) => {
+    const value = Math.max(0, trend.intercept + trend.slope * (history.length + index));
+    return {
+      month: addMonths(lastMonth, index + 1),
+      kind: 'Forecast',
+      revenue: value,
+      low: Math.max(0, value - trend.stdError),
+      high: value + trend.stdError
+    };
+  });
+
+  return {
+    rows: [
+      ...history.map(entry => ({ month: entry.month, kind: 'Actual', revenue: entry.revenue, low: null, high: null })),
+      ...forecast
+    ],
+    trend
+  };
+};
+
+const buildGrowthTrends = (ctx) => {
+  const revenue = calculateRevenue(ctx.invoices, ctx.reportingCurrency, ctx.rateTable);
+  const monthly = getMonthlyRevenue(ctx);
+  const historyByMonth = new Map(getMonthlyRevenue({ ...ctx, invoices: ctx.allInvoices }).map(entry => [entry.month, entry.revenue]));
+
+  const monthlyRows = monthly.map(entry => {
+    const lastYear = historyByMonth.get(addMonths(entry.month, -12)) ?? null;
+    return { ...entry, lastYearRevenue: lastYear, yoyChange: growthRate(entry.revenue, lastYear) };
+  });
+
+  // Quarters are compared only when the period fully covers all three months
+  const historyByQuarter = {};
+  historyByMonth.forEach((value, month) => {
+    const quarter = getQuarterKey(month);
+    historyByQuarter[quarter] = (historyByQuarter[quarter] || 0) + value;
+  });
+  const quarters = {};
+  monthly.forEach(entry => {
+    const quarter = getQuarterKey(entry.month);
+    quarters[quarter] = quarters[quarter] || { quarter, monthsCovered: 0, revenue: 0, firstMonth: entry.month };
+    quarters[quarter].monthsCovered += getMonthCoverage(entry.month, ctx.period) === 1 ? 1 : 0;
+    quarters[quarter].revenue += entry.revenue;
+  });
+  const quarterRows = Object.values(quarters).map(({ firstMonth, ...entry }) => {
+    const complete = entry.monthsCovered === 3;
+    const previous = historyByQuarter[getQuarterKey(addMonths(firstMonth, -3))];
+    const lastYear = historyByQuarter[getQuarterKey(addMonths(firstMonth, -12))];
+    return {
+      ...entry,
+      qoqChange: complete ? growthRate(entry.revenue, previous) : null,
+      yoyChange: complete ? growthRate(entry.revenue, lastYear) : null
+    };
+  });
+
+  const previousPeriod = getComparisonPeriod(ctx.period, 'previous');
+  const previousRevenue = previousPeriod
+    ? sumRevenue(filterInvoicesByPeriod(ctx.allInvoices, previousPeriod, ctx.dateBasis), ctx)
+    : null;
+  const monthlyChanges = monthly.map(entry => entry.change).filter(change => change !== null);
+  const forecast = buildForecastRows(monthly);
+
+  const notes = getRevenueNotes(revenue);
+  if (!previousPeriod) {
+    notes.push('Period-over-period growth needs a bounded date range, so it is not shown for this period.');
+  }
+  notes.push(forecast.trend
+    ? `Forecast: least-squares linear trend over the last ${forecast.rows.length - FORECAST_MONTHS} complete months; low/high are ± one standard error.`
+    : 'Forecast: at least 3 complete months of revenue are needed, so no forecast is shown.');
+
+  return {
+    summary: [
+      { key: 'periodRevenue', label: 'Revenue (Period)', value: revenue.total, type: 'currency' },
+      { key: 'previousPeriodRevenue', label: 'Previous Period Revenue', value: previousRevenue, type: 'currency' },
+      { key: 'periodGrowth', label: 'Period-over-Period Growth', value: previousPeriod ? growthRate(revenue.total, previousRevenue) : null, type: 'percent' },
+      {
+        key: 'averageMonthlyGrowth',
+        label: 'Average Monthly Growth',
+        value: monthlyChanges.length > 0 ? monthlyChanges.reduce((sum, change) => sum + change, 0) / monthlyChanges.length : null,
+        type: 'percent'
+      },
+      { key: 'trendPerMonth', label: 'Trend per Month', value: forecast.trend?.slope ?? null, type: 'currency' },
+      {
+        key: 'nextMonthForecast',
+        label: 'Next Month Forecast',
+        value: forecast.rows.find(row => row.kind === 'Forecast')?.revenue ?? null,
+        type: 'currency'
+      }
+    ],
+    sections: [
+      {
+        id: 'monthly-growth',
+        title: 'Monthly Growth',
+        description: 'Month-over-month and year-over-year change in converted revenue.',
+        columns: [
+          { key: 'month', header: 'Month', type: 'text' },
+          { key: 'invoiceCount', header: 'Invoices', type: 'number' },
+          { key: 'revenue', header: 'Revenue', type: 'currency' },
+          { key: 'change', header: 'MoM Change', type: 'percent' },
+          { key: 'lastYearRevenue', header: 'Same Month Last Year', type: 'currency' },
+          { key: 'yoyChange', header: 'YoY Change', type: 'percent' }
+        ],
+        rows: monthlyRows,
+        chart: { type: 'line', labelKey: 'month', valueKey: 'revenue' }
+      },
+      {
+        id: 'quarterly-growth',
+        title: 'Quarterly Growth',
+        description: 'Quarters only partly inside the period are listed without growth figures.',
+        columns: [
+          { key: 'quarter', header: 'Quarter', type: 'text' },
+          { key: 'monthsCovered', header: 'Full Months in Period', type: 'number' },
+          { key: 'revenue', header: 'Revenue', type: 'currency' },
+          { key: 'qoqChange', header: 'QoQ Change', type: 'percent' },
+          { key: 'yoyChange', header: 'YoY Change', type: 'percent' }
+        ],
+        rows: quarterRows
+      },
+      {
+        id: 'forecast',
+        title: 'Revenue Forecast',
+        description: `Recent complete months followed by a ${FORECAST_MONTHS}-month linear forecast.`,
+        columns: [
+          { key: 'month', header: 'Month', type: 'text' },
+          { key: 'kind', header: 'Type', type: 'text' },
+          { key: 'revenue', header: 'Revenue', type: 'currency' },
+          { key: 'low', header: 'Low', type: 'currency' },
+          { key: 'high', header: 'High', type: 'currency' }
+        ],
+        rows: forecast.rows,
+        chart: { type: 'line', labelKey: 'month', valueKey: 'revenue' }
+      }
+    ],
+    notes
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Target vs Achievement
+// ---------------------------------------------------------------------------
+
+const getSalespersonKey = (inv) => String(inv.employeeId || inv.salespersonName || 'Unknown');
+
+// Monthly quota for a salesperson or team in the reporting currency, or null when none is set
+const getMonthlyQuota = (targets, scope, ownerId, { reportingCurrency, rateTable }) => {
+  const quota = findTarget(targets, scope, ownerId);
+  return quota ? getMonthlyTargetAmount(quota, reportingCurrency, rateTable) : null;
+};
+
+// Average monthly revenue over the months just before the report starts
+const getBaselines = (ctx, firstMonth) => {
+  const baselineMonths = new Set(Array.from({ length: BASELINE_MONTHS }, (_, index) => addMonths(firstMonth, -(index + 1))));
+  const totals = {};
+  ctx.allInvoices.filter(inv => !isCancelledInvoice(inv)).forEach(inv => {
+    if (!baselineMonths.has(getInvoiceMonth(inv, ctx.dateBasis))) return;
+    const key = getSalespersonKey(inv);
+    totals[key] = (totals[key] || 0) + (convertInvoiceAmount(inv, ctx.reportingCurrency, ctx.rateTable) ?? 0);
+  });
+  Object.keys(totals).forEach(key => {
+    totals[key] /= BASELINE_MONTHS;
+  });
+  return totals;
+};
+
+const buildTargetVsAchievement = (ctx) => {
+  const revenue = calculateRevenue(ctx.invoices, ctx.reportingCurrency, ctx.rateTable);
+  const months = getReportMonths(ctx);
+  const coverage = Object.fromEntries(months.map(month => [month, getMonthCoverage(month, ctx.period)]));
+  const baselines = months.length > 0 ? getBaselines(ctx, months[0]) : {};
+  const targets = ctx.targets || [];
+
+  // Achieved revenue per salesperson per month
+  const salespersons = {};
+  ctx.invoices.filter(inv => !isCancelledInvoice(inv)).forEach(inv => {
+    const key = getSalespersonKey(inv);
+    const month = getInvoiceMonth(inv, ctx.dateBasis);
+    salespersons[key] = salespersons[key] || { key, name: inv.salespersonName || 'Unknown', byMonth: {} };
+    salespersons[key].byMonth[month] = (salespersons[key].byMonth[month] || 0) + (convertInvoiceAmount(inv, ctx.reportingCurrency, ctx.rateTable) ?? 0);
+  });
+  // Salespersons with a quota but no sales still belong in the report
+  targets.filter(target => target.scope === 'salesperson').forEach(target => {
+    const key = String(target.ownerId);
+    salespersons[key] = salespersons[key] || { key, name: target.ownerName || key, byMonth: {} };
+  });
+
+  const monthTotals = Object.fromEntries(months.map(month => [month, { month, target: 0, achieved: 0, onTarget: 0 }]));
+  const salespersonRows = Object.values(salespersons).map(sp => {
+    const quota = getMonthlyQuota(targets, 'salesperson', sp.key, ctx);
+    const monthlyTarget = quota ?? baselines[sp.key] ?? null;
+    const targetSource = quota !== null ? 'Quota' : monthlyTarget !== null ? 'Baseline' : 'None';
+    let target = 0;
+    let achieved = 0;
+
+    months.forEach(month => {
+      const monthTarget = monthlyTarget !== null ? monthlyTarget * coverage[month] : 0;
+      const monthAchieved = sp.byMonth[month] || 0;
+      target += monthTarget;
+      achieved += monthAchieved;
+      monthTotals[month].target += monthTarget;
+      monthTotals[month].achieved += monthAchieved;
+      if (monthTarget > 0 && monthAchieved >= monthTarget) monthTotals[month].onTarget += 1;
+    });
+
+    return {
+      employeeId: sp.key,
+      name: sp.name,
+      targetSource,
+      target: monthlyTarget !== null ? target : null,
+      achieved,
+      variance: monthlyTarget !== null ? achieved - target : null,
+      attainment: monthlyTarget !== null && target > 0 ? achieved / target : null
+    };
+  }).sort((a, b) => b.achieved - a.achieved);
+
+  const monthRows = months.map(month => {
+    const entry = monthTotals[month];
+    return {
+      ...entry,
+      variance: entry.achieved - entry.target,
+      attainment: entry.target > 0 ? entry.achieved / entry.target : null
+    };
+  });
+
+  // Teams: their own quota when set, otherwise the sum of their members' targets
+  const rowsByKey = Object.fromEntries(salespersonRows.map(row => [row.employeeId, row]));
+  const teamRows = (ctx.teams || []).map(team => {
+    const members = team.memberIds.map(memberId => rowsByKey[String(memberId)]).filter(Boolean);
+    const achieved = members.reduce((sum, row) => sum + row.achieved, 0);
+    const quota = getMonthlyQuota(targets, 'team', team.id, ctx);
+    const memberTargets = members.filter(row => row.target !== null);
+    const target = quota !== null
+      ? months.reduce((sum, month) => sum + quota * coverage[month], 0)
+      : memberTargets.length > 0 ? memberTargets.reduce((sum, row) => sum + row.target, 0) : null;
+    return {
+      name: team.name,
+      members: members.map(row => row.name),
+      targetSource: quota !== null ? 'Quota' : target !== null ? 'Members' : 'None',
+      target,
+      achieved,
+      variance: target !== null ? achieved - target : null,
+      attainment: target ? achieved / target : null
+    };
+  }).sort((a, b) => b.achieved - a.achieved);
+
+  const totalTarget = salespersonRows.reduce((sum, row) => sum + (row.target || 0), 0);
+  const withTarget = salespersonRows.filter(row => row.target !== null);
+  const baselineCount = salespersonRows.filter(row => row.targetSource === 'Baseline').length;
+
+  const notes = getRevenueNotes(revenue);
+  if (baselineCount > 0) {
+    notes.push(`${baselineCount} salespersons have no quota; their target is their average monthly revenue over the ${BASELINE_MONTHS} months before the period.`);
+  }
+  if (months.some(month => coverage[month] < 1)) {
+    notes.push('Targets for months only partly inside the period are prorated by day.');
+  }
+
+  return {
+    summary: [
+      { key: 'totalTarget', label: 'Total Target', value: totalTarget, type: 'currency' },
+      { key: 'totalAchieved', label: 'Total Achieved', value: revenue.total, type: 'currency' },
+      { key: 'attainment', label: 'Attainment', value: totalTarget > 0 ? revenue.total / totalTarget : null, type: 'percent' },
+      {
+        key: 'salespersonsOnTarget',
+        label: 'Salespersons on Target',
+        value: `${withTarget.filter(row => row.attainment !== null && row.attainment >= 1).length} of ${withTarget.length}`,
+        type: 'text'
+      }
+    ],
+    sections: [
+      {
+        id: 'salesperson-attainment',
+        title: 'Attainment by Salesperson',
+        columns: [
+          { key: 'name', header: 'Salesperson', type: 'text' },
+          { key: 'targetSource', header: 'Target Source', type: 'text' },
+          { key: 'target', header: 'Target', type: 'currency' },
+          { key: 'achieved', header: 'Achieved', type: 'currency' },
+          { key: 'variance', header: 'Variance', type: 'currency' },
+          { key: 'attainment', header: 'Attainment', type: 'percent' }
+        ],
+        rows: salespersonRows,
+        chart: { type: 'bar', labelKey: 'name', valueKey: 'achieved' }
+      },
+      {
+        id: 'monthly-attainment',
+        title: 'Attainment by Month',
+        columns: [
+          { key: 'month', header: 'Month', type: 'text' },
+          { key: 'target', header: 'Target', type: 'currency' },
+          { key: 'achieved', header: 'Achieved', type: 'currency' },
+          { key: 'variance', header: 'Variance', type: 'currency' },
+          { key: 'attainment', header: 'Attainment', type: 'percent' },
+          { key: 'onTarget', header: 'Salespersons on Target', type: 'number' }
+        ],
+        rows: monthRows,
+        chart: { type: 'line', labelKey: 'month', valueKey: 'achieved' }
+      },
+      ...(teamRows.length > 0 ? [{
+        id: 'team-attainment',
+        title: 'Attainment by Team',
+        description: 'Teams without their own quota are measured against the sum of their members\' targets.',
+        columns: [
+          { key: 'name', header: 'Team', type: 'text' },
+          { key: 'members', header: 'Members', type: 'list' },
+          { key: 'targetSource', header: 'Target Source', type: 'text' },
+          { key: 'target', header: 'Target', type: 'currency' },
+          { key: 'achieved', header: 'Achieved', type: 'currency' },
+          { key: 'variance', header: 'Variance', type: 'currency' },
+          { key: 'attainment', header: 'Attainment', type: 'percent' }
+        ],
+        rows: teamRows,
+        chart: { type: 'bar', labelKey: 'name', valueKey: 'achieved' }
+      }] : [])
+    ],
+    notes
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Recurring Revenue
+// ---------------------------------------------------------------------------
+
+// Purchase history per customer across all invoices
+const getCustomerHistories = (ctx, resolver) => {
+  const histories = {};
+  ctx.allInvoices.filter(inv => !isCancelledInvoice(inv)).forEach(inv => {
+    const month = getInvoiceMonth(inv, ctx.dateBasis);
+    if (!month) return;
+    const name = resolver.getName(inv);
+    histories[name] = histories[name] || { name, months: new Set(), dates: [], revenue: 0 };
+    histories[name].months.add(month);
+    histories[name].dates.push(toDateKey(getInvoiceDateValue(inv, ctx.dateBasis)));
+    histories[name].revenue += convertInvoiceAmount(inv, ctx.reportingCurrency, ctx.rateTable) ?? 0;
+  });
+
+  Object.values(histories).forEach(history => {
+    history.dates.sort();
+    history.firstMonth = history.dates[0].slice(0, 7);
+  });
+  return histories;
+};
+
+const getAverageGapDays = (dates) => {
+  if (dates.length < 2) return null;
+  const first = new Date(dates[0]);
+  const last = new Date(dates[dates.length - 1]);
+  return Math.round((last - first) / 86400000 / (dates.length - 1));
+};
+
+const buildRecurringRevenue = (ctx) => {
+  const revenue = calculateRevenue(ctx.invoices, ctx.reportingCurrency, ctx.rateTable);
+  const resolver = getCustomerResolver(ctx);
+  const histories = getCustomerHistories(ctx, resolver);
+  const months = getReportMonths(ctx);
+  const currentMonth = getCurrentMonth();
+
+  // New vs returning customers and revenue per month
+  const mix = Object.fromEntries(months.map(month => [month, {
+    month, newCustomers: new Set(), returningCustomers: new Set(), newRevenue: 0, recurringRevenue: 0
+  }]));
+  const periodRevenue = {};
+  ctx.invoices.filter(inv => !isCancelledInvoice(inv)).forEach(inv => {
+    const month = getInvoiceMonth(inv, ctx.dateBasis);
+    const name = resolver.getName(inv);
+    const history = histories[name];
+    if (!mix[month] || !history) return;
+    const amount = convertInvoiceAmount(inv, ctx.reportingCurrency, ctx.rateTable) ?? 0;
+    periodRevenue[name] = (periodRevenue[name] || 0) + amount;
+    if (history.firstMonth < month) {
+      mix[month].returningCustomers.add(name);
+      mix[month].recurringRevenue += amount;
+    } else {
+      mix[month].newCustomers.add(name);
+      mix[month].newRevenue += amount;
+    }
+  });
+  const mixRows = months.map(month => {
+    const entry = mix[month];
+    const total = entry.newRevenue + entry.recurringRevenue;
+    return {
+      month,
+      newCustomers: entry.newCustomers.size,
+      returningCustomers: entry.returningCustomers.size,
+      newRevenue: entry.newRevenue,
+      recurringRevenue: entry.recurringRevenue,
+      recurringShare: total > 0 ? entry.recurringRevenue / total : null
+    };
+  });
+
+  // Repeat customers: bought in at least two different months, and active in the period
+  const activeCustomers = Object.keys(periodRevenue);
+  const repeatRows = activeCustomers
+    .map(name => histories[name])
+    .filter(history => history.months.size >= 2)
+    .map(history => ({
+      name: history.name,
+      invoiceCount: history.dates.length,
+      activeMonths: history.months.size,
+      firstPurchase: history.dates[0],
+      lastPurchase: history.dates[history.dates.length - 1],
+      averageGapDays: getAverageGapDays(history.dates),
+      periodRevenue: periodRevenue[history.name],
+      lifetimeRevenue: history.revenue
+    }))
+    .sort((a, b) => b.periodRevenue - a.periodRevenue);
+
+  // Cohorts by first purchase month, retention = share buying again k months later
+  const cohortMonths = new Set(months.slice(-MAX_COHORTS));
+  const cohorts = {};
+  Object.values(histories).forEach(history => {
+    if (!cohortMonths.has(history.firstMonth)) return;
+    cohorts[history.firstMonth] = cohorts[history.firstMonth] || [];
+    cohorts[history.firstMonth].push(history);
+  });
+  const cohortRows = Object.keys(cohorts).sort().map(month => {
+    const members = cohorts[month];
+    const row = { cohort: month, customers: members.length };
+    for (let offset = 1; offset <= RETENTION_MONTHS; offset++) {
+      const target = addMonths(month, offset);
+      row[`m${offset}`] = target > currentMonth
+        ? null
+        : members.filter(history => history.months.has(target)).length / members.length;
+    }
+    return row;
+  });
+
+  const recurringTotal = mixRows.reduce((sum, row) => sum + row.recurringRevenue, 0);
+  const mixTotal = mixRows.reduce((sum, row) => sum + row.recurringRevenue + row.newRevenue, 0);
+  const monthOneRetention = cohortRows.filter(row => row.m1 !== null);
+
+  return {
+    summary: [
+      { key: 'activeCustomers', label: 'Active Customers', value: activeCustomers.length, type: 'number' },
+      { key: 'repeatCustomers', label: 'Repeat Customers', value: repeatRows.length, type: 'number' },
+      { key: 'repeatRate', label: 'Repeat Rate', value: activeCustomers.length > 0 ? repeatRows.length / activeCustomers.length : null, type: 'percent' },
+      { key: 'recurringRevenue', label: 'Recurring Revenue', value: recurringTotal, type: 'currency' },
+      { key: 'recurringShare', label: 'Recurring Share', value: mixTotal > 0 ? recurringTotal / mixTotal : null, type: 'percent' },
+      {
+        key: 'monthOneRetention',
+        label: 'Avg. Month-1 Retention',
+        value: monthOneRetention.length > 0 ? monthOneRetention.reduce((sum, row) => sum + row.m1, 0) / monthOneRetention.length : null,
+        type: 'percent'
+      }
+    ],
+    sections: [
+      {
+        id: 'revenue-mix',
+        title: 'New vs Recurring Revenue',
+        description: 'Recurring revenue comes from customers whose first purchase was in an earlier month.',
+        columns: [
+          { key: 'month', header: 'Month', type: 'text' },
+          { key: 'newCustomers', header: 'New Customers', type: 'number' },
+          { key: 'returningCustomers', header: 'Returning Customers', type: 'number' },
+          { key: 'newRevenue', header: 'New Revenue', type: 'currency' },
+          { key: 'recurringRevenue', header: 'Recurring Revenue', type: 'currency' },
+          { key: 'recurringShare', header: 'Recurring Share', type: 'percent' }
+        ],
+        rows: mixRows,
+        chart: { type: 'line', labelKey: 'month', valueKey: 'recurringRevenue' }
+      },
+      {
+        id: 'repeat-customers',
+        title: 'Repeat Customers',
+        description: 'Customers active in the period who have bought in at least two different months.',
+        columns: [
+          { key: 'name', header: 'Customer', type: 'text' },
+          { key: 'invoiceCount', header: 'Invoices (All Time)', type: 'number' },
+          { key: 'activeMonths', header: 'Active Months', type: 'number' },
+          { key: 'firstPurchase', header: 'First Purchase', type: 'date' },
+          { key: 'lastPurchase', header: 'Last Purchase', type: 'date' },
+          { key: 'averageGapDays', header: 'Avg. Days Between', type: 'number' },
+          { key: 'periodRevenue', header: 'Period Revenue', type: 'currency' },
+          { key: 'lifetimeRevenue', header: 'Lifetime Revenue', type: 'currency' }
+        ],
+        rows: repeatRows,
+        chart: { type: 'bar', labelKey: 'name', valueKey: 'periodRevenue', limit: 10 }
+      },
+      {
+        id: 'cohort-retention',
+        title: 'Cohort Retention',
+        description: `Customers grouped by first purchase month; each column is the share who bought again that many months later (last ${MAX_COHORTS} cohorts in the period).`,
+        columns: [
+          { key: 'cohort', header: 'Cohort', type: 'text' },
+          { key: 'customers', header: 'Customers', type: 'number' },
+          ...Array.from({ length: RETENTION_MONTHS }, (_, index) => ({ key: `m${index + 1}`, header: `Month ${index + 1}`, type: 'percent' }))
+        ],
+        rows: cohortRows
+      }
+    ],
+    notes: getRevenueNotes(revenue)
+  };
+};
+
+export const PREMIUM_REPORT_BUILDERS = {
+  'growth-trends': buildGrowthTrends,
+  'target-vs-achievement': buildTargetVsAchievement,
+  'recurring-revenue': buildRecurringRevenue
+};
@@ -0,0 +1,42 @@
+import { downloadBlob } from '../utils/download';
+import { getReportFilename, REPORT_FORMATS } from './reportSchema';
+import { renderCsv } from './renderers/csv';
+import { renderJson } from './renderers/json';
+import { renderXlsx } from './renderers/xlsx';
+
+// ✅ Render a report model in the requested format and download it.
+// The PDF renderer (jsPDF) is loaded on demand since it is the heaviest.
+const RENDERERS = {
+  pdf: async (model) => (await import('./renderers/pdf')).renderPdf(model),
+  xlsx: renderXlsx,
+  csv: renderCsv,
+  json: renderJson
+};
+
+/**
+ * Render a report model
+ * @param {object} model - Report model from buildReport
+ * @param {string} format - Key of REPORT_FORMATS
+ * @returns {Promise<Blob>} Rendered file
+ */
+export const renderReport = async (model, format) => {
+  const render = RENDERERS[format];
+  if (!render) {
+    throw new Error(`Unsupported report format: ${format}`);
+  }
+  return render(model);
+};
+
+/**
+ * Render a report model and download it
+ * @param {object} model - Report model from buildReport
+ * @param {string} format - Key of REPORT_FORMATS
+ * @returns {Promise<object>} { filename, size } of the downloaded file
+ */
+export const downloadReport = async (model, format) => {
+  const blob = await renderReport(model, format);
+  const filename = getReportFilename(model, format);
+  downloadBlob(blob, filename);
+  console.log(`📄 Generated ${REPORT_FORMATS[format].label} report ${filename} (${blob.size} bytes)`);
+  return { filename, size: blob.size };
+};
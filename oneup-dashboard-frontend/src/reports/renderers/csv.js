@@ -0,0 +1,56 @@
+import { REPORT_FORMATS } from '../reportSchema';
+
+// ✅ CSV layout: metadata block, [summary] block, one [section:<id>] block per
+// section and a [notes] block, separated by blank lines. Values are raw (numbers
+// unformatted, percentages as fractions, dates as YYYY-MM-DD, lists joined with "; ").
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join('; ') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvLine = (values) => values.map(escapeCsvValue).join(',');
+
+/**
+ * Render a report model as CSV
+ * @param {object} model - Report model
+ * @returns {Blob} CSV file contents (UTF-8 with BOM so Excel detects the encoding)
+ */
+export const renderCsv = (model) => {
+  const lines = [
+    toCsvLine(['report', model.title]),
+    toCsvLine(['report_id', model.reportId]),
+    toCsvLine(['schema_version', model.schemaVersion]),
+    toCsvLine(['generated_at', model.generatedAt]),
+    toCsvLine(['period', model.period?.label]),
+    toCsvLine(['period_key', model.period?.key]),
+    toCsvLine(['period_start', model.period?.start]),
+    toCsvLine(['period_end', model.period?.end]),
+    toCsvLine(['date_basis', model.dateBasis?.key]),
+    toCsvLine(['reporting_currency', model.reportingCurrency]),
+    toCsvLine(['valuation', model.valuation]),
+    toCsvLine(['invoice_count', model.invoiceCount]),
+    '',
+    '[summary]',
+    toCsvLine(['key', 'label', 'value', 'type'])
+  ];
+
+  model.summary.forEach(item => {
+    lines.push(toCsvLine([item.key, item.label, item.value, item.type]));
+  });
+
+  model.sections.forEach(section => {
+    lines.push('', toCsvLine([`[section:${section.id}]`, section.title]));
+    lines.push(toCsvLine(section.columns.map(column => column.key)));
+    section.rows.forEach(row => {
+      lines.push(toCsvLine(section.columns.map(column => row[column.key])));
+    });
+  });
+
+  if (model.notes.length > 0) {
+    lines.push('', '[notes]', ...model.notes.map(note => toCsvLine([note])));
+  }
+
+  return new Blob(['\uFEFF' + lines.join('\r\n') + '\r\n'], { type: REPORT_FORMATS.csv.mimeType });
+};
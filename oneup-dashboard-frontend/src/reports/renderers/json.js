@@ -0,0 +1,10 @@
+import { REPORT_FORMATS } from '../reportSchema';
+
+/**
+ * Render a report model as JSON (the model itself, see REPORT_EXPORT_SCHEMA.md)
+ * @param {object} model - Report model
+ * @returns {Blob} JSON file contents
+ */
+export const renderJson = (model) => {
+  return new Blob([JSON.stringify(model, null, 2)], { type: REPORT_FORMATS.json.mimeType });
+};
@@ -0,0 +1,371 @@
+import { jsPDF } from 'jspdf';
+import { autoTable } from 'jspdf-autotable';
+import { formatLargeNumber } from '../../utils/formatters';
+import { describeReportPeriod } from '../reportPeriod';
+import { formatReportValue, getValueCurrency } from '../reportSchema';
+
+// ✅ PDF layout: cover page (metadata, key figures, notes), then each section as a
+// heading, an optional chart drawn with vector primitives, and a table.
+// Single invoices (renderInvoicePdf) get a one-page sheet: header, amounts and a field table.
+
+const PAGE_MARGIN = 40;
+const BRAND_COLOR = [37, 99, 235];
+const TEXT_COLOR = [17, 24, 39];
+const MUTED_COLOR = [107, 114, 128];
+const CHART_COLORS = [[59, 130, 246], [16, 185, 129], [245, 158, 11], [239, 68, 68], [139, 92, 246], [236, 72, 153]];
+
+// Large listings are truncated in the PDF; XLSX/CSV/JSON always carry every row
+const MAX_PDF_TABLE_ROWS = 1000;
+const MAX_CHART_ITEMS = 12;
+const MAX_LINE_POINTS = 24;
+const BAR_ROW_HEIGHT = 18;
+const LINE_CHART_HEIGHT = 170;
+
+const NUMERIC_TYPES = ['number', 'currency', 'percent'];
+
+const compact = (value) => formatLargeNumber(value, { showCurrency: false });
+
+const getPageSize = (doc) => ({
+  width: doc.internal.pageSize.getWidth(),
+  height: doc.internal.pageSize.getHeight()
+});
+
+// Start a new page when the next block does not fit
+const ensureSpace = (doc, y, needed) => {
+  if (y + needed <= getPageSize(doc).height - PAGE_MARGIN) return y;
+  doc.addPage();
+  return PAGE_MARGIN;
+};
+
+const drawCoverPage = (doc, model) => {
+  const { width } = getPageSize(doc);
+  const contentWidth = width - PAGE_MARGIN * 2;
+
+  doc.setFillColor(...BRAND_COLOR);
+  doc.rect(0, 0, width, 170, 'F');
+  doc.setTextColor(255, 255, 255);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(11);
+  doc.text('OneUp Dashboard', PAGE_MARGIN, 50);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(26);
+  doc.text(model.title, PAGE_MARGIN, 95);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(11);
+  doc.text(doc.splitTextToSize(model.description, contentWidth), PAGE_MARGIN, 122);
+
+  // Report metadata
+  const metadata = [
+    ['Generated', new Date(model.generatedAt).toLocaleString()],
+    ['Period', describeReportPeriod(model.period)],
+    ['Date basis', model.dateBasis?.label],
+    ['Invoices included', model.invoiceCount.toLocaleString()],
+    ['Reporting currency', model.reportingCurrency],
+    ['Valuation', model.valuation]
+  ];
+  let y = 210;
+  doc.setFontSize(10);
+  metadata.forEach(([label, value]) => {
+    const lines = doc.splitTextToSize(String(value || '—'), contentWidth - 130);
+    doc.setTextColor(...MUTED_COLOR);
+    doc.text(label, PAGE_MARGIN, y);
+    doc.setTextColor(...TEXT_COLOR);
+    doc.text(lines, PAGE_MARGIN + 130, y);
+    y += lines.length * 13 + 6;
+  });
+
+  // Key figures, two per row
+  y += 16;
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(14);
+  doc.text('Key Figures', PAGE_MARGIN, y);
+  y += 14;
+
+  const boxWidth = (contentWidth - 12) / 2;
+  const boxHeight = 56;
+  model.summary.forEach((item, index) => {
+    const x = PAGE_MARGIN + (index % 2) * (boxWidth + 12);
+    const boxY = y + Math.floor(index / 2) * (boxHeight + 10);
+    doc.setDrawColor(229, 231, 235);
+    doc.setFillColor(249, 250, 251);
+    doc.roundedRect(x, boxY, boxWidth, boxHeight, 4, 4, 'FD');
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    doc.setTextColor(...MUTED_COLOR);
+    doc.text(item.label.toUpperCase(), x + 12, boxY + 20);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(15);
+    doc.setTextColor(...TEXT_COLOR);
+    const value = formatReportValue(item.value, item.type, getValueCurrency(model, item));
+    doc.text(doc.splitTextToSize(value, boxWidth - 24)[0], x + 12, boxY + 42);
+  });
+  y += Math.ceil(model.summary.length / 2) * (boxHeight + 10) + 16;
+
+  if (model.notes.length > 0) {
+    y = ensureSpace(doc, y, 40);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(11);
+    doc.text('Notes', PAGE_MARGIN, y);
+    y += 16;
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    doc.setTextColor(...MUTED_COLOR);
+    model.notes.forEach(note => {
+      const lines = doc.splitTextToSize(`• ${note}`, contentWidth);
+      y = ensureSpace(doc, y, lines.length * 12);
+      doc.text(lines, PAGE_MARGIN, y);
+      y += lines.length * 12 + 4;
+    });
+  }
+};
+
+// Horizontal bar chart, largest values first as they appear in the rows
+const drawBarChart = (doc, items, y) => {
+  const { width } = getPageSize(doc);
+  const labelWidth = 130;
+  const valueWidth = 60;
+  const barAreaWidth = width - PAGE_MARGIN * 2 - labelWidth - valueWidth;
+  const maxValue = Math.max(...items.map(item => item.value), 0);
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(8);
+  items.forEach((item, index) => {
+    const rowY = y + index * BAR_ROW_HEIGHT;
+    const barWidth = maxValue > 0 ? Math.max(1, (item.value / maxValue) * barAreaWidth) : 0;
+    doc.setTextColor(...TEXT_COLOR);
+    doc.text(doc.splitTextToSize(item.label, labelWidth - 8)[0], PAGE_MARGIN, rowY + 11);
+    doc.setFillColor(...CHART_COLORS[index % CHART_COLORS.length]);
+    doc.rect(PAGE_MARGIN + labelWidth, rowY + 3, barWidth, BAR_ROW_HEIGHT - 6, 'F');
+    doc.setTextColor(...MUTED_COLOR);
+    doc.text(compact(item.value), PAGE_MARGIN + labelWidth + barWidth + 4, rowY + 11);
+  });
+  return y + items.length * BAR_ROW_HEIGHT;
+};
+
+// Line chart with a value grid; x labels are thinned so they never overlap
+const drawLineChart = (doc, items, y) => {
+  const { width } = getPageSize(doc);
+  const left = PAGE_MARGIN + 45;
+  const right = width - PAGE_MARGIN;
+  const top = y + 5;
+  const bottom = y + LINE_CHART_HEIGHT - 20;
+  const maxValue = Math.max(...items.map(item => item.value), 0) || 1;
+  const xFor = (index) => (items.length === 1 ? (left + right) / 2 : left + (index / (items.length - 1)) * (right - left));
+  const yFor = (value) => bottom - (value / maxValue) * (bottom - top);
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(7);
+  doc.setDrawColor(229, 231, 235);
+  doc.setTextColor(...MUTED_COLOR);
+  for (let step = 0; step <= 4; step++) {
+    const value = (maxValue / 4) * step;
+    doc.line(left, yFor(value), right, yFor(value));
+    doc.text(compact(value), left - 6, yFor(value) + 2, { align: 'right' });
+  }
+
+  const labelEvery = Math.ceil(items.length / 12);
+  items.forEach((item, index) => {
+    if (index % labelEvery === 0) {
+      doc.text(item.label, xFor(index), bottom + 12, { align: 'center' });
+    }
+  });
+
+  doc.setDrawColor(...BRAND_COLOR);
+  doc.setFillColor(...BRAND_COLOR);
+  doc.setLineWidth(1.5);
+  items.forEach((item, index) => {
+    if (index > 0) {
+      doc.line(xFor(index - 1), yFor(items[index - 1].value), xFor(index), yFor(item.value));
+    }
+    doc.circle(xFor(index), yFor(item.value), 2, 'F');
+  });
+  doc.setLineWidth(0.57);
+
+  return y + LINE_CHART_HEIGHT;
+};
+
+const drawChart = (doc, section, y) => {
+  const { chart } = section;
+  const isLine = chart.type === 'line';
+  const maxItems = isLine ? MAX_LINE_POINTS : MAX_CHART_ITEMS;
+  const limit = Math.min(chart.limit || maxItems, maxItems);
+  // Bars show the first (top-ranked) rows, lines the most recent points
+  const items = (isLine ? section.rows.slice(-limit) : section.rows.slice(0, limit))
+    .map(row => ({ label: String(row[chart.labelKey] ?? ''), value: Number(row[chart.valueKey]) || 0 }));
+  if (items.length === 0) return y;
+
+  const height = isLine ? LINE_CHART_HEIGHT : items.length * BAR_ROW_HEIGHT;
+  const startY = ensureSpace(doc, y, height + 10);
+  const endY = isLine ? drawLineChart(doc, items, startY) : drawBarChart(doc, items, startY);
+  return endY + 12;
+};
+
+const drawSection = (doc, model, section, y) => {
+  const { width } = getPageSize(doc);
+
+  y = ensureSpace(doc, y, 80);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(14);
+  doc.setTextColor(...TEXT_COLOR);
+  doc.text(section.title, PAGE_MARGIN, y);
+  y += 8;
+
+  if (section.description) {
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    doc.setTextColor(...MUTED_COLOR);
+    const lines = doc.splitTextToSize(section.description, width - PAGE_MARGIN * 2);
+    doc.text(lines, PAGE_MARGIN, y + 10);
+    y += lines.length * 11;
+  }
+  y += 14;
+
+  if (section.chart) {
+    y = drawChart(doc, section, y);
+  }
+
+  const rows = section.rows.slice(0, MAX_PDF_TABLE_ROWS);
+  const columnStyles = {};
+  section.columns.forEach((column, index) => {
+    if (NUMERIC_TYPES.includes(column.type)) columnStyles[index] = { halign: 'right' };
+  });
+
+  autoTable(doc, {
+    startY: y,
+    margin: { left: PAGE_MARGIN, right: PAGE_MARGIN, bottom: PAGE_MARGIN + 10 },
+    head: [section.columns.map(column => column.header)],
+    body: rows.map(row => section.columns.map(column =>
+      formatReportValue(row[column.key], column.type, getValueCurrency(model, column, row))
+    )),
+    columnStyles,
+    styles: { fontSize: 8, cellPadding: 4, overflow: 'linebreak' },
+    headStyles: { fillColor: BRAND_COLOR, textColor: 255, fontStyle: 'bold' },
+    alternateRowStyles: { fillColor: [249, 250, 251] }
+  });
+  y = doc.lastAutoTable.finalY + 12;
+
+  if (section.rows.length > rows.length) {
+    doc.setFont('helvetica', 'italic');
+    doc.setFontSize(8);
+    doc.setTextColor(...MUTED_COLOR);
+    doc.text(`Showing the first ${rows.length.toLocaleString()} of ${section.rows.length.toLocaleString()} rows. Export as XLSX or CSV for the full listing.`, PAGE_MARGIN, y);
+    y += 12;
+  }
+
+  return y + 18;
+};
+
+const drawPageFooters = (doc, model) => {
+  const { width, height } = getPageSize(doc);
+  const pageCount = doc.getNumberOfPages();
+
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor(...MUTED_COLOR);
+    doc.text(`${model.title} • ${describeReportPeriod(model.period)} • ${model.dateBasis?.label || ''}`, PAGE_MARGIN, height - 20);
+    doc.text(`Page ${page} of ${pageCount}`, width - PAGE_MARGIN, height - 20, { align: 'right' });
+  }
+};
+
+/**
+ * Render a report model as a PDF document
+ * @param {object} model - Report model
+ * @returns {Blob} PDF file contents
+ */
+export const renderPdf = (model) => {
+  const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+  doc.setProperties({ title: model.title, subject: model.description, creator: 'OneUp Dashboard' });
+
+  drawCoverPage(doc, model);
+
+  if (model.sections.length > 0) {
+    doc.addPage();
+    let y = PAGE_MARGIN + 10;
+    model.sections.forEach(section => {
+      y = drawSection(doc, model, section, y);
+    });
+  }
+
+  drawPageFooters(doc, model);
+  return doc.output('blob');
+};
+
+/**
+ * Render a single invoice as a PDF document
+ * @param {object} sheet - { title, subtitle, amounts: [[label, value]], fields: [[label, value]], description }
+ * @returns {Blob} PDF file contents
+ */
+export const renderInvoicePdf = (sheet) => {
+  const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+  const { width, height } = getPageSize(doc);
+  const contentWidth = width - PAGE_MARGIN * 2;
+  doc.setProperties({ title: sheet.title, subject: sheet.subtitle, creator: 'OneUp Dashboard' });
+
+  doc.setFillColor(...BRAND_COLOR);
+  doc.rect(0, 0, width, 120, 'F');
+  doc.setTextColor(255, 255, 255);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(11);
+  doc.text('OneUp Dashboard', PAGE_MARGIN, 45);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(24);
+  doc.text(sheet.title, PAGE_MARGIN, 80);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(11);
+  doc.text(doc.splitTextToSize(sheet.subtitle, contentWidth), PAGE_MARGIN, 102);
+
+  // Amounts, side by side
+  let y = 160;
+  const boxWidth = contentWidth / sheet.amounts.length;
+  sheet.amounts.forEach(([label, value], index) => {
+    const x = PAGE_MARGIN + index * boxWidth;
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    doc.setTextColor(...MUTED_COLOR);
+    doc.text(label, x, y);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(15);
+    doc.setTextColor(...TEXT_COLOR);
+    doc.text(String(value), x, y + 20);
+  });
+  y += 44;
+
+  autoTable(doc, {
+    startY: y,
+    margin: { left: PAGE_MARGIN, right: PAGE_MARGIN, bottom: PAGE_MARGIN + 10 },
+    body: sheet.fields.map(([label, value]) => [label, String(value ?? '—')]),
+    columnStyles: { 0: { cellWidth: 140, textColor: MUTED_COLOR } },
+    styles: { fontSize: 9, cellPadding: 5, overflow: 'linebreak' },
+    alternateRowStyles: { fillColor: [249, 250, 251] }
+  });
+  y = doc.lastAutoTable.finalY + 24;
+
+  if (sheet.description) {
+    const lines = doc.splitTextToSize(sheet.description, contentWidth);
+    y = ensureSpace(doc, y, 40);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(12);
+    doc.setTextColor(...TEXT_COLOR);
+    doc.text('Description', PAGE_MARGIN, y);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(10);
+    lines.forEach(line => {
+      y = ensureSpace(doc, y + 14, 14);
+      doc.text(line, PAGE_MARGIN, y);
+    });
+  }
+
+  const pageCount = doc.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor(...MUTED_COLOR);
+    doc.text(`${sheet.title} • Generated ${new Date().toLocaleString()}`, PAGE_MARGIN, height - 20);
+    doc.text(`Page ${page} of ${pageCount}`, width - PAGE_MARGIN, height - 20, { align: 'right' });
+  }
+
+  return doc.output('blob');
+};
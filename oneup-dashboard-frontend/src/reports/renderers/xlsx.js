@@ -0,0 +1,95 @@
+import * as XLSX from 'xlsx';
+import { describeReportPeriod } from '../reportPeriod';
+import { REPORT_FORMATS } from '../reportSchema';
+
+// Excel number formats per value type
+const CELL_FORMATS = {
+  number: '#,##0.##',
+  currency: '#,##0.00',
+  percent: '0.0%'
+};
+
+// Sheet names are limited to 31 characters, no []:*?/\ and must be unique
+const toSheetName = (title, usedNames) => {
+  const base = title.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31).trim() || 'Sheet';
+  let name = base;
+  for (let i = 2; usedNames.has(name.toLowerCase()); i++) {
+    const suffix = ` (${i})`;
+    name = base.slice(0, 31 - suffix.length) + suffix;
+  }
+  usedNames.add(name.toLowerCase());
+  return name;
+};
+
+const toCellValue = (value, type) => {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  return type === 'date' ? String(value).slice(0, 10) : value;
+};
+
+// Apply number formats to numeric columns (row 0 is the header)
+const applyColumnFormats = (sheet, columns, rowCount) => {
+  columns.forEach((column, columnIndex) => {
+    const format = CELL_FORMATS[column.type];
+    if (!format) return;
+    for (let rowIndex = 1; rowIndex <= rowCount; rowIndex++) {
+      const cell = sheet[XLSX.utils.encode_cell({ r: rowIndex, c: columnIndex })];
+      if (cell && cell.t === 'n') cell.z = format;
+    }
+  });
+};
+
+const buildSummarySheet = (model) => {
+  const rows = [
+    [model.title],
+    [model.description],
+    [],
+    ['Generated', new Date(model.generatedAt).toLocaleString()],
+    ['Period', describeReportPeriod(model.period)],
+    ['Date Basis', model.dateBasis?.label || ''],
+    ['Invoices Included', model.invoiceCount],
+    ['Reporting Currency', model.reportingCurrency],
+    ['Valuation', model.valuation],
+    [],
+    ['Key Figures']
+  ];
+  const firstSummaryRow = rows.length;
+  rows.push(...model.summary.map(item => [item.label, toCellValue(item.value, item.type)]));
+  if (model.notes.length > 0) {
+    rows.push([], ['Notes'], ...model.notes.map(note => [note]));
+  }
+
+  const sheet = XLSX.utils.aoa_to_sheet(rows);
+  model.summary.forEach((item, index) => {
+    const cell = sheet[XLSX.utils.encode_cell({ r: firstSummaryRow + index, c: 1 })];
+    if (cell && cell.t === 'n' && CELL_FORMATS[item.type]) cell.z = CELL_FORMATS[item.type];
+  });
+  sheet['!cols'] = [{ wch: 26 }, { wch: 60 }];
+  return sheet;
+};
+
+/**
+ * Render a report model as an XLSX workbook: a Summary sheet plus one sheet per section
+ * @param {object} model - Report model
+ * @returns {Blob} XLSX file contents
+ */
+export const renderXlsx = (model) => {
+  const workbook = XLSX.utils.book_new();
+  const usedNames = new Set();
+
+  XLSX.utils.book_append_sheet(workbook, buildSummarySheet(model), toSheetName('Summary', usedNames));
+
+  model.sections.forEach(section => {
+    const rows = [
+      section.columns.map(column => column.header),
+      ...section.rows.map(row => section.columns.map(column => toCellValue(row[column.key], column.type)))
+    ];
+    const sheet = XLSX.utils.aoa_to_sheet(rows);
+    applyColumnFormats(sheet, section.columns, section.rows.length);
+    sheet['!cols'] = section.columns.map(column => ({ wch: Math.max(10, column.header.length + 2, column.type === 'text' ? 24 : 14) }));
+    XLSX.utils.book_append_sheet(workbook, sheet, toSheetName(section.title, usedNames));
+  });
+
+  const data = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+  return new Blob([data], { type: REPORT_FORMATS.xlsx.mimeType });
+};
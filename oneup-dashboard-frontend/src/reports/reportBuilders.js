@@ -0,0 +1,340 @@
+import { calculateRevenue, convertInvoiceAmount, describeRateTable } from '../utils/currency';
+import { getInvoiceDateValue, isCancelledInvoice } from '../utils/invoices';
+import { DORMANCY_FACTOR, buildDormancyReport } from '../utils/dormancy';
+import { toDateKey as toLocalDateKey } from '../utils/periods';
+import { PREMIUM_REPORT_BUILDERS } from './premiumReports';
+import { getCustomerResolver, getMonthlyRevenue, getRevenueNotes, toDateKey } from './reportHelpers';
+import { DATE_BASES } from './reportPeriod';
+import { REPORT_SCHEMA_VERSION } from './reportSchema';
+
+// ✅ Build structured report models from invoices.
+// Each builder returns { summary, sections, notes }; buildReport wraps it with the
+// shared metadata. Amounts are converted to the reporting currency and exclude
+// cancelled invoices unless a column says otherwise.
+
+const TOP_N = 10;
+
+// Group non-cancelled invoices by a key, with converted totals
+const groupInvoices = ({ invoices, reportingCurrency, rateTable, dateBasis }, getKey) => {
+  const groups = {};
+
+  invoices.filter(inv => !isCancelledInvoice(inv)).forEach(inv => {
+    const name = getKey(inv);
+    const date = toDateKey(getInvoiceDateValue(inv, dateBasis));
+    if (!groups[name]) {
+      groups[name] = { name, invoiceCount: 0, total: 0, currencies: new Set(), firstDate: date, lastDate: date };
+    }
+    const group = groups[name];
+    group.invoiceCount += 1;
+    group.total += convertInvoiceAmount(inv, reportingCurrency, rateTable) ?? 0;
+    group.currencies.add(inv.currency || 'USD');
+    if (date && (!group.firstDate || date < group.firstDate)) group.firstDate = date;
+    if (date && (!group.lastDate || date > group.lastDate)) group.lastDate = date;
+  });
+
+  const grandTotal = Object.values(groups).reduce((sum, group) => sum + group.total, 0);
+  return Object.values(groups)
+    .sort((a, b) => b.total - a.total)
+    .map((group, index) => ({
+      rank: index + 1,
+      name: group.name,
+      invoiceCount: group.invoiceCount,
+      total: group.total,
+      average: group.invoiceCount > 0 ? group.total / group.invoiceCount : 0,
+      share: grandTotal > 0 ? group.total / grandTotal : 0,
+      currencies: Array.from(group.currencies),
+      firstDate: group.firstDate,
+      lastDate: group.lastDate
+    }));
+};
+
+const getSalespersons = (ctx) => groupInvoices(ctx, inv => inv.salespersonName || 'Unknown');
+const getCustomers = (ctx) => {
+  const resolver = getCustomerResolver(ctx);
+  return groupInvoices(ctx, inv => resolver.getName(inv));
+};
+
+const getCurrencyBreakdown = (revenue) => Object.values(revenue.byCurrency)
+  .sort((a, b) => b.convertedTotal - a.convertedTotal)
+  .map(entry => ({
+    ...entry,
+    share: revenue.total > 0 ? entry.convertedTotal / revenue.total : 0
+  }));
+
+const rankingColumns = (nameHeader) => [
+  { key: 'rank', header: '#', type: 'number' },
+  { key: 'name', header: nameHeader, type: 'text' },
+  { key: 'invoiceCount', header: 'Invoices', type: 'number' },
+  { key: 'total', header: 'Total', type: 'currency' },
+  { key: 'average', header: 'Average', type: 'currency' },
+  { key: 'share', header: 'Share', type: 'percent' }
+];
+
+const currencySection = (revenue) => ({
+  id: 'currency-breakdown',
+  title: 'Revenue by Currency',
+  description: 'Original totals per invoice currency and their value in the reporting currency.',
+  columns: [
+    { key: 'currency', header: 'Currency', type: 'text' },
+    { key: 'invoiceCount', header: 'Invoices', type: 'number' },
+    { key: 'originalTotal', header: 'Original Total', type: 'currency', currencyKey: 'currency' },
+    { key: 'rate', header: 'Rate', type: 'number' },
+    { key: 'convertedTotal', header: 'Converted Total', type: 'currency' },
+    { key: 'share', header: 'Share', type: 'percent' }
+  ],
+  rows: getCurrencyBreakdown(revenue),
+  chart: { type: 'bar', labelKey: 'currency', valueKey: 'convertedTotal' }
+});
+
+const revenueSummary = (revenue, ctx) => [
+  { key: 'totalInvoices', label: 'Total Invoices', value: ctx.invoices.length, type: 'number' },
+  { key: 'totalRevenue', label: 'Total Revenue', value: revenue.total, type: 'currency' },
+  {
+    key: 'averageInvoiceValue',
+    label: 'Average Invoice Value',
+    value: revenue.validInvoicesCount > 0 ? revenue.total / revenue.validInvoicesCount : 0,
+    type: 'currency'
+  },
+  { key: 'cancelledInvoices', label: 'Cancelled Invoices', value: revenue.cancelledInvoicesCount, type: 'number' }
+];
+
+const buildSalesPerformance = (ctx) => {
+  const revenue = calculateRevenue(ctx.invoices, ctx.reportingCurrency, ctx.rateTable);
+  const salespersons = getSalespersons(ctx);
+  const customers = getCustomers(ctx);
+
+  return {
+    summary: [
+      ...revenueSummary(revenue, ctx),
+      { key: 'totalCustomers', label: 'Total Customers', value: customers.length, type: 'number' },
+      { key: 'totalSalespersons', label: 'Total Salespersons', value: salespersons.length, type: 'number' }
+    ],
+    sections: [
+      currencySection(revenue),
+      {
+        id: 'top-salespersons',
+        title: 'Top Performing Salespersons',
+        columns: rankingColumns('Salesperson'),
+        rows: salespersons.slice(0, TOP_N),
+        chart: { type: 'bar', labelKey: 'name', valueKey: 'total' }
+      },
+      {
+        id: 'top-customers',
+        title: 'Top Customers',
+        columns: rankingColumns('Customer'),
+        rows: customers.slice(0, TOP_N),
+        chart: { type: 'bar', labelKey: 'name', valueKey: 'total' }
+      }
+    ],
+    notes: getRevenueNotes(revenue)
+  };
+};
+
+const buildSalespersonPerformance = (ctx) => {
+  const revenue = calculateRevenue(ctx.invoices, ctx.reportingCurrency, ctx.rateTable);
+  const salespersons = getSalespersons(ctx);
+
+  return {
+    summary: [
+      { key: 'totalSalespersons', label: 'Total Salespersons', value: salespersons.length, type: 'number' },
+      { key: 'topPerformer', label: 'Top Performer', value: salespersons[0]?.name || 'N/A', type: 'text' },
+      { key: 'totalRevenue', label: 'Total Revenue', value: revenue.total, type: 'currency' },
+      {
+        key: 'averagePerSalesperson',
+        label: 'Average per Salesperson',
+        value: salespersons.length > 0 ? revenue.total / salespersons.length : 0,
+        type: 'currency'
+      }
+    ],
+    sections: [
+      {
+        id: 'salesperson-rankings',
+        title: 'Salesperson Rankings',
+        columns: [
+          ...rankingColumns('Salesperson'),
+          { key: 'currencies', header: 'Currency Mix', type: 'list' }
+        ],
+        rows: salespersons,
+        chart: { type: 'bar', labelKey: 'name', valueKey: 'total', limit: TOP_N }
+      }
+    ],
+    notes: getRevenueNotes(revenue)
+  };
+};
+
+// Customers overdue for a reorder as of the end of the period (today for open or current periods)
+const getAtRiskCustomers = (ctx) => {
+  const today = toLocalDateKey(new Date());
+  const asOf = ctx.period?.end && ctx.period.end < today ? ctx.period.end : today;
+  return buildDormancyReport({
+    invoices: ctx.allInvoices || ctx.invoices,
+    customerAliases: ctx.customerAliases,
+    reportingCurrency: ctx.reportingCurrency,
+    rateTable: ctx.rateTable,
+    now: new Date(`${asOf}T00:00:00`)
+  });
+};
+
+const buildCustomerAnalytics = (ctx) => {
+  const revenue = calculateRevenue(ctx.invoices, ctx.reportingCurrency, ctx.rateTable);
+  const customers = getCustomers(ctx);
+  const repeatCustomers = customers.filter(customer => customer.invoiceCount > 1).length;
+  const atRisk = getAtRiskCustomers(ctx);
+
+  return {
+    summary: [
+      { key: 'totalCustomers', label: 'Total Customers', value: customers.length, type: 'number' },
+      { key: 'topCustomer', label: 'Top Customer', value: customers[0]?.name || 'N/A', type: 'text' },
+      { key: 'totalRevenue', label: 'Total Revenue', value: revenue.total, type: 'currency' },
+      {
+        key: 'repeatCustomerRate',
+        label: 'Repeat Customers',
+        value: customers.length > 0 ? repeatCustomers / customers.length : 0,
+        type: 'percent'
+      },
+      { key: 'atRiskCustomers', label: 'At Risk Customers', value: atRisk.totals.customerCount, type: 'number' },
+      { key: 'revenueAtRisk', label: 'Revenue at Risk (per year)', value: atRisk.totals.revenueAtRisk, type: 'currency' }
+    ],
+    sections: [
+      {
+        id: 'customer-rankings',
+        title: 'Customer Rankings',
+        columns: [
+          ...rankingColumns('Customer'),
+          { key: 'firstDate', header: 'First Order', type: 'date' },
+          { key: 'lastDate', header: 'Last Order', type: 'date' }
+        ],
+        rows: customers,
+        chart: { type: 'bar', labelKey: 'name', valueKey: 'total', limit: TOP_N }
+      },
+      {
+        id: 'at-risk-customers',
+        title: 'At Risk Customers',
+        description: `Customers quiet for over ${DORMANCY_FACTOR}× their usual gap between orders, judged on their whole invoice history as of ${atRisk.asOf}. Revenue at risk is a year of orders at their usual pace and size.`,
+        columns: [
+          { key: 'name', header: 'Customer', type: 'text' },
+          { key: 'status', header: 'Status', type: 'text' },
+          { key: 'lastOrder', header: 'Last Order', type: 'date' },
+          { key: 'daysSinceLastOrder', header: 'Days Since Last Order', type: 'number' },
+          { key: 'averageGapDays', header: 'Usual Gap (Days)', type: 'number' },
+          { key: 'expectedNextOrder', header: 'Expected By', type: 'date' },
+          { key: 'revenueAtRisk', header: 'Revenue at Risk', type: 'currency' }
+        ],
+        rows: atRisk.customers.map(customer => ({
+          ...customer,
+          status: customer.status === 'churned' ? 'Churned' : 'Dormant'
+        })),
+        chart: { type: 'bar', labelKey: 'name', valueKey: 'revenueAtRisk', limit: TOP_N }
+      }
+    ],
+    notes: getRevenueNotes(revenue)
+  };
+};
+
+const buildRevenueAnalysis = (ctx) => {
+  const revenue = calculateRevenue(ctx.invoices, ctx.reportingCurrency, ctx.rateTable);
+  const breakdown = getCurrencyBreakdown(revenue);
+
+  return {
+    summary: [
+      ...revenueSummary(revenue, ctx),
+      { key: 'primaryCurrency', label: 'Primary Currency', value: breakdown[0]?.currency || 'N/A', type: 'text' }
+    ],
+    sections: [
+      currencySection(revenue),
+      {
+        id: 'monthly-revenue',
+        title: 'Monthly Revenue Trend',
+        columns: [
+          { key: 'month', header: 'Month', type: 'text' },
+          { key: 'invoiceCount', header: 'Invoices', type: 'number' },
+          { key: 'revenue', header: 'Revenue', type: 'currency' },
+          { key: 'change', header: 'Change vs Previous', type: 'percent' }
+        ],
+        rows: getMonthlyRevenue(ctx).slice(-12),
+        chart: { type: 'line', labelKey: 'month', valueKey: 'revenue' }
+      }
+    ],
+    notes: getRevenueNotes(revenue)
+  };
+};
+
+const buildInvoiceSummary = (ctx) => {
+  const revenue = calculateRevenue(ctx.invoices, ctx.reportingCurrency, ctx.rateTable);
+
+  return {
+    summary: revenueSummary(revenue, ctx),
+    sections: [
+      {
+        id: 'invoices',
+        title: 'Invoice Listing',
+        description: 'Every invoice in the period, including cancelled ones. Converted amounts are blank for cancelled invoices.',
+        columns: [
+          { key: 'invoiceNumber', header: 'Invoice #', type: 'text' },
+          { key: 'invoiceDate', header: 'Invoice Date', type: 'date' },
+          { key: 'createdAt', header: 'Created', type: 'date' },
+          { key: 'customerName', header: 'Customer', type: 'text' },
+          { key: 'salespersonName', header: 'Salesperson', type: 'text' },
+          { key: 'status', header: 'Status', type: 'text' },
+          { key: 'total', header: 'Amount', type: 'currency', currencyKey: 'currency' },
+          { key: 'currency', header: 'Currency', type: 'text' },
+          { key: 'convertedTotal', header: 'Converted', type: 'currency' }
+        ],
+        rows: ctx.invoices.map(inv => ({
+          invoiceNumber: String(inv.invoiceNumber || inv.id),
+          invoiceDate: toDateKey(inv.invoiceDate),
+          createdAt: toDateKey(inv.createdAt),
+          customerName: inv.customerName || 'Unknown',
+          salespersonName: inv.salespersonName || 'Unknown',
+          status: inv.status || 'Active',
+          total: parseFloat(inv.total || 0),
+          currency: inv.currency || 'USD',
+          convertedTotal: isCancelledInvoice(inv) ? null : convertInvoiceAmount(inv, ctx.reportingCurrency, ctx.rateTable)
+        }))
+      }
+    ],
+    notes: getRevenueNotes(revenue)
+  };
+};
+
+// Report definitions, keyed by report id
+export const REPORT_BUILDERS = {
+  'sales-performance': buildSalesPerformance,
+  'salesperson-performance': buildSalespersonPerformance,
+  'customer-analytics': buildCustomerAnalytics,
+  'revenue-analysis': buildRevenueAnalysis,
+  'invoice-summary': buildInvoiceSummary,
+  ...PREMIUM_REPORT_BUILDERS
+};
+
+/**
+ * Build a report model
+ * @param {object} report - { id, title, description }
+ * @param {object} ctx - { invoices, allInvoices, reportingCurrency, rateTable, period, dateBasis, targets, customerAliases }
+ *   `invoices` must already be filtered to the period (see filterInvoicesByPeriod in utils/periods.js);
+ *   `allInvoices` is the full history, for comparisons and cohorts reaching outside it
+ * @returns {object} Report model (see REPORT_EXPORT_SCHEMA.md)
+ */
+export const buildReport = (report, ctx) => {
+  const build = REPORT_BUILDERS[report.id];
+  if (!build) {
+    throw new Error(`Unknown report: ${report.id}`);
+  }
+  const { summary, sections, notes } = build(ctx);
+
+  return {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    reportId: report.id,
+    title: report.title,
+    description: report.description || '',
+    generatedAt: new Date().toISOString(),
+    period: ctx.period,
+    dateBasis: { key: ctx.dateBasis, label: DATE_BASES[ctx.dateBasis] },
+    reportingCurrency: ctx.reportingCurrency,
+    valuation: describeRateTable(ctx.rateTable),
+    invoiceCount: ctx.invoices.length,
+    summary,
+    sections,
+    notes
+  };
+};
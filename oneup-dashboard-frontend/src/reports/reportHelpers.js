@@ -0,0 +1,146 @@
+import { convertInvoiceAmount } from '../utils/currency';
+import { createCustomerResolver } from '../utils/customerIdentity';
+import { getInvoiceDateValue, isCancelledInvoice } from '../utils/invoices';
+
+// ✅ Small helpers shared by the report builders (dates, months, series, notes)
+
+export const toDateKey = (value) => (value ? String(value).slice(0, 10) : null);
+
+/**
+ * Customer resolver for a report, built over the full history so names match across periods
+ * @param {object} ctx - Report context ({ invoices, allInvoices, customerAliases })
+ * @returns {object} Resolver from utils/customerIdentity.js
+ */
+export const getCustomerResolver = ({ invoices, allInvoices, customerAliases }) => createCustomerResolver(allInvoices || invoices, customerAliases);
+
+/**
+ * Get the YYYY-MM month an invoice falls in, by the chosen date basis
+ * @param {object} invoice - Invoice record
+ * @param {string} dateBasis - 'invoiceDate' or 'creationDate'
+ * @returns {string} Month key, or '' when the invoice has no such date
+ */
+export const getInvoiceMonth = (invoice, dateBasis) => String(getInvoiceDateValue(invoice, dateBasis) || '').slice(0, 7);
+
+/**
+ * Shift a YYYY-MM month key by a number of months
+ * @param {string} month - Month key
+ * @param {number} count - Months to add (negative to go back)
+ * @returns {string} Month key
+ */
+export const addMonths = (month, count) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  const date = new Date(year, monthIndex - 1 + count, 1);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+/**
+ * List every month from `first` to `last`, inclusive
+ * @param {string} first - First month key
+ * @param {string} last - Last month key
+ * @returns {Array<string>} Month keys in order
+ */
+export const listMonths = (first, last) => {
+  const months = [];
+  for (let month = first; month <= last; month = addMonths(month, 1)) {
+    months.push(month);
+  }
+  return months;
+};
+
+/**
+ * Get the YYYY-Qn quarter key of a month key
+ * @param {string} month - Month key
+ * @returns {string} Quarter key
+ */
+export const getQuarterKey = (month) => `${month.slice(0, 4)}-Q${Math.ceil(Number(month.slice(5, 7)) / 3)}`;
+
+/**
+ * Converted revenue per month, oldest first, with month-over-month change
+ * Months without revenue between the first and last are included with zero revenue.
+ * @param {object} ctx - { invoices, reportingCurrency, rateTable, dateBasis }
+ * @returns {Array} [{ month, invoiceCount, revenue, change }]
+ */
+export const getMonthlyRevenue = ({ invoices, reportingCurrency, rateTable, dateBasis }) => {
+  const months = {};
+  invoices.filter(inv => !isCancelledInvoice(inv)).forEach(inv => {
+    const month = getInvoiceMonth(inv, dateBasis);
+    if (!month) return;
+    months[month] = months[month] || { month, invoiceCount: 0, revenue: 0 };
+    months[month].invoiceCount += 1;
+    months[month].revenue += convertInvoiceAmount(inv, reportingCurrency, rateTable) ?? 0;
+  });
+
+  const keys = Object.keys(months).sort();
+  if (keys.length === 0) return [];
+
+  return listMonths(keys[0], keys[keys.length - 1])
+    .map(month => months[month] || { month, invoiceCount: 0, revenue: 0 })
+    .map((entry, index, all) => {
+      const previous = all[index - 1]?.revenue;
+      return { ...entry, change: previous ? (entry.revenue - previous) / previous : null };
+    });
+};
+
+/**
+ * Fit a least-squares line through evenly spaced values
+ * @param {Array<number>} values - Series values
+ * @returns {object} { slope, intercept, stdError } where value ≈ intercept + slope * index
+ */
+export const fitLinearTrend = (values) => {
+  const n = values.length;
+  const meanX = (n - 1) / 2;
+  const meanY = values.reduce((sum, value) => sum + value, 0) / n;
+  let covariance = 0;
+  let variance = 0;
+  values.forEach((value, index) => {
+    covariance += (index - meanX) * (value - meanY);
+    variance += (index - meanX) ** 2;
+  });
+
+  const slope = variance > 0 ? covariance / variance : 0;
+  const intercept = meanY - slope * meanX;
+  const squaredError = values.reduce((sum, value, index) => sum + (value - (intercept + slope * index)) ** 2, 0);
+  return { slope, intercept, stdError: n > 2 ? Math.sqrt(squaredError / (n - 2)) : 0 };
+};
+
+// Notes that apply whenever amounts are converted
+export const getRevenueNotes = (revenue) => {
+  const notes = [];
+  if (revenue.cancelledInvoicesCount > 0) {
+    notes.push(`${revenue.cancelledInvoicesCount} cancelled invoices are excluded from revenue figures.`);
+  }
+  if (revenue.unconvertedCount > 0) {
+    notes.push(`${revenue.unconvertedCount} invoices could not be converted (missing exchange rate) and are excluded from converted totals.`);
+  }
+  if (revenue.spotFallbackCount > 0) {
+    notes.push(`${revenue.spotFallbackCount} invoices had no historical rate and were valued at the spot rate.`);
+  }
+  return notes;
+};
+
+/**
+ * List the months a report covers: the period's months when it is bounded,
+ * otherwise the months between the first and last invoice
+ * @param {object} ctx - { invoices, period, dateBasis }
+ * @returns {Array<string>} Month keys in order
+ */
+export const getReportMonths = ({ invoices, period, dateBasis }) => {
+  const dataMonths = invoices.map(inv => getInvoiceMonth(inv, dateBasis)).filter(Boolean).sort();
+  const first = period?.start?.slice(0, 7) || dataMonths[0];
+  const last = period?.end?.slice(0, 7) || dataMonths[dataMonths.length - 1];
+  return first && last ? listMonths(first, last) : [];
+};
+
+/**
+ * Share of a month that falls inside a period (1 for fully covered months)
+ * @param {string} month - Month key
+ * @param {object} period - Period with optional YYYY-MM-DD start/end
+ * @returns {number} Fraction between 0 and 1
+ */
+export const getMonthCoverage = (month, period) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  const daysInMonth = new Date(year, monthIndex, 0).getDate();
+  const firstDay = period?.start?.slice(0, 7) === month ? Number(period.start.slice(8, 10)) : 1;
+  const lastDay = period?.end?.slice(0, 7) === month ? Number(period.end.slice(8, 10)) : daysInMonth;
+  return Math.max(0, lastDay - firstDay + 1) / daysInMonth;
+};
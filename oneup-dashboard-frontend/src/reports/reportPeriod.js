@@ -0,0 +1,18 @@
+// ✅ Report period helpers. Periods come from the shared period engine (utils/periods.js):
+// { key, label, start, end } with YYYY-MM-DD bounds, null when open.
+
+export const DATE_BASES = {
+  invoiceDate: 'Invoice Date',
+  creationDate: 'Creation Date'
+};
+
+/**
+ * Describe a period for report headers, including the resolved dates
+ * @param {object} period - Period from resolvePeriod
+ * @returns {string} e.g. "Last 30 Days (2025-01-02 to 2025-01-31)"
+ */
+export const describeReportPeriod = (period) => {
+  if (!period) return 'All Time';
+  if (period.key === 'custom' || (!period.start && !period.end)) return period.label;
+  return `${period.label} (${period.start} to ${period.end})`;
+};
@@ -0,0 +1,65 @@
+// ✅ Report model schema shared by the builders and every renderer.
+// The model is plain JSON (see REPORT_EXPORT_SCHEMA.md at the repo root); renderers
+// only decide how to lay it out, never what goes in it.
+
+// Bump when a field is renamed or removed, so JSON/CSV consumers can detect it
+export const REPORT_SCHEMA_VERSION = 1;
+
+export const REPORT_FORMATS = {
+  pdf: { label: 'PDF', extension: 'pdf', mimeType: 'application/pdf' },
+  xlsx: { label: 'Excel (XLSX)', extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' }
+};
+
+// Value types used by summary items and table columns
+export const VALUE_TYPES = ['text', 'number', 'currency', 'percent', 'date', 'list'];
+
+/**
+ * Get the currency a currency-typed value is expressed in
+ * @param {object} model - Report model
+ * @param {object} field - Column or summary item
+ * @param {object} row - Table row (columns only)
+ * @returns {string} Currency code
+ */
+export const getValueCurrency = (model, field, row) => {
+  if (field.currencyKey && row?.[field.currencyKey]) return row[field.currencyKey];
+  return field.currency || model.reportingCurrency;
+};
+
+/**
+ * Format a raw model value for display (PDF cells, cover figures)
+ * @param {*} value - Raw value from the model
+ * @param {string} type - One of VALUE_TYPES
+ * @param {string} currency - Currency code for currency values
+ * @returns {string} Display text
+ */
+export const formatReportValue = (value, type = 'text', currency = '') => {
+  if (value === null || value === undefined || value === '') return '—';
+
+  switch (type) {
+    case 'number':
+      return Number(value).toLocaleString('en-US', { maximumFractionDigits: 2 });
+    case 'currency':
+      return `${currency} ${Number(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`.trim();
+    case 'percent':
+      return `${(Number(value) * 100).toFixed(1)}%`;
+    case 'date':
+      return String(value).slice(0, 10);
+    case 'list':
+      return Array.isArray(value) ? value.join(', ') : String(value);
+    default:
+      return String(value);
+  }
+};
+
+/**
+ * Build the download file name for a report
+ * @param {object} model - Report model
+ * @param {string} format - Key of REPORT_FORMATS
+ * @returns {string} File name with extension
+ */
+export const getReportFilename = (model, format) => {
+  const date = model.generatedAt.slice(0, 10);
+  return `${model.title.replace(/\s+/g, '_')}_${date}.${REPORT_FORMATS[format].extension}`;
+};
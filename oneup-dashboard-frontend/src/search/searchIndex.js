@@ -0,0 +1,282 @@
+import { isEmptySearchQuery, normalizeText, parseSearchQuery, TEXT_FIELDS, tokenize, tokenizeWithPositions } from './searchQuery';
+
+// ✅ Prebuilt invoice search index: an inverted index (word -> invoice positions) per field,
+// plus each field's words in sorted order for prefix lookups. Build it once per filtered
+// invoice list and run every query against it.
+
+const FIELD_CONFIG = {
+  invoice: { weight: 3, fuzzy: false, getText: (inv) => inv.invoiceNumber || inv.id },
+  customer: { weight: 2, fuzzy: true, getText: (inv) => inv.customerName },
+  salesperson: { weight: 1.5, fuzzy: true, getText: (inv) => inv.salespersonName },
+  description: { weight: 1, fuzzy: true, getText: (inv) => inv.description },
+  amount: { weight: 1, fuzzy: false, getText: (inv) => String(Math.round(parseFloat(inv.total || 0))) }
+};
+
+// Match quality, multiplied by the field weight
+const MATCH_SCORES = { exact: 3, prefix: 2, fuzzy: 1 };
+
+// Words shorter than this only match exactly or by prefix
+const MIN_FUZZY_LENGTH = 4;
+
+// Payment states for status: clauses (anything else matches the invoice status)
+const PAYMENT_STATES = {
+  paid: (paid, unpaid) => unpaid === 0,
+  partial: (paid, unpaid) => paid > 0 && unpaid > 0,
+  unpaid: (paid, unpaid) => paid === 0 && unpaid > 0,
+  open: (paid, unpaid) => unpaid > 0
+};
+
+const AMOUNT_TESTS = {
+  '>': (total, clause) => total > clause.value,
+  '>=': (total, clause) => total >= clause.value,
+  '<': (total, clause) => total < clause.value,
+  '<=': (total, clause) => total <= clause.value,
+  '=': (total, clause) => Math.abs(total - clause.value) < 0.005,
+  between: (total, clause) => total >= clause.min && total <= clause.max
+};
+
+/**
+ * Get the text of an indexed field for an invoice
+ * @param {object} invoice - Invoice
+ * @param {string} field - Key of TEXT_FIELDS
+ * @returns {string} Field text
+ */
+export const getFieldText = (invoice, field) => String(FIELD_CONFIG[field].getText(invoice) ?? '');
+
+/**
+ * Build the search index for a list of invoices
+ * @param {Array} invoices - Invoices, in display order
+ * @returns {object} Search index
+ */
+export const buildSearchIndex = (invoices) => {
+  const fields = Object.fromEntries(TEXT_FIELDS.map(field => [field, { postings: new Map(), words: [] }]));
+
+  invoices.forEach((invoice, position) => {
+    TEXT_FIELDS.forEach(field => {
+      const { postings } = fields[field];
+      tokenize(getFieldText(invoice, field)).forEach(word => {
+        const list = postings.get(word);
+        if (!list) {
+          postings.set(word, [position]);
+        } else if (list[list.length - 1] !== position) {
+          list.push(position);
+        }
+      });
+    });
+  });
+
+  TEXT_FIELDS.forEach(field => {
+    fields[field].words = [...fields[field].postings.keys()].sort();
+  });
+
+  return { invoices, fields };
+};
+
+// First index in a sorted array whose value is >= word
+const lowerBound = (words, word) => {
+  let low = 0;
+  let high = words.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (words[mid] < word) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+};
+
+/**
+ * Damerau-Levenshtein (optimal string alignment) distance, abandoned once it exceeds maxDistance
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} maxDistance - Largest distance of interest
+ * @returns {number} Distance, or maxDistance + 1 when further apart
+ */
+export const editDistance = (a, b, maxDistance) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+};
+
+// Typos allowed for a query word: one from 4 letters, two from 8
+const getMaxEdits = (word) => (word.length >= 8 ? 2 : word.length >= MIN_FUZZY_LENGTH ? 1 : 0);
+
+/**
+ * Find the indexed words of one field that a query word matches
+ * @param {object} fieldIndex - { postings, words }
+ * @param {string} word - Normalized query word
+ * @param {boolean} fuzzy - Whether typos are allowed in this field
+ * @returns {Array} [{ word, kind, length }] where length is how much of the word to highlight
+ */
+const matchFieldWords = (fieldIndex, word, fuzzy) => {
+  const matches = [];
+  const { postings, words } = fieldIndex;
+
+  if (postings.has(word)) matches.push({ word, kind: 'exact', length: word.length });
+
+  for (let i = lowerBound(words, word); i < words.length && words[i].startsWith(word); i++) {
+    if (words[i] !== word) matches.push({ word: words[i], kind: 'prefix', length: word.length });
+  }
+
+  const maxEdits = fuzzy ? getMaxEdits(word) : 0;
+  if (maxEdits > 0) {
+    words.forEach(candidate => {
+      if (candidate === word || candidate.startsWith(word)) return;
+      if (editDistance(word, candidate, maxEdits) <= maxEdits) {
+        matches.push({ word: candidate, kind: 'fuzzy', length: candidate.length });
+      }
+    });
+  }
+
+  return matches;
+};
+
+/**
+ * Score every invoice matching one query word (in any field, or in the clause's field)
+ * @returns {Map} position -> best score for this word
+ */
+const scoreWord = (index, { field, word }, highlights) => {
+  const scores = new Map();
+  const fields = field ? [field] : TEXT_FIELDS;
+
+  fields.forEach(fieldName => {
+    const config = FIELD_CONFIG[fieldName];
+    matchFieldWords(index.fields[fieldName], word, config.fuzzy).forEach(match => {
+      const score = MATCH_SCORES[match.kind] * config.weight;
+      index.fields[fieldName].postings.get(match.word).forEach(position => {
+        if ((scores.get(position) || 0) < score) scores.set(position, score);
+      });
+
+      const fieldHighlights = highlights[fieldName];
+      fieldHighlights.set(match.word, Math.max(fieldHighlights.get(match.word) || 0, match.length));
+    });
+  });
+
+  return scores;
+};
+
+const matchesFilters = (invoice, query) => {
+  const total = parseFloat(invoice.total || 0);
+  if (!query.amounts.every(clause => AMOUNT_TESTS[clause.op](total, clause))) return false;
+
+  if (query.currencies.length > 0 && !query.currencies.includes(String(invoice.currency || '').toUpperCase())) {
+    return false;
+  }
+
+  if (query.statuses.length > 0) {
+    const paid = parseFloat(invoice.paid || 0);
+    const unpaid = parseFloat(invoice.unpaid || 0);
+    const status = normalizeText(invoice.status || 'Active');
+    const matched = query.statuses.some(word => (
+      PAYMENT_STATES[word] ? PAYMENT_STATES[word](paid, unpaid) : status.startsWith(word)
+    ));
+    if (!matched) return false;
+  }
+
+  return true;
+};
+
+/**
+ * Run a search against the index
+ * Every word must match (in any indexed field unless the clause names one); results are
+ * ranked by match quality and field weight, ties keep the index order. A query with
+ * only filters (amount, status, currency) keeps the index order.
+ * @param {object} index - Index from buildSearchIndex
+ * @param {string|object} query - Search text or a query from parseSearchQuery
+ * @returns {object} { query, results: [{ invoice, position, score }], highlights: { [field]: Map(word -> length) } }
+ */
+export const searchInvoices = (index, query) => {
+  const parsed = typeof query === 'string' ? parseSearchQuery(query) : query;
+  const highlights = Object.fromEntries(TEXT_FIELDS.map(field => [field, new Map()]));
+
+  if (isEmptySearchQuery(parsed)) {
+    return {
+      query: parsed,
+      results: index.invoices.map((invoice, position) => ({ invoice, position, score: 0 })),
+      highlights
+    };
+  }
+
+  // Intersect the words, summing their scores
+  let candidates = null;
+  for (const clause of parsed.words) {
+    const scores = scoreWord(index, clause, highlights);
+    if (candidates === null) {
+      candidates = scores;
+    } else {
+      const next = new Map();
+      candidates.forEach((score, position) => {
+        if (scores.has(position)) next.set(position, score + scores.get(position));
+      });
+      candidates = next;
+    }
+    if (candidates.size === 0) break;
+  }
+
+  const results = [];
+  if (candidates === null) {
+    index.invoices.forEach((invoice, position) => {
+      if (matchesFilters(invoice, parsed)) results.push({ invoice, position, score: 0 });
+    });
+  } else {
+    candidates.forEach((score, position) => {
+      const invoice = index.invoices[position];
+      if (matchesFilters(invoice, parsed)) results.push({ invoice, position, score });
+    });
+    results.sort((a, b) => b.score - a.score || a.position - b.position);
+  }
+
+  return { query: parsed, results, highlights };
+};
+
+/**
+ * Find the parts of a field's text that matched the query
+ * @param {string} text - Field text as displayed
+ * @param {Map} fieldHighlights - highlights[field] from searchInvoices
+ * @returns {Array} [{ start, end }] in text order
+ */
+export const getHighlightRanges = (text, fieldHighlights) => {
+  if (!fieldHighlights || fieldHighlights.size === 0) return [];
+  return tokenizeWithPositions(text)
+    .filter(({ word }) => fieldHighlights.has(word))
+    .map(({ word, start, end }) => ({ start, end: Math.min(end, start + fieldHighlights.get(word)) }));
+};
+
+/**
+ * Cut a window of long text around its first highlighted range
+ * @param {string} text - Full text
+ * @param {Array} ranges - Ranges from getHighlightRanges
+ * @param {number} radius - Characters to keep on each side of the match
+ * @returns {object} { text, ranges } with ranges shifted to the snippet
+ */
+export const getSnippet = (text, ranges, radius = 40) => {
+  if (ranges.length === 0 || text.length <= radius * 2) return { text, ranges };
+
+  const start = Math.max(0, ranges[0].start - radius);
+  const end = Math.min(text.length, ranges[0].end + radius);
+  const prefix = start > 0 ? '…' : '';
+  const shift = prefix.length - start;
+  return {
+    text: `${prefix}${text.slice(start, end)}${end < text.length ? '…' : ''}`,
+    ranges: ranges
+      .filter(range => range.start >= start && range.end <= end)
+      .map(range => ({ start: range.start + shift, end: range.end + shift }))
+  };
+};
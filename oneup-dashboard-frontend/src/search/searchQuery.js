@@ -0,0 +1,135 @@
+// ✅ Invoice search query language
+//   acme              free text: every word must match the customer, salesperson, invoice
+//                     number, description or amount (prefix and fuzzy matches count)
+//   "acme corp"       quoted words are kept together as one value
+//   customer:acme     restrict a word to one field (see SEARCH_FIELDS for names and aliases)
+//   amount>5000       compare the invoice total: >, >=, <, <=, = or amount:1000..5000
+//   status:unpaid     payment state (paid, partial, unpaid, open) or invoice status (cancelled, ...)
+//   currency:aed      invoice currency
+
+export const SEARCH_FIELDS = {
+  customer: { label: 'Customer', aliases: ['client', 'cust'] },
+  salesperson: { label: 'Salesperson', aliases: ['sales', 'rep', 'seller'] },
+  invoice: { label: 'Invoice #', aliases: ['number', 'no', 'inv'] },
+  description: { label: 'Description', aliases: ['desc', 'note'] },
+  amount: { label: 'Amount', aliases: ['total', 'amt'], numeric: true },
+  status: { label: 'Status', aliases: ['payment', 'state'] },
+  currency: { label: 'Currency', aliases: ['cur', 'ccy'] }
+};
+
+// Fields whose text goes into the index (the rest are filters)
+export const TEXT_FIELDS = ['invoice', 'customer', 'salesperson', 'description', 'amount'];
+
+const FIELD_LOOKUP = Object.fromEntries(
+  Object.entries(SEARCH_FIELDS).flatMap(([field, { aliases }]) => [[field, field], ...aliases.map(alias => [alias, field])])
+);
+
+// field + operator, then a quoted or bare value
+const CLAUSE_PATTERN = /(?:([a-z#]+)(>=|<=|:|>|<|=))?(?:"([^"]*)"?|(\S+))/gi;
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Normalize text for matching: lowercase without accents
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text (same length as the input for Latin text)
+ */
+export const normalizeText = (text) => String(text ?? '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+/**
+ * Split text into normalized words, with their positions in the original text
+ * @param {string} text - Raw text
+ * @returns {Array} [{ word, start, end }]
+ */
+export const tokenizeWithPositions = (text) => {
+  const source = String(text ?? '');
+  const words = [];
+  for (const match of source.matchAll(WORD_PATTERN)) {
+    words.push({ word: normalizeText(match[0]), start: match.index, end: match.index + match[0].length });
+  }
+  return words;
+};
+
+/**
+ * Split text into normalized words
+ * @param {string} text - Raw text
+ * @returns {Array<string>} Words
+ */
+export const tokenize = (text) => tokenizeWithPositions(text).map(({ word }) => word);
+
+/**
+ * Parse an amount such as "5000", "5,000", "5k" or "1.2m"
+ * @param {string} value - Raw value
+ * @returns {number|null} Amount, or null when not a number
+ */
+const parseAmount = (value) => {
+  const match = /^(-?\d+(?:\.\d+)?)([km])?$/i.exec(String(value).replace(/[,_\s]/g, ''));
+  if (!match) return null;
+  const multiplier = { k: 1e3, m: 1e6 }[match[2]?.toLowerCase()] || 1;
+  return parseFloat(match[1]) * multiplier;
+};
+
+const toAmountClause = (operator, value) => {
+  const range = /^(.+)\.\.(.+)$/.exec(value);
+  if (range && operator === ':') {
+    const min = parseAmount(range[1]);
+    const max = parseAmount(range[2]);
+    return min === null || max === null ? null : { op: 'between', min, max };
+  }
+  const amount = parseAmount(value);
+  if (amount === null) return null;
+  return { op: operator === ':' ? '=' : operator, value: amount };
+};
+
+/**
+ * Parse a search string into clauses
+ * @param {string} text - Search box text
+ * @returns {object} { words: [{ field, word }], amounts: [...], statuses: [...], currencies: [...], warnings: [...] }
+ */
+export const parseSearchQuery = (text) => {
+  const query = { words: [], amounts: [], statuses: [], currencies: [], warnings: [] };
+
+  for (const match of String(text ?? '').matchAll(CLAUSE_PATTERN)) {
+    const [raw, fieldName, operator, quoted, bare] = match;
+    const value = quoted ?? bare ?? '';
+    const field = fieldName ? FIELD_LOOKUP[fieldName.toLowerCase()] : null;
+
+    if (fieldName && !field) {
+      // Unknown field: search the whole clause as free text
+      query.warnings.push(`Unknown field "${fieldName}"`);
+      tokenize(raw).forEach(word => query.words.push({ field: null, word }));
+      continue;
+    }
+
+    if (field === 'amount') {
+      const clause = toAmountClause(operator || ':', value);
+      if (clause) {
+        query.amounts.push(clause);
+      } else {
+        query.warnings.push(`"${value}" is not an amount`);
+      }
+      continue;
+    }
+    if (field && operator !== ':') {
+      query.warnings.push(`Use ${fieldName}:value for ${SEARCH_FIELDS[field].label.toLowerCase()}`);
+    }
+
+    if (field === 'status') {
+      tokenize(value).forEach(word => query.statuses.push(word));
+    } else if (field === 'currency') {
+      tokenize(value).forEach(word => query.currencies.push(word.toUpperCase()));
+    } else {
+      tokenize(value).forEach(word => query.words.push({ field, word }));
+    }
+  }
+
+  return query;
+};
+
+/**
+ * Whether a parsed query has anything to search for
+ * @param {object} query - Parsed query
+ * @returns {boolean} True when at least one clause is present
+ */
+export const isEmptySearchQuery = (query) => (
+  query.words.length === 0 && query.amounts.length === 0 && query.statuses.length === 0 && query.currencies.length === 0
+);
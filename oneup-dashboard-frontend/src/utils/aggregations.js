@@ -0,0 +1,269 @@
+import { calculateRevenue, convertInvoiceAmount } from './currency';
+import { getInvoiceDateValue, isCancelledInvoice } from './invoices';
+import { buildTargetProgress } from './targets';
+import { buildAgingReport } from './aging';
+import { buildCustomerProfile } from './customerProfile';
+import { DEFAULT_CUSTOMER_ALIAS_SETTINGS, createCustomerResolver, proposeCustomerMerges } from './customerIdentity';
+import { buildRfmSegments } from './rfm';
+import { buildDormancyReport } from './dormancy';
+
+// ✅ Invoice aggregations shared by the pages and the aggregation worker.
+// Everything here must stay pure (no DOM, no storage) so it can run in a worker.
+
+// Months shown in the revenue chart when it is bucketed by month
+const ANALYTICS_MONTHS = 24;
+
+/**
+ * Aggregate invoices into chart data and key metrics for the Analytics page
+ * Revenue series, rankings (top customers, top salesperson) and the average invoice value are
+ * converted to the reporting currency; `metrics.currencyRevenue` keeps each currency's own total.
+ * Cancelled invoices count towards `totalInvoices` only.
+ * @param {Array} invoices - Invoice records
+ * @param {string} reportingCurrency - Currency the revenue series are shown in
+ * @param {object} rateTable - Rate table from the currency module
+ * @param {string} granularity - Revenue series buckets: 'month' (YYYY-MM) or 'day' (YYYY-MM-DD)
+ * @param {object} customerAliases - Customer alias settings, for grouping top customers
+ * @param {string} dateBasis - Date the revenue series is bucketed by: 'invoiceDate' or 'creationDate'
+ * @returns {object} Chart series and metrics
+ */
+export const buildAnalyticsData = (invoices, reportingCurrency, rateTable, granularity = 'month', customerAliases = DEFAULT_CUSTOMER_ALIAS_SETTINGS, dateBasis = 'invoiceDate') => {
+  const resolver = createCustomerResolver(invoices, customerAliases);
+  const salesByPerson = {};
+  const customerSales = {};
+  const currencyRevenue = {};
+  const revenueByBucket = {};
+  const salespersonRevenue = {};
+  const currencyShare = {};
+  let convertedCount = 0;
+
+  invoices.forEach(inv => {
+    const salesperson = inv.salespersonName || 'Unknown';
+    const currency = inv.currency || 'USD';
+    const customer = resolver.getId(inv);
+    const total = parseFloat(inv.total || 0);
+    const date = String(getInvoiceDateValue(inv, dateBasis) || '');
+    const bucket = date.slice(0, granularity === 'day' ? 10 : 7); // YYYY-MM or YYYY-MM-DD
+
+    if (isCancelledInvoice(inv)) return;
+
+    // Currency revenue (separate totals)
+    currencyRevenue[currency] = (currencyRevenue[currency] || 0) + total;
+
+    // Revenue series and rankings in the reporting currency
+    const converted = convertInvoiceAmount(inv, reportingCurrency, rateTable);
+    if (converted === null) return;
+    convertedCount += 1;
+
+    // Sales by person
+    salesByPerson[salesperson] = (salesByPerson[salesperson] || 0) + converted;
+
+    // Top customers
+    customerSales[customer] = (customerSales[customer] || 0) + converted;
+
+    if (bucket) {
+      revenueByBucket[bucket] = revenueByBucket[bucket] || { bucket, total: 0 };
+      revenueByBucket[bucket][currency] = (revenueByBucket[bucket][currency] || 0) + converted;
+      revenueByBucket[bucket].total += converted;
+    }
+
+    salespersonRevenue[salesperson] = salespersonRevenue[salesperson] || { label: salesperson, total: 0 };
+    salespersonRevenue[salesperson][currency] = (salespersonRevenue[salesperson][currency] || 0) + converted;
+    salespersonRevenue[salesperson].total += converted;
+
+    currencyShare[currency] = (currencyShare[currency] || 0) + converted;
+  });
+
+  // Convert to chart data format
+  const salesByPersonData = Object.entries(salesByPerson)
+    .sort(([,a], [,b]) => b - a)
+    .map(([label, value]) => ({ label, value }));
+
+  const topCustomersData = Object.entries(customerSales)
+    .sort(([,a], [,b]) => b - a)
+    .slice(0, 8)
+    .map(([id, value]) => {
+      const name = resolver.getName(id);
+      return { id, name, label: name.slice(0, 20) + (name.length > 20 ? '...' : ''), value };
+    });
+
+  const currencyShareData = Object.entries(currencyShare)
+    .sort(([,a], [,b]) => b - a)
+    .map(([label, value]) => ({ label, value }));
+
+  const totalRevenue = currencyShareData.reduce((sum, entry) => sum + entry.value, 0);
+
+  return {
+    reportingCurrency,
+    currencies: currencyShareData.map(entry => entry.label),
+    granularity,
+    revenueSeries: Object.values(revenueByBucket)
+      .sort((a, b) => a.bucket.localeCompare(b.bucket))
+      .slice(granularity === 'month' ? -ANALYTICS_MONTHS : 0),
+    salespersonRevenue: Object.values(salespersonRevenue)
+      .sort((a, b) => b.total - a.total)
+      .slice(0, 10),
+    currencyShare: currencyShareData,
+    topCustomers: topCustomersData,
+    metrics: {
+      currencyRevenue,
+      totalRevenue,
+      totalInvoices: invoices.length,
+      averageInvoiceValue: convertedCount > 0 ? totalRevenue / convertedCount : 0,
+      topSalesperson: salesByPersonData[0]?.label || 'Unknown'
+    }
+  };
+};
+
+/**
+ * Group non-cancelled invoices by resolved customer into ranked customer analytics
+ * `totalSpent` and `averageOrder` are in the reporting currency; `currencyTotals` keeps each
+ * currency's own amount next to its converted value.
+ * @param {Array} invoices - Invoice records
+ * @param {object} customerAliases - Customer alias settings
+ * @param {string} reportingCurrency - Currency to rank customers in
+ * @param {object} rateTable - Rate table from the currency module
+ * @returns {Array} Customers sorted by converted total spent
+ */
+export const buildCustomerAnalytics = (invoices, customerAliases = DEFAULT_CUSTOMER_ALIAS_SETTINGS, reportingCurrency, rateTable) => {
+  const activeInvoices = invoices.filter(inv => !isCancelledInvoice(inv));
+  const resolver = createCustomerResolver(activeInvoices, customerAliases);
+  const customerData = {};
+
+  activeInvoices.forEach(inv => {
+    const customerId = resolver.getId(inv);
+    const total = parseFloat(inv.total || 0);
+    const currency = inv.currency || 'USD';
+
+    // Convert to the reporting currency for consistent comparison
+    const converted = convertInvoiceAmount(inv, reportingCurrency, rateTable);
+
+    if (!customerData[customerId]) {
+      customerData[customerId] = {
+        id: customerId,
+        name: resolver.getName(customerId),
+        aliases: resolver.customers[customerId].spellings.map(spelling => spelling.name),
+        totalSpent: 0,
+        orderCount: 0,
+        unconvertedCount: 0,
+        currencyTotals: {},
+        firstOrderDate: inv.invoiceDate,
+        lastOrderDate: inv.invoiceDate
+      };
+    }
+
+    customerData[customerId].totalSpent += converted ?? 0;
+    customerData[customerId].orderCount += 1;
+    if (converted === null) customerData[customerId].unconvertedCount += 1;
+
+    const currencyTotals = customerData[customerId].currencyTotals;
+    if (!currencyTotals[currency]) {
+      currencyTotals[currency] = { currency, total: 0, converted: 0 };
+    }
+    currencyTotals[currency].total += total;
+    currencyTotals[currency].converted += converted ?? 0;
+
+    // Track first and last order dates
+    const orderDate = new Date(inv.invoiceDate);
+    if (orderDate < new Date(customerData[customerId].firstOrderDate)) {
+      customerData[customerId].firstOrderDate = inv.invoiceDate;
+    }
+    if (orderDate > new Date(customerData[customerId].lastOrderDate)) {
+      customerData[customerId].lastOrderDate = inv.invoiceDate;
+    }
+  });
+
+  // Convert to array, largest currency first, and sort by default criteria
+  return Object.values(customerData)
+    .map(customer => {
+      const currencyTotals = Object.values(customer.currencyTotals).sort((a, b) => b.converted - a.converted);
+      return {
+        ...customer,
+        reportingCurrency,
+        currencyTotals,
+        currencies: currencyTotals.map(entry => entry.currency),
+        // Invoices without a rate are not in totalSpent, so they are not averaged either
+        averageOrder: customer.orderCount > customer.unconvertedCount ? customer.totalSpent / (customer.orderCount - customer.unconvertedCount) : 0
+      };
+    })
+    .sort((a, b) => b.totalSpent - a.totalSpent);
+};
+
+/**
+ * Group non-cancelled invoices by salesperson, converted to the reporting currency
+ * @param {Array} invoices - Invoice records
+ * @param {string} reportingCurrency - Currency to rank salespersons in
+ * @param {object} rateTable - Rate table from the currency module
+ * @returns {Array} Salespersons sorted by converted total sales
+ */
+export const buildSalespersonAnalytics = (invoices, reportingCurrency, rateTable) => {
+  const salespersonData = {};
+
+  invoices.filter(inv => !isCancelledInvoice(inv)).forEach(inv => {
+    const salespersonName = inv.salespersonName || 'Unknown';
+    const employeeId = inv.employeeId || 0;
+    const total = parseFloat(inv.total || 0);
+    const currency = inv.currency || 'USD';
+
+    // Convert to the reporting currency for consistent comparison
+    const convertedTotal = convertInvoiceAmount(inv, reportingCurrency, rateTable) ?? 0;
+
+    if (!salespersonData[employeeId]) {
+      salespersonData[employeeId] = {
+        employeeId,
+        salespersonName,
+        totalSales: 0,
+        totalSalesConverted: 0,
+        invoiceCount: 0,
+        currencies: {}
+      };
+    }
+
+    salespersonData[employeeId].totalSales += total;
+    salespersonData[employeeId].totalSalesConverted += convertedTotal;
+    salespersonData[employeeId].invoiceCount += 1;
+
+    if (!salespersonData[employeeId].currencies[currency]) {
+      salespersonData[employeeId].currencies[currency] = { currency, total: 0 };
+    }
+    salespersonData[employeeId].currencies[currency].total += total;
+  });
+
+  // Convert to array and add currency breakdown
+  const salespersonsArray = Object.values(salespersonData).map(sp => ({
+    ...sp,
+    currencies: Object.values(sp.currencies)
+  }));
+
+  // Sort by converted total sales (highest first)
+  return salespersonsArray.sort((a, b) => b.totalSalesConverted - a.totalSalesConverted);
+};
+
+// Tasks the aggregation engine can run, keyed by name. Each takes one payload object.
+export const AGGREGATION_TASKS = {
+  revenue: ({ invoices, reportingCurrency, rateTable }) => calculateRevenue(invoices, reportingCurrency, rateTable),
+  analytics: ({ invoices, reportingCurrency, rateTable, granularity, customerAliases, dateBasis }) => buildAnalyticsData(invoices, reportingCurrency, rateTable, granularity, customerAliases, dateBasis),
+  customers: ({ invoices, customerAliases, reportingCurrency, rateTable }) => buildCustomerAnalytics(invoices, customerAliases, reportingCurrency, rateTable),
+  salespersons: ({ invoices, reportingCurrency, rateTable }) => buildSalespersonAnalytics(invoices, reportingCurrency, rateTable),
+  targets: (payload) => buildTargetProgress(payload),
+  aging: (payload) => buildAgingReport(payload),
+  customerProfile: (payload) => buildCustomerProfile(payload),
+  customerMerges: (payload) => proposeCustomerMerges(payload),
+  customerDirectory: ({ invoices, customerAliases }) => Object.values(createCustomerResolver(invoices, customerAliases).customers)
+    .sort((a, b) => a.name.localeCompare(b.name)),
+  customerSegments: (payload) => buildRfmSegments(payload),
+  dormancy: (payload) => buildDormancyReport(payload)
+};
+
+/**
+ * Run a named aggregation task
+ * @param {string} task - Key of AGGREGATION_TASKS
+ * @param {object} payload - Task input
+ * @returns {*} Task result
+ */
+export const runAggregationTask = (task, payload) => {
+  const run = AGGREGATION_TASKS[task];
+  if (!run) {
+    throw new Error(`Unknown aggregation task: ${task}`);
+  }
+  return run(payload);
+};
@@ -0,0 +1,136 @@
+import { convertInvoiceAmount } from './currency';
+import { DEFAULT_CUSTOMER_ALIAS_SETTINGS, createCustomerResolver } from './customerIdentity';
+import { isCancelledInvoice } from './invoices';
+import { DEFAULT_PAYMENT_TERMS_SETTINGS, getDaysPastDue, getInvoiceDueDate, getInvoiceTerm } from './paymentTerms';
+import { toDateKey } from './periods';
+
+// ✅ Accounts receivable aging: outstanding (`unpaid`) amounts bucketed by days past due.
+// Due dates come from the payment terms engine (utils/paymentTerms.js), the same one behind
+// the Dashboard's payment badge. Amounts are converted to the reporting
+// currency, except the per-currency view, which keeps each currency's own amounts.
+// Customers are grouped by resolved identity (utils/customerIdentity.js).
+// Everything here must stay pure (no DOM, no storage) so it can run in the aggregation worker.
+
+// Days of sales that DSO is measured over
+export const DSO_WINDOW_DAYS = 90;
+
+// Buckets by days past due; `max` is inclusive
+export const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', max: 0 },
+  { key: 'days1to30', label: '1–30 Days', max: 30 },
+  { key: 'days31to60', label: '31–60 Days', max: 60 },
+  { key: 'days61to90', label: '61–90 Days', max: 90 },
+  { key: 'days90plus', label: '90+ Days', max: Infinity }
+];
+
+export const AGING_GROUPS = {
+  customer: 'Customer',
+  salesperson: 'Salesperson',
+  currency: 'Currency'
+};
+
+/**
+ * Find the aging bucket for a number of days past due
+ * @param {number} daysPastDue - Days past due
+ * @returns {object} Entry of AGING_BUCKETS
+ */
+export const getAgingBucket = (daysPastDue) => AGING_BUCKETS.find(bucket => daysPastDue <= bucket.max);
+
+const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+
+const addToGroup = (groups, key, label, bucketKey, amount, daysPastDue) => {
+  if (!groups[key]) {
+    groups[key] = { key, label, total: 0, invoiceCount: 0, oldestDaysPastDue: 0, ...emptyBuckets() };
+  }
+  const group = groups[key];
+  group.total += amount;
+  group[bucketKey] += amount;
+  group.invoiceCount += 1;
+  group.oldestDaysPastDue = Math.max(group.oldestDaysPastDue, daysPastDue);
+};
+
+const sortGroups = (groups) => Object.values(groups).sort((a, b) => b.total - a.total);
+
+/**
+ * Build the AR aging report
+ * DSO (days sales outstanding) = outstanding ÷ sales over the last DSO_WINDOW_DAYS days × DSO_WINDOW_DAYS,
+ * both in the reporting currency; null when there were no sales in the window.
+ * @param {object} payload - { invoices, reportingCurrency, rateTable, paymentTerms, customerAliases, now }
+ * @returns {object} { reportingCurrency, asOf, totals, customers, salespersons, currencies, invoices, dso, windowSales }
+ */
+export const buildAgingReport = ({ invoices, reportingCurrency, rateTable, paymentTerms = DEFAULT_PAYMENT_TERMS_SETTINGS, customerAliases = DEFAULT_CUSTOMER_ALIAS_SETTINGS, now = new Date() }) => {
+  const resolver = createCustomerResolver(invoices, customerAliases);
+  const totals = { outstanding: 0, overdue: 0, invoiceCount: 0, unconverted: 0, ...emptyBuckets() };
+  const customers = {};
+  const salespersons = {};
+  const currencies = {};
+  const rows = [];
+  const windowStart = toDateKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() - (DSO_WINDOW_DAYS - 1)));
+  const today = toDateKey(now);
+  let windowSales = 0;
+
+  invoices.forEach(inv => {
+    if (isCancelledInvoice(inv)) return;
+
+    // Sales in the DSO window
+    const invoiceDate = inv.invoiceDate ? String(inv.invoiceDate).slice(0, 10) : null;
+    if (invoiceDate && invoiceDate >= windowStart && invoiceDate <= today) {
+      windowSales += convertInvoiceAmount(inv, reportingCurrency, rateTable) ?? 0;
+    }
+
+    const unpaid = parseFloat(inv.unpaid || 0);
+    const dueDate = getInvoiceDueDate(inv, paymentTerms, customerAliases);
+    if (!(unpaid > 0) || !dueDate) return;
+
+    const currency = inv.currency || 'USD';
+    const daysPastDue = getDaysPastDue(dueDate, now);
+    const bucket = getAgingBucket(daysPastDue);
+
+    // Per-currency view stays in the invoice's own currency
+    addToGroup(currencies, currency, currency, bucket.key, unpaid, daysPastDue);
+
+    const converted = convertInvoiceAmount({ ...inv, total: unpaid }, reportingCurrency, rateTable);
+    if (converted === null) {
+      totals.unconverted += 1;
+      return;
+    }
+
+    totals.outstanding += converted;
+    totals[bucket.key] += converted;
+    totals.invoiceCount += 1;
+    if (daysPastDue > 0) totals.overdue += converted;
+
+    const customerId = resolver.getId(inv);
+    const customer = resolver.getName(customerId);
+    const salesperson = inv.salespersonName || 'Unknown';
+    addToGroup(customers, customerId, customer, bucket.key, converted, daysPastDue);
+    addToGroup(salespersons, salesperson, salesperson, bucket.key, converted, daysPastDue);
+
+    rows.push({
+      id: inv.id,
+      invoiceNumber: inv.invoiceNumber || inv.id,
+      customerId,
+      customerName: customer,
+      salespersonName: salesperson,
+      currency,
+      unpaid,
+      converted,
+      term: getInvoiceTerm(inv, paymentTerms, customerAliases),
+      dueDate,
+      daysPastDue,
+      bucket: bucket.key
+    });
+  });
+
+  return {
+    reportingCurrency,
+    asOf: today,
+    totals,
+    customers: sortGroups(customers),
+    salespersons: sortGroups(salespersons),
+    currencies: sortGroups(currencies),
+    invoices: rows.sort((a, b) => b.daysPastDue - a.daysPastDue || b.converted - a.converted),
+    windowSales,
+    dso: windowSales > 0 ? (totals.outstanding / windowSales) * DSO_WINDOW_DAYS : null
+  };
+};
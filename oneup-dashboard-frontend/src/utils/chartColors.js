@@ -0,0 +1,33 @@
+// ✅ Series colours, shared by every chart so a currency looks the same everywhere
+
+export const CURRENCY_COLORS = {
+  USD: '#10b981',
+  PKR: '#3b82f6',
+  AED: '#8b5cf6',
+  EUR: '#f59e0b',
+  GBP: '#ef4444',
+  SAR: '#14b8a6'
+};
+
+const FALLBACK_COLORS = ['#6366f1', '#ec4899', '#84cc16', '#f97316', '#06b6d4'];
+
+/**
+ * Get the chart colour of a currency
+ * @param {string} currency - Currency code
+ * @param {number} index - Position of the series, for currencies without a fixed colour
+ * @returns {string} Hex colour
+ */
+export const getCurrencyColor = (currency, index) => CURRENCY_COLORS[currency] || FALLBACK_COLORS[index % FALLBACK_COLORS.length];
+
+// RFM segment colours (keys of RFM_SEGMENTS in utils/rfm.js), from best to worst standing
+export const SEGMENT_COLORS = {
+  champions: '#059669',
+  loyal: '#10b981',
+  potentialLoyalists: '#3b82f6',
+  newCustomers: '#06b6d4',
+  needsAttention: '#facc15',
+  cannotLose: '#f97316',
+  atRisk: '#ef4444',
+  hibernating: '#9ca3af',
+  lost: '#4b5563'
+};
@@ -0,0 +1,125 @@
+import { downloadBlob } from './download';
+
+// ✅ Export recharts charts as standalone SVG or PNG files
+// recharts renders its legend as HTML, so the exported image gets the title and
+// legend redrawn inside the SVG from the series passed in.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const TITLE_HEIGHT = 32;
+const LEGEND_ROW_HEIGHT = 22;
+const LEGEND_ITEM_WIDTH = 140;
+
+const createSvgElement = (tag, attributes, text) => {
+  const element = document.createElementNS(SVG_NS, tag);
+  Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+  if (text !== undefined) element.textContent = text;
+  return element;
+};
+
+/**
+ * Build standalone SVG markup for the chart inside a container
+ * @param {HTMLElement} container - Element wrapping a recharts chart
+ * @param {object} options - { title, legend: [{ label, color }] }
+ * @returns {object|null} { markup, width, height }, or null when no chart is rendered
+ */
+export const buildChartSvg = (container, { title, legend = [] } = {}) => {
+  const svg = container?.querySelector('.recharts-wrapper > svg.recharts-surface');
+  if (!svg) return null;
+
+  const { width, height: chartHeight } = svg.getBoundingClientRect();
+  const perRow = Math.max(1, Math.floor(width / LEGEND_ITEM_WIDTH));
+  const legendHeight = legend.length > 0 ? Math.ceil(legend.length / perRow) * LEGEND_ROW_HEIGHT + 8 : 0;
+  const titleHeight = title ? TITLE_HEIGHT : 0;
+  const height = titleHeight + chartHeight + legendHeight;
+
+  const root = createSvgElement('svg', {
+    xmlns: SVG_NS,
+    width,
+    height,
+    viewBox: `0 0 ${width} ${height}`,
+    'font-family': 'system-ui, -apple-system, sans-serif'
+  });
+  root.appendChild(createSvgElement('rect', { width, height, fill: '#ffffff' }));
+
+  if (title) {
+    root.appendChild(createSvgElement('text', { x: 12, y: 22, 'font-size': 16, 'font-weight': 600, fill: '#111827' }, title));
+  }
+
+  const chart = svg.cloneNode(true);
+  chart.setAttribute('x', 0);
+  chart.setAttribute('y', titleHeight);
+  root.appendChild(chart);
+
+  legend.forEach(({ label, color }, index) => {
+    const x = 12 + (index % perRow) * LEGEND_ITEM_WIDTH;
+    const y = titleHeight + chartHeight + 8 + Math.floor(index / perRow) * LEGEND_ROW_HEIGHT;
+    root.appendChild(createSvgElement('rect', { x, y, width: 12, height: 12, rx: 2, fill: color }));
+    root.appendChild(createSvgElement('text', { x: x + 18, y: y + 11, 'font-size': 12, fill: '#374151' }, label));
+  });
+
+  return { markup: new XMLSerializer().serializeToString(root), width, height };
+};
+
+/**
+ * Download the chart as an SVG file
+ * @param {HTMLElement} container - Element wrapping a recharts chart
+ * @param {string} filename - File name without extension
+ * @param {object} options - { title, legend }
+ * @returns {boolean} Whether the export succeeded
+ */
+export const exportChartAsSvg = (container, filename, options) => {
+  try {
+    const chart = buildChartSvg(container, options);
+    if (!chart) return false;
+
+    downloadBlob(new Blob([chart.markup], { type: 'image/svg+xml;charset=utf-8' }), `${filename}.svg`);
+    console.log(`🖼️ Exported chart to ${filename}.svg`);
+    return true;
+  } catch (error) {
+    console.error('Error exporting chart to SVG:', error);
+    return false;
+  }
+};
+
+/**
+ * Download the chart as a PNG file
+ * @param {HTMLElement} container - Element wrapping a recharts chart
+ * @param {string} filename - File name without extension
+ * @param {object} options - { title, legend, scale }
+ * @returns {Promise<boolean>} Whether the export succeeded
+ */
+export const exportChartAsPng = (container, filename, { scale = 2, ...options } = {}) => {
+  const chart = buildChartSvg(container, options);
+  if (!chart) return Promise.resolve(false);
+
+  return new Promise(resolve => {
+    const image = new Image();
+    const url = URL.createObjectURL(new Blob([chart.markup], { type: 'image/svg+xml;charset=utf-8' }));
+
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = chart.width * scale;
+      canvas.height = chart.height * scale;
+      const context = canvas.getContext('2d');
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0);
+      URL.revokeObjectURL(url);
+
+      canvas.toBlob(blob => {
+        if (!blob) {
+          resolve(false);
+          return;
+        }
+        downloadBlob(blob, `${filename}.png`);
+        console.log(`🖼️ Exported chart to ${filename}.png`);
+        resolve(true);
+      }, 'image/png');
+    };
+    image.onerror = (error) => {
+      console.error('Error exporting chart to PNG:', error);
+      URL.revokeObjectURL(url);
+      resolve(false);
+    };
+    image.src = url;
+  });
+};
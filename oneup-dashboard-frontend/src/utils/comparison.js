@@ -0,0 +1,101 @@
+// ✅ Period-over-period comparison helpers: KPI deltas and chart series lined up
+// bucket by bucket with the comparison period (see getComparisonPeriod in utils/periods.js).
+
+// Bounded periods up to this many days are charted by day, longer ones by month
+const DAILY_SERIES_MAX_DAYS = 62;
+const DAY_MS = 86400000;
+
+/**
+ * Compare a KPI with its value in the comparison period
+ * @param {number} current - Value for the selected period
+ * @param {number|null} previous - Value for the comparison period (null when not comparing)
+ * @returns {object|null} { current, previous, absolute, percent, trend }; percent is null when previous is 0
+ */
+export const getChange = (current, previous) => {
+  if (previous === null || previous === undefined) return null;
+  const absolute = current - previous;
+  return {
+    current,
+    previous,
+    absolute,
+    percent: previous !== 0 ? absolute / Math.abs(previous) : null,
+    trend: absolute > 0 ? 'up' : absolute < 0 ? 'down' : 'flat'
+  };
+};
+
+/**
+ * Format a change as "+1.2K (+12.5%)"
+ * @param {object} change - Change from getChange
+ * @param {Function} formatValue - Formats the absolute change (without sign)
+ * @returns {string} Absolute and percent change
+ */
+export const formatChange = (change, formatValue = (value) => value.toLocaleString()) => {
+  const sign = change.absolute > 0 ? '+' : change.absolute < 0 ? '-' : '';
+  const percent = change.percent === null
+    ? (change.current > 0 ? 'new' : '0%')
+    : `${sign}${Math.abs(change.percent * 100).toFixed(1)}%`;
+  return `${sign}${formatValue(Math.abs(change.absolute))} (${percent})`;
+};
+
+/**
+ * Pick how to bucket a period's revenue series
+ * @param {object} period - Period from resolvePeriod
+ * @returns {string} 'day' or 'month'
+ */
+export const getSeriesGranularity = (period) => {
+  if (!period?.start || !period?.end) return 'month';
+  const days = Math.round((new Date(`${period.end}T00:00:00`) - new Date(`${period.start}T00:00:00`)) / DAY_MS) + 1;
+  return days <= DAILY_SERIES_MAX_DAYS ? 'day' : 'month';
+};
+
+/**
+ * List every bucket key of a bounded period, in order
+ * @param {object} period - Period with start and end
+ * @param {string} granularity - 'day' or 'month'
+ * @returns {Array<string>} YYYY-MM-DD or YYYY-MM keys
+ */
+export const listPeriodBuckets = (period, granularity) => {
+  const buckets = [];
+  const end = new Date(`${period.end}T00:00:00`);
+  const cursor = new Date(`${period.start}T00:00:00`);
+  if (granularity === 'month') cursor.setDate(1);
+
+  while (cursor <= end) {
+    const key = `${cursor.getFullYear()}-${String(cursor.getMonth() + 1).padStart(2, '0')}`;
+    buckets.push(granularity === 'day' ? `${key}-${String(cursor.getDate()).padStart(2, '0')}` : key);
+    if (granularity === 'day') cursor.setDate(cursor.getDate() + 1);
+    else cursor.setMonth(cursor.getMonth() + 1);
+  }
+  return buckets;
+};
+
+/**
+ * Line up a series with the comparison period's series, bucket by bucket
+ * The n-th day/month of the period is paired with the n-th day/month of the comparison,
+ * and empty buckets are filled with zeros so both lines cover the whole period.
+ * @param {Array} rows - Series rows ({ bucket, total, ...series }) for the selected period
+ * @param {Array} comparisonRows - Series rows for the comparison period
+ * @param {object} period - Selected period
+ * @param {object} comparisonPeriod - Comparison period
+ * @param {string} granularity - 'day' or 'month'
+ * @param {Array<string>} seriesKeys - Series to zero-fill in each row
+ * @returns {Array} Rows with `comparison` (comparison total) and `comparisonBucket`
+ */
+export const alignComparisonSeries = (rows, comparisonRows, period, comparisonPeriod, granularity, seriesKeys = []) => {
+  const byBucket = new Map(rows.map(row => [row.bucket, row]));
+  const comparisonByBucket = new Map(comparisonRows.map(row => [row.bucket, row]));
+  const comparisonBuckets = listPeriodBuckets(comparisonPeriod, granularity);
+  const emptyRow = Object.fromEntries(seriesKeys.map(key => [key, 0]));
+
+  return listPeriodBuckets(period, granularity).map((bucket, index) => {
+    const comparisonBucket = comparisonBuckets[index] || null;
+    return {
+      ...emptyRow,
+      total: 0,
+      ...byBucket.get(bucket),
+      bucket,
+      comparisonBucket,
+      comparison: comparisonBucket ? comparisonByBucket.get(comparisonBucket)?.total || 0 : null
+    };
+  });
+};
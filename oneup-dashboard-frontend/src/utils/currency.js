@@ -0,0 +1,443 @@
+import { isCancelledInvoice } from './invoices';
+
+// ✅ Single currency conversion module
+// Rate tables are quoted against USD: rates[X] is how many X one USD buys.
+
+export const BASE_CURRENCY = 'USD';
+
+const LIVE_RATES_URL = 'https://api.exchangerate-api.com/v4/latest/USD';
+const SETTINGS_KEY = 'fxSettings';
+const RATE_HISTORY_KEY = 'fxRateHistory';
+
+export const SUPPORTED_CURRENCIES = [
+  { code: 'USD', name: 'US Dollar', symbol: '$', flag: '🇺🇸' },
+  { code: 'PKR', name: 'Pakistani Rupee', symbol: '₨', flag: '🇵🇰' },
+  { code: 'AED', name: 'UAE Dirham', symbol: 'د.إ', flag: '🇦🇪' },
+  { code: 'EUR', name: 'Euro', symbol: '€', flag: '🇪🇺' },
+  { code: 'GBP', name: 'British Pound', symbol: '£', flag: '🇬🇧' },
+  { code: 'SAR', name: 'Saudi Riyal', symbol: '﷼', flag: '🇸🇦' }
+];
+
+// Offline rate table used when live rates are disabled or unavailable
+export const DEFAULT_MANUAL_RATES = {
+  USD: 1,
+  PKR: 280,
+  AED: 3.6725,
+  EUR: 0.92,
+  GBP: 0.79,
+  SAR: 3.75
+};
+
+// How invoices are valued: at today's rate, or at the rate on their invoice date
+export const VALUATION_MODES = {
+  spot: 'Spot rate',
+  historical: 'Rate at invoice date'
+};
+
+export const DEFAULT_FX_SETTINGS = {
+  reportingCurrency: 'PKR',
+  rateSource: 'live', // live or manual
+  valuationMode: 'spot', // spot or historical
+  manualRates: DEFAULT_MANUAL_RATES,
+  overrides: {} // Admin overrides, applied on top of any source
+};
+
+/**
+ * Format a date as the YYYY-MM-DD key used for rate caching
+ * @param {Date|string} date - Date to format
+ * @returns {string} Date key
+ */
+export const toRateDateKey = (date = new Date()) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Get the symbol for a currency code
+ * @param {string} code - Currency code
+ * @returns {string} Symbol, or the code itself when unknown
+ */
+export const getCurrencySymbol = (code) => {
+  return SUPPORTED_CURRENCIES.find(c => c.code === code)?.symbol || code;
+};
+
+/**
+ * Load FX settings (reporting currency, rate source, manual table, overrides)
+ * @returns {object} FX settings merged over defaults
+ */
+export const getFxSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || 'null');
+    if (!saved) return DEFAULT_FX_SETTINGS;
+    return {
+      ...DEFAULT_FX_SETTINGS,
+      ...saved,
+      manualRates: { ...DEFAULT_MANUAL_RATES, ...saved.manualRates },
+      overrides: { ...saved.overrides }
+    };
+  } catch (error) {
+    console.warn('Failed to read FX settings, using defaults:', error);
+    return DEFAULT_FX_SETTINGS;
+  }
+};
+
+/**
+ * Persist FX settings and notify open pages
+ * @param {object} settings - FX settings
+ */
+export const saveFxSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  window.dispatchEvent(new Event('fxsettingschange'));
+};
+
+/**
+ * Read the stored daily rate history
+ * @returns {object} Map of YYYY-MM-DD to rates
+ */
+export const getRateHistory = () => {
+  try {
+    return JSON.parse(localStorage.getItem(RATE_HISTORY_KEY) || '{}');
+  } catch {
+    return {};
+  }
+};
+
+const storeDailyRates = (dateKey, rates) => {
+  try {
+    const history = getRateHistory();
+    history[dateKey] = { ...history[dateKey], ...rates };
+    localStorage.setItem(RATE_HISTORY_KEY, JSON.stringify(history));
+  } catch (error) {
+    console.warn('Failed to cache exchange rates:', error);
+  }
+};
+
+/**
+ * Merge daily rates into the stored time series (e.g. a backfill import)
+ * Accepts { 'YYYY-MM-DD': { PKR: 280, ... } } or CSV text with date,currency,rate rows
+ * @param {object|string} data - Rates keyed by date, or CSV text
+ * @returns {number} Number of days imported
+ */
+export const importRateHistory = (data) => {
+  let entries = data;
+  if (typeof data === 'string') {
+    entries = {};
+    data.split(/\r?\n/).forEach(line => {
+      const [date, currency, rate] = line.split(',').map(value => value.trim());
+      const parsedRate = parseFloat(rate);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !currency || !(parsedRate > 0)) return;
+      entries[date] = { ...entries[date], [currency.toUpperCase()]: parsedRate };
+    });
+  }
+
+  const history = getRateHistory();
+  let imported = 0;
+  Object.entries(entries || {}).forEach(([date, rates]) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || typeof rates !== 'object') return;
+    const validRates = Object.fromEntries(
+      Object.entries(rates).filter(([, rate]) => parseFloat(rate) > 0).map(([code, rate]) => [code, parseFloat(rate)])
+    );
+    if (Object.keys(validRates).length === 0) return;
+    history[date] = { ...history[date], ...validRates };
+    imported++;
+  });
+
+  localStorage.setItem(RATE_HISTORY_KEY, JSON.stringify(history));
+  window.dispatchEvent(new Event('fxsettingschange'));
+  console.log(`💱 Imported ${imported} days of exchange rates`);
+  return imported;
+};
+
+/**
+ * Sorted time series view of a rate history, for date lookups
+ * @param {object} history - Map of YYYY-MM-DD to rates
+ * @returns {object} { dates, ratesByDate }
+ */
+export const buildRateSeries = (history = {}) => ({
+  dates: Object.keys(history).sort(),
+  ratesByDate: history
+});
+
+/**
+ * Find the series date that applies to a given day: the same day, else the most
+ * recent earlier day (rates carry forward over weekends and gaps)
+ * @param {object} series - Series from buildRateSeries
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {string|null} Matching series date, or null when the day predates the series
+ */
+export const findSeriesDate = (series, dateKey) => {
+  const { dates } = series;
+  let low = 0;
+  let high = dates.length - 1;
+  let match = null;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (dates[mid] <= dateKey) {
+      match = dates[mid];
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return match;
+};
+
+/**
+ * Fetch today's rates from the live API, cached by date
+ * @returns {Promise<object|null>} Rates keyed by currency, or null when unavailable
+ */
+export const fetchLiveRates = async () => {
+  const dateKey = toRateDateKey();
+  const cached = getRateHistory()[dateKey];
+  if (cached) return cached;
+
+  try {
+    const response = await fetch(LIVE_RATES_URL);
+    const data = await response.json();
+    if (!data?.rates) return null;
+
+    const rates = {};
+    SUPPORTED_CURRENCIES.forEach(({ code }) => {
+      if (data.rates[code]) rates[code] = data.rates[code];
+    });
+    storeDailyRates(dateKey, rates);
+    console.log(`💱 Cached live exchange rates for ${dateKey}`);
+    return rates;
+  } catch (error) {
+    console.warn('Failed to fetch exchange rates, using manual rate table:', error);
+    return null;
+  }
+};
+
+/**
+ * Build a rate table for the given settings
+ * In historical mode the table also carries the stored time series, so
+ * getRateTableForDate can value each invoice at the rate on its own date.
+ * @param {object} settings - FX settings (defaults to stored settings)
+ * @returns {Promise<object>} { base, date, source, mode, rates, ... }
+ */
+export const getRateTable = async (settings = getFxSettings()) => {
+  let rates = settings.manualRates;
+  let source = 'manual';
+
+  if (settings.rateSource === 'live') {
+    const liveRates = await fetchLiveRates();
+    if (liveRates) {
+      rates = { ...settings.manualRates, ...liveRates };
+      source = 'live';
+    } else {
+      source = 'fallback';
+    }
+  }
+
+  const table = buildRateTable(rates, settings.overrides, source);
+  if (settings.valuationMode !== 'historical') return table;
+
+  return {
+    ...table,
+    mode: 'historical',
+    series: buildRateSeries(getRateHistory())
+  };
+};
+
+/**
+ * Combine base rates and admin overrides into a rate table (pure)
+ * @param {object} rates - Units per USD
+ * @param {object} overrides - Units per USD that replace base rates
+ * @param {string} source - Where the base rates came from
+ * @param {string} date - Date key the rates apply to
+ * @returns {object} { base, date, source, mode, rates, overrides, overridden }
+ */
+export const buildRateTable = (rates, overrides = {}, source = 'manual', date = toRateDateKey()) => {
+  const activeOverrides = Object.fromEntries(
+    Object.entries(overrides).filter(([, rate]) => parseFloat(rate) > 0).map(([code, rate]) => [code, parseFloat(rate)])
+  );
+  return {
+    base: BASE_CURRENCY,
+    date,
+    source,
+    mode: 'spot',
+    rates: { ...rates, ...activeOverrides, [BASE_CURRENCY]: 1 },
+    overrides: activeOverrides,
+    overridden: Object.keys(activeOverrides)
+  };
+};
+
+/**
+ * Rate table that applies on a given date
+ * Spot tables apply to every date. Historical tables use the series entry for
+ * that day (carried forward), filling missing currencies from the spot rates;
+ * days before the series starts fall back to the spot table.
+ * @param {object} rateTable - Rate table from getRateTable
+ * @param {Date|string} date - Valuation date
+ * @returns {object} Rate table for that date
+ */
+export const getRateTableForDate = (rateTable, date) => {
+  if (rateTable?.mode !== 'historical' || !date) return rateTable;
+
+  const seriesDate = findSeriesDate(rateTable.series, toRateDateKey(date));
+  if (!seriesDate) return rateTable;
+
+  return {
+    ...rateTable,
+    date: seriesDate,
+    source: 'historical',
+    rates: {
+      ...rateTable.rates,
+      ...rateTable.series.ratesByDate[seriesDate],
+      ...rateTable.overrides,
+      [BASE_CURRENCY]: 1
+    }
+  };
+};
+
+/**
+ * Date an invoice is valued at in historical mode
+ * @param {object} invoice - Invoice record
+ * @returns {string|undefined} Invoice date, falling back to creation date
+ */
+export const getValuationDate = (invoice) => invoice.invoiceDate || invoice.createdAt;
+
+/**
+ * Convert an invoice total, honouring the table's valuation mode
+ * @param {object} invoice - Invoice record
+ * @param {string} to - Target currency
+ * @param {object} rateTable - Rate table
+ * @returns {number|null} Converted total, or null when a rate is missing
+ */
+export const convertInvoiceAmount = (invoice, to, rateTable) => {
+  const table = getRateTableForDate(rateTable, getValuationDate(invoice));
+  return convertAmount(invoice.total, invoice.currency || BASE_CURRENCY, to, table);
+};
+
+/**
+ * Short human-readable description of where a rate table came from
+ * @param {object} rateTable - Rate table
+ * @returns {string} Description, e.g. "Live rates (2025-01-31)"
+ */
+export const describeRateTable = (rateTable) => {
+  if (!rateTable) return '';
+  const labels = {
+    live: 'Live rates',
+    manual: 'Manual rate table',
+    fallback: 'Manual rate table (live rates unavailable)'
+  };
+  const overridden = rateTable.overridden.length > 0 ? ` • Overrides: ${rateTable.overridden.join(', ')}` : '';
+  if (rateTable.mode === 'historical') {
+    const { dates } = rateTable.series;
+    const coverage = dates.length > 0 ? `${dates.length} days, ${dates[0]} to ${dates[dates.length - 1]}` : 'no history yet';
+    return `${VALUATION_MODES.historical} (${coverage}) • Fallback: ${labels[rateTable.source] || rateTable.source}${overridden}`;
+  }
+  return `${VALUATION_MODES.spot} • ${labels[rateTable.source] || rateTable.source} (${rateTable.date})${overridden}`;
+};
+
+/**
+ * Get the rate to convert one unit of `from` into `to`
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @param {object} rateTable - Rate table from getRateTable/buildRateTable
+ * @returns {number|null} Conversion rate, or null when a rate is missing
+ */
+export const getConversionRate = (from, to, rateTable) => {
+  if (from === to) return 1;
+  const fromRate = rateTable?.rates?.[from];
+  const toRate = rateTable?.rates?.[to];
+  if (!fromRate || !toRate) return null;
+  return toRate / fromRate;
+};
+
+/**
+ * Convert an amount between any two currencies
+ * @param {number|string} amount - Amount in `from` currency
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @param {object} rateTable - Rate table
+ * @returns {number|null} Converted amount, or null when a rate is missing
+ */
+export const convertAmount = (amount, from, to, rateTable) => {
+  const rate = getConversionRate(from, to, rateTable);
+  if (rate === null) return null;
+  return (parseFloat(amount) || 0) * rate;
+};
+
+/**
+ * Total non-cancelled invoice revenue in a reporting currency
+ * In historical mode each invoice is converted at the rate on its invoice date,
+ * and `rate` in the breakdown is the effective (weighted average) rate.
+ * Records may carry `invoiceCount` when they stand for several invoices
+ * (e.g. server-side daily totals); counts are weighted accordingly.
+ * @param {Array} invoices - Invoice records
+ * @param {string} reportingCurrency - Currency to report in
+ * @param {object} rateTable - Rate table
+ * @returns {object} Totals with per-currency breakdown
+ */
+export const calculateRevenue = (invoices, reportingCurrency, rateTable) => {
+  const validInvoices = invoices.filter(invoice => !isCancelledInvoice(invoice));
+  const countOf = (invoice) => invoice.invoiceCount ?? 1;
+  const byCurrency = {};
+  const tablesByDay = new Map();
+  let total = 0;
+  let unconvertedCount = 0;
+  let spotFallbackCount = 0;
+
+  // Many invoices share a day, so resolve each day's table once
+  const tableFor = (invoice) => {
+    if (rateTable?.mode !== 'historical') return rateTable;
+    const date = getValuationDate(invoice);
+    const dayKey = date ? toRateDateKey(date) : '';
+    if (!tablesByDay.has(dayKey)) {
+      tablesByDay.set(dayKey, getRateTableForDate(rateTable, date));
+    }
+    return tablesByDay.get(dayKey);
+  };
+
+  validInvoices.forEach(invoice => {
+    const currency = invoice.currency || BASE_CURRENCY;
+    const amount = parseFloat(invoice.total || 0);
+    const table = tableFor(invoice);
+    const converted = convertAmount(amount, currency, reportingCurrency, table);
+    if (rateTable?.mode === 'historical' && table === rateTable && currency !== reportingCurrency) {
+      spotFallbackCount += countOf(invoice);
+    }
+
+    if (!byCurrency[currency]) {
+      byCurrency[currency] = {
+        currency,
+        invoiceCount: 0,
+        originalTotal: 0,
+        convertedTotal: 0,
+        rate: getConversionRate(currency, reportingCurrency, rateTable)
+      };
+    }
+    byCurrency[currency].invoiceCount += countOf(invoice);
+    byCurrency[currency].originalTotal += amount;
+
+    if (converted === null) {
+      unconvertedCount += countOf(invoice);
+      return;
+    }
+    byCurrency[currency].convertedTotal += converted;
+    total += converted;
+  });
+
+  if (rateTable?.mode === 'historical') {
+    Object.values(byCurrency).forEach(entry => {
+      if (entry.originalTotal > 0) entry.rate = entry.convertedTotal / entry.originalTotal;
+    });
+  }
+
+  const validCount = validInvoices.reduce((sum, invoice) => sum + countOf(invoice), 0);
+
+  return {
+    total,
+    reportingCurrency,
+    rateTable,
+    validInvoicesCount: validCount,
+    cancelledInvoicesCount: invoices.reduce((sum, invoice) => sum + countOf(invoice), 0) - validCount,
+    unconvertedCount,
+    spotFallbackCount,
+    byCurrency
+  };
+};
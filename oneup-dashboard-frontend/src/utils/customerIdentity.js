@@ -0,0 +1,265 @@
+// ✅ Customer identity resolution: which invoices belong to the same customer.
+// OneUp stores the customer as free text, so "ACME Ltd", "Acme Ltd." and "ACME LIMITED "
+// are normalised (case, accents, punctuation, legal suffixes) to one key, e.g. "acme".
+// Spellings that are merely similar are proposed as merges; an admin confirms or rejects
+// them on the Customer Matching page, and confirmed merges are kept in an alias table.
+// The resolved key is the customer id used by every customer aggregation, route and export.
+// Aggregations run in the worker, so alias settings are passed in rather than read here
+// (no storage access outside get/save).
+
+const CUSTOMER_ALIASES_KEY = 'customerAliases';
+const UNKNOWN_CUSTOMER_ID = 'unknown';
+const UNKNOWN_CUSTOMER_NAME = 'Unknown Customer';
+
+// Key similarity (0–1) at which two customers are proposed as the same
+export const MERGE_SIMILARITY_THRESHOLD = 0.8;
+const MAX_PROPOSALS = 100;
+// Customers sharing a very common word ("traders") are not compared through it
+const MAX_BLOCK_SIZE = 200;
+
+// Trailing words that only state the legal form ("Pvt Ltd", "& Co", "LLC")
+const LEGAL_SUFFIXES = new Set([
+  'ltd', 'limited', 'llc', 'llp', 'lp', 'plc', 'inc', 'incorporated', 'corp', 'corporation',
+  'co', 'company', 'pvt', 'private', 'pte', 'pty', 'smc', 'gmbh', 'ag', 'sa', 'bv', 'and'
+]);
+
+export const DEFAULT_CUSTOMER_ALIAS_SETTINGS = {
+  aliases: {}, // { [customer id]: id of the customer it was merged into }
+  rejected: [] // pair keys (see getMergePairKey) of merges an admin rejected
+};
+
+/**
+ * Load customer alias settings
+ * @returns {object} Customer alias settings
+ */
+export const getCustomerAliasSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CUSTOMER_ALIASES_KEY) || 'null');
+    return { ...DEFAULT_CUSTOMER_ALIAS_SETTINGS, ...saved };
+  } catch (error) {
+    console.warn('Failed to read customer aliases, using defaults:', error);
+    return DEFAULT_CUSTOMER_ALIAS_SETTINGS;
+  }
+};
+
+/**
+ * Persist customer alias settings and notify open pages
+ * @param {object} settings - Customer alias settings
+ */
+export const saveCustomerAliasSettings = (settings) => {
+  localStorage.setItem(CUSTOMER_ALIASES_KEY, JSON.stringify(settings));
+  window.dispatchEvent(new Event('customeraliaseschange'));
+};
+
+/**
+ * Normalise a customer name to its matching key
+ * @param {string} name - Customer name as entered in OneUp
+ * @returns {string} Key, e.g. "acme" for "ACME Ltd." (words joined by "-"), or "unknown" when blank
+ */
+export const normalizeCustomerName = (name) => {
+  const words = String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[.'’]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+  const core = [...words];
+  if (core[0] === 'the' && core.length > 1) core.shift();
+  while (core.length > 1 && LEGAL_SUFFIXES.has(core[core.length - 1])) core.pop();
+
+  // A name that is nothing but a legal form keeps its words
+  const key = (core.length === 1 && LEGAL_SUFFIXES.has(core[0]) ? words : core).join('-');
+  return key || UNKNOWN_CUSTOMER_ID;
+};
+
+// Follow the alias table to the customer a key was merged into (cycle-safe)
+const followAliases = (key, aliases = {}) => {
+  const seen = new Set();
+  let current = key;
+  while (aliases[current] && !seen.has(current)) {
+    seen.add(current);
+    current = aliases[current];
+  }
+  return current;
+};
+
+/**
+ * Resolve any customer name or id to its customer id
+ * @param {string} nameOrId - Customer name or id
+ * @param {object} settings - Customer alias settings
+ * @returns {string} Customer id
+ */
+export const resolveCustomerId = (nameOrId, settings = DEFAULT_CUSTOMER_ALIAS_SETTINGS) => {
+  return followAliases(normalizeCustomerName(nameOrId), settings.aliases);
+};
+
+/**
+ * Key identifying a proposed merge of two customers, regardless of direction
+ * @param {string} a - Customer id
+ * @param {string} b - Customer id
+ * @returns {string} Pair key
+ */
+export const getMergePairKey = (a, b) => [a, b].sort().join('|');
+
+/**
+ * Build a resolver from invoice customer names to resolved customers
+ * The display name is the most used spelling of the customer's own key, so a merged-in
+ * alias never renames the customer it was merged into.
+ * @param {Array} invoices - Invoice records
+ * @param {object} settings - Customer alias settings
+ * @returns {object} { getId(invoice), getName(invoiceOrId), customers } where customers maps
+ *   id → { id, name, invoiceCount, spellings: [{ name, key, count }] }
+ */
+export const createCustomerResolver = (invoices, settings = DEFAULT_CUSTOMER_ALIAS_SETTINGS) => {
+  const idByName = new Map();
+  const spellings = {};
+
+  const getId = (invoice) => {
+    const raw = invoice.customerName || '';
+    if (!idByName.has(raw)) {
+      idByName.set(raw, followAliases(normalizeCustomerName(raw), settings.aliases));
+    }
+    return idByName.get(raw);
+  };
+
+  invoices.forEach(inv => {
+    const id = getId(inv);
+    const name = String(inv.customerName || '').trim().replace(/\s+/g, ' ') || UNKNOWN_CUSTOMER_NAME;
+    spellings[id] = spellings[id] || {};
+    spellings[id][name] = spellings[id][name] || { name, key: normalizeCustomerName(inv.customerName), count: 0 };
+    spellings[id][name].count += 1;
+  });
+
+  const customers = Object.fromEntries(Object.entries(spellings).map(([id, byName]) => {
+    const list = Object.values(byName).sort((a, b) => b.count - a.count);
+    const own = list.find(spelling => spelling.key === id) || list[0];
+    return [id, {
+      id,
+      name: own.name,
+      invoiceCount: list.reduce((sum, spelling) => sum + spelling.count, 0),
+      spellings: list
+    }];
+  }));
+
+  const getName = (invoiceOrId) => {
+    const id = typeof invoiceOrId === 'string' ? invoiceOrId : getId(invoiceOrId);
+    return customers[id]?.name || UNKNOWN_CUSTOMER_NAME;
+  };
+
+  return { getId, getName, customers };
+};
+
+// Edit distance between two keys
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const similarity = (a, b) => 1 - levenshtein(a, b) / Math.max(a.length, b.length, 1);
+
+/**
+ * Similarity of two customer keys, 0–1; word order is ignored ("trading-acme" ≈ "acme-trading")
+ * @param {string} a - Customer key
+ * @param {string} b - Customer key
+ * @returns {number} Similarity
+ */
+export const getCustomerSimilarity = (a, b) => {
+  const sorted = (key) => key.split('-').sort().join(' ');
+  return Math.max(similarity(a.replace(/-/g, ' '), b.replace(/-/g, ' ')), similarity(sorted(a), sorted(b)));
+};
+
+/**
+ * Propose merges of resolved customers whose keys are similar but not identical
+ * Only customers sharing the first three letters of a word are compared, which keeps
+ * this fast on large customer lists; rejected pairs are not proposed again.
+ * @param {object} payload - { invoices, customerAliases, threshold }
+ * @returns {Array} Proposals sorted by similarity: { key, similarity, from, into } where
+ *   `into` is the customer with more invoices and from/into are resolver customers
+ */
+export const proposeCustomerMerges = ({ invoices, customerAliases = DEFAULT_CUSTOMER_ALIAS_SETTINGS, threshold = MERGE_SIMILARITY_THRESHOLD }) => {
+  const { customers } = createCustomerResolver(invoices, customerAliases);
+  const rejected = new Set(customerAliases.rejected);
+  const ids = Object.keys(customers).filter(id => id !== UNKNOWN_CUSTOMER_ID);
+
+  const blocks = {};
+  ids.forEach(id => {
+    new Set(id.split('-').filter(word => word.length >= 3).map(word => word.slice(0, 3))).forEach(prefix => {
+      blocks[prefix] = blocks[prefix] || [];
+      blocks[prefix].push(id);
+    });
+  });
+
+  const proposals = new Map();
+  Object.values(blocks).filter(block => block.length > 1 && block.length <= MAX_BLOCK_SIZE).forEach(block => {
+    for (let i = 0; i < block.length; i++) {
+      for (let j = i + 1; j < block.length; j++) {
+        const [a, b] = [block[i], block[j]];
+        const key = getMergePairKey(a, b);
+        if (proposals.has(key) || rejected.has(key)) continue;
+        // Keys too different in length cannot reach the threshold
+        if (Math.min(a.length, b.length) / Math.max(a.length, b.length) < threshold) continue;
+
+        const score = getCustomerSimilarity(a, b);
+        if (score < threshold) continue;
+        const [from, into] = customers[a].invoiceCount > customers[b].invoiceCount ? [customers[b], customers[a]] : [customers[a], customers[b]];
+        proposals.set(key, { key, similarity: score, from, into });
+      }
+    }
+  });
+
+  return [...proposals.values()]
+    .sort((a, b) => b.similarity - a.similarity || b.into.invoiceCount - a.into.invoiceCount)
+    .slice(0, MAX_PROPOSALS);
+};
+
+/**
+ * Merge one customer into another
+ * Customers merged into `fromId` earlier follow it, and stay with it if it is unmerged again.
+ * @param {object} settings - Customer alias settings
+ * @param {string} fromId - Customer id to merge
+ * @param {string} intoId - Customer id to keep
+ * @returns {object} Updated settings
+ */
+export const mergeCustomers = (settings, fromId, intoId) => {
+  const target = followAliases(intoId, settings.aliases);
+  if (target === fromId) return settings;
+  return { ...settings, aliases: { ...settings.aliases, [fromId]: target } };
+};
+
+/**
+ * Undo a merge, splitting the customer out again
+ * @param {object} settings - Customer alias settings
+ * @param {string} aliasId - Customer id in the alias table
+ * @returns {object} Updated settings
+ */
+export const unmergeCustomer = (settings, aliasId) => {
+  const aliases = { ...settings.aliases };
+  delete aliases[aliasId];
+  return { ...settings, aliases };
+};
+
+/**
+ * Reject a proposed merge so it is not proposed again
+ * @param {object} settings - Customer alias settings
+ * @param {string} a - Customer id
+ * @param {string} b - Customer id
+ * @returns {object} Updated settings
+ */
+export const rejectCustomerMerge = (settings, a, b) => {
+  const key = getMergePairKey(a, b);
+  return settings.rejected.includes(key) ? settings : { ...settings, rejected: [...settings.rejected, key] };
+};
@@ -0,0 +1,111 @@
+import { buildAgingReport } from './aging';
+import { convertInvoiceAmount } from './currency';
+import { DEFAULT_CUSTOMER_ALIAS_SETTINGS, createCustomerResolver, resolveCustomerId } from './customerIdentity';
+import { analyzeOrderGaps } from './dormancy';
+import { isCancelledInvoice, sortInvoicesByDate } from './invoices';
+import { toDateKey } from './periods';
+
+// ✅ Customer 360: everything known about one customer, built from the invoice store.
+// Customers are keyed like the Customers page (buildCustomerAnalytics): by resolved identity.
+// Spend is converted to the reporting currency and excludes cancelled invoices; balances,
+// aging and the collection period come from the AR aging module, and the order rhythm
+// from the dormancy detector (utils/dormancy.js).
+// Pure (no DOM, no storage) so it can run in the aggregation worker.
+
+// Every YYYY-MM from the first month to the last, so quiet months show as zero
+const listMonths = (first, last) => {
+  const months = [];
+  const cursor = new Date(`${first}-01T00:00:00`);
+  const end = new Date(`${last}-01T00:00:00`);
+  while (cursor <= end) {
+    months.push(`${cursor.getFullYear()}-${String(cursor.getMonth() + 1).padStart(2, '0')}`);
+    cursor.setMonth(cursor.getMonth() + 1);
+  }
+  return months;
+};
+
+/**
+ * Build the customer 360 profile
+ * @param {object} payload - { invoices, customerId, reportingCurrency, rateTable, paymentTerms, customerAliases, now }
+ *   `customerId` may also be a customer name or a merged-in id; it is resolved first
+ * @returns {object|null} Profile, or null when no invoice belongs to the customer
+ */
+export const buildCustomerProfile = ({ invoices, customerId, reportingCurrency, rateTable, paymentTerms, customerAliases = DEFAULT_CUSTOMER_ALIAS_SETTINGS, now = new Date() }) => {
+  const resolver = createCustomerResolver(invoices, customerAliases);
+  const id = resolveCustomerId(customerId, customerAliases);
+  const customer = resolver.customers[id];
+  if (!customer) return null;
+  const customerInvoices = invoices.filter(inv => resolver.getId(inv) === id);
+
+  const currencyTotals = {};
+  const spendByMonth = {};
+  const salespersons = {};
+  const currencies = new Set();
+  const orderDates = [];
+  let totalSpent = 0;
+  let cancelledCount = 0;
+
+  const timeline = sortInvoicesByDate(customerInvoices).map(inv => {
+    const currency = inv.currency || 'USD';
+    const date = inv.invoiceDate ? String(inv.invoiceDate).slice(0, 10) : null;
+    const cancelled = isCancelledInvoice(inv);
+    const converted = cancelled ? null : convertInvoiceAmount(inv, reportingCurrency, rateTable);
+
+    if (cancelled) {
+      cancelledCount += 1;
+    } else {
+      if (date) orderDates.push(date);
+      currencyTotals[currency] = (currencyTotals[currency] || 0) + parseFloat(inv.total || 0);
+
+      const salesperson = inv.salespersonName || 'Unknown';
+      salespersons[salesperson] = salespersons[salesperson] || { name: salesperson, employeeId: inv.employeeId ?? null, invoiceCount: 0, total: 0, firstOrder: date, lastOrder: date };
+      const entry = salespersons[salesperson];
+      entry.invoiceCount += 1;
+      if (date && (!entry.firstOrder || date < entry.firstOrder)) entry.firstOrder = date;
+      if (date && (!entry.lastOrder || date > entry.lastOrder)) entry.lastOrder = date;
+
+      if (converted !== null) {
+        totalSpent += converted;
+        entry.total += converted;
+        currencies.add(currency);
+        if (date) {
+          const month = date.slice(0, 7);
+          spendByMonth[month] = spendByMonth[month] || { bucket: month, total: 0 };
+          spendByMonth[month][currency] = (spendByMonth[month][currency] || 0) + converted;
+          spendByMonth[month].total += converted;
+        }
+      }
+    }
+
+    return {
+      ...inv,
+      currency,
+      converted
+    };
+  });
+
+  const months = Object.keys(spendByMonth).sort();
+  const aging = buildAgingReport({ invoices: customerInvoices, reportingCurrency, rateTable, paymentTerms, customerAliases, now });
+  const activeCount = customerInvoices.length - cancelledCount;
+
+  return {
+    id,
+    name: customer.name,
+    aliases: customer.spellings.map(spelling => spelling.name),
+    reportingCurrency,
+    asOf: toDateKey(now),
+    invoiceCount: customerInvoices.length,
+    cancelledCount,
+    totalSpent,
+    averageOrder: activeCount > 0 ? totalSpent / activeCount : 0,
+    currencyTotals,
+    currencies: [...currencies],
+    spendByMonth: months.length > 0
+      ? listMonths(months[0], months[months.length - 1]).map(bucket => spendByMonth[bucket] || { bucket, total: 0 })
+      : [],
+    salespersons: Object.values(salespersons).sort((a, b) => b.total - a.total),
+    gaps: analyzeOrderGaps(orderDates, now),
+    aging,
+    timeline
+  };
+};
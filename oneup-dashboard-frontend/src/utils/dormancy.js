@@ -0,0 +1,131 @@
+import { convertInvoiceAmount } from './currency';
+import { DEFAULT_CUSTOMER_ALIAS_SETTINGS, createCustomerResolver } from './customerIdentity';
+import { isCancelledInvoice } from './invoices';
+import { toDateKey } from './periods';
+
+// ✅ Dormancy detection: each customer's usual ordering interval is learned from the gaps
+// between their past orders, and customers quiet for well beyond it are flagged as at risk.
+// Revenue at risk is what the customer brings in a year at their usual pace and order size,
+// in the reporting currency. Cancelled invoices are ignored and customers are grouped by
+// resolved identity (utils/customerIdentity.js).
+// Pure (no DOM, no storage) so it can run in the aggregation worker.
+
+const DAY_MS = 86400000;
+
+// Quiet for longer than the average gap times this is overdue for a reorder
+export const DORMANCY_FACTOR = 1.5;
+// ...and times this is treated as churned
+export const CHURN_FACTOR = 4;
+// Gaps needed before an interval is trusted (one gap is not a habit)
+export const MIN_ORDER_GAPS = 2;
+
+const daysBetween = (from, to) => Math.round((new Date(`${to}T00:00:00`) - new Date(`${from}T00:00:00`)) / DAY_MS);
+
+const addDays = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00`);
+  date.setDate(date.getDate() + days);
+  return toDateKey(date);
+};
+
+/**
+ * Analyse the gaps between a customer's orders
+ * @param {Array<string>} orderDates - YYYY-MM-DD order dates (any order, duplicates allowed)
+ * @param {Date} now - Reference date
+ * @returns {object} { firstOrder, lastOrder, daysSinceLastOrder, averageGapDays, medianGapDays, longestGap, expectedNextOrder, overdue }
+ */
+export const analyzeOrderGaps = (orderDates, now = new Date()) => {
+  const dates = [...new Set(orderDates)].sort();
+  if (dates.length === 0) return null;
+
+  const firstOrder = dates[0];
+  const lastOrder = dates[dates.length - 1];
+  const gaps = dates.slice(1).map((date, index) => ({ from: dates[index], to: date, days: daysBetween(dates[index], date) }));
+  const sortedDays = gaps.map(gap => gap.days).sort((a, b) => a - b);
+  const averageGapDays = gaps.length > 0 ? sortedDays.reduce((sum, days) => sum + days, 0) / gaps.length : null;
+  const medianGapDays = gaps.length > 0
+    ? (sortedDays[Math.floor((gaps.length - 1) / 2)] + sortedDays[Math.ceil((gaps.length - 1) / 2)]) / 2
+    : null;
+  const daysSinceLastOrder = daysBetween(lastOrder, toDateKey(now));
+
+  return {
+    firstOrder,
+    lastOrder,
+    orderDays: dates.length,
+    daysSinceLastOrder,
+    averageGapDays,
+    medianGapDays,
+    longestGap: gaps.reduce((longest, gap) => (!longest || gap.days > longest.days ? gap : longest), null),
+    expectedNextOrder: averageGapDays === null ? null : addDays(lastOrder, Math.round(averageGapDays)),
+    overdue: gaps.length >= MIN_ORDER_GAPS && daysSinceLastOrder > averageGapDays * DORMANCY_FACTOR
+  };
+};
+
+/**
+ * Find the customers overdue for a reorder
+ * Invoices dated after `now` are ignored, so a report for a past period shows who was at risk then.
+ * @param {object} payload - { invoices, customerAliases, reportingCurrency, rateTable, now }
+ * @returns {object} { asOf, reportingCurrency, trackedCount, totals, customers } where customers are
+ *   { id, name, status ('dormant' or 'churned'), lastOrder, daysSinceLastOrder, averageGapDays, expectedNextOrder,
+ *   daysOverdue, orderDays, lifetimeSpend, revenueAtRisk, unconvertedCount } sorted by revenue at risk
+ */
+export const buildDormancyReport = ({ invoices, customerAliases = DEFAULT_CUSTOMER_ALIAS_SETTINGS, reportingCurrency, rateTable, now = new Date() }) => {
+  const resolver = createCustomerResolver(invoices, customerAliases);
+  const asOf = toDateKey(now);
+  const histories = {};
+
+  invoices.forEach(inv => {
+    if (isCancelledInvoice(inv)) return;
+    const date = inv.invoiceDate ? String(inv.invoiceDate).slice(0, 10) : null;
+    if (!date || date > asOf) return;
+
+    const id = resolver.getId(inv);
+    histories[id] = histories[id] || { id, dates: [], spend: 0, unconvertedCount: 0 };
+    const history = histories[id];
+    const converted = convertInvoiceAmount(inv, reportingCurrency, rateTable);
+    history.dates.push(date);
+    if (converted === null) history.unconvertedCount += 1;
+    else history.spend += converted;
+  });
+
+  let trackedCount = 0;
+  const customers = [];
+  Object.values(histories).forEach(history => {
+    const gaps = analyzeOrderGaps(history.dates, now);
+    if (gaps.orderDays - 1 < MIN_ORDER_GAPS) return;
+    trackedCount += 1;
+    if (!gaps.overdue) return;
+
+    // Average spend per order day, at the usual number of order days a year
+    const spendPerOrderDay = history.spend / gaps.orderDays;
+    const averageGapDays = Math.max(1, gaps.averageGapDays);
+    customers.push({
+      id: history.id,
+      name: resolver.getName(history.id),
+      status: gaps.daysSinceLastOrder > averageGapDays * CHURN_FACTOR ? 'churned' : 'dormant',
+      lastOrder: gaps.lastOrder,
+      daysSinceLastOrder: gaps.daysSinceLastOrder,
+      averageGapDays: Math.round(gaps.averageGapDays),
+      expectedNextOrder: gaps.expectedNextOrder,
+      daysOverdue: Math.max(0, daysBetween(gaps.expectedNextOrder, asOf)),
+      orderDays: gaps.orderDays,
+      lifetimeSpend: history.spend,
+      revenueAtRisk: spendPerOrderDay * (365 / averageGapDays),
+      unconvertedCount: history.unconvertedCount
+    });
+  });
+
+  customers.sort((a, b) => b.revenueAtRisk - a.revenueAtRisk);
+
+  return {
+    asOf,
+    reportingCurrency,
+    trackedCount,
+    totals: {
+      customerCount: customers.length,
+      dormantCount: customers.filter(customer => customer.status === 'dormant').length,
+      churnedCount: customers.filter(customer => customer.status === 'churned').length,
+      revenueAtRisk: customers.reduce((sum, customer) => sum + customer.revenueAtRisk, 0)
+    },
+    customers
+  };
+};
@@ -0,0 +1,13 @@
+/**
+ * Trigger a browser download for a Blob
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Name of the downloaded file
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
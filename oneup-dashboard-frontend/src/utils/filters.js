@@ -0,0 +1,148 @@
+import { COMPARISON_MODES, PERIOD_PRESETS, getCurrentSelection, getPeriodSettings } from './periods';
+
+// ✅ Shared filter model: every analytics page keeps its filters in the query string
+// (e.g. /dashboard?period=quarterly&year=2025&quarter=2&currency=PKR&basis=invoiceDate)
+// so a refresh keeps them and a link reproduces the same view.
+// Each field knows its URL parameter, how to read it back and its default. Defaults are
+// left out of the URL, except the year/month/quarter/week/from/to of a dated period, which
+// are always written so a shared link still means the same period later on.
+// Periods are resolved into date ranges by utils/periods.js.
+
+const currentSelection = (period) => getCurrentSelection(period, getPeriodSettings());
+const currentYear = () => new Date().getFullYear();
+const currentMonth = () => new Date().getMonth() + 1;
+const currentQuarter = () => currentSelection('quarterly').quarter;
+const currentWeek = () => currentSelection('week').week;
+
+export const PERIOD_VALUES = Object.keys(PERIOD_PRESETS);
+export const DATE_BASIS_VALUES = ['creationDate', 'invoiceDate'];
+export const VIEW_MODE_VALUES = ['table', 'cards'];
+
+export const FILTER_FIELDS = {
+  period: { param: 'period', type: 'enum', values: PERIOD_VALUES, default: 'all' },
+  year: {
+    param: 'year', type: 'int', min: 2000, max: 2100, default: currentYear,
+    appliesTo: (filters) => PERIOD_PRESETS[filters.period]?.fields.includes('year')
+  },
+  month: {
+    param: 'month', type: 'int', min: 1, max: 12, default: currentMonth,
+    appliesTo: (filters) => filters.period === 'monthly'
+  },
+  quarter: {
+    param: 'quarter', type: 'int', min: 1, max: 4, default: currentQuarter,
+    appliesTo: (filters) => filters.period === 'quarterly'
+  },
+  week: {
+    param: 'week', type: 'int', min: 1, max: 53, default: currentWeek,
+    appliesTo: (filters) => filters.period === 'week'
+  },
+  from: { param: 'from', type: 'date', default: '', appliesTo: (filters) => filters.period === 'custom' },
+  to: { param: 'to', type: 'date', default: '', appliesTo: (filters) => filters.period === 'custom' },
+  compare: { param: 'compare', type: 'enum', values: Object.keys(COMPARISON_MODES), default: 'none' },
+  currency: { param: 'currency', type: 'currency', default: 'All' },
+  basis: { param: 'basis', type: 'enum', values: DATE_BASIS_VALUES, default: 'creationDate' },
+  search: { param: 'q', type: 'string', default: '' },
+  sort: { param: 'sort', type: 'enum', values: [], default: '' },
+  groupBy: { param: 'group', type: 'enum', values: [], default: '' },
+  segment: { param: 'segment', type: 'enum', values: [], default: 'All' },
+  view: { param: 'view', type: 'enum', values: VIEW_MODE_VALUES, default: 'table' },
+  hiddenColumns: { param: 'hide', type: 'list', default: () => [] },
+  page: { param: 'page', type: 'int', min: 1, max: Number.MAX_SAFE_INTEGER, default: 1 },
+  pageSize: { param: 'size', type: 'int', min: 1, max: 1000, default: 100 }
+};
+
+// Changing these does not send the list back to its first page
+const PAGE_NEUTRAL_FIELDS = ['page', 'view', 'hiddenColumns'];
+
+const resolveDefault = (spec) => (typeof spec.default === 'function' ? spec.default() : spec.default);
+
+/**
+ * Pick the fields a page uses, with page-specific overrides (defaults, allowed values)
+ * @param {Array<string>} fields - Keys of FILTER_FIELDS
+ * @param {object} overrides - { [field]: partial field spec }
+ * @returns {object} { [field]: spec }
+ */
+export const getFilterSpecs = (fields, overrides = {}) => {
+  return Object.fromEntries(fields.map(field => {
+    if (!FILTER_FIELDS[field]) throw new Error(`Unknown filter field: ${field}`);
+    return [field, { ...FILTER_FIELDS[field], ...overrides[field] }];
+  }));
+};
+
+/**
+ * Read one field from its raw URL value, falling back to the default when invalid
+ * @param {object} spec - Field spec
+ * @param {string|null} raw - Raw parameter value
+ * @returns {*} Field value
+ */
+const parseValue = (spec, raw) => {
+  if (raw === null || raw === '') return resolveDefault(spec);
+
+  switch (spec.type) {
+    case 'int': {
+      const value = Number(raw);
+      const valid = Number.isInteger(value) && value >= spec.min && value <= spec.max && (!spec.values || spec.values.includes(value));
+      return valid ? value : resolveDefault(spec);
+    }
+    case 'enum':
+      return spec.values.includes(raw) ? raw : resolveDefault(spec);
+    case 'list':
+      return raw.split(',').filter(value => value && (!spec.values || spec.values.includes(value)));
+    case 'date':
+      return /^\d{4}-\d{2}-\d{2}$/.test(raw) && !Number.isNaN(Date.parse(raw)) ? raw : resolveDefault(spec);
+    case 'currency': {
+      const value = raw.toUpperCase();
+      return value === 'ALL' ? 'All' : /^[A-Z]{3}$/.test(value) ? value : resolveDefault(spec);
+    }
+    default:
+      return raw;
+  }
+};
+
+/**
+ * Read a page's filters from the query string
+ * @param {URLSearchParams} searchParams - Current query string
+ * @param {object} specs - Specs from getFilterSpecs
+ * @returns {object} { [field]: value }
+ */
+export const parseFilters = (searchParams, specs) => {
+  return Object.fromEntries(Object.entries(specs).map(([field, spec]) => [field, parseValue(spec, searchParams.get(spec.param))]));
+};
+
+/**
+ * Write a page's filters into a query string, keeping parameters the page does not own
+ * @param {object} filters - { [field]: value }
+ * @param {object} specs - Specs from getFilterSpecs
+ * @param {URLSearchParams} baseParams - Current query string
+ * @returns {URLSearchParams} New query string
+ */
+export const serializeFilters = (filters, specs, baseParams = new URLSearchParams()) => {
+  const params = new URLSearchParams(baseParams);
+  Object.entries(specs).forEach(([field, spec]) => {
+    params.delete(spec.param);
+    const value = filters[field];
+    if (spec.appliesTo) {
+      if (spec.appliesTo(filters) && value !== '') params.set(spec.param, String(value));
+    } else if (spec.type === 'list') {
+      if (value?.length > 0) params.set(spec.param, value.join(','));
+    } else if (value !== resolveDefault(spec) && value !== undefined && value !== null) {
+      params.set(spec.param, String(value));
+    }
+  });
+  return params;
+};
+
+/**
+ * Apply filter changes; any change that alters the result set goes back to page 1
+ * @param {object} filters - Current filters
+ * @param {object} changes - { [field]: value }
+ * @returns {object} Updated filters
+ */
+export const applyFilterChanges = (filters, changes) => {
+  const next = { ...filters, ...changes };
+  const resetsPage = 'page' in filters && !('page' in changes) && Object.keys(changes).some(field => (
+    !PAGE_NEUTRAL_FIELDS.includes(field) && changes[field] !== filters[field]
+  ));
+  if (resetsPage) next.page = 1;
+  return next;
+};
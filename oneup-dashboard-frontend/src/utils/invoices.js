@@ -0,0 +1,109 @@
+
+import { DEFAULT_CUSTOMER_ALIAS_SETTINGS, createCustomerResolver } from './customerIdentity';
+
+/**
+ * Check whether an invoice has been cancelled
+ * @param {object} invoice - Invoice record
+ * @returns {boolean} True when the invoice status is cancelled
+ */
+export const isCancelledInvoice = (invoice) => {
+  return invoice.status === 'Cancelled' || invoice.status === 'cancelled';
+};
+
+/**
+ * Get the date an invoice should be bucketed by
+ * @param {object} invoice - Invoice record
+ * @param {string} dateType - 'creationDate' or 'invoiceDate'
+ * @returns {string|undefined} Raw date value from the invoice
+ */
+export const getInvoiceDateValue = (invoice, dateType = 'invoiceDate') => {
+  return dateType === 'creationDate' ? invoice.createdAt : invoice.invoiceDate;
+};
+
+/**
+ * Sort invoices newest first by the selected date type (same order as the API)
+ * @param {Array} invoices - Invoice records
+ * @param {string} dateType - 'creationDate' or 'invoiceDate'
+ * @returns {Array} New sorted array
+ */
+export const sortInvoicesByDate = (invoices, dateType = 'invoiceDate') => {
+  const field = dateType === 'creationDate' ? 'createdAt' : 'invoiceDate';
+  return [...invoices].sort((a, b) => {
+    const aTime = a[field] ? new Date(a[field]).getTime() : 0;
+    const bTime = b[field] ? new Date(b[field]).getTime() : 0;
+    return bTime - aTime;
+  });
+};
+
+/**
+ * Keep the invoices in one currency, mirroring the API's `currency` filter
+ * @param {Array} invoices - Invoice records
+ * @param {string} currency - Currency code, or 'All' for no filter
+ * @returns {Array} Matching invoices (the same array when not filtering)
+ */
+export const filterInvoicesByCurrency = (invoices, currency = 'All') => {
+  return currency === 'All' ? invoices : invoices.filter(inv => (inv.currency || 'USD') === currency);
+};
+
+/**
+ * Build the query string for GET /invoices and /invoices/daily-totals
+ * Empty values (and the "All" currency) are left out so the API applies no filter.
+ * @param {object} params - { page, pageSize, currency, startDate, endDate, dateBasis, search, sortBy }
+ * @returns {string} Query string without the leading "?"
+ */
+export const toInvoiceQueryString = (params) => {
+  return Object.entries(params)
+    .filter(([key, value]) => value !== undefined && value !== null && value !== '' && !(key === 'currency' && value === 'All'))
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+};
+
+/**
+ * Turn /invoices/daily-totals rows into invoice-like records for calculateRevenue
+ * Each record stands for `invoiceCount` invoices of one currency on one day.
+ * @param {Array} days - [{ currency, date, cancelled, total, invoiceCount }]
+ * @returns {Array} [{ currency, invoiceDate, total, invoiceCount, status }]
+ */
+export const fromDailyTotals = (days = []) => {
+  return days.map(day => ({
+    currency: day.currency,
+    invoiceDate: day.date,
+    total: day.total,
+    invoiceCount: day.invoiceCount,
+    status: day.cancelled ? 'Cancelled' : undefined
+  }));
+};
+
+// OneUp `invoice_status` codes, as mapped to `status` by the sync
+export const INVOICE_STATUS_CODES = {
+  2: 'Invoiced',
+  3: 'Cancelled'
+};
+
+/**
+ * Find other invoices for the same customer and the same salesperson, newest first
+ * Salespersons are matched by employee ID when the invoice has one, otherwise by name;
+ * customers by resolved identity.
+ * @param {Array} invoices - Invoice records
+ * @param {object} invoice - Invoice to find relatives of
+ * @param {number} limit - Maximum invoices per list
+ * @param {object} customerAliases - Customer alias settings
+ * @returns {object} { customer, salesperson, customerCount, salespersonCount }
+ */
+export const getRelatedInvoices = (invoices, invoice, limit = 10, customerAliases = DEFAULT_CUSTOMER_ALIAS_SETTINGS) => {
+  const resolver = createCustomerResolver([], customerAliases);
+  const others = sortInvoicesByDate(invoices.filter(inv => String(inv.id) !== String(invoice.id)));
+  const sameSalesperson = invoice.employeeId
+    ? (inv) => String(inv.employeeId) === String(invoice.employeeId)
+    : (inv) => Boolean(invoice.salespersonName) && inv.salespersonName === invoice.salespersonName;
+
+  const customerId = resolver.getId(invoice);
+  const customer = others.filter(inv => Boolean(invoice.customerName) && resolver.getId(inv) === customerId);
+  const salesperson = others.filter(sameSalesperson);
+  return {
+    customer: customer.slice(0, limit),
+    salesperson: salesperson.slice(0, limit),
+    customerCount: customer.length,
+    salespersonCount: salesperson.length
+  };
+};
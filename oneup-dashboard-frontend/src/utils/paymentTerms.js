@@ -0,0 +1,195 @@
+import { DEFAULT_CUSTOMER_ALIAS_SETTINGS, resolveCustomerId } from './customerIdentity';
+import { toDateKey } from './periods';
+
+// ✅ Payment terms engine: when an invoice falls due and how its payment badge reads.
+// The due date is the term's days after the invoice's sent date (or its invoice date,
+// per Settings → Payment Terms); an invoice that has not been sent counts from its invoice date.
+// A customer can have its own term; everyone else gets the default term. Customer terms
+// apply to every spelling of the customer (resolved identity, see utils/customerIdentity.js).
+// Used by the Dashboard badge and export, and by AR aging in the worker, so settings are
+// passed in rather than read here (no storage access outside get/save).
+
+const PAYMENT_TERMS_KEY = 'paymentTerms';
+const DAY_MS = 86400000;
+
+export const PAYMENT_TERMS = {
+  receipt: { label: 'Due on Receipt', days: 0 },
+  net15: { label: 'Net 15', days: 15 },
+  net30: { label: 'Net 30', days: 30 },
+  net60: { label: 'Net 60', days: 60 }
+};
+
+export const DUE_DATE_BASES = {
+  sentDate: 'Sent Date',
+  invoiceDate: 'Invoice Date'
+};
+
+// Due on receipt from the sent date matches how payment status was shown before terms existed
+export const DEFAULT_PAYMENT_TERMS_SETTINGS = {
+  defaultTerm: 'receipt',
+  dueDateBasis: 'sentDate',
+  customerTerms: {} // { [customer id]: term key }; customer names saved by older versions still resolve
+};
+
+const STATUS_COLORS = {
+  paid: 'bg-green-100 text-green-800',
+  partial: 'bg-yellow-100 text-yellow-800',
+  due: 'bg-orange-100 text-orange-800',
+  overdue: 'bg-red-100 text-red-800'
+};
+
+/**
+ * Load payment terms settings
+ * @returns {object} Payment terms settings
+ */
+export const getPaymentTermsSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PAYMENT_TERMS_KEY) || 'null');
+    return { ...DEFAULT_PAYMENT_TERMS_SETTINGS, ...saved };
+  } catch (error) {
+    console.warn('Failed to read payment terms, using defaults:', error);
+    return DEFAULT_PAYMENT_TERMS_SETTINGS;
+  }
+};
+
+/**
+ * Persist payment terms settings and notify open pages
+ * @param {object} settings - Payment terms settings
+ */
+export const savePaymentTermsSettings = (settings) => {
+  localStorage.setItem(PAYMENT_TERMS_KEY, JSON.stringify(settings));
+  window.dispatchEvent(new Event('paymenttermschange'));
+};
+
+// Customer terms keyed by resolved customer id, with a cache of invoice names already resolved;
+// built once per settings/aliases pair, since every invoice of a list is looked up
+const resolvedTermsCache = new WeakMap();
+const getResolvedCustomerTerms = (settings, customerAliases) => {
+  if (!resolvedTermsCache.has(settings)) resolvedTermsCache.set(settings, new WeakMap());
+  const byAliases = resolvedTermsCache.get(settings);
+  if (!byAliases.has(customerAliases)) {
+    const terms = {};
+    Object.entries(settings.customerTerms || {}).forEach(([key, term]) => {
+      terms[resolveCustomerId(key, customerAliases)] = term;
+    });
+    byAliases.set(customerAliases, { terms, idByName: new Map() });
+  }
+  return byAliases.get(customerAliases);
+};
+
+/**
+ * Get the term set for a customer, if any
+ * @param {string} nameOrId - Customer name or id
+ * @param {object} settings - Payment terms settings
+ * @param {object} customerAliases - Customer alias settings
+ * @returns {string|undefined} Key of PAYMENT_TERMS
+ */
+export const getCustomerTerm = (nameOrId, settings = DEFAULT_PAYMENT_TERMS_SETTINGS, customerAliases = DEFAULT_CUSTOMER_ALIAS_SETTINGS) => {
+  const { terms, idByName } = getResolvedCustomerTerms(settings, customerAliases);
+  const name = nameOrId || '';
+  if (!idByName.has(name)) idByName.set(name, resolveCustomerId(name, customerAliases));
+  return terms[idByName.get(name)];
+};
+
+/**
+ * Get the payment term that applies to an invoice
+ * @param {object} invoice - Invoice record
+ * @param {object} settings - Payment terms settings
+ * @param {object} customerAliases - Customer alias settings
+ * @returns {string} Key of PAYMENT_TERMS
+ */
+export const getInvoiceTerm = (invoice, settings = DEFAULT_PAYMENT_TERMS_SETTINGS, customerAliases = DEFAULT_CUSTOMER_ALIAS_SETTINGS) => {
+  const term = getCustomerTerm(invoice.customerName, settings, customerAliases) || settings.defaultTerm;
+  return PAYMENT_TERMS[term] ? term : DEFAULT_PAYMENT_TERMS_SETTINGS.defaultTerm;
+};
+
+/**
+ * Get the date an invoice's payment is due
+ * @param {object} invoice - Invoice record
+ * @param {object} settings - Payment terms settings
+ * @param {object} customerAliases - Customer alias settings
+ * @returns {string|null} YYYY-MM-DD, or null when the invoice has no usable date
+ */
+export const getInvoiceDueDate = (invoice, settings = DEFAULT_PAYMENT_TERMS_SETTINGS, customerAliases = DEFAULT_CUSTOMER_ALIAS_SETTINGS) => {
+  // The API sends `sentAt`; the legacy list format used `sent_at`
+  const sentAt = invoice.sentAt || invoice.sent_at;
+  const from = (settings.dueDateBasis === 'sentDate' && sentAt) || invoice.invoiceDate;
+  if (!from) return null;
+  const date = new Date(`${String(from).slice(0, 10)}T00:00:00`);
+  if (Number.isNaN(date.getTime())) return null;
+  date.setDate(date.getDate() + PAYMENT_TERMS[getInvoiceTerm(invoice, settings, customerAliases)].days);
+  return toDateKey(date);
+};
+
+/**
+ * Whole days an invoice is past due (0 on the due date, negative before it)
+ * @param {string} dueDate - YYYY-MM-DD
+ * @param {Date} now - Reference date
+ * @returns {number} Days past due
+ */
+export const getDaysPastDue = (dueDate, now = new Date()) => {
+  return Math.round((new Date(`${toDateKey(now)}T00:00:00`) - new Date(`${dueDate}T00:00:00`)) / DAY_MS);
+};
+
+// "3 days", "2 months", "1 year"
+const formatDayCount = (days) => {
+  if (days < 30) return `${days} day${days > 1 ? 's' : ''}`;
+  if (days < 365) {
+    const months = Math.floor(days / 30);
+    return `${months} month${months > 1 ? 's' : ''}`;
+  }
+  const years = Math.floor(days / 365);
+  return `${years} year${years > 1 ? 's' : ''}`;
+};
+
+/**
+ * Describe an invoice's payment status for the payment badge
+ * @param {object} invoice - Invoice record
+ * @param {object} settings - Payment terms settings
+ * @param {object} customerAliases - Customer alias settings
+ * @param {Date} now - Reference date
+ * @returns {object} { status, color, term, dueDate, daysPastDue } (dueDate and daysPastDue null when paid or undated)
+ */
+export const getPaymentStatus = (invoice, settings = DEFAULT_PAYMENT_TERMS_SETTINGS, customerAliases = DEFAULT_CUSTOMER_ALIAS_SETTINGS, now = new Date()) => {
+  const paid = parseFloat(invoice.paid || 0);
+  const unpaid = parseFloat(invoice.unpaid || 0);
+  const term = getInvoiceTerm(invoice, settings, customerAliases);
+  const result = { term, dueDate: null, daysPastDue: null };
+
+  if (unpaid === 0) {
+    return { ...result, status: 'Paid', color: STATUS_COLORS.paid };
+  }
+
+  const dueDate = getInvoiceDueDate(invoice, settings, customerAliases);
+  const partial = paid > 0;
+  if (!dueDate) {
+    return partial
+      ? { ...result, status: 'Partially Paid', color: STATUS_COLORS.partial }
+      : { ...result, status: 'Not Paid', color: STATUS_COLORS.overdue };
+  }
+
+  const daysPastDue = getDaysPastDue(dueDate, now);
+  const dated = { ...result, dueDate, daysPastDue };
+
+  // Part payments keep their own badge until the balance is overdue
+  if (daysPastDue > 0) {
+    return { ...dated, status: `Overdue ${formatDayCount(daysPastDue)}`, color: STATUS_COLORS.overdue };
+  }
+  if (partial) {
+    return { ...dated, status: 'Partially Paid', color: STATUS_COLORS.partial };
+  }
+  if (daysPastDue === 0) {
+    return { ...dated, status: 'Due today', color: STATUS_COLORS.overdue };
+  }
+  return { ...dated, status: `Due in ${formatDayCount(-daysPastDue)}`, color: STATUS_COLORS.due };
+};
+
+/**
+ * Describe the term and due date behind a payment status, e.g. "Net 30 • due 2026-05-01"
+ * @param {object} paymentStatus - Result of getPaymentStatus
+ * @returns {string} Description
+ */
+export const describePaymentTerms = (paymentStatus) => {
+  const label = PAYMENT_TERMS[paymentStatus.term].label;
+  return paymentStatus.dueDate ? `${label} • due ${paymentStatus.dueDate}` : label;
+};
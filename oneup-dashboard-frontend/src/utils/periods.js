@@ -0,0 +1,339 @@
+import { getInvoiceDateValue } from './invoices';
+
+// ✅ Shared period engine: turns a period selection into an inclusive date range.
+// A selection is { period, year, month, quarter, week, from, to } (the fields the
+// period uses); a resolved period is { key, label, start, end } with local YYYY-MM-DD
+// bounds, null when open-ended.
+// Quarters and years follow the fiscal year (Settings → Display Settings). A fiscal year that does
+// not start in January is named after the calendar year it ends in: with a July start,
+// FY2026 runs from 2025-07-01 to 2026-06-30. ISO weeks run Monday to Sunday.
+
+const PERIOD_SETTINGS_KEY = 'periodSettings';
+const DAY_MS = 86400000;
+
+export const DEFAULT_PERIOD_SETTINGS = {
+  fiscalYearStartMonth: 1 // 1 = January (calendar year)
+};
+
+export const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Presets in picker order; `fields` are the selection fields a preset uses
+export const PERIOD_PRESETS = {
+  all: { label: 'All Time', group: 'To date', fields: [] },
+  daily: { label: 'Today', group: 'To date', fields: [] },
+  wtd: { label: 'Week to Date', group: 'To date', fields: [] },
+  mtd: { label: 'Month to Date', group: 'To date', fields: [] },
+  ytd: { label: 'Year to Date', group: 'To date', fields: [] },
+  last7days: { label: 'Last 7 Days', group: 'Rolling', fields: [], days: 7 },
+  last30days: { label: 'Last 30 Days', group: 'Rolling', fields: [], days: 30 },
+  last90days: { label: 'Last 90 Days', group: 'Rolling', fields: [], days: 90 },
+  ttm: { label: 'Trailing 12 Months', group: 'Rolling', fields: [] },
+  week: { label: 'Week', group: 'Calendar', fields: ['year', 'week'] },
+  monthly: { label: 'Month', group: 'Calendar', fields: ['year', 'month'] },
+  quarterly: { label: 'Quarter', group: 'Calendar', fields: ['year', 'quarter'] },
+  yearly: { label: 'Year', group: 'Calendar', fields: ['year'] },
+  custom: { label: 'Custom Range', group: 'Custom', fields: ['from', 'to'] }
+};
+
+/**
+ * Load period settings (fiscal year start)
+ * @returns {object} Period settings
+ */
+export const getPeriodSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PERIOD_SETTINGS_KEY) || 'null');
+    return { ...DEFAULT_PERIOD_SETTINGS, ...saved };
+  } catch (error) {
+    console.warn('Failed to read period settings, using defaults:', error);
+    return DEFAULT_PERIOD_SETTINGS;
+  }
+};
+
+/**
+ * Persist period settings and notify open pages
+ * @param {object} settings - Period settings
+ */
+export const savePeriodSettings = (settings) => {
+  localStorage.setItem(PERIOD_SETTINGS_KEY, JSON.stringify(settings));
+  window.dispatchEvent(new Event('periodsettingschange'));
+};
+
+/**
+ * Format a date as a local YYYY-MM-DD key
+ * @param {Date} date - Date to format
+ * @returns {string} Date key
+ */
+export const toDateKey = (date) => {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Get the ISO week of a date
+ * @param {Date} date - Date
+ * @returns {object} { year, week } where year is the ISO week-numbering year
+ */
+export const getIsoWeek = (date) => {
+  const thursday = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  thursday.setUTCDate(thursday.getUTCDate() + 4 - (thursday.getUTCDay() || 7));
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  return { year: thursday.getUTCFullYear(), week: Math.ceil(((thursday - yearStart) / DAY_MS + 1) / 7) };
+};
+
+/**
+ * Get the Monday an ISO week starts on
+ * @param {number} year - ISO week-numbering year
+ * @param {number} week - ISO week (1-53)
+ * @returns {Date} Local date of the Monday
+ */
+export const getIsoWeekStart = (year, week) => {
+  const jan4 = new Date(year, 0, 4);
+  const mondayOfWeek1 = new Date(year, 0, 4 - ((jan4.getDay() + 6) % 7));
+  return new Date(mondayOfWeek1.getFullYear(), mondayOfWeek1.getMonth(), mondayOfWeek1.getDate() + (week - 1) * 7);
+};
+
+/**
+ * Number of ISO weeks in a year (52 or 53)
+ * @param {number} year - ISO week-numbering year
+ * @returns {number} Weeks
+ */
+export const getIsoWeeksInYear = (year) => getIsoWeek(new Date(year, 11, 28)).week;
+
+/**
+ * Get the fiscal year a date falls in
+ * @param {Date} date - Date
+ * @param {number} startMonth - Fiscal year start month (1-12)
+ * @returns {number} Fiscal year (named after the calendar year it ends in)
+ */
+export const getFiscalYear = (date, startMonth = 1) => {
+  if (startMonth === 1) return date.getFullYear();
+  return date.getMonth() + 1 >= startMonth ? date.getFullYear() + 1 : date.getFullYear();
+};
+
+/**
+ * Get the first day of a fiscal year
+ * @param {number} fiscalYear - Fiscal year
+ * @param {number} startMonth - Fiscal year start month (1-12)
+ * @returns {Date} Local start date
+ */
+export const getFiscalYearStart = (fiscalYear, startMonth = 1) => {
+  return startMonth === 1 ? new Date(fiscalYear, 0, 1) : new Date(fiscalYear - 1, startMonth - 1, 1);
+};
+
+/**
+ * Get the fiscal quarter a date falls in
+ * @param {Date} date - Date
+ * @param {number} startMonth - Fiscal year start month (1-12)
+ * @returns {number} Quarter (1-4)
+ */
+export const getFiscalQuarter = (date, startMonth = 1) => {
+  const monthsIntoYear = (date.getMonth() + 1 - startMonth + 12) % 12;
+  return Math.floor(monthsIntoYear / 3) + 1;
+};
+
+/**
+ * Describe the months of a fiscal quarter, e.g. "Jan-Mar"
+ * @param {number} quarter - Quarter (1-4)
+ * @param {number} startMonth - Fiscal year start month (1-12)
+ * @returns {string} Month span
+ */
+export const getQuarterMonths = (quarter, startMonth = 1) => {
+  const first = (startMonth - 1 + (quarter - 1) * 3) % 12;
+  return `${MONTH_NAMES[first].slice(0, 3)}-${MONTH_NAMES[(first + 2) % 12].slice(0, 3)}`;
+};
+
+/**
+ * Format a year for display: "2026", or "FY2026" when the fiscal year is not the calendar year
+ * @param {number} year - Year
+ * @param {number} startMonth - Fiscal year start month (1-12)
+ * @returns {string} Year label
+ */
+export const formatFiscalYear = (year, startMonth = 1) => (startMonth === 1 ? `${year}` : `FY${year}`);
+
+/**
+ * The selection fields that make a preset cover the period containing today
+ * @param {string} period - Key of PERIOD_PRESETS
+ * @param {object} options - { now, fiscalYearStartMonth }
+ * @returns {object} { year, month, quarter, week } as relevant to the preset
+ */
+export const getCurrentSelection = (period, { now = new Date(), fiscalYearStartMonth = 1 } = {}) => {
+  switch (period) {
+    case 'week':
+      return getIsoWeek(now);
+    case 'monthly':
+      return { year: now.getFullYear(), month: now.getMonth() + 1 };
+    case 'quarterly':
+      return { year: getFiscalYear(now, fiscalYearStartMonth), quarter: getFiscalQuarter(now, fiscalYearStartMonth) };
+    case 'yearly':
+      return { year: getFiscalYear(now, fiscalYearStartMonth) };
+    default:
+      return {};
+  }
+};
+
+/**
+ * Resolve a period selection into an inclusive date range
+ * @param {object} selection - { period, year, month, quarter, week, from, to }
+ * @param {object} options - { now, fiscalYearStartMonth }
+ * @returns {object} { key, label, start, end }
+ */
+export const resolvePeriod = (selection, { now = new Date(), fiscalYearStartMonth = 1 } = {}) => {
+  const key = PERIOD_PRESETS[selection.period] ? selection.period : 'all';
+  const preset = PERIOD_PRESETS[key];
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const fiscal = fiscalYearStartMonth !== 1;
+  const range = (label, start, end) => ({ key, label, start: toDateKey(start), end: toDateKey(end) });
+
+  switch (key) {
+    case 'daily':
+      return range(preset.label, today, today);
+    case 'wtd':
+      return range(preset.label, getIsoWeekStart(getIsoWeek(today).year, getIsoWeek(today).week), today);
+    case 'mtd':
+      return range(preset.label, new Date(today.getFullYear(), today.getMonth(), 1), today);
+    case 'ytd':
+      return range(
+        fiscal ? 'Fiscal Year to Date' : preset.label,
+        getFiscalYearStart(getFiscalYear(today, fiscalYearStartMonth), fiscalYearStartMonth),
+        today
+      );
+    case 'last7days':
+    case 'last30days':
+    case 'last90days':
+      return range(preset.label, new Date(today.getFullYear(), today.getMonth(), today.getDate() - (preset.days - 1)), today);
+    case 'ttm':
+      return range(preset.label, new Date(today.getFullYear(), today.getMonth() - 12, today.getDate() + 1), today);
+    case 'week': {
+      const start = getIsoWeekStart(selection.year, selection.week);
+      return range(`Week ${selection.week}, ${selection.year}`, start, new Date(start.getFullYear(), start.getMonth(), start.getDate() + 6));
+    }
+    case 'monthly':
+      return range(
+        `${MONTH_NAMES[selection.month - 1]} ${selection.year}`,
+        new Date(selection.year, selection.month - 1, 1),
+        new Date(selection.year, selection.month, 0)
+      );
+    case 'quarterly': {
+      const yearStart = getFiscalYearStart(selection.year, fiscalYearStartMonth);
+      const start = new Date(yearStart.getFullYear(), yearStart.getMonth() + (selection.quarter - 1) * 3, 1);
+      return range(
+        fiscal ? `Q${selection.quarter} FY${selection.year}` : `Q${selection.quarter} ${selection.year}`,
+        start,
+        new Date(start.getFullYear(), start.getMonth() + 3, 0)
+      );
+    }
+    case 'yearly': {
+      const start = getFiscalYearStart(selection.year, fiscalYearStartMonth);
+      return range(
+        fiscal ? `FY${selection.year}` : `Year ${selection.year}`,
+        start,
+        new Date(start.getFullYear() + 1, start.getMonth(), 0)
+      );
+    }
+    case 'custom': {
+      const start = selection.from || null;
+      const end = selection.to || null;
+      const label = start && end ? `${start} to ${end}` : start ? `From ${start}` : end ? `Until ${end}` : 'All Time';
+      return { key, label, start, end };
+    }
+    default:
+      return { key, label: preset.label, start: null, end: null };
+  }
+};
+
+// Comparison modes for period-over-period and year-over-year views
+export const COMPARISON_MODES = {
+  none: 'No Comparison',
+  previous: 'Previous Period',
+  lastYear: 'Same Period Last Year'
+};
+
+const parseDateKey = (key) => new Date(`${key}T00:00:00`);
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+const isMonthEnd = (date) => addDays(date, 1).getDate() === 1;
+
+// Move a date by whole months, keeping month ends on month ends and clamping the day
+// (Mar 31 minus one month is Feb 28/29)
+const addMonthsClamped = (date, months, keepMonthEnd) => {
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + months + 1, 0);
+  if (keepMonthEnd) return lastDay;
+  return new Date(lastDay.getFullYear(), lastDay.getMonth(), Math.min(date.getDate(), lastDay.getDate()));
+};
+
+/**
+ * Get the period to compare a bounded period against
+ * "previous" is the period of the same length right before it: whole months for periods
+ * starting on the 1st (so March compares with February, MTD with the same days of last
+ * month), otherwise the same number of days. "lastYear" moves the period back a year;
+ * weeks move back 52 weeks so weekdays line up.
+ * @param {object} period - Period from resolvePeriod
+ * @param {string} mode - Key of COMPARISON_MODES
+ * @returns {object|null} { key, label, start, end }, or null when there is nothing to compare
+ */
+export const getComparisonPeriod = (period, mode) => {
+  if (!period?.start || !period?.end || !['previous', 'lastYear'].includes(mode)) return null;
+
+  const start = parseDateKey(period.start);
+  const end = parseDateKey(period.end);
+  const endsOnMonthEnd = isMonthEnd(end);
+  let comparisonStart;
+  let comparisonEnd;
+
+  if (mode === 'lastYear') {
+    if (period.key === 'week' || period.key === 'wtd') {
+      comparisonStart = addDays(start, -364);
+      comparisonEnd = addDays(end, -364);
+    } else {
+      comparisonStart = addMonthsClamped(start, -12, false);
+      comparisonEnd = addMonthsClamped(end, -12, endsOnMonthEnd);
+    }
+  } else if (start.getDate() === 1) {
+    const months = (end.getFullYear() - start.getFullYear()) * 12 + end.getMonth() - start.getMonth() + 1;
+    comparisonStart = addMonthsClamped(start, -months, false);
+    comparisonEnd = addMonthsClamped(end, -months, endsOnMonthEnd);
+  } else {
+    const days = Math.round((end - start) / DAY_MS) + 1;
+    comparisonEnd = addDays(start, -1);
+    comparisonStart = addDays(comparisonEnd, -(days - 1));
+  }
+
+  return {
+    key: mode,
+    label: COMPARISON_MODES[mode],
+    start: toDateKey(comparisonStart),
+    end: toDateKey(comparisonEnd)
+  };
+};
+
+/**
+ * Check that a period is usable (custom ranges must not end before they start)
+ * @param {object} period - Period from resolvePeriod
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validatePeriod = (period) => {
+  if (period.start && period.end && period.start > period.end) {
+    return 'The start date must be on or before the end date.';
+  }
+  return null;
+};
+
+/**
+ * Keep the invoices whose date (by the chosen basis) falls inside the period
+ * Invoices without that date are only kept when the period is open-ended on both sides.
+ * @param {Array} invoices - Invoice records
+ * @param {object} period - Period from resolvePeriod
+ * @param {string} dateBasis - 'invoiceDate' or 'creationDate'
+ * @returns {Array} Invoices in the period
+ */
+export const filterInvoicesByPeriod = (invoices, period, dateBasis = 'invoiceDate') => {
+  if (!period.start && !period.end) return invoices;
+
+  return invoices.filter(inv => {
+    const value = getInvoiceDateValue(inv, dateBasis);
+    if (!value) return false;
+    const dateKey = String(value).slice(0, 10);
+    return (!period.start || dateKey >= period.start) && (!period.end || dateKey <= period.end);
+  });
+};
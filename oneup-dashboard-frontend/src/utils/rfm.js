@@ -0,0 +1,136 @@
+import { convertInvoiceAmount } from './currency';
+import { DEFAULT_CUSTOMER_ALIAS_SETTINGS, createCustomerResolver } from './customerIdentity';
+import { isCancelledInvoice } from './invoices';
+import { toDateKey } from './periods';
+
+// ✅ RFM segmentation: every customer scored 1–5 on Recency (days since the last order),
+// Frequency (number of orders) and Monetary value (spend in the reporting currency),
+// then placed in a segment from those scores.
+// Scores are relative: a customer's score is the quintile they fall in among all customers,
+// so they adapt to the size and age of the invoice history. Cancelled invoices are ignored
+// and customers are grouped by resolved identity (utils/customerIdentity.js).
+// Pure (no DOM, no storage) so it can run in the aggregation worker.
+
+const DAY_MS = 86400000;
+const SCORE_LEVELS = 5;
+
+// Segments in display order; a customer gets the first whose rule matches their scores
+// (r = recency, f = frequency, m = monetary, 5 = best)
+export const RFM_SEGMENTS = [
+  { key: 'champions', label: 'Champions', description: 'Bought recently, buy often and spend the most' },
+  { key: 'loyal', label: 'Loyal', description: 'Buy often and still active' },
+  { key: 'potentialLoyalists', label: 'Potential Loyalists', description: 'Recent customers with a few orders' },
+  { key: 'newCustomers', label: 'New Customers', description: 'First order was recent' },
+  { key: 'needsAttention', label: 'Needs Attention', description: 'Average recency and order count' },
+  { key: 'cannotLose', label: "Can't Lose Them", description: 'Used to buy often and spend a lot, not seen for a long time' },
+  { key: 'atRisk', label: 'At Risk', description: 'Used to buy often, not seen for a while' },
+  { key: 'hibernating', label: 'Hibernating', description: 'Few orders, long ago' },
+  { key: 'lost', label: 'Lost', description: 'Few orders, longest ago' }
+];
+
+const SEGMENT_RULES = {
+  champions: ({ r, f, m }) => r >= 4 && f >= 4 && m >= 4,
+  loyal: ({ r, f }) => r >= 3 && f >= 4,
+  potentialLoyalists: ({ r, f }) => r >= 4 && f >= 2,
+  newCustomers: ({ r }) => r >= 4,
+  needsAttention: ({ r }) => r === 3,
+  cannotLose: ({ r, f, m }) => r === 1 && f >= 4 && m >= 4,
+  atRisk: ({ f }) => f >= 3,
+  hibernating: ({ r }) => r === 2,
+  lost: () => true
+};
+
+/**
+ * Find the segment for a set of RFM scores
+ * @param {object} scores - { recency, frequency, monetary }, each 1–5
+ * @returns {object} Entry of RFM_SEGMENTS
+ */
+export const getRfmSegment = ({ recency, frequency, monetary }) => {
+  const scores = { r: recency, f: frequency, m: monetary };
+  return RFM_SEGMENTS.find(segment => SEGMENT_RULES[segment.key](scores));
+};
+
+/**
+ * Score values 1–5 by quintile, higher values scoring higher
+ * Equal values share a score (their mid-rank is used), so a long tail of one-order
+ * customers is not split arbitrarily across quintiles.
+ * @param {Array<number>} values - Values to score
+ * @returns {Array<number>} Scores, in the order of `values`
+ */
+export const scoreByQuintile = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const scores = new Map();
+  let start = 0;
+  while (start < sorted.length) {
+    let end = start;
+    while (end + 1 < sorted.length && sorted[end + 1] === sorted[start]) end += 1;
+    const midRank = (start + end + 1) / 2 / sorted.length;
+    scores.set(sorted[start], Math.min(SCORE_LEVELS, Math.max(1, Math.ceil(midRank * SCORE_LEVELS))));
+    start = end + 1;
+  }
+  return values.map(value => scores.get(value));
+};
+
+/**
+ * Score and segment every customer
+ * @param {object} payload - { invoices, customerAliases, reportingCurrency, rateTable, now }
+ * @returns {object} { asOf, reportingCurrency, customers, segments } where customers are
+ *   { id, name, firstOrder, lastOrder, recencyDays, frequency, monetary, unconvertedCount, scores, rfm, segment }
+ *   sorted by RFM score, and segments are RFM_SEGMENTS with { customerCount, monetary, share }
+ */
+export const buildRfmSegments = ({ invoices, customerAliases = DEFAULT_CUSTOMER_ALIAS_SETTINGS, reportingCurrency, rateTable, now = new Date() }) => {
+  const resolver = createCustomerResolver(invoices, customerAliases);
+  const today = toDateKey(now);
+  const customers = {};
+
+  invoices.forEach(inv => {
+    if (isCancelledInvoice(inv)) return;
+    const id = resolver.getId(inv);
+    const date = inv.invoiceDate ? String(inv.invoiceDate).slice(0, 10) : null;
+    const converted = convertInvoiceAmount(inv, reportingCurrency, rateTable);
+
+    customers[id] = customers[id] || { id, name: resolver.getName(id), firstOrder: null, lastOrder: null, frequency: 0, monetary: 0, unconvertedCount: 0 };
+    const customer = customers[id];
+    customer.frequency += 1;
+    if (converted === null) customer.unconvertedCount += 1;
+    else customer.monetary += converted;
+    if (date && (!customer.firstOrder || date < customer.firstOrder)) customer.firstOrder = date;
+    if (date && (!customer.lastOrder || date > customer.lastOrder)) customer.lastOrder = date;
+  });
+
+  const list = Object.values(customers);
+  list.forEach(customer => {
+    customer.recencyDays = customer.lastOrder
+      ? Math.max(0, Math.round((new Date(`${today}T00:00:00`) - new Date(`${customer.lastOrder}T00:00:00`)) / DAY_MS))
+      : null;
+  });
+
+  // Fewer days since the last order is better; customers without a dated order score lowest
+  const recencyScores = scoreByQuintile(list.map(customer => (customer.recencyDays === null ? -Infinity : -customer.recencyDays)));
+  const frequencyScores = scoreByQuintile(list.map(customer => customer.frequency));
+  const monetaryScores = scoreByQuintile(list.map(customer => customer.monetary));
+
+  const scored = list.map((customer, index) => {
+    const scores = { recency: recencyScores[index], frequency: frequencyScores[index], monetary: monetaryScores[index] };
+    return {
+      ...customer,
+      scores,
+      rfm: `${scores.recency}${scores.frequency}${scores.monetary}`,
+      segment: getRfmSegment(scores).key
+    };
+  }).sort((a, b) => b.rfm.localeCompare(a.rfm) || b.monetary - a.monetary);
+
+  const totalMonetary = scored.reduce((sum, customer) => sum + customer.monetary, 0);
+  const segments = RFM_SEGMENTS.map(segment => {
+    const members = scored.filter(customer => customer.segment === segment.key);
+    const monetary = members.reduce((sum, customer) => sum + customer.monetary, 0);
+    return {
+      ...segment,
+      customerCount: members.length,
+      monetary,
+      share: totalMonetary > 0 ? monetary / totalMonetary : 0
+    };
+  });
+
+  return { asOf: today, reportingCurrency, customers: scored, segments };
+};
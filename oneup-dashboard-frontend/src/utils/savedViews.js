@@ -0,0 +1,188 @@
+import { getFilterSpecs, parseFilters, serializeFilters } from './filters';
+
+// ✅ Saved views: named snapshots of the Dashboard filters, sort, visible columns and view mode.
+// Stored as { views: [...], defaults: { [userKey]: viewId } } where
+//   view = { id, name, filters: { currency, period, year, ..., hiddenColumns }, createdAt, updatedAt }
+// A user's default view opens when the Dashboard is visited without filters in the URL.
+
+const SAVED_VIEWS_KEY = 'savedViews';
+const EXPORT_TYPE = 'oneup-saved-views';
+const EXPORT_VERSION = 1;
+
+// Filter fields a view captures (paging is left out on purpose)
+export const SAVED_VIEW_FIELDS = ['currency', 'period', 'year', 'month', 'quarter', 'week', 'from', 'to', 'basis', 'search', 'view', 'hiddenColumns'];
+
+const VIEW_SPECS = getFilterSpecs(SAVED_VIEW_FIELDS);
+
+const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Key that default views are stored under for a signed-in user
+ * @param {object|null} user - User from useAuth
+ * @returns {string} User key
+ */
+export const getViewUserKey = (user) => String(user?.id || user?.email || 'anonymous');
+
+/**
+ * Load stored views and per-user defaults
+ * @returns {object} { views, defaults }
+ */
+export const getSavedViews = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SAVED_VIEWS_KEY) || 'null');
+    return {
+      views: Array.isArray(saved?.views) ? saved.views : [],
+      defaults: saved?.defaults && typeof saved.defaults === 'object' ? saved.defaults : {}
+    };
+  } catch (error) {
+    console.warn('Failed to read saved views:', error);
+    return { views: [], defaults: {} };
+  }
+};
+
+/**
+ * Persist views and notify open pages
+ * @param {object} data - { views, defaults }
+ */
+export const saveSavedViews = (data) => {
+  localStorage.setItem(SAVED_VIEWS_KEY, JSON.stringify(data));
+  window.dispatchEvent(new Event('savedviewschange'));
+};
+
+/**
+ * Keep only the fields a view captures, read back through the filter model
+ * so unknown or invalid values fall back to their defaults
+ * @param {object} filters - Dashboard filters
+ * @returns {object} View filters
+ */
+export const toViewFilters = (filters) => parseFilters(serializeFilters(filters, VIEW_SPECS), VIEW_SPECS);
+
+/**
+ * Query string that opens a view on the Dashboard
+ * @param {object} view - Saved view
+ * @returns {string} Query string with the leading "?" (empty for the unfiltered Dashboard)
+ */
+export const getViewSearch = (view) => {
+  const query = serializeFilters(view.filters, VIEW_SPECS).toString();
+  return query ? `?${query}` : '';
+};
+
+/**
+ * Find the saved view matching a set of Dashboard filters
+ * @param {Array} views - Stored views
+ * @param {object} filters - Dashboard filters
+ * @returns {object|undefined} Matching view
+ */
+export const findMatchingView = (views, filters) => {
+  const query = serializeFilters(filters, VIEW_SPECS).toString();
+  return views.find(view => serializeFilters(view.filters, VIEW_SPECS).toString() === query);
+};
+
+/**
+ * Save the current filters as a new view
+ * @param {object} data - { views, defaults }
+ * @param {string} name - View name
+ * @param {object} filters - Dashboard filters
+ * @returns {object} { data, view }
+ */
+export const addView = (data, name, filters) => {
+  const now = new Date().toISOString();
+  const view = { id: createId(), name: name.trim(), filters: toViewFilters(filters), createdAt: now, updatedAt: now };
+  return { data: { ...data, views: [...data.views, view] }, view };
+};
+
+/**
+ * Update a view's name and/or filters
+ * @param {object} data - { views, defaults }
+ * @param {string} viewId - View id
+ * @param {object} changes - { name?, filters? }
+ * @returns {object} Updated { views, defaults }
+ */
+export const updateView = (data, viewId, changes) => ({
+  ...data,
+  views: data.views.map(view => (view.id !== viewId ? view : {
+    ...view,
+    ...(changes.name !== undefined && { name: changes.name.trim() }),
+    ...(changes.filters && { filters: toViewFilters(changes.filters) }),
+    updatedAt: new Date().toISOString()
+  }))
+});
+
+/**
+ * Delete a view (and clear it as anyone's default)
+ * @param {object} data - { views, defaults }
+ * @param {string} viewId - View id
+ * @returns {object} Updated { views, defaults }
+ */
+export const removeView = (data, viewId) => ({
+  views: data.views.filter(view => view.id !== viewId),
+  defaults: Object.fromEntries(Object.entries(data.defaults).filter(([, id]) => id !== viewId))
+});
+
+/**
+ * Set or clear a user's default view
+ * @param {object} data - { views, defaults }
+ * @param {string} userKey - Key from getViewUserKey
+ * @param {string|null} viewId - View id, or null to open the unfiltered Dashboard
+ * @returns {object} Updated { views, defaults }
+ */
+export const setDefaultView = (data, userKey, viewId) => {
+  const defaults = { ...data.defaults };
+  if (viewId) defaults[userKey] = viewId;
+  else delete defaults[userKey];
+  return { ...data, defaults };
+};
+
+/**
+ * Get a user's default view
+ * @param {object} data - { views, defaults }
+ * @param {string} userKey - Key from getViewUserKey
+ * @returns {object|undefined} Default view
+ */
+export const getDefaultView = (data, userKey) => data.views.find(view => view.id === data.defaults[userKey]);
+
+/**
+ * Download views as a JSON file (same approach as the Settings export)
+ * @param {Array} views - Views to export
+ */
+export const exportSavedViews = (views) => {
+  const dataStr = JSON.stringify({ type: EXPORT_TYPE, version: EXPORT_VERSION, exportedAt: new Date().toISOString(), views }, null, 2);
+  const dataUri = 'data:application/json;charset=utf-8,' + encodeURIComponent(dataStr);
+
+  const linkElement = document.createElement('a');
+  linkElement.setAttribute('href', dataUri);
+  linkElement.setAttribute('download', 'dashboard-views.json');
+  linkElement.click();
+};
+
+/**
+ * Merge views from an exported file; a view with the same id replaces the stored one
+ * @param {object} data - { views, defaults }
+ * @param {object|Array} imported - Parsed export file (or a bare array of views)
+ * @returns {object} { data, imported } where imported is the number of views read
+ */
+export const importSavedViews = (data, imported) => {
+  const incoming = Array.isArray(imported) ? imported : imported?.views;
+  if (!Array.isArray(incoming)) throw new Error('No views found in the file');
+
+  const views = [...data.views];
+  let count = 0;
+  incoming.forEach(view => {
+    if (typeof view?.name !== 'string' || !view.name.trim() || typeof view.filters !== 'object' || !view.filters) return;
+    const now = new Date().toISOString();
+    const cleaned = {
+      id: typeof view.id === 'string' && view.id ? view.id : createId(),
+      name: view.name.trim(),
+      filters: toViewFilters(view.filters),
+      createdAt: view.createdAt || now,
+      updatedAt: view.updatedAt || now
+    };
+    const existing = views.findIndex(v => v.id === cleaned.id);
+    if (existing >= 0) views[existing] = cleaned;
+    else views.push(cleaned);
+    count++;
+  });
+
+  console.log(`📁 Imported ${count} saved views`);
+  return { data: { ...data, views }, imported: count };
+};
@@ -0,0 +1,245 @@
+import { convertAmount, convertInvoiceAmount } from './currency';
+import { isCancelledInvoice } from './invoices';
+import { formatFiscalYear, getCurrentSelection, resolvePeriod } from './periods';
+
+// ✅ Sales targets: revenue quotas per salesperson (keyed by employeeId) or per team.
+// Stored as { targets: [...], teams: [...] } where
+//   target = { id, scope: 'salesperson' | 'team', ownerId, ownerName, periodType, amount, currency }
+//   team   = { id, name, memberIds: [employeeId] }
+// Each owner has at most one quota, which applies to every period of its type.
+// Progress is measured by invoice date against the current period; quarters and years
+// follow the fiscal year (see utils/periods.js).
+
+const TARGETS_KEY = 'salesTargets';
+
+export const TARGET_PERIOD_TYPES = {
+  monthly: 'Monthly',
+  quarterly: 'Quarterly',
+  yearly: 'Yearly'
+};
+
+// Calendar months in each quota period, used to spread a quota evenly per month
+export const TARGET_PERIOD_MONTHS = {
+  monthly: 1,
+  quarterly: 3,
+  yearly: 12
+};
+
+export const TARGET_STATUS_LABELS = {
+  'on-track': 'On track',
+  'at-risk': 'At risk',
+  behind: 'Behind'
+};
+
+// Projected attainment below 100% but at least this much is "at risk" rather than "behind"
+const AT_RISK_THRESHOLD = 0.85;
+
+const DAY_MS = 86400000;
+
+const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Load stored targets and teams
+ * @returns {object} { targets, teams }
+ */
+export const getSalesTargets = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(TARGETS_KEY) || 'null');
+    return {
+      targets: Array.isArray(saved?.targets) ? saved.targets : [],
+      teams: Array.isArray(saved?.teams) ? saved.teams : []
+    };
+  } catch (error) {
+    console.warn('Failed to read sales targets:', error);
+    return { targets: [], teams: [] };
+  }
+};
+
+/**
+ * Persist targets and teams and notify open pages
+ * @param {object} data - { targets, teams }
+ */
+export const saveSalesTargets = (data) => {
+  localStorage.setItem(TARGETS_KEY, JSON.stringify(data));
+  window.dispatchEvent(new Event('salestargetschange'));
+};
+
+/**
+ * Find the quota for a salesperson or team
+ * @param {Array} targets - Stored targets
+ * @param {string} scope - 'salesperson' or 'team'
+ * @param {string|number} ownerId - employeeId or team id
+ * @returns {object|undefined} Target
+ */
+export const findTarget = (targets, scope, ownerId) => {
+  return targets.find(target => target.scope === scope && String(target.ownerId) === String(ownerId));
+};
+
+/**
+ * Set (or replace) the quota for an owner
+ * @param {object} data - { targets, teams }
+ * @param {object} target - { scope, ownerId, ownerName, periodType, amount, currency }
+ * @returns {object} Updated { targets, teams }
+ */
+export const setTarget = (data, target) => {
+  const existing = findTarget(data.targets, target.scope, target.ownerId);
+  const next = { ...existing, ...target, id: existing?.id || createId(), ownerId: String(target.ownerId) };
+  return {
+    ...data,
+    targets: existing
+      ? data.targets.map(t => (t === existing ? next : t))
+      : [...data.targets, next]
+  };
+};
+
+/**
+ * Remove the quota for an owner
+ * @param {object} data - { targets, teams }
+ * @param {string} scope - 'salesperson' or 'team'
+ * @param {string|number} ownerId - employeeId or team id
+ * @returns {object} Updated { targets, teams }
+ */
+export const removeTarget = (data, scope, ownerId) => ({
+  ...data,
+  targets: data.targets.filter(target => !(target.scope === scope && String(target.ownerId) === String(ownerId)))
+});
+
+/**
+ * Get a quota spread evenly per month, in the reporting currency
+ * @param {object} target - Stored target
+ * @param {string} reportingCurrency - Currency to convert into
+ * @param {object} rateTable - Rate table from useExchangeRates
+ * @returns {number|null} Monthly amount, or null when it cannot be converted
+ */
+export const getMonthlyTargetAmount = (target, reportingCurrency, rateTable) => {
+  const monthlyAmount = target.amount / (TARGET_PERIOD_MONTHS[target.periodType] || 1);
+  return convertAmount(monthlyAmount, target.currency || reportingCurrency, reportingCurrency, rateTable);
+};
+
+/**
+ * Add a team or update an existing one (matched by id)
+ * @param {object} data - { targets, teams }
+ * @param {object} team - { id?, name, memberIds }
+ * @returns {object} Updated { targets, teams }
+ */
+export const saveTeam = (data, team) => {
+  if (!team.id) {
+    return { ...data, teams: [...data.teams, { ...team, id: createId(), memberIds: team.memberIds || [] }] };
+  }
+  return {
+    ...data,
+    teams: data.teams.map(t => (t.id === team.id ? { ...t, ...team } : t)),
+    // Keep the team quota's display name in step with the team
+    targets: data.targets.map(t => (t.scope === 'team' && t.ownerId === team.id && team.name ? { ...t, ownerName: team.name } : t))
+  };
+};
+
+/**
+ * Remove a team and its quota
+ * @param {object} data - { targets, teams }
+ * @param {string} teamId - Team id
+ * @returns {object} Updated { targets, teams }
+ */
+export const removeTeam = (data, teamId) => ({
+  teams: data.teams.filter(team => team.id !== teamId),
+  targets: data.targets.filter(target => !(target.scope === 'team' && target.ownerId === teamId))
+});
+
+/**
+ * Get the current period for a quota type
+ * @param {string} periodType - Key of TARGET_PERIOD_TYPES
+ * @param {Date} now - Reference date
+ * @param {number} fiscalYearStartMonth - Fiscal year start month (1-12)
+ * @returns {object} { periodType, label, start, end, totalDays, elapsedDays }
+ */
+export const getTargetPeriod = (periodType, now = new Date(), fiscalYearStartMonth = 1) => {
+  const options = { now, fiscalYearStartMonth };
+  const selection = { period: periodType, ...getCurrentSelection(periodType, options) };
+  const { label, start, end } = resolvePeriod(selection, options);
+  const startDate = new Date(`${start}T00:00:00`);
+  const endDate = new Date(`${end}T00:00:00`);
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+  return {
+    periodType,
+    label: periodType === 'yearly' ? formatFiscalYear(selection.year, fiscalYearStartMonth) : label,
+    start,
+    end,
+    totalDays: Math.round((endDate - startDate) / DAY_MS) + 1,
+    elapsedDays: Math.round((today - startDate) / DAY_MS) + 1
+  };
+};
+
+/**
+ * Work out attainment, pace and projected finish for a quota
+ * @param {number} achieved - Revenue so far this period
+ * @param {number} target - Quota for the period (same currency)
+ * @param {object} period - Period from getTargetPeriod
+ * @returns {object} Progress figures
+ */
+export const calculateTargetProgress = (achieved, target, period) => {
+  const elapsedShare = Math.min(1, period.elapsedDays / period.totalDays);
+  const expected = target * elapsedShare;
+  const projected = elapsedShare > 0 ? achieved / elapsedShare : achieved;
+  const projectedAttainment = target > 0 ? projected / target : null;
+
+  let status = null;
+  if (projectedAttainment !== null) {
+    status = projectedAttainment >= 1 ? 'on-track' : projectedAttainment >= AT_RISK_THRESHOLD ? 'at-risk' : 'behind';
+  }
+
+  return {
+    period,
+    target,
+    achieved,
+    attainment: target > 0 ? achieved / target : null,
+    expected,
+    // 1 means exactly on pace: achieved what the quota needs by this point in the period
+    pace: expected > 0 ? achieved / expected : null,
+    projected,
+    projectedAttainment,
+    status
+  };
+};
+
+/**
+ * Measure every quota against the current period, in the reporting currency
+ * Team achievement is the sum of its members' revenue.
+ * @param {object} payload - { invoices, targets, teams, reportingCurrency, rateTable, fiscalYearStartMonth, now }
+ * @returns {object} { salespersons: { [employeeId]: progress }, teams: { [teamId]: progress } }
+ */
+export const buildTargetProgress = ({ invoices, targets, teams, reportingCurrency, rateTable, fiscalYearStartMonth = 1, now = new Date() }) => {
+  const periods = {};
+  targets.forEach(target => {
+    periods[target.periodType] = periods[target.periodType] || getTargetPeriod(target.periodType, now, fiscalYearStartMonth);
+  });
+
+  // Revenue per employee within each active period type
+  const achieved = Object.fromEntries(Object.keys(periods).map(type => [type, {}]));
+  invoices.forEach(inv => {
+    if (isCancelledInvoice(inv) || !inv.invoiceDate) return;
+    const dateKey = String(inv.invoiceDate).slice(0, 10);
+    const employeeId = String(inv.employeeId || '');
+    Object.entries(periods).forEach(([type, period]) => {
+      if (dateKey < period.start || dateKey > period.end) return;
+      achieved[type][employeeId] = (achieved[type][employeeId] || 0) + (convertInvoiceAmount(inv, reportingCurrency, rateTable) ?? 0);
+    });
+  });
+
+  const result = { salespersons: {}, teams: {} };
+  targets.forEach(target => {
+    const period = periods[target.periodType];
+    const targetAmount = convertAmount(target.amount, target.currency || reportingCurrency, reportingCurrency, rateTable);
+    if (targetAmount === null) return;
+
+    if (target.scope === 'team') {
+      const team = teams.find(t => t.id === target.ownerId);
+      if (!team) return;
+      const teamAchieved = team.memberIds.reduce((sum, memberId) => sum + (achieved[target.periodType][String(memberId)] || 0), 0);
+      result.teams[team.id] = calculateTargetProgress(teamAchieved, targetAmount, period);
+    } else {
+      result.salespersons[target.ownerId] = calculateTargetProgress(achieved[target.periodType][target.ownerId] || 0, targetAmount, period);
+    }
+  });
+  return result;
+};
@@ -0,0 +1,15 @@
+import { runAggregationTask } from '../utils/aggregations';
+
+// ✅ Web Worker for invoice aggregations (non-blocking)
+// Receives { id, task, payload } and answers { id, success, data | error }
+self.onmessage = (e) => {
+  const { id, task, payload } = e.data;
+
+  try {
+    const data = runAggregationTask(task, payload);
+    self.postMessage({ id, success: true, data });
+  } catch (error) {
+    console.error(`❌ Worker: Error running ${task} aggregation:`, error);
+    self.postMessage({ id, success: false, error: error.message });
+  }
+};
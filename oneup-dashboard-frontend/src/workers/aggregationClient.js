@@ -0,0 +1,111 @@
+import { runAggregationTask } from '../utils/aggregations';
+
+// ✅ Client for the aggregation worker
+// Each client owns one worker and runs one task at a time: starting a new run
+// cancels the previous one. A running computation can only be stopped by
+// terminating the worker, so cancel() does that and the next run respawns it.
+// Without Worker support, tasks run on the main thread after a macrotask yield.
+
+const supportsWorkers = typeof Worker !== 'undefined';
+
+const createWorker = () => new Worker(
+  new URL('./aggregation.worker.js', import.meta.url),
+  { type: 'module' }
+);
+
+const cancelledError = () => new DOMException('Aggregation cancelled', 'AbortError');
+
+export const createAggregationClient = () => {
+  let worker = null;
+  let useWorker = supportsWorkers;
+  let pending = null; // { id, task, payload, resolve, reject, timer }
+  let nextId = 0;
+
+  const settle = (callback) => {
+    const current = pending;
+    pending = null;
+    callback(current);
+  };
+
+  const runOnMainThread = () => {
+    pending.timer = setTimeout(() => settle(({ task, payload, resolve, reject }) => {
+      try {
+        resolve(runAggregationTask(task, payload));
+      } catch (error) {
+        reject(error);
+      }
+    }), 0);
+  };
+
+  const fallBackToMainThread = (error) => {
+    console.warn('⚠️ Aggregation worker unavailable, using main thread:', error);
+    useWorker = false;
+    terminate();
+    if (pending) runOnMainThread();
+  };
+
+  const getWorker = () => {
+    if (!worker) {
+      worker = createWorker();
+      worker.onmessage = (e) => {
+        const { id, success, data, error } = e.data;
+        if (!pending || pending.id !== id) return; // Result of a cancelled run
+        settle(({ resolve, reject }) => (success ? resolve(data) : reject(new Error(error))));
+      };
+      worker.onerror = (e) => {
+        e.preventDefault();
+        fallBackToMainThread(e.message);
+      };
+    }
+    return worker;
+  };
+
+  const terminate = () => {
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+  };
+
+  const cancel = () => {
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    if (useWorker) terminate();
+    settle(({ reject }) => reject(cancelledError()));
+  };
+
+  /**
+   * Run an aggregation task, cancelling any run still in progress
+   * @param {string} task - Task name (see AGGREGATION_TASKS)
+   * @param {object} payload - Task input, must be structured-cloneable
+   * @returns {Promise<*>} Task result; rejects with an AbortError when cancelled
+   */
+  const run = (task, payload) => {
+    cancel();
+    const id = ++nextId;
+
+    return new Promise((resolve, reject) => {
+      pending = { id, task, payload, resolve, reject, timer: null };
+
+      if (useWorker) {
+        try {
+          getWorker().postMessage({ id, task, payload });
+          return;
+        } catch (error) {
+          fallBackToMainThread(error);
+          return;
+        }
+      }
+      runOnMainThread();
+    });
+  };
+
+  const dispose = () => {
+    cancel();
+    terminate();
+  };
+
+  return { run, cancel, dispose };
+};
+
+export default createAggregationClient;